@@ -5,17 +5,36 @@
 
 const BASE_URL = window.location.origin;
 
+// localStorage key holding the proxy client key used by the dashboard
+const ACCESS_KEY_STORAGE = 'glm-proxy-access-key';
+
 class ApiClient {
   constructor() {
-    this.apiKey = null;
+    this.apiKey = localStorage.getItem(ACCESS_KEY_STORAGE);
   }
 
   /**
-   * Set API key for requests
-   * @param {string} key - Z.ai API key
+   * Set the proxy client key sent with every request (remembered in localStorage)
+   * @param {string|null} key - Proxy API key, or null to clear it
    */
   setApiKey(key) {
-    this.apiKey = key;
+    this.apiKey = key || null;
+    if (this.apiKey) {
+      localStorage.setItem(ACCESS_KEY_STORAGE, this.apiKey);
+    } else {
+      localStorage.removeItem(ACCESS_KEY_STORAGE);
+    }
+  }
+
+  /**
+   * Build a URL that carries the client key as ?key= (for EventSource, which cannot set headers)
+   * @param {string} endpoint - API endpoint
+   * @returns {string} URL
+   */
+  withKey(endpoint) {
+    if (!this.apiKey) return endpoint;
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return `${endpoint}${separator}key=${encodeURIComponent(this.apiKey)}`;
   }
 
   /**
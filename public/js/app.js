@@ -8,6 +8,12 @@ import api from './api.js';
 import themeManager from './theme.js';
 import settings from './settings.js';
 import mcpManager from './mcp-manager.js';
+import providerManager from './providers.js';
+import trafficInspector from './traffic.js';
+import usageDashboard from './usage.js';
+import keyManager from './keys.js';
+import reasoningProfiles from './reasoning.js';
+import searchBackends from './search-backends.js';
 
 class App {
   constructor() {
@@ -23,6 +29,12 @@ class App {
     themeManager.init();
     settings.init();
     mcpManager.init();
+    providerManager.init();
+    trafficInspector.init();
+    usageDashboard.init();
+    keyManager.init();
+    reasoningProfiles.init();
+    searchBackends.init();
 
     // Set up tab navigation
     this.initTabs();
@@ -0,0 +1,222 @@
+/**
+ * Key Manager
+ *
+ * Handles the API Keys UI - the access key this dashboard sends to the proxy,
+ * creating client keys (the secret is shown once) and revoking them.
+ */
+
+import { $, $$, createElement, escapeHtml } from './utils.js';
+import api from './api.js';
+
+// Local state
+let keys = [];
+
+/**
+ * Initialize the key manager
+ */
+export function init() {
+  if (!$('[data-key-list]')) return;
+
+  renderAccessKey();
+  setupEventListeners();
+  loadKeys();
+}
+
+/**
+ * Show whether the dashboard has an access key configured
+ */
+function renderAccessKey() {
+  const status = $('[data-access-key-status]');
+  if (!status) return;
+
+  status.className = `mcp-status ${api.apiKey ? 'mcp-status--ready' : 'mcp-status--idle'}`;
+  status.textContent = api.apiKey ? 'Key set' : 'No key';
+}
+
+/**
+ * Load keys from the server
+ */
+async function loadKeys() {
+  const listContainer = $('[data-key-list]');
+  if (!listContainer) return;
+
+  try {
+    const response = await api.get('/v1/keys');
+    keys = response.keys || [];
+    renderKeyList();
+  } catch (error) {
+    console.error('Failed to load keys:', error);
+    listContainer.innerHTML = `<p class="mcp-error">Failed to load keys: ${escapeHtml(error.message)}. Set an admin access key above.</p>`;
+  }
+}
+
+/**
+ * Render the key list
+ */
+function renderKeyList() {
+  const listContainer = $('[data-key-list]');
+  if (!listContainer) return;
+
+  if (keys.length === 0) {
+    listContainer.innerHTML = '<p class="mcp-empty">No keys - the proxy accepts requests without a key</p>';
+    return;
+  }
+
+  listContainer.innerHTML = '';
+  for (const key of keys) {
+    listContainer.appendChild(createKeyCard(key));
+  }
+}
+
+/**
+ * Create a key card element
+ * @param {Object} key - Key metadata
+ * @returns {HTMLElement} Card element
+ */
+function createKeyCard(key) {
+  const card = createElement('div', {
+    className: 'mcp-card',
+    dataset: { keyId: key.id },
+  });
+
+  const statusClass = key.revokedAt ? 'mcp-status--idle' : 'mcp-status--ready';
+  const statusText = key.revokedAt ? 'Revoked' : 'Active';
+  const actions = key.revokedAt
+    ? ''
+    : `
+        <button class="btn btn--icon btn--sm btn--danger" data-key-revoke="${escapeHtml(key.id)}" title="Revoke">
+          <span>Revoke</span>
+        </button>
+      `;
+
+  card.innerHTML = `
+    <div class="mcp-card__header">
+      <div class="mcp-card__title">
+        <h4>${escapeHtml(key.name)}</h4>
+        <span class="mcp-status ${statusClass}">${statusText}</span>
+      </div>
+      <div class="mcp-card__actions">${actions}</div>
+    </div>
+    <div class="mcp-card__body">
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">ID:</span>
+        <code>${escapeHtml(key.id)}</code>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Key:</span>
+        <code>${escapeHtml(key.prefix)}…</code>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Scopes:</span>
+        <span>${key.scopes.map(scope => `<span class="mcp-trigger">${escapeHtml(scope)}</span>`).join(' ')}</span>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Created:</span>
+        <span>${new Date(key.createdAt).toLocaleString()}</span>
+      </div>
+    </div>
+  `;
+
+  return card;
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  document.addEventListener('click', async (e) => {
+    if (e.target.closest('[data-action="save-access-key"]')) {
+      const input = $('[data-access-key]');
+      api.setApiKey(input?.value.trim());
+      // Reload so every panel (and the traffic feed) reconnects with the new key
+      window.location.reload();
+      return;
+    }
+
+    if (e.target.closest('[data-action="clear-access-key"]')) {
+      api.setApiKey(null);
+      window.location.reload();
+      return;
+    }
+
+    if (e.target.closest('[data-action="create-key"]')) {
+      await createKey();
+      return;
+    }
+
+    const revokeButton = e.target.closest('[data-key-revoke]');
+    if (revokeButton) {
+      const keyId = revokeButton.dataset.keyRevoke;
+      if (confirm(`Revoke key "${keyId}"? Clients using it will be rejected immediately.`)) {
+        await revokeKey(keyId);
+      }
+    }
+  });
+}
+
+/**
+ * Create a key from the form and show its secret
+ */
+async function createKey() {
+  const nameInput = $('[data-key-name]');
+  const scopes = Array.from($$('[data-key-scope]:checked')).map(input => input.value);
+  const result = $('[data-key-created]');
+
+  if (scopes.length === 0) {
+    showToast('error', 'Select at least one scope');
+    return;
+  }
+
+  try {
+    const response = await api.post('/v1/keys', {
+      name: nameInput?.value.trim() || undefined,
+      scopes,
+    });
+
+    if (result) {
+      result.hidden = false;
+      result.innerHTML = `
+        <p class="form-hint">Copy this key now - it will not be shown again.</p>
+        <code class="key-secret">${escapeHtml(response.secret)}</code>
+      `;
+    }
+    if (nameInput) nameInput.value = '';
+
+    showToast('success', `Key "${response.key.name}" created`);
+    await loadKeys();
+  } catch (error) {
+    showToast('error', `Failed to create key: ${error.message}`);
+  }
+}
+
+/**
+ * Revoke a key
+ * @param {string} keyId - Key ID
+ */
+async function revokeKey(keyId) {
+  try {
+    await api.request(`/v1/keys/${encodeURIComponent(keyId)}`, {
+      method: 'DELETE',
+    });
+    showToast('success', 'Key revoked');
+    await loadKeys();
+  } catch (error) {
+    showToast('error', `Failed to revoke key: ${error.message}`);
+  }
+}
+
+/**
+ * Show a toast notification
+ * @param {string} type - Toast type (success, error, info)
+ * @param {string} message - Toast message
+ */
+function showToast(type, message) {
+  const event = new CustomEvent('toast', {
+    detail: { type, message },
+  });
+  window.dispatchEvent(event);
+}
+
+export default {
+  init,
+};
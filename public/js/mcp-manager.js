@@ -2,6 +2,7 @@
  * MCP Manager
  *
  * Handles the MCP management UI - listing, adding, editing, and removing custom MCPs.
+ * MCPs are either local commands (stdio) or remote servers (Streamable HTTP / SSE).
  */
 
 import { $, $$, createElement } from './utils.js';
@@ -11,6 +12,30 @@ import api from './api.js';
 let mcps = [];
 let editingMcp = null;
 
+// Supervisor state badges
+const STATE_LABELS = {
+  stopped: 'Stopped',
+  starting: 'Starting',
+  ready: 'Ready',
+  degraded: 'Degraded',
+  crashed: 'Crashed',
+};
+
+// How often the list refreshes while the MCP tab is open
+const REFRESH_INTERVAL_MS = 10000;
+
+const TRANSPORT_LABELS = {
+  stdio: 'Local',
+  http: 'Streamable HTTP',
+  sse: 'SSE',
+};
+
+const SELECTION_LABELS = {
+  regex: 'Triggers',
+  relevance: 'Relevance (best matching tools)',
+  always: 'Always',
+};
+
 /**
  * Initialize the MCP manager
  */
@@ -20,6 +45,13 @@ export function init() {
 
   // Set up event listeners
   setupEventListeners();
+
+  // Keep supervisor states current while the MCP tab is open
+  setInterval(() => {
+    if ($('[data-panel="mcp"]')?.classList.contains('panel--active')) {
+      loadMcps();
+    }
+  }, REFRESH_INTERVAL_MS);
 }
 
 /**
@@ -69,8 +101,10 @@ function createMcpCard(mcp) {
   });
 
   // Status indicator
-  const statusClass = mcp.initialized ? 'mcp-status--ready' : 'mcp-status--idle';
-  const statusText = mcp.initialized ? `Ready (${mcp.toolCount} tools)` : 'Not initialized';
+  const state = mcp.state || 'stopped';
+  const statusClass = `mcp-status--${state}`;
+  const statusText = describeState(mcp);
+  const canRestart = state === 'crashed' || state === 'degraded';
 
   card.innerHTML = `
     <div class="mcp-card__header">
@@ -83,6 +117,10 @@ function createMcpCard(mcp) {
           <input type="checkbox" class="toggle__input" data-mcp-toggle="${mcp.id}" ${mcp.enabled ? 'checked' : ''}>
           <span class="toggle__slider"></span>
         </label>
+        ${canRestart ? `
+        <button class="btn btn--icon btn--sm btn--secondary" data-mcp-restart="${mcp.id}" title="Restart">
+          <span>Restart</span>
+        </button>` : ''}
         <button class="btn btn--icon btn--sm btn--secondary" data-mcp-test="${mcp.id}" title="Test connection">
           <span>Test</span>
         </button>
@@ -95,24 +133,140 @@ function createMcpCard(mcp) {
       </div>
     </div>
     <div class="mcp-card__body">
+      ${isRemote(mcp) ? `
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">${TRANSPORT_LABELS[mcp.transport]}:</span>
+        <code>${escapeHtml(mcp.url)}</code>
+      </div>` : `
       <div class="mcp-card__info">
         <span class="mcp-card__label">Command:</span>
         <code>${escapeHtml(mcp.command)} ${escapeHtml(mcp.args.join(' '))}</code>
+      </div>`}
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Selection:</span>
+        <span>${SELECTION_LABELS[mcp.selectionMode] || SELECTION_LABELS.regex}</span>
       </div>
       <div class="mcp-card__info">
         <span class="mcp-card__label">Triggers:</span>
         <span>${mcp.triggers.map(t => `<span class="mcp-trigger">${escapeHtml(t)}</span>`).join(' ')}</span>
       </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Tool Names:</span>
+        <code>${mcp.namespaceTools ? `${escapeHtml(mcp.id)}__&lt;tool&gt;` : '&lt;tool&gt;'}</code>
+      </div>${renderToolList('Allowed Tools', mcp.toolAllowlist)}${renderToolList('Denied Tools', mcp.toolDenylist)}
       <div class="mcp-card__info">
         <span class="mcp-card__label">API Key:</span>
         <span>${mcp.apiKeyConfigured ? '✓ Configured' : 'Not required'}</span>
-      </div>
+      </div>${mcp.health?.lastError && state !== 'ready' ? `
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Last Error:</span>
+        <span>${escapeHtml(mcp.health.lastError)}</span>
+      </div>` : ''}
     </div>
   `;
 
   return card;
 }
 
+/**
+ * Render an allow/deny list row of an MCP card
+ * @param {string} label - Row label
+ * @param {Array<string>} names - Tool names and patterns
+ * @returns {string} HTML ('' for an empty list)
+ */
+function renderToolList(label, names) {
+  if (!names?.length) return '';
+  return `
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">${label}:</span>
+        <span>${names.map(name => `<span class="mcp-trigger">${escapeHtml(name)}</span>`).join(' ')}</span>
+      </div>`;
+}
+
+/**
+ * Parse a one-entry-per-line textarea
+ * @param {string} text - Textarea value
+ * @returns {Array<string>} Non-empty, trimmed lines
+ */
+function parseLines(text) {
+  return text.split('\n').map(line => line.trim()).filter(line => line);
+}
+
+/**
+ * Check whether an MCP is a remote server
+ * @param {Object} mcp - MCP configuration
+ * @returns {boolean} True for the http and sse transports
+ */
+function isRemote(mcp) {
+  return mcp.transport === 'http' || mcp.transport === 'sse';
+}
+
+/**
+ * Describe the supervisor state of an MCP for its badge
+ * @param {Object} mcp - MCP configuration
+ * @returns {string} e.g. "Ready (3 tools)" or "Crashed - restarting in 4s"
+ */
+function describeState(mcp) {
+  const state = mcp.state || 'stopped';
+  if (state === 'ready' || state === 'degraded') {
+    return `${STATE_LABELS[state]} (${describeCapabilities(mcp)})`;
+  }
+  if (state === 'crashed') {
+    if (mcp.health?.circuitOpen) {
+      return 'Crashed - restart limit reached';
+    }
+    if (mcp.health?.nextRestartAt) {
+      const seconds = Math.max(0, Math.round((Date.parse(mcp.health.nextRestartAt) - Date.now()) / 1000));
+      return `Crashed - restarting in ${seconds}s`;
+    }
+  }
+  return STATE_LABELS[state] || state;
+}
+
+/**
+ * Describe what an initialized MCP exposes
+ * @param {Object} mcp - MCP configuration
+ * @returns {string} e.g. "3 tools, 2 resources"
+ */
+function describeCapabilities(mcp) {
+  const parts = [`${mcp.toolCount} tools`];
+  if (mcp.resourceCount > 0) {
+    parts.push(`${mcp.resourceCount} resources`);
+  }
+  if (mcp.promptCount > 0) {
+    parts.push(`${mcp.promptCount} prompts`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Show the form fields of the selected transport
+ * @param {string} transport - 'stdio', 'http' or 'sse'
+ */
+function showTransportFields(transport) {
+  const group = transport === 'stdio' ? 'stdio' : 'remote';
+  $$('[data-mcp-transport-field]').forEach((field) => {
+    field.hidden = field.dataset.mcpTransportField !== group;
+  });
+}
+
+/**
+ * Parse a "Name: value" per line textarea (headers, prompt arguments, description overrides)
+ * @param {string} text - Textarea value
+ * @returns {Object|null} Values by name, or null if a line has no name
+ */
+function parseKeyValueLines(text) {
+  const values = {};
+  for (const line of text.split('\n').map(l => l.trim()).filter(l => l)) {
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      return null;
+    }
+    values[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  }
+  return values;
+}
+
 /**
  * Set up event listeners
  */
@@ -151,6 +305,12 @@ function setupEventListeners() {
       saveBtn.addEventListener('click', saveMcp);
     }
 
+    // Transport select
+    const transportSelect = $('[name="mcp-transport"]', modal);
+    if (transportSelect) {
+      transportSelect.addEventListener('change', () => showTransportFields(transportSelect.value));
+    }
+
     // Click outside to close
     modal.addEventListener('click', (e) => {
       if (e.target === modal) {
@@ -165,6 +325,12 @@ function setupEventListeners() {
  * @param {Event} e - Click event
  */
 async function handleListClick(e) {
+  const restartBtn = e.target.closest('[data-mcp-restart]');
+  if (restartBtn) {
+    await restartMcp(restartBtn.dataset.mcpRestart);
+    return;
+  }
+
   const testBtn = e.target.closest('[data-mcp-test]');
   if (testBtn) {
     const mcpId = testBtn.dataset.mcpTest;
@@ -226,9 +392,19 @@ function openModal(mcp = null) {
   if (form) {
     const idInput = $('[name="mcp-id"]', form);
     const nameInput = $('[name="mcp-name"]', form);
+    const transportSelect = $('[name="mcp-transport"]', form);
     const commandInput = $('[name="mcp-command"]', form);
     const argsInput = $('[name="mcp-args"]', form);
+    const urlInput = $('[name="mcp-url"]', form);
+    const headersInput = $('[name="mcp-headers"]', form);
+    const selectionSelect = $('[name="mcp-selection-mode"]', form);
     const triggersInput = $('[name="mcp-triggers"]', form);
+    const namespaceInput = $('[name="mcp-namespace-tools"]', form);
+    const allowlistInput = $('[name="mcp-tool-allowlist"]', form);
+    const denylistInput = $('[name="mcp-tool-denylist"]', form);
+    const descriptionsInput = $('[name="mcp-tool-descriptions"]', form);
+    const promptInput = $('[name="mcp-system-prompt"]', form);
+    const promptArgsInput = $('[name="mcp-system-prompt-args"]', form);
     const apiKeyInput = $('[name="mcp-api-key"]', form);
     const apiKeyHint = $('[data-api-key-hint]', form);
     const apiKeyAsArgInput = $('[name="mcp-api-key-as-arg"]', form);
@@ -239,9 +415,32 @@ function openModal(mcp = null) {
         idInput.disabled = true;
       }
       if (nameInput) nameInput.value = mcp.name;
-      if (commandInput) commandInput.value = mcp.command;
+      if (transportSelect) transportSelect.value = mcp.transport || 'stdio';
+      if (commandInput) commandInput.value = mcp.command || 'npx';
       if (argsInput) argsInput.value = mcp.args.join(' ');
+      if (urlInput) urlInput.value = mcp.url || '';
+      if (headersInput) {
+        headersInput.value = ''; // Header values are not returned
+        headersInput.placeholder = mcp.headerNames?.length
+          ? `(${mcp.headerNames.join(', ')} set - leave blank to keep)`
+          : 'X-Team: platform';
+      }
+      if (selectionSelect) selectionSelect.value = mcp.selectionMode || 'regex';
       if (triggersInput) triggersInput.value = mcp.triggers.join('\n');
+      if (namespaceInput) namespaceInput.checked = mcp.namespaceTools !== false;
+      if (allowlistInput) allowlistInput.value = (mcp.toolAllowlist || []).join('\n');
+      if (denylistInput) denylistInput.value = (mcp.toolDenylist || []).join('\n');
+      if (descriptionsInput) {
+        descriptionsInput.value = Object.entries(mcp.toolDescriptions || {})
+          .map(([name, description]) => `${name}: ${description}`)
+          .join('\n');
+      }
+      if (promptInput) promptInput.value = mcp.systemPrompt?.name || '';
+      if (promptArgsInput) {
+        promptArgsInput.value = Object.entries(mcp.systemPrompt?.arguments || {})
+          .map(([name, value]) => `${name}: ${value}`)
+          .join('\n');
+      }
       if (apiKeyInput) {
         apiKeyInput.value = ''; // Don't show existing key
         apiKeyInput.placeholder = mcp.apiKeyConfigured ? '(configured - leave blank to keep)' : 'Enter API key';
@@ -258,9 +457,22 @@ function openModal(mcp = null) {
         idInput.disabled = false;
       }
       if (nameInput) nameInput.value = '';
+      if (transportSelect) transportSelect.value = 'stdio';
       if (commandInput) commandInput.value = 'npx';
       if (argsInput) argsInput.value = '';
+      if (urlInput) urlInput.value = '';
+      if (headersInput) {
+        headersInput.value = '';
+        headersInput.placeholder = 'X-Team: platform';
+      }
+      if (selectionSelect) selectionSelect.value = 'regex';
       if (triggersInput) triggersInput.value = '';
+      if (namespaceInput) namespaceInput.checked = true;
+      if (allowlistInput) allowlistInput.value = '';
+      if (denylistInput) denylistInput.value = '';
+      if (descriptionsInput) descriptionsInput.value = '';
+      if (promptInput) promptInput.value = '';
+      if (promptArgsInput) promptArgsInput.value = '';
       if (apiKeyInput) {
         apiKeyInput.value = '';
         apiKeyInput.placeholder = 'Enter API key';
@@ -270,6 +482,8 @@ function openModal(mcp = null) {
       }
       if (apiKeyAsArgInput) apiKeyAsArgInput.checked = false;
     }
+
+    showTransportFields(transportSelect?.value || 'stdio');
   }
 
   modal.classList.add('modal--open');
@@ -295,21 +509,72 @@ async function saveMcp() {
 
   const idInput = $('[name="mcp-id"]', form);
   const nameInput = $('[name="mcp-name"]', form);
+  const transportSelect = $('[name="mcp-transport"]', form);
   const commandInput = $('[name="mcp-command"]', form);
   const argsInput = $('[name="mcp-args"]', form);
+  const urlInput = $('[name="mcp-url"]', form);
+  const headersInput = $('[name="mcp-headers"]', form);
+  const selectionSelect = $('[name="mcp-selection-mode"]', form);
   const triggersInput = $('[name="mcp-triggers"]', form);
+  const namespaceInput = $('[name="mcp-namespace-tools"]', form);
+  const allowlistInput = $('[name="mcp-tool-allowlist"]', form);
+  const denylistInput = $('[name="mcp-tool-denylist"]', form);
+  const descriptionsInput = $('[name="mcp-tool-descriptions"]', form);
+  const promptInput = $('[name="mcp-system-prompt"]', form);
+  const promptArgsInput = $('[name="mcp-system-prompt-args"]', form);
   const apiKeyInput = $('[name="mcp-api-key"]', form);
   const apiKeyAsArgInput = $('[name="mcp-api-key-as-arg"]', form);
 
+  const transport = transportSelect?.value || 'stdio';
   const mcpData = {
     id: idInput?.value.trim(),
     name: nameInput?.value.trim(),
-    command: commandInput?.value.trim(),
-    args: argsInput?.value.trim().split(/\s+/).filter(a => a),
+    transport,
+    selectionMode: selectionSelect?.value || 'regex',
     triggers: triggersInput?.value.trim().split('\n').map(t => t.trim()).filter(t => t),
-    apiKeyAsArg: apiKeyAsArgInput?.checked || false,
+    namespaceTools: namespaceInput?.checked ?? true,
+    toolAllowlist: parseLines(allowlistInput?.value || ''),
+    toolDenylist: parseLines(denylistInput?.value || ''),
   };
 
+  const toolDescriptions = parseKeyValueLines(descriptionsInput?.value.trim() || '');
+  if (!toolDescriptions) {
+    showToast('error', 'Description overrides must be one "tool_name: description" per line');
+    return;
+  }
+  mcpData.toolDescriptions = toolDescriptions;
+
+  if (transport === 'stdio') {
+    mcpData.command = commandInput?.value.trim();
+    mcpData.args = argsInput?.value.trim().split(/\s+/).filter(a => a);
+    mcpData.apiKeyAsArg = apiKeyAsArgInput?.checked || false;
+  } else {
+    mcpData.url = urlInput?.value.trim();
+    // Blank headers keep the existing ones when editing
+    const headersText = headersInput?.value.trim() || '';
+    if (headersText || !editingMcp) {
+      const headers = parseKeyValueLines(headersText);
+      if (!headers) {
+        showToast('error', 'Headers must be one "Name: value" per line');
+        return;
+      }
+      mcpData.headers = headers;
+    }
+  }
+
+  // Prompt appended to the system prompt when the MCP's tools are injected
+  const promptName = promptInput?.value.trim();
+  if (promptName) {
+    const promptArgs = parseKeyValueLines(promptArgsInput?.value.trim() || '');
+    if (!promptArgs) {
+      showToast('error', 'Prompt arguments must be one "name: value" per line');
+      return;
+    }
+    mcpData.systemPrompt = { name: promptName, arguments: promptArgs };
+  } else {
+    mcpData.systemPrompt = null;
+  }
+
   // Only include API key value if provided (backend will auto-generate env var name)
   const apiKeyValue = apiKeyInput?.value.trim();
   if (apiKeyValue) {
@@ -325,10 +590,14 @@ async function saveMcp() {
     showToast('error', 'MCP name is required');
     return;
   }
-  if (!mcpData.command) {
+  if (transport === 'stdio' && !mcpData.command) {
     showToast('error', 'Command is required');
     return;
   }
+  if (transport !== 'stdio' && !/^https?:\/\//i.test(mcpData.url || '')) {
+    showToast('error', 'Server URL must start with http:// or https://');
+    return;
+  }
 
   try {
     if (editingMcp) {
@@ -401,6 +670,21 @@ async function testMcp(mcpId) {
   }
 }
 
+/**
+ * Restart an MCP (also after it hit the restart limit)
+ * @param {string} mcpId - MCP ID
+ */
+async function restartMcp(mcpId) {
+  showToast('info', 'Restarting MCP...');
+  try {
+    await api.post(`/v1/mcp/${encodeURIComponent(mcpId)}/restart`);
+    showToast('success', 'MCP restarted');
+  } catch (error) {
+    showToast('error', `Failed to restart: ${error.message}`);
+  }
+  await loadMcps();
+}
+
 /**
  * Show a toast notification
  * @param {string} type - Toast type (success, error, info)
@@ -0,0 +1,443 @@
+/**
+ * Provider Manager
+ *
+ * Handles the Providers UI - listing upstream providers, adding/editing/removing
+ * custom providers, and editing the model routing rules.
+ */
+
+import { $, $$, createElement } from './utils.js';
+import api from './api.js';
+
+// Local state
+let providers = [];
+let rules = [];
+let editingProvider = null;
+
+/**
+ * Initialize the provider manager
+ */
+export function init() {
+  // Load providers and rules on init
+  loadProviders();
+
+  // Set up event listeners
+  setupEventListeners();
+}
+
+/**
+ * Load providers and routing rules from the server
+ */
+async function loadProviders() {
+  const listContainer = $('[data-provider-list]');
+  if (!listContainer) return;
+
+  try {
+    const [providerResponse, rulesResponse] = await Promise.all([
+      api.get('/v1/providers'),
+      api.get('/v1/routing/rules'),
+    ]);
+    providers = providerResponse.providers || [];
+    rules = rulesResponse.rules || [];
+    renderProviderList();
+    renderRules();
+  } catch (error) {
+    console.error('Failed to load providers:', error);
+    listContainer.innerHTML = '<p class="mcp-error">Failed to load providers</p>';
+  }
+}
+
+/**
+ * Render the provider list
+ */
+function renderProviderList() {
+  const listContainer = $('[data-provider-list]');
+  if (!listContainer) return;
+
+  listContainer.innerHTML = '';
+  for (const provider of providers) {
+    listContainer.appendChild(createProviderCard(provider));
+  }
+}
+
+/**
+ * Create a provider card element
+ * @param {Object} provider - Provider configuration
+ * @returns {HTMLElement} Card element
+ */
+function createProviderCard(provider) {
+  const card = createElement('div', {
+    className: 'mcp-card',
+    dataset: { providerId: provider.id },
+  });
+
+  const statusClass = provider.apiKeyConfigured || provider.authStyle === 'none'
+    ? 'mcp-status--ready'
+    : 'mcp-status--idle';
+  const statusText = provider.builtin ? 'Built-in' : 'Custom';
+
+  // Built-in providers are configured through environment variables
+  const actions = provider.builtin
+    ? ''
+    : `
+        <button class="btn btn--icon btn--sm" data-provider-edit="${provider.id}" title="Edit">
+          <span>Edit</span>
+        </button>
+        <button class="btn btn--icon btn--sm btn--danger" data-provider-delete="${provider.id}" title="Delete">
+          <span>Del</span>
+        </button>
+      `;
+
+  card.innerHTML = `
+    <div class="mcp-card__header">
+      <div class="mcp-card__title">
+        <h4>${escapeHtml(provider.name)}</h4>
+        <span class="mcp-status ${statusClass}">${statusText}</span>
+      </div>
+      <div class="mcp-card__actions">${actions}</div>
+    </div>
+    <div class="mcp-card__body">
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">ID:</span>
+        <code>${escapeHtml(provider.id)}</code>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">URL:</span>
+        <code>${escapeHtml(provider.baseUrl)}</code>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Protocol:</span>
+        <span>${escapeHtml(provider.protocol)} (${escapeHtml(provider.authStyle)})</span>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Thinking:</span>
+        <span>${provider.nativeThinking ? 'native' : 'reasoning prompt'}</span>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">Models:</span>
+        <span>${provider.models.map(m => `<span class="mcp-trigger">${escapeHtml(m)}</span>`).join(' ')}</span>
+      </div>
+      <div class="mcp-card__info">
+        <span class="mcp-card__label">API Key:</span>
+        <span>${provider.apiKeyConfigured ? `✓ ${escapeHtml(provider.apiKeyName)}` : 'Not configured'}</span>
+      </div>
+    </div>
+  `;
+
+  return card;
+}
+
+/**
+ * Render the routing rules editor
+ */
+function renderRules() {
+  const rulesContainer = $('[data-rule-list]');
+  if (!rulesContainer) return;
+
+  if (rules.length === 0) {
+    rulesContainer.innerHTML = '<p class="mcp-empty">No routing rules - all requests use the endpoint selected in Settings</p>';
+    return;
+  }
+
+  const providerOptions = (selected) => providers
+    .map(p => `<option value="${escapeHtml(p.id)}" ${p.id === selected ? 'selected' : ''}>${escapeHtml(p.name)}</option>`)
+    .join('');
+
+  rulesContainer.innerHTML = '';
+  rules.forEach((rule, index) => {
+    const row = createElement('div', {
+      className: 'rule-row',
+      dataset: { ruleIndex: String(index) },
+    });
+    row.innerHTML = `
+      <input type="text" class="input" data-rule-field="pattern" value="${escapeHtml(rule.pattern)}" placeholder="claude-3-5-haiku*">
+      <select class="select" data-rule-field="provider">${providerOptions(rule.provider)}</select>
+      <input type="text" class="input" data-rule-field="model" value="${escapeHtml(rule.model || '')}" placeholder="(default model)">
+      <button class="btn btn--icon btn--sm btn--danger" data-rule-delete="${index}" title="Remove rule">
+        <span>Del</span>
+      </button>
+    `;
+    rulesContainer.appendChild(row);
+  });
+}
+
+/**
+ * Read the current rule rows back into local state
+ */
+function collectRules() {
+  rules = Array.from($$('[data-rule-list] .rule-row')).map(row => ({
+    pattern: $('[data-rule-field="pattern"]', row).value.trim(),
+    provider: $('[data-rule-field="provider"]', row).value,
+    model: $('[data-rule-field="model"]', row).value.trim() || null,
+  }));
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  // Add provider button
+  const addBtn = $('[data-action="add-provider"]');
+  if (addBtn) {
+    addBtn.addEventListener('click', () => openModal());
+  }
+
+  // Add rule button
+  const addRuleBtn = $('[data-action="add-rule"]');
+  if (addRuleBtn) {
+    addRuleBtn.addEventListener('click', () => {
+      collectRules();
+      rules.push({ pattern: '', provider: providers[0]?.id || '', model: null });
+      renderRules();
+    });
+  }
+
+  // Save rules button
+  const saveRulesBtn = $('[data-action="save-rules"]');
+  if (saveRulesBtn) {
+    saveRulesBtn.addEventListener('click', saveRules);
+  }
+
+  // Provider list delegation
+  const listContainer = $('[data-provider-list]');
+  if (listContainer) {
+    listContainer.addEventListener('click', handleListClick);
+  }
+
+  // Rule list delegation
+  const rulesContainer = $('[data-rule-list]');
+  if (rulesContainer) {
+    rulesContainer.addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('[data-rule-delete]');
+      if (deleteBtn) {
+        collectRules();
+        rules.splice(Number(deleteBtn.dataset.ruleDelete), 1);
+        renderRules();
+      }
+    });
+  }
+
+  // Modal events
+  const modal = $('[data-provider-modal]');
+  if (modal) {
+    const closeBtn = $('[data-action="close-provider-modal"]', modal);
+    if (closeBtn) {
+      closeBtn.addEventListener('click', closeModal);
+    }
+
+    const cancelBtn = $('[data-action="cancel-provider"]', modal);
+    if (cancelBtn) {
+      cancelBtn.addEventListener('click', closeModal);
+    }
+
+    const saveBtn = $('[data-action="save-provider"]', modal);
+    if (saveBtn) {
+      saveBtn.addEventListener('click', saveProvider);
+    }
+
+    // Click outside to close
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) {
+        closeModal();
+      }
+    });
+  }
+}
+
+/**
+ * Handle clicks in the provider list
+ * @param {Event} e - Click event
+ */
+async function handleListClick(e) {
+  const editBtn = e.target.closest('[data-provider-edit]');
+  if (editBtn) {
+    const provider = providers.find(p => p.id === editBtn.dataset.providerEdit);
+    if (provider) {
+      openModal(provider);
+    }
+    return;
+  }
+
+  const deleteBtn = e.target.closest('[data-provider-delete]');
+  if (deleteBtn) {
+    const providerId = deleteBtn.dataset.providerDelete;
+    if (confirm(`Delete provider "${providerId}"?`)) {
+      await deleteProvider(providerId);
+    }
+  }
+}
+
+/**
+ * Open the provider modal for adding/editing
+ * @param {Object|null} provider - Provider to edit, or null for new
+ */
+function openModal(provider = null) {
+  const modal = $('[data-provider-modal]');
+  if (!modal) return;
+
+  editingProvider = provider;
+
+  const title = $('[data-provider-modal-title]', modal);
+  if (title) {
+    title.textContent = provider ? 'Edit Provider' : 'Add Provider';
+  }
+
+  const form = $('[data-provider-form]', modal);
+  if (form) {
+    const idInput = $('[name="provider-id"]', form);
+    const apiKeyInput = $('[name="provider-api-key"]', form);
+    const apiKeyHint = $('[data-provider-key-hint]', form);
+
+    idInput.value = provider?.id || '';
+    idInput.disabled = !!provider;
+    $('[name="provider-name"]', form).value = provider?.name || '';
+    $('[name="provider-url"]', form).value = provider?.baseUrl || '';
+    $('[name="provider-protocol"]', form).value = provider?.protocol || 'openai';
+    $('[name="provider-auth"]', form).value = provider?.authStyle || 'bearer';
+    $('[name="provider-thinking"]', form).value = provider?.nativeThinking ? 'native' : 'prompt';
+    $('[name="provider-models"]', form).value = (provider?.models || []).join('\n');
+
+    apiKeyInput.value = ''; // Don't show existing key
+    apiKeyInput.placeholder = provider?.apiKeyConfigured ? '(configured - leave blank to keep)' : 'Enter API key';
+    if (apiKeyHint) {
+      apiKeyHint.textContent = provider?.apiKeyConfigured
+        ? `Stored as ${provider.apiKeyName}. Leave blank to keep existing, or enter new value to update.`
+        : 'Key is saved securely to .env file.';
+    }
+  }
+
+  modal.classList.add('modal--open');
+}
+
+/**
+ * Close the provider modal
+ */
+function closeModal() {
+  const modal = $('[data-provider-modal]');
+  if (modal) {
+    modal.classList.remove('modal--open');
+    editingProvider = null;
+  }
+}
+
+/**
+ * Save provider from modal form
+ */
+async function saveProvider() {
+  const form = $('[data-provider-form]');
+  if (!form) return;
+
+  const providerData = {
+    id: $('[name="provider-id"]', form).value.trim(),
+    name: $('[name="provider-name"]', form).value.trim(),
+    baseUrl: $('[name="provider-url"]', form).value.trim(),
+    protocol: $('[name="provider-protocol"]', form).value,
+    authStyle: $('[name="provider-auth"]', form).value,
+    nativeThinking: $('[name="provider-thinking"]', form).value === 'native',
+    models: $('[name="provider-models"]', form).value.split('\n').map(m => m.trim()).filter(m => m),
+  };
+
+  // Only include API key value if provided (backend will auto-generate env var name)
+  const apiKeyValue = $('[name="provider-api-key"]', form).value.trim();
+  if (apiKeyValue) {
+    providerData.apiKeyValue = apiKeyValue;
+  }
+
+  // Validate
+  if (!providerData.id) {
+    showToast('error', 'Provider ID is required');
+    return;
+  }
+  if (!providerData.name) {
+    showToast('error', 'Provider name is required');
+    return;
+  }
+  if (!providerData.baseUrl) {
+    showToast('error', 'Base URL is required');
+    return;
+  }
+
+  try {
+    if (editingProvider) {
+      await api.request(`/v1/providers/${encodeURIComponent(providerData.id)}`, {
+        method: 'PATCH',
+        body: providerData,
+      });
+      showToast('success', 'Provider updated');
+    } else {
+      await api.post('/v1/providers', providerData);
+      showToast('success', 'Provider added');
+    }
+
+    closeModal();
+    await loadProviders();
+  } catch (error) {
+    showToast('error', `Failed to save provider: ${error.message}`);
+  }
+}
+
+/**
+ * Delete a provider
+ * @param {string} providerId - Provider ID
+ */
+async function deleteProvider(providerId) {
+  try {
+    await api.request(`/v1/providers/${encodeURIComponent(providerId)}`, {
+      method: 'DELETE',
+    });
+    showToast('success', 'Provider deleted');
+    await loadProviders();
+  } catch (error) {
+    showToast('error', `Failed to delete provider: ${error.message}`);
+  }
+}
+
+/**
+ * Save the routing rules
+ */
+async function saveRules() {
+  collectRules();
+
+  if (rules.some(rule => !rule.pattern)) {
+    showToast('error', 'Every rule needs a model pattern');
+    return;
+  }
+
+  try {
+    const response = await api.request('/v1/routing/rules', {
+      method: 'PUT',
+      body: { rules },
+    });
+    rules = response.rules || [];
+    renderRules();
+    showToast('success', 'Routing rules saved');
+  } catch (error) {
+    showToast('error', `Failed to save rules: ${error.message}`);
+  }
+}
+
+/**
+ * Show a toast notification
+ * @param {string} type - Toast type (success, error, info)
+ * @param {string} message - Toast message
+ */
+function showToast(type, message) {
+  const event = new CustomEvent('toast', {
+    detail: { type, message },
+  });
+  window.dispatchEvent(event);
+}
+
+/**
+ * Escape HTML special characters (including quotes, for attribute values)
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+export default {
+  init,
+};
@@ -0,0 +1,226 @@
+/**
+ * Reasoning Profile Manager
+ *
+ * Handles the Reasoning Profiles card in Settings - editing the reasoning
+ * prompt profiles (prompt text, injection position and tag), the default
+ * profile and the per-model profile mapping.
+ */
+
+import { $, $$, createElement, escapeHtml } from './utils.js';
+import api from './api.js';
+
+// Local state
+let profiles = [];
+let modelProfiles = [];
+let defaultProfile = 'default';
+
+const POSITIONS = [
+  { value: 'messages', label: 'Message pair' },
+  { value: 'system', label: 'System suffix' },
+];
+
+/**
+ * Initialize the reasoning profile manager
+ */
+export function init() {
+  if (!$('[data-profile-list]')) return;
+
+  setupEventListeners();
+  loadProfiles();
+}
+
+/**
+ * Load profiles from the server config
+ */
+async function loadProfiles() {
+  try {
+    const config = await api.getConfig();
+    const reasoning = config.reasoning || {};
+    profiles = Object.entries(reasoning.profiles || {}).map(([name, profile]) => ({ name, ...profile }));
+    modelProfiles = Object.entries(reasoning.modelProfiles || {}).map(([pattern, profile]) => ({ pattern, profile }));
+    defaultProfile = reasoning.defaultProfile || 'default';
+    render();
+  } catch (error) {
+    console.error('Failed to load reasoning profiles:', error);
+    $('[data-profile-list]').innerHTML = '<p class="mcp-error">Failed to load profiles</p>';
+  }
+}
+
+/**
+ * Build <option> elements for the profile selects
+ * @param {string} selected - Selected profile name
+ * @returns {string} Option HTML
+ */
+function profileOptions(selected) {
+  return profiles
+    .filter(profile => profile.name)
+    .map(profile => `<option value="${escapeHtml(profile.name)}" ${profile.name === selected ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`)
+    .join('');
+}
+
+/**
+ * Render the profile editor, default profile select and model mapping
+ */
+function render() {
+  const listContainer = $('[data-profile-list]');
+  listContainer.innerHTML = '';
+  if (profiles.length === 0) {
+    listContainer.innerHTML = '<p class="mcp-empty">No profiles - the built-in default profile is used</p>';
+  }
+
+  profiles.forEach((profile, index) => {
+    const row = createElement('div', { className: 'profile-row' });
+    row.innerHTML = `
+      <div class="profile-row__header">
+        <input type="text" class="input" data-profile-field="name" value="${escapeHtml(profile.name)}" placeholder="profile name">
+        <select class="select" data-profile-field="position">
+          ${POSITIONS.map(p => `<option value="${p.value}" ${p.value === profile.position ? 'selected' : ''}>${p.label}</option>`).join('')}
+        </select>
+        <input type="text" class="input" data-profile-field="tag" value="${escapeHtml(profile.tag)}" placeholder="think">
+        <button class="btn btn--icon btn--sm btn--danger" data-profile-delete="${index}" title="Remove profile">
+          <span>Del</span>
+        </button>
+      </div>
+      <textarea class="textarea" data-profile-field="prompt" rows="3" placeholder="Think step-by-step in <{tag}> tags before answering.">${escapeHtml(profile.prompt)}</textarea>
+    `;
+    listContainer.appendChild(row);
+  });
+
+  const defaultSelect = $('[data-default-profile]');
+  defaultSelect.innerHTML = profileOptions(defaultProfile);
+
+  const mappingContainer = $('[data-model-profile-list]');
+  mappingContainer.innerHTML = '';
+  if (modelProfiles.length === 0) {
+    mappingContainer.innerHTML = '<p class="mcp-empty">No per-model profiles - every model uses the default profile</p>';
+  }
+
+  modelProfiles.forEach((mapping, index) => {
+    const row = createElement('div', { className: 'rule-row model-profile-row' });
+    row.innerHTML = `
+      <input type="text" class="input" data-mapping-field="pattern" value="${escapeHtml(mapping.pattern)}" placeholder="deepseek-r1*">
+      <select class="select" data-mapping-field="profile">${profileOptions(mapping.profile)}</select>
+      <button class="btn btn--icon btn--sm btn--danger" data-mapping-delete="${index}" title="Remove mapping">
+        <span>Del</span>
+      </button>
+    `;
+    mappingContainer.appendChild(row);
+  });
+}
+
+/**
+ * Read the editor back into local state
+ */
+function collect() {
+  profiles = Array.from($$('[data-profile-list] .profile-row')).map(row => ({
+    name: $('[data-profile-field="name"]', row).value.trim(),
+    position: $('[data-profile-field="position"]', row).value,
+    tag: $('[data-profile-field="tag"]', row).value.trim(),
+    prompt: $('[data-profile-field="prompt"]', row).value,
+  }));
+  modelProfiles = Array.from($$('[data-model-profile-list] .model-profile-row')).map(row => ({
+    pattern: $('[data-mapping-field="pattern"]', row).value.trim(),
+    profile: $('[data-mapping-field="profile"]', row).value,
+  }));
+  defaultProfile = $('[data-default-profile]').value || defaultProfile;
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  // Add profile button
+  const addProfileBtn = $('[data-action="add-profile"]');
+  if (addProfileBtn) {
+    addProfileBtn.addEventListener('click', () => {
+      collect();
+      profiles.push({ name: '', position: 'system', tag: 'think', prompt: '' });
+      render();
+    });
+  }
+
+  // Add model mapping button
+  const addMappingBtn = $('[data-action="add-model-profile"]');
+  if (addMappingBtn) {
+    addMappingBtn.addEventListener('click', () => {
+      collect();
+      modelProfiles.push({ pattern: '', profile: defaultProfile });
+      render();
+    });
+  }
+
+  // Save button
+  const saveBtn = $('[data-action="save-profiles"]');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', saveProfiles);
+  }
+
+  // Profile list delegation
+  $('[data-profile-list]').addEventListener('click', (e) => {
+    const deleteBtn = e.target.closest('[data-profile-delete]');
+    if (deleteBtn) {
+      collect();
+      profiles.splice(Number(deleteBtn.dataset.profileDelete), 1);
+      render();
+    }
+  });
+
+  // Model mapping delegation
+  const mappingContainer = $('[data-model-profile-list]');
+  if (mappingContainer) {
+    mappingContainer.addEventListener('click', (e) => {
+      const deleteBtn = e.target.closest('[data-mapping-delete]');
+      if (deleteBtn) {
+        collect();
+        modelProfiles.splice(Number(deleteBtn.dataset.mappingDelete), 1);
+        render();
+      }
+    });
+  }
+}
+
+/**
+ * Save profiles, the default profile and the model mapping
+ */
+async function saveProfiles() {
+  collect();
+
+  if (profiles.some(profile => !profile.name || !profile.tag || !profile.prompt.trim())) {
+    showToast('error', 'Every profile needs a name, a tag and a prompt');
+    return;
+  }
+  if (modelProfiles.some(mapping => !mapping.pattern)) {
+    showToast('error', 'Every per-model profile needs a model pattern');
+    return;
+  }
+
+  try {
+    await api.updateConfig({
+      reasoning: {
+        profiles: Object.fromEntries(profiles.map(({ name, ...profile }) => [name, profile])),
+        defaultProfile,
+        modelProfiles: Object.fromEntries(modelProfiles.map(mapping => [mapping.pattern, mapping.profile])),
+      },
+    });
+    await loadProfiles();
+    showToast('success', 'Reasoning profiles saved');
+  } catch (error) {
+    showToast('error', `Failed to save profiles: ${error.message}`);
+  }
+}
+
+/**
+ * Show a toast notification
+ * @param {string} type - Toast type (success, error, info)
+ * @param {string} message - Toast message
+ */
+function showToast(type, message) {
+  const event = new CustomEvent('toast', {
+    detail: { type, message },
+  });
+  window.dispatchEvent(event);
+}
+
+export default {
+  init,
+};
@@ -0,0 +1,167 @@
+/**
+ * Search Backend Manager
+ *
+ * Handles the Search Backends card in Settings - the primary and fallback
+ * backend of web_search and web_reader, the SearXNG instance URL, when web
+ * search is injected (tool selection) and the tool result cache (stats and purge).
+ */
+
+import { $, $$ } from './utils.js';
+import api from './api.js';
+
+const BACKENDS = {
+  web_search: [
+    { value: 'zai', label: 'Z.ai MCP' },
+    { value: 'searxng', label: 'SearXNG' },
+  ],
+  web_reader: [
+    { value: 'zai', label: 'Z.ai MCP' },
+    { value: 'local', label: 'Built-in reader' },
+  ],
+};
+
+/**
+ * Initialize the search backend manager
+ */
+export function init() {
+  if (!$('[data-search-backend]')) return;
+
+  const saveBtn = $('[data-action="save-search-backends"]');
+  if (saveBtn) {
+    saveBtn.addEventListener('click', saveBackends);
+  }
+
+  const purgeBtn = $('[data-action="purge-tool-cache"]');
+  if (purgeBtn) {
+    purgeBtn.addEventListener('click', purgeToolCache);
+  }
+
+  loadBackends();
+  loadCacheStats();
+}
+
+/**
+ * Load the backend order, SearXNG URL and tool selection from the server config
+ */
+async function loadBackends() {
+  try {
+    const config = await api.getConfig();
+    const search = config.search || {};
+    render(search.backends || {});
+    $('[data-searxng-url]').value = search.searxngUrl || '';
+    $$('[data-tool-selection]').forEach((input) => {
+      input.value = config.toolSelection?.[input.dataset.toolSelection] ?? input.value;
+    });
+  } catch (error) {
+    console.error('Failed to load search backends:', error);
+  }
+}
+
+/**
+ * Fill the primary and fallback selects
+ * @param {Object} backends - Backend order by tool
+ */
+function render(backends) {
+  $$('[data-search-backend]').forEach((select) => {
+    const tool = select.dataset.searchBackend;
+    const slot = Number(select.dataset.searchSlot);
+    const selected = backends[tool]?.[slot] || (slot === 0 ? BACKENDS[tool][0].value : '');
+
+    const options = BACKENDS[tool].map(backend => `<option value="${backend.value}" ${backend.value === selected ? 'selected' : ''}>${backend.label}</option>`);
+    if (slot > 0) {
+      options.unshift(`<option value="" ${selected ? '' : 'selected'}>No fallback</option>`);
+    }
+    select.innerHTML = options.join('');
+  });
+}
+
+/**
+ * Save the backend order, SearXNG URL and tool selection
+ */
+async function saveBackends() {
+  const backends = {};
+  $$('[data-search-backend]').forEach((select) => {
+    const tool = select.dataset.searchBackend;
+    backends[tool] = backends[tool] || [];
+    if (select.value && !backends[tool].includes(select.value)) {
+      backends[tool].push(select.value);
+    }
+  });
+
+  const searxngUrl = $('[data-searxng-url]').value.trim();
+  if (backends.web_search.includes('searxng') && !searxngUrl) {
+    showToast('error', 'Enter a SearXNG URL to use the SearXNG backend');
+    return;
+  }
+
+  const toolSelection = {};
+  $$('[data-tool-selection]').forEach((input) => {
+    toolSelection[input.dataset.toolSelection] = input.type === 'number' ? Number(input.value) : input.value;
+  });
+
+  try {
+    await api.updateConfig({ search: { backends, searxngUrl }, toolSelection });
+    await loadBackends();
+    showToast('success', 'Search settings saved');
+  } catch (error) {
+    showToast('error', `Failed to save search backends: ${error.message}`);
+  }
+}
+
+/**
+ * Show the tool result cache statistics
+ * @param {Object} stats - toolCache from /health
+ */
+function renderCacheStats(stats) {
+  const target = $('[data-tool-cache-stats]');
+  if (!target || !stats) return;
+
+  if (!stats.enabled) {
+    target.textContent = 'Disabled';
+    return;
+  }
+  const sizeKb = Math.round(stats.sizeBytes / 1024);
+  const hitRate = Math.round(stats.hitRate * 100);
+  target.textContent = `${stats.entries} cached results (${sizeKb} KB) · ${stats.hits} hits, ${stats.deduplicated} shared, ${stats.misses} misses · ${hitRate}% hit rate`;
+}
+
+/**
+ * Load the tool result cache statistics
+ */
+async function loadCacheStats() {
+  try {
+    const health = await api.checkHealth();
+    renderCacheStats(health.toolCache);
+  } catch (error) {
+    console.error('Failed to load tool cache stats:', error);
+  }
+}
+
+/**
+ * Purge the tool result cache
+ */
+async function purgeToolCache() {
+  try {
+    const response = await api.request('/v1/cache/tools', { method: 'DELETE' });
+    renderCacheStats(response.stats);
+    showToast('success', `Purged ${response.cleared} cached tool results`);
+  } catch (error) {
+    showToast('error', `Failed to purge tool cache: ${error.message}`);
+  }
+}
+
+/**
+ * Show a toast notification
+ * @param {string} type - Toast type (success, error, info)
+ * @param {string} message - Toast message
+ */
+function showToast(type, message) {
+  const event = new CustomEvent('toast', {
+    detail: { type, message },
+  });
+  window.dispatchEvent(event);
+}
+
+export default {
+  init,
+};
@@ -34,9 +34,12 @@ class SettingsManager {
       apiKey: '',
       endpointMode: 'anthropic',
       forceReasoning: true,
+      preserveThinking: 'last',
       webSearch: true,
       webRead: true,
+      webCitations: false,
       streaming: false,
+      failover: true,
       systemPrompt: '',
     };
   }
@@ -83,12 +86,15 @@ class SettingsManager {
 
     // Endpoint mode dropdown
     this.initSelect('endpoint-mode', this.settings.endpointMode);
+    this.initSelect('preserve-thinking', this.settings.preserveThinking ?? 'last');
 
     // Feature toggles
     this.initToggle('force-reasoning', this.settings.forceReasoning);
     this.initToggle('web-search', this.settings.webSearch);
     this.initToggle('web-read', this.settings.webRead);
+    this.initToggle('web-citations', this.settings.webCitations ?? false);
     this.initToggle('streaming', this.settings.streaming);
+    this.initToggle('failover', this.settings.failover ?? true);
 
     // Save button
     const saveBtn = $('[data-action="save-settings"]');
@@ -205,6 +211,12 @@ class SettingsManager {
       if (webSearchToggle) {
         webSearchToggle.checked = this.settings.webSearch;
       }
+
+      this.settings.webCitations = serverConfig.webSearch.citations ?? this.settings.webCitations;
+      const webCitationsToggle = $('[data-toggle="web-citations"]');
+      if (webCitationsToggle) {
+        webCitationsToggle.checked = this.settings.webCitations;
+      }
     }
 
     // Sync forceReasoning setting
@@ -214,6 +226,21 @@ class SettingsManager {
       if (forceReasoningToggle) {
         forceReasoningToggle.checked = this.settings.forceReasoning;
       }
+
+      this.settings.preserveThinking = serverConfig.reasoning.preserveThinking ?? this.settings.preserveThinking;
+      const preserveThinkingSelect = $('[data-select="preserve-thinking"]');
+      if (preserveThinkingSelect) {
+        preserveThinkingSelect.value = this.settings.preserveThinking;
+      }
+    }
+
+    // Sync failover setting
+    if (serverConfig.failover !== undefined) {
+      this.settings.failover = serverConfig.failover.enabled ?? this.settings.failover;
+      const failoverToggle = $('[data-toggle="failover"]');
+      if (failoverToggle) {
+        failoverToggle.checked = this.settings.failover;
+      }
     }
 
     // Save synced settings to localStorage
@@ -281,14 +308,21 @@ class SettingsManager {
         streaming: {
           enabled: this.settings.streaming,
         },
-        webSearch: this.settings.webSearch,
+        webSearch: {
+          enabled: this.settings.webSearch,
+          citations: this.settings.webCitations ?? false,
+        },
         reasoning: {
           forceReasoning: this.settings.forceReasoning,
+          preserveThinking: this.settings.preserveThinking,
         },
         zaiApiKey: this.settings.apiKey,
         endpoint: {
           mode: this.settings.endpointMode,
         },
+        failover: {
+          enabled: this.settings.failover ?? true,
+        },
       });
 
       // Show toast notification
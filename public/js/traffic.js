@@ -0,0 +1,495 @@
+/**
+ * Traffic Inspector
+ *
+ * Subscribes to the /v1/traffic SSE feed and shows live requests - status,
+ * endpoint taken, model chosen, latency and token usage - with the streamed
+ * response as it arrives and a diff of the original vs. transformed request.
+ */
+
+import { $, escapeHtml } from './utils.js';
+import api from './api.js';
+
+// Keep the most recent requests only
+const MAX_REQUESTS = 200;
+
+// Line diffs above this many LCS cells fall back to a plain removed/added block
+const MAX_DIFF_CELLS = 2000000;
+
+// Long strings (base64 media, huge prompts) are shortened in the diff view
+const MAX_DIFF_STRING = 300;
+
+// Local state
+let eventSource = null;
+let requests = new Map();
+let expandedId = null;
+let renderScheduled = false;
+const filters = { text: '', status: 'all' };
+
+/**
+ * Initialize the traffic inspector
+ */
+export function init() {
+  if (!$('[data-traffic-list]')) return;
+
+  setupEventListeners();
+  connect();
+  renderList();
+}
+
+/**
+ * Connect to the traffic feed (EventSource reconnects automatically)
+ */
+function connect() {
+  eventSource = new EventSource(api.withKey('/v1/traffic'));
+
+  eventSource.onopen = () => setFeedStatus(true);
+  eventSource.onerror = () => setFeedStatus(false);
+
+  eventSource.onmessage = (message) => {
+    try {
+      handleTrafficEvent(JSON.parse(message.data));
+    } catch (error) {
+      console.error('Failed to handle traffic event:', error);
+    }
+  };
+}
+
+/**
+ * Show whether the traffic feed is connected
+ * @param {boolean} connected - Connection state
+ */
+function setFeedStatus(connected) {
+  const status = $('[data-traffic-status]');
+  if (!status) return;
+
+  status.textContent = connected ? 'Live' : 'Reconnecting...';
+  status.className = `mcp-status ${connected ? 'mcp-status--ready' : 'mcp-status--idle'}`;
+}
+
+/**
+ * Apply a traffic event to the request list
+ * @param {Object} event - Traffic event ({ id, timestamp, type, data })
+ */
+function handleTrafficEvent(event) {
+  const { type, data } = event;
+
+  if (type === 'connection') {
+    setFeedStatus(true);
+    return;
+  }
+
+  if (type === 'request') {
+    addRequest(event);
+    return;
+  }
+
+  const entry = requests.get(data?.requestId);
+  if (!entry) return;
+
+  switch (type) {
+    case 'proxy_injection':
+      entry.injections = data.injections || [];
+      break;
+
+    case 'upstream_request':
+      // A failover sends a new upstream request - the latest one wins
+      entry.endpoint = data.endpoint;
+      entry.provider = data.provider;
+      entry.upstreamModel = data.model;
+      entry.transformed = data.body;
+      entry.diffHtml = null;
+      break;
+
+    case 'stream':
+      applyStreamEvent(entry, data);
+      if (entry.id === expandedId) {
+        updateLiveOutput(entry);
+      }
+      // Summary row only changes when the status flips to streaming
+      if (entry.status === 'streaming' && entry.rendered === 'streaming') return;
+      break;
+
+    case 'response':
+      entry.status = 'success';
+      entry.statusCode = data.statusCode;
+      entry.durationMs = data.durationMs;
+      entry.endpoint = data.endpoint || entry.endpoint;
+      entry.provider = data.provider || entry.provider;
+      entry.usage = data.body?.usage || entry.usage;
+      // Non-streaming responses arrive complete
+      if (!entry.streamed) {
+        entry.output = extractResponseText(data.body);
+      }
+      break;
+
+    case 'error':
+      entry.status = 'error';
+      entry.statusCode = data.error?.status;
+      entry.error = data.error?.message;
+      entry.durationMs = Date.parse(event.timestamp) - Date.parse(entry.timestamp);
+      break;
+
+    case 'cancelled':
+      entry.status = 'cancelled';
+      entry.statusCode = data.statusCode;
+      entry.error = 'Client disconnected - upstream work cancelled';
+      entry.durationMs = data.durationMs;
+      break;
+
+    default:
+      return;
+  }
+
+  scheduleRender();
+}
+
+/**
+ * Add a new request from a 'request' event
+ * @param {Object} event - Traffic event
+ */
+function addRequest(event) {
+  const { data } = event;
+
+  requests.set(event.id, {
+    id: event.id,
+    timestamp: event.timestamp,
+    path: data.path,
+    model: data.body?.model,
+    stream: data.body?.stream === true,
+    original: data.body,
+    transformed: null,
+    injections: [],
+    status: 'pending',
+    statusCode: null,
+    endpoint: null,
+    provider: null,
+    upstreamModel: null,
+    durationMs: null,
+    usage: null,
+    streamed: false,
+    output: '',
+    thinking: '',
+    tools: [],
+    error: null,
+    diffHtml: null,
+    rendered: null,
+  });
+
+  // Drop the oldest requests (Map keeps insertion order)
+  while (requests.size > MAX_REQUESTS) {
+    const oldestId = requests.keys().next().value;
+    requests.delete(oldestId);
+  }
+
+  scheduleRender();
+}
+
+/**
+ * Apply a relayed Anthropic stream event
+ * @param {Object} entry - Request entry
+ * @param {Object} data - Stream event payload ({ event, ...anthropicEvent })
+ */
+function applyStreamEvent(entry, data) {
+  entry.streamed = true;
+  if (entry.status === 'pending') {
+    entry.status = 'streaming';
+  }
+
+  if (data.event === 'content_block_start' && data.content_block?.type === 'tool_use') {
+    entry.tools.push({ name: data.content_block.name, input: '' });
+  } else if (data.event === 'content_block_delta') {
+    if (data.delta?.type === 'text_delta') {
+      entry.output += data.delta.text;
+    } else if (data.delta?.type === 'thinking_delta') {
+      entry.thinking += data.delta.thinking;
+    } else if (data.delta?.type === 'input_json_delta' && entry.tools.length > 0) {
+      entry.tools[entry.tools.length - 1].input += data.delta.partial_json;
+    }
+  } else if (data.event === 'message_delta' && data.usage) {
+    entry.usage = { ...entry.usage, ...data.usage };
+  } else if (data.event === 'error') {
+    entry.error = data.error?.message;
+  }
+}
+
+/**
+ * Extract text from a complete Anthropic response
+ * @param {Object} body - Anthropic response
+ * @returns {string} Concatenated text blocks
+ */
+function extractResponseText(body) {
+  return (body?.content || [])
+    .filter((block) => block.type === 'text')
+    .map((block) => block.text)
+    .join('\n');
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  const filterInput = $('[data-traffic-filter]');
+  if (filterInput) {
+    filterInput.addEventListener('input', () => {
+      filters.text = filterInput.value.trim().toLowerCase();
+      renderList();
+    });
+  }
+
+  const statusSelect = $('[data-traffic-status-filter]');
+  if (statusSelect) {
+    statusSelect.addEventListener('change', () => {
+      filters.status = statusSelect.value;
+      renderList();
+    });
+  }
+
+  const clearBtn = $('[data-action="clear-traffic"]');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      requests = new Map();
+      expandedId = null;
+      renderList();
+    });
+  }
+
+  // Expand/collapse rows (delegated)
+  const list = $('[data-traffic-list]');
+  list.addEventListener('click', (e) => {
+    const row = e.target.closest('[data-traffic-row]');
+    if (!row) return;
+
+    const id = row.dataset.trafficRow;
+    expandedId = expandedId === id ? null : id;
+    renderList();
+  });
+}
+
+/**
+ * Coalesce re-renders triggered by bursts of events
+ */
+function scheduleRender() {
+  if (renderScheduled) return;
+  renderScheduled = true;
+
+  requestAnimationFrame(() => {
+    renderScheduled = false;
+    renderList();
+  });
+}
+
+/**
+ * Check whether a request matches the current filters
+ * @param {Object} entry - Request entry
+ * @returns {boolean} True if visible
+ */
+function matchesFilters(entry) {
+  if (filters.status !== 'all') {
+    const inProgress = entry.status === 'pending' || entry.status === 'streaming';
+    if (filters.status === 'pending' ? !inProgress : entry.status !== filters.status) {
+      return false;
+    }
+  }
+
+  if (!filters.text) return true;
+
+  return [entry.path, entry.model, entry.upstreamModel, entry.endpoint, entry.provider, entry.status]
+    .some((value) => value && String(value).toLowerCase().includes(filters.text));
+}
+
+/**
+ * Render the request list (newest first)
+ */
+function renderList() {
+  const list = $('[data-traffic-list]');
+  if (!list) return;
+
+  const visible = Array.from(requests.values()).reverse().filter(matchesFilters);
+
+  if (visible.length === 0) {
+    list.innerHTML = requests.size === 0
+      ? '<p class="mcp-empty">Waiting for requests...</p>'
+      : '<p class="mcp-empty">No requests match the filter</p>';
+    return;
+  }
+
+  list.innerHTML = visible.map((entry) => {
+    entry.rendered = entry.status;
+    return renderRow(entry) + (entry.id === expandedId ? renderDetails(entry) : '');
+  }).join('');
+
+  const expanded = expandedId && requests.get(expandedId);
+  if (expanded) {
+    updateLiveOutput(expanded);
+  }
+}
+
+/**
+ * Render the summary row of a request
+ * @param {Object} entry - Request entry
+ * @returns {string} HTML
+ */
+function renderRow(entry) {
+  const statusLabel = entry.statusCode ? `${entry.statusCode}` : entry.status;
+  const route = entry.endpoint
+    ? `${entry.endpoint}${entry.provider && entry.provider !== entry.endpoint ? ` (${entry.provider})` : ''}`
+    : '-';
+  const model = entry.upstreamModel && entry.upstreamModel !== entry.model
+    ? `${entry.model || '-'} → ${entry.upstreamModel}`
+    : entry.model || '-';
+  const latency = entry.durationMs !== null && !Number.isNaN(entry.durationMs) ? `${entry.durationMs} ms` : '...';
+  const tokens = entry.usage
+    ? `${entry.usage.input_tokens ?? 0} / ${entry.usage.output_tokens ?? 0}`
+    : '-';
+
+  return `
+    <div class="traffic-row${entry.id === expandedId ? ' traffic-row--expanded' : ''}" data-traffic-row="${escapeHtml(entry.id)}">
+      <span class="traffic-status traffic-status--${entry.status}">${escapeHtml(statusLabel)}</span>
+      <span class="traffic-row__time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+      <span class="traffic-row__path">${escapeHtml(entry.path || '')}${entry.stream ? ' <small>stream</small>' : ''}</span>
+      <span class="traffic-row__route">${escapeHtml(route)}</span>
+      <span class="traffic-row__model">${escapeHtml(model)}</span>
+      <span class="traffic-row__latency">${latency}</span>
+      <span class="traffic-row__tokens" title="Input / output tokens">${tokens}</span>
+    </div>
+  `;
+}
+
+/**
+ * Render the expanded details of a request
+ * @param {Object} entry - Request entry
+ * @returns {string} HTML
+ */
+function renderDetails(entry) {
+  const injections = entry.injections.length > 0
+    ? `<div class="mcp-card__info"><span class="mcp-card__label">Injected:</span>${entry.injections
+      .map((injection) => `<span class="mcp-trigger"${injection.tools ? ` title="${escapeHtml(injection.tools.join(', '))}"` : ''}>${escapeHtml(injection.description || injection.type)}</span>`)
+      .join('')}</div>`
+    : '';
+  const error = entry.error
+    ? `<p class="mcp-error">${escapeHtml(entry.error)}</p>`
+    : '';
+
+  if (entry.transformed && entry.diffHtml === null) {
+    entry.diffHtml = renderDiff(toDiffText(entry.original), toDiffText(entry.transformed));
+  }
+
+  return `
+    <div class="traffic-details">
+      ${injections}
+      ${error}
+      <h4 class="traffic-details__title">Response</h4>
+      <pre class="traffic-output" data-traffic-output></pre>
+      <h4 class="traffic-details__title">Original → transformed request</h4>
+      ${entry.transformed
+    ? `<pre class="traffic-diff">${entry.diffHtml}</pre>`
+    : '<p class="form-hint">Waiting for the upstream request...</p>'}
+    </div>
+  `;
+}
+
+/**
+ * Update the live response output of the expanded request
+ * @param {Object} entry - Request entry
+ */
+function updateLiveOutput(entry) {
+  const output = $('[data-traffic-output]');
+  if (!output) return;
+
+  const parts = [];
+  if (entry.thinking) {
+    parts.push(`[thinking]\n${entry.thinking}\n`);
+  }
+  if (entry.output) {
+    parts.push(entry.output);
+  }
+  for (const tool of entry.tools) {
+    parts.push(`\n[tool_use] ${tool.name} ${tool.input}`);
+  }
+
+  output.textContent = parts.join('\n') || (entry.status === 'error' || entry.status === 'cancelled' ? '' : 'Waiting for response...');
+  output.scrollTop = output.scrollHeight;
+}
+
+/**
+ * Pretty-print a request for diffing, shortening long strings
+ * @param {Object} value - Request body
+ * @returns {string[]} Lines
+ */
+function toDiffText(value) {
+  const text = JSON.stringify(value ?? null, (key, item) => (
+    typeof item === 'string' && item.length > MAX_DIFF_STRING
+      ? `${item.slice(0, MAX_DIFF_STRING)}… [${item.length} chars]`
+      : item
+  ), 2);
+  return text.split('\n');
+}
+
+/**
+ * Render a line diff as HTML
+ * Common prefix/suffix lines are trimmed, the rest is diffed with an LCS table
+ * @param {string[]} before - Original lines
+ * @param {string[]} after - Transformed lines
+ * @returns {string} HTML
+ */
+function renderDiff(before, after) {
+  let start = 0;
+  while (start < before.length && start < after.length && before[start] === after[start]) {
+    start++;
+  }
+
+  let endBefore = before.length;
+  let endAfter = after.length;
+  while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+    endBefore--;
+    endAfter--;
+  }
+
+  const a = before.slice(start, endBefore);
+  const b = after.slice(start, endAfter);
+  const lines = [];
+
+  for (const line of before.slice(0, start)) lines.push([' ', line]);
+
+  if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+    for (const line of a) lines.push(['-', line]);
+    for (const line of b) lines.push(['+', line]);
+  } else {
+    // lcs[i][j] = LCS length of a[i..] and b[j..]
+    const width = b.length + 1;
+    const lcs = new Uint32Array((a.length + 1) * width);
+    for (let i = a.length - 1; i >= 0; i--) {
+      for (let j = b.length - 1; j >= 0; j--) {
+        lcs[i * width + j] = a[i] === b[j]
+          ? lcs[(i + 1) * width + j + 1] + 1
+          : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+      if (a[i] === b[j]) {
+        lines.push([' ', a[i++]]);
+        j++;
+      } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+        lines.push(['-', a[i++]]);
+      } else {
+        lines.push(['+', b[j++]]);
+      }
+    }
+    while (i < a.length) lines.push(['-', a[i++]]);
+    while (j < b.length) lines.push(['+', b[j++]]);
+  }
+
+  for (const line of before.slice(endBefore)) lines.push([' ', line]);
+
+  const classes = { ' ': '', '-': ' traffic-diff__line--removed', '+': ' traffic-diff__line--added' };
+  return lines
+    .map(([mark, line]) => `<span class="traffic-diff__line${classes[mark]}">${mark} ${escapeHtml(line)}</span>`)
+    .join('');
+}
+
+export default {
+  init,
+};
@@ -0,0 +1,266 @@
+/**
+ * Usage Dashboard
+ *
+ * Shows the usage ledger from /v1/usage: totals for the selected range, a
+ * daily token chart (input / cached / output), breakdowns by model and client
+ * with estimated cost, and each client's daily and monthly budget status.
+ */
+
+import { $, escapeHtml } from './utils.js';
+import api from './api.js';
+
+// Token series drawn in the daily chart, bottom to top
+const CHART_SERIES = [
+  { key: 'inputTokens', label: 'Input' },
+  { key: 'cachedTokens', label: 'Cached' },
+  { key: 'outputTokens', label: 'Output' },
+];
+
+// Local state
+let rangeDays = 30;
+
+/**
+ * Initialize the usage dashboard
+ */
+export function init() {
+  if (!$('[data-usage-summary]')) return;
+
+  setupEventListeners();
+  loadUsage();
+}
+
+/**
+ * Set up event listeners
+ */
+function setupEventListeners() {
+  const rangeSelect = $('[data-usage-range]');
+  if (rangeSelect) {
+    rangeSelect.addEventListener('change', () => {
+      rangeDays = parseInt(rangeSelect.value, 10) || 30;
+      loadUsage();
+    });
+  }
+
+  document.addEventListener('click', (e) => {
+    if (e.target.closest('[data-action="refresh-usage"]') || e.target.closest('[data-tab="usage"]')) {
+      loadUsage();
+    }
+  });
+}
+
+/**
+ * Get a UTC day (YYYY-MM-DD) relative to today
+ * @param {number} offset - Days before today
+ * @returns {string} Day
+ */
+function dayBefore(offset) {
+  return new Date(Date.now() - offset * 86400000).toISOString().slice(0, 10);
+}
+
+/**
+ * Load the usage report for the selected range
+ */
+async function loadUsage() {
+  const summary = $('[data-usage-summary]');
+  if (!summary) return;
+
+  try {
+    const report = await api.get(`/v1/usage?from=${dayBefore(rangeDays - 1)}&to=${dayBefore(0)}`);
+    renderSummary(report.totals);
+    renderChart(report.byDay, report.from, report.to);
+    renderBreakdown('[data-usage-models]', report.byModel, 'model');
+    renderBreakdown('[data-usage-clients]', report.byClient, 'client');
+    renderBudgets(report.budgets);
+  } catch (error) {
+    console.error('Failed to load usage:', error);
+    summary.innerHTML = '<p class="mcp-error">Failed to load usage</p>';
+  }
+}
+
+/**
+ * Format a token count (1234567 -> 1.23M)
+ * @param {number} value - Token count
+ * @returns {string} Formatted count
+ */
+function formatTokens(value) {
+  if (value >= 1e6) return `${(value / 1e6).toFixed(2)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(1)}k`;
+  return String(value);
+}
+
+/**
+ * Format a cost in USD
+ * @param {number} value - Cost
+ * @returns {string} Formatted cost
+ */
+function formatCost(value) {
+  return value > 0 && value < 0.01 ? '<$0.01' : `$${value.toFixed(2)}`;
+}
+
+/**
+ * Render the totals for the selected range
+ * @param {Object} totals - Report totals
+ */
+function renderSummary(totals) {
+  const summary = $('[data-usage-summary]');
+  if (!summary) return;
+
+  const stats = [
+    ['Requests', totals.requests],
+    ['Tool iterations', totals.toolIterations],
+    ['Input tokens', formatTokens(totals.inputTokens)],
+    ['Cached tokens', formatTokens(totals.cachedTokens)],
+    ['Output tokens', formatTokens(totals.outputTokens)],
+    ['Estimated cost', formatCost(totals.costUsd)],
+  ];
+
+  summary.innerHTML = stats.map(([label, value]) => `
+    <div class="usage-stat">
+      <span class="usage-stat__value">${escapeHtml(String(value))}</span>
+      <span class="usage-stat__label">${label}</span>
+    </div>
+  `).join('');
+}
+
+/**
+ * Render the daily stacked token chart (days without usage are shown empty)
+ * @param {Array} byDay - Per-day totals
+ * @param {string} from - First day of the range
+ * @param {string} to - Last day of the range
+ */
+function renderChart(byDay, from, to) {
+  const chart = $('[data-usage-chart]');
+  if (!chart) return;
+
+  if (byDay.length === 0) {
+    chart.innerHTML = '<p class="mcp-loading">No usage recorded in this range</p>';
+    return;
+  }
+
+  const totalsByDay = new Map(byDay.map((day) => [day.day, day]));
+  const days = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += 86400000) {
+    days.push(new Date(time).toISOString().slice(0, 10));
+  }
+
+  const dayTotal = (day) => CHART_SERIES.reduce((sum, series) => sum + (day?.[series.key] || 0), 0);
+  const max = Math.max(1, ...byDay.map(dayTotal));
+
+  const bars = days.map((date) => {
+    const day = totalsByDay.get(date);
+    const segments = CHART_SERIES.map((series) => {
+      const value = day?.[series.key] || 0;
+      return value > 0
+        ? `<span class="usage-bar__segment usage-bar__segment--${series.key}" style="height: ${(value / max) * 100}%"></span>`
+        : '';
+    }).join('');
+    const title = `${date}: ${CHART_SERIES.map((series) => `${series.label} ${day?.[series.key] || 0}`).join(', ')}`;
+
+    return `<div class="usage-bar" title="${escapeHtml(title)}">${segments}</div>`;
+  }).join('');
+
+  const legend = CHART_SERIES.map((series) => `
+    <span class="usage-legend__item">
+      <span class="usage-bar__segment--${series.key} usage-legend__swatch"></span>${series.label}
+    </span>
+  `).join('');
+
+  chart.innerHTML = `
+    <div class="usage-chart__bars">${bars}</div>
+    <div class="usage-chart__axis"><span>${from}</span><span>peak ${formatTokens(max)} tokens/day</span><span>${to}</span></div>
+    <div class="usage-legend">${legend}</div>
+  `;
+}
+
+/**
+ * Render a breakdown table (by model or by client)
+ * @param {string} selector - Container selector
+ * @param {Array} rows - Breakdown rows
+ * @param {string} field - Row label field ('model' or 'client')
+ */
+function renderBreakdown(selector, rows, field) {
+  const container = $(selector);
+  if (!container) return;
+
+  if (rows.length === 0) {
+    container.innerHTML = '<p class="mcp-loading">No usage recorded in this range</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <table class="usage-table">
+      <thead>
+        <tr>
+          <th>${field === 'model' ? 'Model' : 'Client'}</th>
+          <th>Requests</th>
+          <th>Tool iterations</th>
+          <th>Input</th>
+          <th>Cached</th>
+          <th>Output</th>
+          <th>Cost</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${rows.map((row) => `
+          <tr>
+            <td class="usage-table__name">${escapeHtml(row[field])}</td>
+            <td>${row.requests}</td>
+            <td>${row.toolIterations}</td>
+            <td>${formatTokens(row.inputTokens)}</td>
+            <td>${formatTokens(row.cachedTokens)}</td>
+            <td>${formatTokens(row.outputTokens)}</td>
+            <td>${formatCost(row.costUsd)}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  `;
+}
+
+/**
+ * Render one budget meter
+ * @param {number} used - Tokens used
+ * @param {number|null} limit - Token budget (null = unlimited)
+ * @returns {string} HTML
+ */
+function renderBudgetMeter(used, limit) {
+  if (!limit) {
+    return `<span></span><span class="usage-budget__text">${formatTokens(used)} / unlimited</span>`;
+  }
+
+  const percent = Math.min(100, (used / limit) * 100);
+  const level = percent >= 100 ? 'error' : percent >= 80 ? 'warning' : 'ok';
+
+  return `
+    <span class="usage-meter"><span class="usage-meter__fill usage-meter__fill--${level}" style="width: ${percent}%"></span></span>
+    <span class="usage-budget__text">${formatTokens(used)} / ${formatTokens(limit)}</span>
+  `;
+}
+
+/**
+ * Render each client's budget status for today and this month
+ * @param {Array} budgets - Budget status per client
+ */
+function renderBudgets(budgets) {
+  const container = $('[data-usage-budgets]');
+  if (!container) return;
+
+  if (budgets.length === 0) {
+    container.innerHTML = '<p class="mcp-loading">No clients this month</p>';
+    return;
+  }
+
+  container.innerHTML = budgets.map((budget) => `
+    <div class="usage-budget">
+      <span class="usage-table__name">${escapeHtml(budget.client)}</span>
+      <span class="usage-budget__period">Today</span>
+      ${renderBudgetMeter(budget.used.daily, budget.limits.daily)}
+      <span class="usage-budget__period">Month</span>
+      ${renderBudgetMeter(budget.used.monthly, budget.limits.monthly)}
+    </div>
+  `).join('');
+}
+
+export default {
+  init,
+};
@@ -0,0 +1,289 @@
+/**
+ * Client API Keys
+ *
+ * Proxy-issued keys that clients present as x-api-key, Authorization: Bearer
+ * or (GET only, for EventSource) ?key=. Keys are stored hashed in
+ * ~/.ccglm/keys.json; the secret is shown once, when the key is created.
+ *
+ * Scopes:
+ *   messages - /v1/messages, /v1/chat/completions, count_tokens, /v1/models
+ *   read     - read-only monitoring: /v1/traffic, /v1/history, /v1/usage, /v1/limits, /metrics
+ *   admin    - everything, including /config, /v1/mcp*, /v1/providers and /v1/keys
+ *
+ * Authentication is enforced once at least one active key exists, so a fresh
+ * install keeps working until the first key is created. Until then keys can
+ * only be created over HTTP from a loopback address, so whoever else can reach
+ * the port cannot claim the proxy by minting the first admin key. The file is re-read
+ * when it changes on disk, so keys created or revoked with the CLI apply to a
+ * running server immediately.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { statSync } from 'node:fs';
+import { join } from 'node:path';
+import { getConfigDir, readJsonFile, writeJsonFile } from '../persistence/index.js';
+import { InvalidRequestError, AuthenticationError, PermissionError } from '../utils/errors.js';
+
+const KEYS_FILE = 'keys.json';
+
+export const KEY_SCOPES = ['messages', 'read', 'admin'];
+
+// Endpoints that send messages upstream
+const MESSAGE_ROUTES = new Set([
+  'POST /v1/messages',
+  'POST /v1/chat/completions',
+  'POST /v1/messages/count_tokens',
+  'POST /api/event_logging/batch',
+]);
+
+// Read-only monitoring endpoints (GET only)
+const READ_PATHS = ['/v1/traffic', '/v1/history', '/v1/usage', '/v1/limits', '/metrics'];
+
+// Headers set by reverse proxies; a request carrying one did not start on this machine
+const FORWARDING_HEADERS = ['forwarded', 'x-forwarded-for', 'x-real-ip'];
+
+// Loaded key records and the keys.json mtime they were read at
+let keys = [];
+let loadedMtimeMs = null;
+
+/**
+ * Hash a key secret for storage and lookup
+ * @param {string} secret - Key secret
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSecret(secret) {
+  return createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Get the modification time of keys.json
+ * @returns {number|null} mtime in ms, or null if the file does not exist
+ */
+function getKeysFileMtime() {
+  try {
+    return statSync(join(getConfigDir(), KEYS_FILE)).mtimeMs;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load keys.json if it changed since it was last read
+ */
+function refreshKeys() {
+  const mtime = getKeysFileMtime();
+  if (mtime === loadedMtimeMs) {
+    return;
+  }
+
+  const data = readJsonFile(KEYS_FILE);
+  keys = Array.isArray(data?.keys) ? data.keys : [];
+  loadedMtimeMs = mtime;
+}
+
+/**
+ * Save keys to keys.json
+ */
+function saveKeys() {
+  writeJsonFile(KEYS_FILE, { keys });
+  loadedMtimeMs = getKeysFileMtime();
+}
+
+/**
+ * Strip the hash from a key record
+ * @param {Object} key - Stored key record
+ * @returns {Object} Key metadata safe to return to clients
+ */
+function toPublicKey({ hash, ...key }) {
+  return key;
+}
+
+/**
+ * List all keys (including revoked ones)
+ * @returns {Array} Key metadata (id, name, scopes, prefix, createdAt, revokedAt)
+ */
+export function listKeys() {
+  refreshKeys();
+  return keys.map(toPublicKey);
+}
+
+/**
+ * Check whether client authentication is enforced
+ * @returns {boolean} True if at least one active key exists
+ */
+export function isAuthEnabled() {
+  refreshKeys();
+  return keys.some((key) => !key.revokedAt);
+}
+
+/**
+ * Create a key
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human-readable name
+ * @param {Array<string>} options.scopes - Scopes (see KEY_SCOPES), default ['messages']
+ * @returns {{key: Object, secret: string}} Key metadata and the secret (not stored)
+ */
+export function createKey({ name, scopes = ['messages'] } = {}) {
+  refreshKeys();
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    throw new InvalidRequestError('scopes must be a non-empty array');
+  }
+  const unknown = scopes.filter((scope) => !KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new InvalidRequestError(`Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${KEY_SCOPES.join(', ')}`);
+  }
+  if (name !== undefined && typeof name !== 'string') {
+    throw new InvalidRequestError('name must be a string');
+  }
+
+  const secret = `ccglm_${randomBytes(24).toString('base64url')}`;
+  const key = {
+    id: `key_${randomBytes(6).toString('hex')}`,
+    name: name?.trim() || 'unnamed',
+    scopes: [...new Set(scopes)],
+    prefix: secret.slice(0, 12),
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    revokedAt: null,
+  };
+
+  keys.push(key);
+  saveKeys();
+
+  return { key: toPublicKey(key), secret };
+}
+
+/**
+ * Revoke a key (the record is kept so usage stays attributable)
+ * @param {string} id - Key ID
+ * @returns {Object|null} Revoked key metadata, or null if not found
+ */
+export function revokeKey(id) {
+  refreshKeys();
+
+  const key = keys.find((k) => k.id === id);
+  if (!key) {
+    return null;
+  }
+
+  if (!key.revokedAt) {
+    key.revokedAt = new Date().toISOString();
+    saveKeys();
+  }
+
+  return toPublicKey(key);
+}
+
+/**
+ * Find the active key matching a secret
+ * @param {string} secret - Key secret presented by a client
+ * @returns {Object|null} Key metadata, or null if unknown or revoked
+ */
+export function findKey(secret) {
+  if (!secret) {
+    return null;
+  }
+
+  refreshKeys();
+  const hash = hashSecret(secret);
+  const key = keys.find((k) => k.hash === hash && !k.revokedAt);
+  return key ? toPublicKey(key) : null;
+}
+
+/**
+ * Get the scope an endpoint requires
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ * @returns {string} Required scope
+ */
+export function getRequiredScope(method, pathname) {
+  if (MESSAGE_ROUTES.has(`${method} ${pathname}`)) {
+    return 'messages';
+  }
+
+  // Message clients list models before sending requests
+  if (method === 'GET' && (pathname === '/v1/models' || pathname.startsWith('/v1/models/'))) {
+    return 'messages';
+  }
+
+  const isReadPath = READ_PATHS.some((path) => pathname === path || pathname.startsWith(`${path}/`));
+  if (method === 'GET' && isReadPath) {
+    return 'read';
+  }
+
+  return 'admin';
+}
+
+/**
+ * Extract the key secret a client presented
+ * @param {Object} headers - Request headers
+ * @param {string} method - HTTP method
+ * @param {URLSearchParams} searchParams - Query parameters (?key= is accepted for GET)
+ * @returns {string|null} Secret
+ */
+function extractSecret(headers, method, searchParams) {
+  const bearer = headers.authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+  const queryKey = method === 'GET' ? searchParams?.get('key') : null;
+  return headers['x-api-key'] || bearer || queryKey || null;
+}
+
+/**
+ * Check whether a request comes straight from this machine
+ * @param {http.IncomingMessage} req - HTTP request
+ * @returns {boolean} True for a loopback peer without forwarding headers
+ */
+export function isLocalRequest(req) {
+  const address = req.socket?.remoteAddress || '';
+  const isLoopback = address === '::1' || address.startsWith('127.') || address.startsWith('::ffff:127.');
+  return isLoopback && !FORWARDING_HEADERS.some((header) => req.headers[header] !== undefined);
+}
+
+/**
+ * Authenticate a request and check it has the scope its endpoint requires
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {Object|null} Key metadata, or null when authentication is not enforced
+ * @throws {AuthenticationError} If the key is missing, unknown or revoked
+ * @throws {PermissionError} If the key lacks the required scope, or a remote
+ *   client tries to create the first key
+ */
+export function authenticateRequest(req, method, pathname, searchParams) {
+  if (!isAuthEnabled()) {
+    if (method === 'POST' && pathname === '/v1/keys' && !isLocalRequest(req)) {
+      throw new PermissionError('The first API key must be created from localhost or with: ccglm keys create');
+    }
+    return null;
+  }
+
+  const secret = extractSecret(req.headers, method, searchParams);
+  if (!secret) {
+    throw new AuthenticationError('API key required. Create one with: ccglm keys create');
+  }
+
+  const key = findKey(secret);
+  if (!key) {
+    throw new AuthenticationError('Invalid or revoked API key');
+  }
+
+  const scope = getRequiredScope(method, pathname);
+  if (!key.scopes.includes(scope) && !key.scopes.includes('admin')) {
+    throw new PermissionError(`API key '${key.name}' lacks the '${scope}' scope required for ${method} ${pathname}`);
+  }
+
+  return key;
+}
+
+export default {
+  KEY_SCOPES,
+  listKeys,
+  isAuthEnabled,
+  createKey,
+  revokeKey,
+  findKey,
+  getRequiredScope,
+  isLocalRequest,
+  authenticateRequest,
+};
@@ -0,0 +1,115 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import {
+  createKey,
+  revokeKey,
+  listKeys,
+  isAuthEnabled,
+  getRequiredScope,
+  isLocalRequest,
+  authenticateRequest,
+} from './keys.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+/**
+ * Build a fake incoming request
+ * @param {Object} headers - Request headers
+ * @param {string} remoteAddress - Peer address
+ * @returns {Object} Request-like object
+ */
+function fakeRequest(headers = {}, remoteAddress = '127.0.0.1') {
+  return { headers, socket: { remoteAddress } };
+}
+
+/**
+ * Assert that authentication fails with the given status
+ * @param {Object} req - Fake request
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ * @param {number} status - Expected HTTP status
+ */
+function assertDenied(req, method, pathname, status) {
+  assert.throws(() => authenticateRequest(req, method, pathname), (error) => getErrorStatus(error) === status);
+}
+
+describe('getRequiredScope', () => {
+  it('maps endpoints to scopes', () => {
+    assert.equal(getRequiredScope('POST', '/v1/messages'), 'messages');
+    assert.equal(getRequiredScope('GET', '/v1/models/glm-4.7'), 'messages');
+    assert.equal(getRequiredScope('GET', '/v1/history/req-1'), 'read');
+    assert.equal(getRequiredScope('POST', '/v1/history/req-1/replay'), 'admin');
+    assert.equal(getRequiredScope('POST', '/config'), 'admin');
+  });
+});
+
+describe('isLocalRequest', () => {
+  it('accepts loopback peers without forwarding headers only', () => {
+    assert.ok(isLocalRequest(fakeRequest({}, '127.0.0.1')));
+    assert.ok(isLocalRequest(fakeRequest({}, '::1')));
+    assert.ok(isLocalRequest(fakeRequest({}, '::ffff:127.0.0.1')));
+    assert.ok(!isLocalRequest(fakeRequest({}, '192.168.1.20')));
+    assert.ok(!isLocalRequest(fakeRequest({ 'x-forwarded-for': '203.0.113.9' }, '127.0.0.1')));
+  });
+});
+
+describe('authenticateRequest', () => {
+  it('lets only local clients create the first key', () => {
+    assert.equal(isAuthEnabled(), false);
+    assertDenied(fakeRequest({}, '10.0.0.5'), 'POST', '/v1/keys', 403);
+    assertDenied(fakeRequest({ forwarded: 'for=203.0.113.9' }, '127.0.0.1'), 'POST', '/v1/keys', 403);
+
+    assert.equal(authenticateRequest(fakeRequest({}, '127.0.0.1'), 'POST', '/v1/keys'), null);
+    assert.equal(authenticateRequest(fakeRequest({}, '10.0.0.5'), 'POST', '/v1/messages'), null);
+  });
+
+  it('enforces keys and scopes once a key exists', () => {
+    const admin = createKey({ name: 'admin', scopes: ['admin'] });
+    const reader = createKey({ name: 'reader', scopes: ['read'] });
+    assert.equal(isAuthEnabled(), true);
+
+    assertDenied(fakeRequest(), 'POST', '/v1/messages', 401);
+    assertDenied(fakeRequest({ 'x-api-key': 'ccglm_wrong' }), 'POST', '/v1/messages', 401);
+    assertDenied(fakeRequest({ 'x-api-key': reader.secret }), 'POST', '/v1/messages', 403);
+
+    const readerAuth = { authorization: `Bearer ${reader.secret}` };
+    assert.equal(authenticateRequest(fakeRequest(readerAuth), 'GET', '/v1/usage').id, reader.key.id);
+
+    const adminAuth = { 'x-api-key': admin.secret };
+    assert.equal(authenticateRequest(fakeRequest(adminAuth, '10.0.0.5'), 'POST', '/v1/keys').id, admin.key.id);
+  });
+
+  it('accepts ?key= on GET requests only', () => {
+    const { secret } = createKey({ name: 'feed', scopes: ['read'] });
+    const query = new URLSearchParams({ key: secret });
+
+    assert.ok(authenticateRequest(fakeRequest(), 'GET', '/v1/traffic', query));
+    assertDenied(fakeRequest(), 'POST', '/v1/history/req-1/replay', 401);
+  });
+
+  it('rejects revoked keys and reopens once no active key is left', () => {
+    const { secret, key } = createKey({ name: 'temp', scopes: ['messages'] });
+    revokeKey(key.id);
+    assertDenied(fakeRequest({ 'x-api-key': secret }), 'POST', '/v1/messages', 401);
+
+    for (const { id } of listKeys()) {
+      revokeKey(id);
+    }
+    assert.equal(isAuthEnabled(), false);
+    assertDenied(fakeRequest({}, '10.0.0.5'), 'POST', '/v1/keys', 403);
+  });
+});
+
+describe('createKey', () => {
+  it('validates scopes and never stores the secret', () => {
+    assert.throws(() => createKey({ scopes: [] }), /non-empty/);
+    assert.throws(() => createKey({ scopes: ['root'] }), /Unknown scope/);
+
+    const { key, secret } = createKey({ name: ' ci ' });
+    assert.equal(key.name, 'ci');
+    assert.deepEqual(key.scopes, ['messages']);
+    assert.equal(key.hash, undefined);
+    assert.ok(secret.startsWith(key.prefix));
+  });
+});
@@ -0,0 +1,372 @@
+/**
+ * Response Cache
+ *
+ * Optional on-disk cache of final Anthropic responses under ~/.ccglm/cache/.
+ * Entries are keyed by a canonical hash of the client ID and the transformed
+ * upstream request (provider, model, system, messages, tools, sampling
+ * parameters), so the same prompt hits whether it arrives streaming or not,
+ * but never for a different client key.
+ * Each response is written to its own <key>.json file; index.json tracks size
+ * and last use so expired entries can be dropped and the least recently used
+ * ones evicted once the cache exceeds cache.maxSizeMb. Files are written in
+ * the background, one at a time, and index saves are batched.
+ *
+ * Clients control the cache per request with the x-ccglm-cache header:
+ *   bypass  - neither read nor write the cache
+ *   refresh - skip the lookup but store the new response
+ */
+
+import { createHash } from 'node:crypto';
+import config from '../config.js';
+import { readJsonFile, writeJsonFileAsync, deleteJsonFileAsync } from '../persistence/index.js';
+import logger from '../utils/logger.js';
+
+const CACHE_DIR = 'cache';
+const INDEX_FILE = `${CACHE_DIR}/index.json`;
+
+export const CACHE_HEADER = 'x-ccglm-cache';
+
+// Upstream request fields that influence the response
+const KEY_FIELDS = [
+  'model',
+  'system',
+  'messages',
+  'tools',
+  'tool_choice',
+  'temperature',
+  'top_p',
+  'top_k',
+  'max_tokens',
+  'stop',
+  'stop_sequences',
+  'thinking',
+];
+
+// Batch index writes: last-use updates are saved at most once per interval
+const SAVE_DELAY_MS = 2000;
+
+// In-memory copy of index.json: key -> { key, createdAt, lastUsedAt, size, model, endpoint }
+let cacheIndex = new Map();
+
+// Pending index save timer
+let saveTimer = null;
+
+// Serializes background file writes so entries and index.json never race
+let writeQueue = Promise.resolve();
+
+// Stored responses whose file is still being written: key -> entry
+const pendingEntries = new Map();
+
+// Hit/miss counters since startup
+const counters = { hits: 0, misses: 0, stores: 0, evictions: 0 };
+
+// Initialize flag
+let initialized = false;
+
+/**
+ * Get the path of an entry file relative to the config directory
+ * @param {string} key - Cache key
+ * @returns {string} Relative file path
+ */
+function entryFile(key) {
+  return `${CACHE_DIR}/${key}.json`;
+}
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Queue a background file write
+ * @param {Function} task - Async function performing the write
+ * @returns {Promise} Resolves when the task has run (failures are logged)
+ */
+function enqueueWrite(task) {
+  writeQueue = writeQueue.then(task).catch((error) => {
+    logger.warn('cache', 'Cache write failed', { error: error.message });
+  });
+  return writeQueue;
+}
+
+/**
+ * Save index.json in the background
+ */
+function saveIndex() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  const index = Array.from(cacheIndex.values());
+  enqueueWrite(() => writeJsonFileAsync(INDEX_FILE, index));
+}
+
+/**
+ * Schedule a batched index save
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveIndex, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+/**
+ * Check whether an index entry is older than the configured TTL
+ * @param {Object} item - Index entry
+ * @returns {boolean} True if expired
+ */
+function isExpired(item) {
+  return Date.now() - Date.parse(item.createdAt) > config.cache.ttlSeconds * 1000;
+}
+
+/**
+ * Delete an entry from disk and the index
+ * @param {string} key - Cache key
+ */
+function removeEntry(key) {
+  cacheIndex.delete(key);
+  pendingEntries.delete(key);
+  enqueueWrite(() => deleteJsonFileAsync(entryFile(key)));
+}
+
+/**
+ * Total size of all cached entries
+ * @returns {number} Bytes
+ */
+function getTotalBytes() {
+  let total = 0;
+  for (const item of cacheIndex.values()) {
+    total += item.size;
+  }
+  return total;
+}
+
+/**
+ * Drop expired entries, then evict least recently used entries until the
+ * cache fits in cache.maxSizeMb
+ */
+function enforceLimits() {
+  for (const item of Array.from(cacheIndex.values())) {
+    if (isExpired(item)) {
+      removeEntry(item.key);
+    }
+  }
+
+  const maxBytes = config.cache.maxSizeMb * 1024 * 1024;
+  let totalBytes = getTotalBytes();
+  if (totalBytes <= maxBytes) {
+    return;
+  }
+
+  const byLastUse = Array.from(cacheIndex.values()).sort((a, b) => (a.lastUsedAt < b.lastUsedAt ? -1 : 1));
+  for (const item of byLastUse) {
+    if (totalBytes <= maxBytes) break;
+    removeEntry(item.key);
+    totalBytes -= item.size;
+    counters.evictions++;
+  }
+}
+
+/**
+ * Initialize the response cache
+ * Loads index.json if it exists and drops expired entries
+ */
+export function initCache() {
+  if (initialized) {
+    return;
+  }
+
+  const data = readJsonFile(INDEX_FILE);
+  cacheIndex = new Map((Array.isArray(data) ? data : []).map((item) => [item.key, item]));
+  initialized = true;
+  enforceLimits();
+
+  logger.debug('cache', 'Response cache initialized', { entries: cacheIndex.size });
+}
+
+/**
+ * Write pending index changes to disk and wait for queued writes (called on shutdown)
+ * @returns {Promise} Resolves when every write has finished
+ */
+export function flushCache() {
+  if (saveTimer) {
+    saveIndex();
+  }
+  return writeQueue;
+}
+
+/**
+ * Get how a request wants the cache used
+ * @param {Object} headers - Request headers
+ * @returns {string} 'default', 'bypass' or 'refresh'
+ */
+export function getCacheMode(headers = {}) {
+  const value = String(headers[CACHE_HEADER] || '').trim().toLowerCase();
+  return value === 'bypass' || value === 'refresh' ? value : 'default';
+}
+
+/**
+ * Build the cache key of a transformed upstream request
+ * @param {string} provider - Provider ID
+ * @param {Object} upstreamRequest - OpenAI/GLM or prepared Anthropic request
+ * @param {string} client - Client ID (see usage/ledger.js identifyClient)
+ * @returns {string} SHA-256 hex digest
+ */
+export function getCacheKey(provider, upstreamRequest, client = 'anonymous') {
+  const fields = { client, provider };
+  for (const field of KEY_FIELDS) {
+    fields[field] = upstreamRequest[field];
+  }
+  return createHash('sha256').update(canonicalJson(fields)).digest('hex');
+}
+
+/**
+ * Look up a cached response
+ * @param {string} key - Cache key
+ * @returns {Object|null} Anthropic response, or null on a miss
+ */
+export function getCachedResponse(key) {
+  if (!initialized) {
+    initCache();
+  }
+
+  const item = cacheIndex.get(key);
+  if (!item || isExpired(item)) {
+    if (item) {
+      removeEntry(key);
+      scheduleSave();
+    }
+    counters.misses++;
+    return null;
+  }
+
+  const entry = pendingEntries.get(key) || readJsonFile(entryFile(key));
+  if (!entry?.response) {
+    cacheIndex.delete(key);
+    scheduleSave();
+    counters.misses++;
+    return null;
+  }
+
+  item.lastUsedAt = new Date().toISOString();
+  item.hits = (item.hits || 0) + 1;
+  scheduleSave();
+  counters.hits++;
+
+  return entry.response;
+}
+
+/**
+ * Store a response
+ * The entry is served from memory until its file has been written.
+ * @param {string} key - Cache key
+ * @param {Object} response - Final Anthropic response
+ * @param {Object} meta - Entry details ({ model, endpoint })
+ * @returns {Promise<boolean>} Resolves to true once the entry file is written
+ */
+export function setCachedResponse(key, response, meta = {}) {
+  if (!initialized) {
+    initCache();
+  }
+
+  const now = new Date().toISOString();
+  const entry = { key, createdAt: now, response };
+  pendingEntries.set(key, entry);
+
+  cacheIndex.set(key, {
+    key,
+    createdAt: now,
+    lastUsedAt: now,
+    size: Buffer.byteLength(JSON.stringify(entry)),
+    hits: 0,
+    model: meta.model,
+    endpoint: meta.endpoint,
+  });
+  counters.stores++;
+
+  enforceLimits();
+  scheduleSave();
+
+  return enqueueWrite(async () => {
+    // Evicted or replaced while queued
+    if (pendingEntries.get(key) !== entry) {
+      return false;
+    }
+    const written = await writeJsonFileAsync(entryFile(key), entry);
+    if (pendingEntries.get(key) === entry) {
+      pendingEntries.delete(key);
+      if (!written) {
+        cacheIndex.delete(key);
+        scheduleSave();
+      }
+    }
+    return written;
+  });
+}
+
+/**
+ * Delete every cached response
+ * @returns {number} Number of entries removed
+ */
+export function clearCache() {
+  if (!initialized) {
+    initCache();
+  }
+
+  const removed = cacheIndex.size;
+  for (const key of Array.from(cacheIndex.keys())) {
+    removeEntry(key);
+  }
+  saveIndex();
+
+  logger.info('cache', 'Response cache cleared', { removed });
+  return removed;
+}
+
+/**
+ * Get cache statistics
+ * @returns {Object} Settings, size and hit/miss counts since startup
+ */
+export function getCacheStats() {
+  if (!initialized) {
+    initCache();
+  }
+
+  const lookups = counters.hits + counters.misses;
+
+  return {
+    enabled: config.cache.enabled,
+    entries: cacheIndex.size,
+    sizeBytes: getTotalBytes(),
+    hits: counters.hits,
+    misses: counters.misses,
+    hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 1000) / 1000 : 0,
+    stores: counters.stores,
+    evictions: counters.evictions,
+  };
+}
+
+export default {
+  CACHE_HEADER,
+  initCache,
+  flushCache,
+  getCacheMode,
+  getCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearCache,
+  getCacheStats,
+};
@@ -0,0 +1,116 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { readJsonFile } from '../persistence/index.js';
+import {
+  flushCache,
+  getCacheMode,
+  getCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearCache,
+  getCacheStats,
+} from './response-cache.js';
+
+const REQUEST = {
+  model: 'glm-4.7',
+  max_tokens: 100,
+  messages: [{ role: 'user', content: 'Hello' }],
+  temperature: 0.2,
+};
+
+/**
+ * Build a cached response
+ * @param {string} text - Response text
+ * @returns {Object} Anthropic response
+ */
+function makeResponse(text) {
+  return { id: 'msg_1', type: 'message', role: 'assistant', model: 'glm-4.7', content: [{ type: 'text', text }], stop_reason: 'end_turn' };
+}
+
+beforeEach(() => {
+  config.cache.enabled = true;
+  config.cache.ttlSeconds = 3600;
+  config.cache.maxSizeMb = 100;
+  clearCache();
+});
+
+describe('getCacheMode', () => {
+  it('reads the x-ccglm-cache header', () => {
+    assert.equal(getCacheMode({ 'x-ccglm-cache': 'Bypass' }), 'bypass');
+    assert.equal(getCacheMode({ 'x-ccglm-cache': 'refresh' }), 'refresh');
+    assert.equal(getCacheMode({ 'x-ccglm-cache': 'other' }), 'default');
+    assert.equal(getCacheMode(), 'default');
+  });
+});
+
+describe('getCacheKey', () => {
+  it('ignores field order and fields that do not affect the response', () => {
+    const reordered = { temperature: 0.2, messages: REQUEST.messages, max_tokens: 100, model: 'glm-4.7', stream: true };
+    assert.equal(getCacheKey('anthropic', REQUEST, 'key_a'), getCacheKey('anthropic', reordered, 'key_a'));
+  });
+
+  it('differs by client, provider and sampling parameters', () => {
+    const key = getCacheKey('anthropic', REQUEST, 'key_a');
+    assert.notEqual(getCacheKey('anthropic', REQUEST, 'key_b'), key);
+    assert.notEqual(getCacheKey('openai', REQUEST, 'key_a'), key);
+    assert.notEqual(getCacheKey('anthropic', { ...REQUEST, temperature: 0.9 }, 'key_a'), key);
+  });
+});
+
+describe('cache entries', () => {
+  it('misses, stores, then hits', () => {
+    const key = getCacheKey('anthropic', REQUEST, 'key_a');
+    const before = getCacheStats();
+
+    assert.equal(getCachedResponse(key), null);
+    setCachedResponse(key, makeResponse('cached'), { model: 'glm-4.7', endpoint: 'anthropic' });
+    assert.equal(getCachedResponse(key).content[0].text, 'cached');
+    assert.equal(getCachedResponse(getCacheKey('anthropic', REQUEST, 'key_b')), null);
+
+    const after = getCacheStats();
+    assert.equal(after.hits - before.hits, 1);
+    assert.equal(after.misses - before.misses, 2);
+    assert.equal(after.entries, 1);
+  });
+
+  it('writes entries in the background and batches index saves until flushed', async () => {
+    const key = getCacheKey('anthropic', REQUEST, 'key_a');
+    const stored = setCachedResponse(key, makeResponse('later'));
+
+    assert.equal(readJsonFile(`cache/${key}.json`), null, 'nothing is written on the request path');
+    assert.equal(getCachedResponse(key).content[0].text, 'later');
+
+    assert.equal(await stored, true);
+    assert.equal(readJsonFile(`cache/${key}.json`).response.content[0].text, 'later');
+    assert.ok(!readJsonFile('cache/index.json')?.some((item) => item.key === key));
+
+    await flushCache();
+    assert.ok(readJsonFile('cache/index.json').some((item) => item.key === key));
+  });
+
+  it('drops expired entries', () => {
+    const key = getCacheKey('anthropic', REQUEST, 'key_a');
+    setCachedResponse(key, makeResponse('stale'));
+    config.cache.ttlSeconds = -1;
+
+    assert.equal(getCachedResponse(key), null);
+    assert.equal(getCacheStats().entries, 0);
+  });
+
+  it('evicts the least recently used entries beyond maxSizeMb', () => {
+    config.cache.maxSizeMb = 1;
+    const large = 'x'.repeat(400 * 1024);
+    const keys = ['one', 'two', 'three'].map((text) => getCacheKey('anthropic', { ...REQUEST, messages: [{ role: 'user', content: text }] }));
+
+    setCachedResponse(keys[0], makeResponse(large));
+    setCachedResponse(keys[1], makeResponse(large));
+    setCachedResponse(keys[2], makeResponse(large));
+
+    assert.equal(getCachedResponse(keys[0]), null);
+    assert.ok(getCachedResponse(keys[2]));
+    assert.ok(getCacheStats().sizeBytes <= 1024 * 1024);
+  });
+});
@@ -0,0 +1,278 @@
+/**
+ * Tool Result Cache
+ *
+ * In-memory cache of internal tool results (web_search, web_reader), so a
+ * query or URL repeated across tool loop iterations - or by parallel requests
+ * of the same session - costs one backend round trip.
+ * - Entries are keyed by canonical tool name and normalized arguments
+ *   (queries are trimmed, whitespace-collapsed and lowercased; URLs are
+ *   normalized and lose their fragment)
+ * - Identical calls already in flight share one backend call
+ * - Only successful results are stored; they expire after toolCache.ttlSeconds
+ *   and the least recently used are evicted beyond toolCache.maxEntries or
+ *   toolCache.maxSizeMb
+ *
+ * The raw result is cached with the text so hits still reach onResult
+ * callbacks (search recorders).
+ */
+
+import config from '../config.js';
+import logger from '../utils/logger.js';
+
+// key -> { text, raw, size, createdAt, hits }, oldest use first
+const entries = new Map();
+
+// key -> Promise<{ text, raw }> of calls in flight
+const inFlight = new Map();
+
+// Counters since startup (or the last purge)
+const counters = { hits: 0, misses: 0, deduplicated: 0, stores: 0, evictions: 0 };
+
+/**
+ * Normalize the arguments of a tool call
+ * @param {string} tool - Canonical tool name
+ * @param {Object} args - Tool arguments
+ * @returns {Object} Arguments as they are keyed
+ */
+function normalizeArgs(tool, args) {
+  if (tool === 'web_search') {
+    return { query: String(args.query || '').trim().replace(/\s+/g, ' ').toLowerCase() };
+  }
+
+  if (tool === 'web_reader') {
+    const url = String(args.url || '').trim();
+    try {
+      const parsed = new URL(url);
+      parsed.hash = '';
+      return { url: parsed.href };
+    } catch {
+      return { url };
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Build the cache key of a tool call
+ * @param {string} tool - Canonical tool name
+ * @param {Object} args - Tool arguments
+ * @returns {string} Cache key
+ */
+export function getToolCacheKey(tool, args = {}) {
+  const normalized = normalizeArgs(tool, args);
+  const fields = Object.keys(normalized).sort().map((field) => [field, normalized[field]]);
+  return `${tool}:${JSON.stringify(fields)}`;
+}
+
+/**
+ * Total size of all cached entries
+ * @returns {number} Bytes
+ */
+function getTotalBytes() {
+  let total = 0;
+  for (const entry of entries.values()) {
+    total += entry.size;
+  }
+  return total;
+}
+
+/**
+ * Check whether an entry is older than the configured TTL
+ * @param {Object} entry - Cache entry
+ * @returns {boolean} True if expired
+ */
+function isExpired(entry) {
+  return Date.now() - entry.createdAt > config.toolCache.ttlSeconds * 1000;
+}
+
+/**
+ * Drop expired entries, then evict least recently used entries until the
+ * cache fits in toolCache.maxEntries and toolCache.maxSizeMb
+ */
+function enforceLimits() {
+  for (const [key, entry] of entries) {
+    if (isExpired(entry)) {
+      entries.delete(key);
+    }
+  }
+
+  const maxBytes = config.toolCache.maxSizeMb * 1024 * 1024;
+  let totalBytes = getTotalBytes();
+  for (const [key, entry] of entries) {
+    if (entries.size <= config.toolCache.maxEntries && totalBytes <= maxBytes) {
+      break;
+    }
+    entries.delete(key);
+    totalBytes -= entry.size;
+    counters.evictions++;
+  }
+}
+
+/**
+ * Look up a cached result, marking it as recently used
+ * @param {string} key - Cache key
+ * @returns {Object|null} Entry, or null on a miss
+ */
+function lookup(key) {
+  const entry = entries.get(key);
+  if (!entry) {
+    return null;
+  }
+
+  entries.delete(key);
+  if (isExpired(entry)) {
+    return null;
+  }
+
+  entry.hits++;
+  entries.set(key, entry);
+  return entry;
+}
+
+/**
+ * Store a successful result
+ * @param {string} key - Cache key
+ * @param {string} text - Result text
+ * @param {any} raw - Raw result
+ */
+function store(key, text, raw) {
+  const size = Buffer.byteLength(text) + (raw ? Buffer.byteLength(JSON.stringify(raw)) : 0);
+  entries.delete(key);
+  entries.set(key, { text, raw, size, createdAt: Date.now(), hits: 0 });
+  counters.stores++;
+  enforceLimits();
+}
+
+/**
+ * Wait for a shared call, rejecting early if this request is cancelled
+ * @param {Promise} promise - Call in flight
+ * @param {AbortSignal|null} signal - Cancellation signal of the waiting request
+ * @returns {Promise<Object>} Result of the call
+ */
+function waitForShared(promise, signal) {
+  if (!signal) {
+    return promise;
+  }
+  signal.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Run a tool call through the cache
+ * A hit (or an identical call in flight) returns the stored text and hands the
+ * stored raw result to onResult. If the shared call was cancelled by its own
+ * request, the waiting call runs by itself.
+ * @param {string} tool - Canonical tool name
+ * @param {Object} args - Tool arguments
+ * @param {Function} run - Runs the call: (onRaw) => Promise<string>, onRaw receives the raw result
+ * @param {AbortSignal} signal - Request cancellation signal (the cancellation is rethrown)
+ * @param {Function} onResult - Called with the raw result of a successful call
+ * @returns {Promise<string>} Result text ('Error: ...' on failure)
+ */
+export async function cachedToolCall(tool, args, run, signal = null, onResult = null) {
+  if (!config.toolCache.enabled) {
+    return run(onResult);
+  }
+
+  const key = getToolCacheKey(tool, args);
+  const cached = lookup(key);
+  if (cached) {
+    counters.hits++;
+    logger.debug('tool-cache', 'Cache hit', { tool, hits: cached.hits });
+    if (cached.raw) {
+      onResult?.(cached.raw);
+    }
+    return cached.text;
+  }
+
+  const pending = inFlight.get(key);
+  if (pending) {
+    try {
+      const shared = await waitForShared(pending, signal);
+      counters.deduplicated++;
+      logger.debug('tool-cache', 'Shared identical call in flight', { tool });
+      if (shared.raw) {
+        onResult?.(shared.raw);
+      }
+      return shared.text;
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      // The shared call was cancelled by its own request - run it here
+    }
+  }
+
+  counters.misses++;
+  let raw = null;
+  const call = run((result) => {
+    raw = result;
+  }).then((text) => ({ text, raw }));
+  inFlight.set(key, call);
+
+  try {
+    const result = await call;
+    if (!result.text.startsWith('Error')) {
+      store(key, result.text, result.raw);
+      if (result.raw) {
+        onResult?.(result.raw);
+      }
+    }
+    return result.text;
+  } finally {
+    if (inFlight.get(key) === call) {
+      inFlight.delete(key);
+    }
+  }
+}
+
+/**
+ * Delete every cached result
+ * Calls in flight are not affected.
+ * @returns {number} Number of entries removed
+ */
+export function clearToolCache() {
+  const removed = entries.size;
+  entries.clear();
+  for (const name of Object.keys(counters)) {
+    counters[name] = 0;
+  }
+
+  logger.info('tool-cache', 'Tool result cache purged', { removed });
+  return removed;
+}
+
+/**
+ * Get tool cache statistics
+ * @returns {Object} Settings, size and hit/miss counts
+ */
+export function getToolCacheStats() {
+  enforceLimits();
+  const lookups = counters.hits + counters.deduplicated + counters.misses;
+
+  return {
+    enabled: config.toolCache.enabled,
+    entries: entries.size,
+    sizeBytes: getTotalBytes(),
+    inFlight: inFlight.size,
+    hits: counters.hits,
+    misses: counters.misses,
+    deduplicated: counters.deduplicated,
+    hitRate: lookups > 0 ? Math.round(((counters.hits + counters.deduplicated) / lookups) * 1000) / 1000 : 0,
+    stores: counters.stores,
+    evictions: counters.evictions,
+  };
+}
+
+export default {
+  getToolCacheKey,
+  cachedToolCall,
+  clearToolCache,
+  getToolCacheStats,
+};
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { getToolCacheKey, cachedToolCall, clearToolCache, getToolCacheStats } from './tool-cache.js';
+
+const RAW = { content: [{ type: 'text', text: '[]' }] };
+
+/**
+ * Build a backend call that counts its runs
+ * @param {string} text - Result text
+ * @returns {Function} run callback for cachedToolCall, with a `calls` counter
+ */
+function backend(text = 'Results') {
+  const run = async (onRaw) => {
+    run.calls++;
+    onRaw?.(RAW);
+    return text;
+  };
+  run.calls = 0;
+  return run;
+}
+
+describe('getToolCacheKey', () => {
+  it('normalizes queries and URLs', () => {
+    assert.equal(getToolCacheKey('web_search', { query: '  Node   22 ' }), getToolCacheKey('web_search', { query: 'node 22' }));
+    assert.equal(
+      getToolCacheKey('web_reader', { url: 'https://Example.com/page#intro' }),
+      getToolCacheKey('web_reader', { url: 'https://example.com/page' })
+    );
+    assert.notEqual(getToolCacheKey('web_search', { query: 'node' }), getToolCacheKey('web_reader', { url: 'node' }));
+  });
+});
+
+describe('cachedToolCall', () => {
+  beforeEach(() => {
+    config.toolCache = { enabled: true, ttlSeconds: 600, maxEntries: 500, maxSizeMb: 20 };
+    clearToolCache();
+  });
+
+  it('serves a repeated call from the cache and replays the raw result', async () => {
+    const run = backend();
+    const raw = [];
+
+    await cachedToolCall('web_search', { query: 'node' }, run);
+    const text = await cachedToolCall('web_search', { query: 'Node ' }, run, null, (value) => raw.push(value));
+
+    assert.equal(text, 'Results');
+    assert.equal(run.calls, 1);
+    assert.deepEqual(raw, [RAW]);
+    assert.equal(getToolCacheStats().hits, 1);
+  });
+
+  it('shares one backend call between identical calls in flight', async () => {
+    const run = backend();
+    const results = await Promise.all([
+      cachedToolCall('web_search', { query: 'node' }, run),
+      cachedToolCall('web_search', { query: 'node' }, run),
+    ]);
+
+    assert.deepEqual(results, ['Results', 'Results']);
+    assert.equal(run.calls, 1);
+    assert.equal(getToolCacheStats().deduplicated, 1);
+  });
+
+  it('does not store errors', async () => {
+    const run = backend('Error: backend down');
+    await cachedToolCall('web_search', { query: 'node' }, run);
+    await cachedToolCall('web_search', { query: 'node' }, run);
+
+    assert.equal(run.calls, 2);
+    assert.equal(getToolCacheStats().entries, 0);
+  });
+
+  it('expires entries after the TTL', async () => {
+    config.toolCache.ttlSeconds = 0;
+    const run = backend();
+    await cachedToolCall('web_search', { query: 'node' }, run);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    await cachedToolCall('web_search', { query: 'node' }, run);
+
+    assert.equal(run.calls, 2);
+  });
+
+  it('evicts the least recently used entries beyond maxEntries', async () => {
+    config.toolCache.maxEntries = 2;
+    const run = backend();
+    for (const query of ['a', 'b', 'a', 'c']) {
+      await cachedToolCall('web_search', { query }, run);
+    }
+    await cachedToolCall('web_search', { query: 'a' }, run);
+
+    assert.equal(run.calls, 3, "'a' was used recently and survives; 'b' is evicted");
+    assert.equal(getToolCacheStats().evictions, 1);
+  });
+
+  it('rethrows a cancellation of the waiting request', async () => {
+    let release;
+    const slow = () => new Promise((resolve) => {
+      release = () => resolve('Results');
+    });
+    const first = cachedToolCall('web_search', { query: 'slow' }, slow);
+
+    const controller = new AbortController();
+    const waiting = cachedToolCall('web_search', { query: 'slow' }, backend(), controller.signal);
+    controller.abort(new Error('client gone'));
+
+    await assert.rejects(waiting, /client gone/);
+    release();
+    assert.equal(await first, 'Results');
+  });
+
+  it('bypasses the cache when disabled', async () => {
+    config.toolCache.enabled = false;
+    const run = backend();
+    await cachedToolCall('web_search', { query: 'node' }, run);
+    await cachedToolCall('web_search', { query: 'node' }, run);
+
+    assert.equal(run.calls, 2);
+  });
+
+  it('purges entries and counters', async () => {
+    await cachedToolCall('web_search', { query: 'node' }, backend());
+
+    assert.equal(clearToolCache(), 1);
+    assert.deepEqual(
+      { entries: getToolCacheStats().entries, misses: getToolCacheStats().misses },
+      { entries: 0, misses: 0 }
+    );
+  });
+});
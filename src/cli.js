@@ -10,6 +10,7 @@
  *   ccglm activate  - Print shell exports for manual activation
  *   ccglm status    - Check if proxy is running
  *   ccglm stop      - Stop background proxy server
+ *   ccglm keys      - Create, list and revoke client API keys
  */
 
 import { spawn, exec } from 'child_process';
@@ -27,9 +28,12 @@ const DEFAULT_HOST = process.env.HOST || '127.0.0.1';
 const DEFAULT_MODEL = process.env.GLM_MODEL || 'glm-4.7';
 const PID_FILE = join(__dirname, '..', '.glmproxy.pid');
 
+// Client key sent to the proxy (only checked once proxy keys exist)
+const CLIENT_KEY = process.env.CCGLM_API_KEY || 'glmproxy';
+
 // Claude Code environment overrides
 const CLAUDE_ENV = {
-  ANTHROPIC_AUTH_TOKEN: 'glmproxy',  // Dummy token, proxy uses ZAI_API_KEY
+  ANTHROPIC_AUTH_TOKEN: CLIENT_KEY,  // Proxy key; the proxy itself uses ZAI_API_KEY upstream
   ANTHROPIC_DEFAULT_OPUS_MODEL: DEFAULT_MODEL,
   ANTHROPIC_DEFAULT_SONNET_MODEL: DEFAULT_MODEL,
   ANTHROPIC_DEFAULT_HAIKU_MODEL: DEFAULT_MODEL,
@@ -257,7 +261,7 @@ async function launchClaudeCode(args = [], skipPermissions = false) {
 function printActivation() {
   const proxyUrl = `http://${DEFAULT_HOST}:${DEFAULT_PORT}`;
   console.log(`export ANTHROPIC_BASE_URL="${proxyUrl}"`);
-  console.log(`export ANTHROPIC_AUTH_TOKEN="glmproxy"`);
+  console.log(`export ANTHROPIC_AUTH_TOKEN="${CLIENT_KEY}"`);
   console.log(`export ANTHROPIC_DEFAULT_OPUS_MODEL="${DEFAULT_MODEL}"`);
   console.log(`export ANTHROPIC_DEFAULT_SONNET_MODEL="${DEFAULT_MODEL}"`);
   console.log(`export ANTHROPIC_DEFAULT_HAIKU_MODEL="${DEFAULT_MODEL}"`);
@@ -308,6 +312,82 @@ async function openUI() {
   openBrowser(url);
 }
 
+/**
+ * Parse --name/--scope options of `ccglm keys create`
+ * @param {Array<string>} args - Arguments after 'create'
+ * @returns {{name: string, scopes: Array<string>}} Key options
+ */
+function parseKeyOptions(args) {
+  const options = { name: undefined, scopes: ['messages'] };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--name') {
+      options.name = args[++i];
+    } else if (args[i] === '--scope' || args[i] === '--scopes') {
+      options.scopes = (args[++i] || '').split(',').map((scope) => scope.trim()).filter(Boolean);
+    } else if (!args[i].startsWith('--') && options.name === undefined) {
+      options.name = args[i];
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Manage client API keys (writes ~/.ccglm/keys.json; a running proxy picks up changes)
+ * @param {Array<string>} args - Subcommand and its arguments
+ */
+async function manageKeys(args) {
+  const { listKeys, createKey, revokeKey, KEY_SCOPES } = await import('./auth/keys.js');
+  const [subcommand, ...rest] = args;
+
+  switch (subcommand) {
+    case 'create': {
+      const { key, secret } = createKey(parseKeyOptions(rest));
+      log(`✓ Created key ${key.id} (${key.name})`, colors.green);
+      log(`  Scopes: ${key.scopes.join(', ')}`, colors.dim);
+      log(`
+  ${secret}
+`, colors.bright);
+      log('This secret is shown only once. Use it as x-api-key / Bearer token,', colors.yellow);
+      log('or export CCGLM_API_KEY to have ccglm pass it to Claude Code.', colors.yellow);
+      break;
+    }
+
+    case 'list':
+    case undefined: {
+      const keys = listKeys();
+      if (keys.length === 0) {
+        log('No API keys - the proxy accepts requests without a key', colors.yellow);
+        log('  Create one with: ccglm keys create --name <name> --scope messages', colors.dim);
+        break;
+      }
+      for (const key of keys) {
+        const status = key.revokedAt ? `revoked ${key.revokedAt.slice(0, 10)}` : 'active';
+        log(`${key.id}  ${key.prefix}…  ${key.name}  [${key.scopes.join(', ')}]  ${status}`,
+          key.revokedAt ? colors.dim : '');
+      }
+      break;
+    }
+
+    case 'revoke': {
+      if (!rest[0]) {
+        throw new Error('Usage: ccglm keys revoke <key-id>');
+      }
+      const key = revokeKey(rest[0]);
+      if (!key) {
+        throw new Error(`API key '${rest[0]}' not found`);
+      }
+      log(`✓ Revoked key ${key.id} (${key.name})`, colors.green);
+      break;
+    }
+
+    default:
+      log('Usage: ccglm keys create|list|revoke', colors.yellow);
+      log(`  Scopes: ${KEY_SCOPES.join(', ')}`, colors.dim);
+  }
+}
+
 /**
  * Show help
  */
@@ -323,6 +403,7 @@ function showHelp() {
   log('  stop        Stop background proxy server');
   log('  status      Check if proxy is running');
   log('  activate    Print shell exports for manual use');
+  log('  keys        Manage client API keys (create|list|revoke)');
   log('  help        Show this help message\n');
 
   log('Examples:', colors.bright);
@@ -330,13 +411,16 @@ function showHelp() {
   log('  ccglm yolo             # Same, but skip permission prompts');
   log('  ccglm ui               # Open settings dashboard');
   log('  ccglm start            # Run proxy in foreground');
-  log('  eval $(ccglm activate) # Set env vars in shell\n');
+  log('  eval $(ccglm activate) # Set env vars in shell');
+  log('  ccglm keys create --name laptop --scope messages');
+  log('  ccglm keys revoke key_1a2b3c4d5e6f\n');
 
   log('Environment:', colors.bright);
   log(`  PORT=${DEFAULT_PORT}              Server port`);
   log(`  HOST=${DEFAULT_HOST}        Server host`);
   log(`  GLM_MODEL=${DEFAULT_MODEL}        Model name for Claude Code`);
-  log('  ZAI_API_KEY            Z.ai API key (required)\n');
+  log('  ZAI_API_KEY            Z.ai API key (required)');
+  log('  CCGLM_API_KEY          Proxy client key passed to Claude Code\n');
 }
 
 // Main entry point
@@ -371,6 +455,10 @@ async function main() {
       printActivation();
       break;
 
+    case 'keys':
+      await manageKeys(args);
+      break;
+
     case 'help':
     case '--help':
     case '-h':
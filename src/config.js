@@ -44,6 +44,90 @@ try {
 
 const SETTINGS_FILE = 'settings.json';
 
+// Client-facing model names advertised on /v1/models (see routing/model-catalog.js)
+const DEFAULT_MODEL_ALIASES = {
+  'claude-sonnet-4': { model: 'glm-4.7', displayName: 'Claude Sonnet 4 (GLM-4.7)' },
+  'claude-opus-4': { model: 'glm-4.7', displayName: 'Claude Opus 4 (GLM-4.7)' },
+};
+
+// Reasoning prompt profiles (see reasoning/profiles.js); {tag} in a prompt is replaced with the profile's tag
+export const DEFAULT_REASONING_PROFILES = {
+  default: {
+    prompt: 'ultrathink really hard\n\nThink step-by-step in <{tag}> tags before answering.',
+    position: 'messages',
+    tag: 'reasoning_content',
+  },
+  think: {
+    prompt: 'Before answering, think step-by-step inside <{tag}></{tag}> tags, then give your final answer after the closing tag.',
+    position: 'system',
+    tag: 'think',
+  },
+};
+
+// Prior-turn thinking policies (see transformers/messages.js)
+const THINKING_POLICIES = ['all', 'last', 'strip'];
+
+/**
+ * Parse PRESERVE_THINKING
+ * @param {string} value - Policy name
+ * @returns {string} Policy ('last' when unset or unknown)
+ */
+function parseThinkingPolicy(value) {
+  const policy = String(value || '').trim().toLowerCase();
+  return THINKING_POLICIES.includes(policy) ? policy : 'last';
+}
+
+// Backends each web tool can use, in default order (see search/backends.js)
+const SEARCH_BACKENDS = {
+  web_search: ['zai', 'searxng'],
+  web_reader: ['zai', 'local'],
+};
+
+// How injected tools are chosen per request (see tools/selection.js)
+export const TOOL_SELECTION_MODES = ['always', 'regex', 'relevance'];
+
+/**
+ * Parse a tool selection mode
+ * @param {string} value - Mode name
+ * @returns {string} Mode ('regex' when unset or unknown)
+ */
+function parseSelectionMode(value) {
+  const mode = String(value || '').trim().toLowerCase();
+  return TOOL_SELECTION_MODES.includes(mode) ? mode : 'regex';
+}
+
+/**
+ * Parse a backend list ("zai,searxng")
+ * @param {string} value - Comma-separated backend names
+ * @param {string} tool - 'web_search' or 'web_reader'
+ * @returns {Array<string>} Known backends in the given order (the default order when unset or empty)
+ */
+function parseBackendList(value, tool) {
+  const names = String(value || '').split(',').map((name) => name.trim().toLowerCase());
+  const backends = [...new Set(names.filter((name) => SEARCH_BACKENDS[tool].includes(name)))];
+  return backends.length > 0 ? backends : [...SEARCH_BACKENDS[tool]];
+}
+
+/**
+ * Parse MODEL_ALIASES ("alias=model,alias2=model2")
+ * @param {string} value - Alias list
+ * @returns {Object|null} Alias table, or null when the variable is not set
+ */
+function parseModelAliases(value) {
+  if (!value) {
+    return null;
+  }
+
+  const aliases = {};
+  for (const pair of value.split(',')) {
+    const eqIndex = pair.indexOf('=');
+    if (eqIndex > 0 && pair.slice(eqIndex + 1).trim()) {
+      aliases[pair.slice(0, eqIndex).trim()] = pair.slice(eqIndex + 1).trim();
+    }
+  }
+  return aliases;
+}
+
 // Load saved settings on module init
 const saved = readJsonFile(SETTINGS_FILE) || {};
 
@@ -77,11 +161,26 @@ const config = {
   models: {
     text: 'glm-4.7',
     vision: 'glm-4.6v',
+    // { [alias]: target model, or { model, displayName, contextWindow, maxOutputTokens, capabilities } }
+    aliases: saved.models?.aliases ?? parseModelAliases(process.env.MODEL_ALIASES) ?? DEFAULT_MODEL_ALIASES,
   },
 
   // Web search enabled flag
   webSearch: {
     enabled: saved.webSearch?.enabled ?? (process.env.WEB_SEARCH_ENABLED !== 'false'),  // Enabled by default, set WEB_SEARCH_ENABLED=false to disable
+    // Surface search results as server_tool_use/web_search_tool_result blocks with citations
+    citations: saved.webSearch?.citations ?? (process.env.WEB_SEARCH_CITATIONS === 'true'),
+  },
+
+  // Tool selection: how web search is chosen, and the relevance ranking shared with MCPs in 'relevance' mode
+  toolSelection: {
+    webSearchMode: saved.toolSelection?.webSearchMode ?? parseSelectionMode(process.env.WEB_SEARCH_SELECTION),
+    topK: saved.toolSelection?.topK ?? (parseInt(process.env.TOOL_SELECTION_TOP_K, 10) || 5),
+    minScore: saved.toolSelection?.minScore ?? (process.env.TOOL_SELECTION_MIN_SCORE !== undefined
+      ? parseFloat(process.env.TOOL_SELECTION_MIN_SCORE) || 0
+      : 1),
+    // Distinct words of the message a tool has to match, so one common word is not enough
+    minTerms: saved.toolSelection?.minTerms ?? (parseInt(process.env.TOOL_SELECTION_MIN_TERMS, 10) || 2),
   },
 
   // Request defaults
@@ -90,6 +189,22 @@ const config = {
   // Reasoning configuration
   reasoning: {
     forceReasoning: saved.reasoning?.forceReasoning ?? (process.env.FORCE_REASONING !== 'false'),  // Inject reasoning prompt (default: true)
+    // { [name]: { prompt, position: 'messages'|'system', tag } }
+    profiles: saved.reasoning?.profiles ?? DEFAULT_REASONING_PROFILES,
+    defaultProfile: saved.reasoning?.defaultProfile ?? process.env.REASONING_PROFILE ?? 'default',
+    // { [model pattern]: profile name }
+    modelProfiles: saved.reasoning?.modelProfiles ?? {},
+    // Earlier thinking sent back upstream: 'all', 'last' (last assistant turn only) or 'strip'
+    preserveThinking: saved.reasoning?.preserveThinking ?? parseThinkingPolicy(process.env.PRESERVE_THINKING),
+  },
+
+  // Web search backends, tried in order until one succeeds (see search/backends.js)
+  search: {
+    backends: {
+      web_search: saved.search?.backends?.web_search ?? parseBackendList(process.env.WEB_SEARCH_BACKENDS, 'web_search'),
+      web_reader: saved.search?.backends?.web_reader ?? parseBackendList(process.env.WEB_READER_BACKENDS, 'web_reader'),
+    },
+    searxngUrl: saved.search?.searxngUrl ?? process.env.SEARXNG_URL ?? '',  // SearXNG instance (the backend is skipped without one)
   },
 
   // MCP (Model Context Protocol) server configuration
@@ -104,6 +219,88 @@ const config = {
     },
   },
 
+  // Upstream retry settings (429, 5xx, timeouts and network errors)
+  retry: {
+    maxRetries: saved.retry?.maxRetries ?? (process.env.UPSTREAM_MAX_RETRIES !== undefined
+      ? parseInt(process.env.UPSTREAM_MAX_RETRIES, 10) || 0
+      : 2),
+    baseDelayMs: saved.retry?.baseDelayMs ?? (parseInt(process.env.UPSTREAM_RETRY_BASE_DELAY, 10) || 500),
+    maxDelayMs: saved.retry?.maxDelayMs ?? (parseInt(process.env.UPSTREAM_RETRY_MAX_DELAY, 10) || 10000), // Longer Retry-After fails over instead
+  },
+
+  // Upstream rate limiting and concurrency queue (null = unlimited)
+  // Global limits cap all clients together; perClient applies to each client key unless overridden in clients
+  limits: {
+    requestsPerMinute: saved.limits?.requestsPerMinute ?? (parseInt(process.env.UPSTREAM_RATE_LIMIT, 10) || null),
+    burst: saved.limits?.burst ?? (parseInt(process.env.UPSTREAM_RATE_BURST, 10) || null),  // Default: 10 seconds' worth
+    maxConcurrency: saved.limits?.maxConcurrency ?? (parseInt(process.env.UPSTREAM_MAX_CONCURRENCY, 10) || null),
+    maxQueue: saved.limits?.maxQueue ?? (parseInt(process.env.UPSTREAM_MAX_QUEUE, 10) || 100),
+    queueTimeoutMs: saved.limits?.queueTimeoutMs ?? (parseInt(process.env.UPSTREAM_QUEUE_TIMEOUT, 10) || 60000),
+    perClient: {
+      requestsPerMinute: saved.limits?.perClient?.requestsPerMinute ?? (parseInt(process.env.CLIENT_RATE_LIMIT, 10) || null),
+      maxConcurrency: saved.limits?.perClient?.maxConcurrency ?? (parseInt(process.env.CLIENT_MAX_CONCURRENCY, 10) || null),
+    },
+    clients: saved.limits?.clients ?? {},  // { [clientId]: { requestsPerMinute, maxConcurrency } } overrides
+  },
+
+  // Failover between providers when retries are exhausted (before the first byte is sent)
+  failover: {
+    enabled: saved.failover?.enabled ?? (process.env.FAILOVER_ENABLED !== 'false'),  // Enabled by default
+    order: saved.failover?.order ?? ['anthropic', 'openai', 'bigmodel'],
+  },
+
+  // Request/response history stored under ~/.ccglm/history (oldest entries rotated out)
+  history: {
+    enabled: saved.history?.enabled ?? (process.env.HISTORY_ENABLED !== 'false'),  // Enabled by default
+    maxEntries: saved.history?.maxEntries ?? (parseInt(process.env.HISTORY_MAX_ENTRIES, 10) || 200),
+    maxSizeMb: saved.history?.maxSizeMb ?? (parseInt(process.env.HISTORY_MAX_SIZE_MB, 10) || 100),
+  },
+
+  // Response cache under ~/.ccglm/cache (off by default; least recently used entries evicted)
+  cache: {
+    enabled: saved.cache?.enabled ?? (process.env.CACHE_ENABLED === 'true'),
+    ttlSeconds: saved.cache?.ttlSeconds ?? (parseInt(process.env.CACHE_TTL, 10) || 3600),
+    maxSizeMb: saved.cache?.maxSizeMb ?? (parseInt(process.env.CACHE_MAX_SIZE_MB, 10) || 100),
+  },
+
+  // In-memory cache of web_search/web_reader results (see cache/tool-cache.js)
+  toolCache: {
+    enabled: saved.toolCache?.enabled ?? (process.env.TOOL_CACHE_ENABLED !== 'false'),  // Enabled by default
+    ttlSeconds: saved.toolCache?.ttlSeconds ?? (parseInt(process.env.TOOL_CACHE_TTL, 10) || 600),
+    maxEntries: saved.toolCache?.maxEntries ?? (parseInt(process.env.TOOL_CACHE_MAX_ENTRIES, 10) || 500),
+    maxSizeMb: saved.toolCache?.maxSizeMb ?? (parseInt(process.env.TOOL_CACHE_MAX_SIZE_MB, 10) || 20),
+  },
+
+  // Supervision of custom MCP servers (see mcp/lifecycle.js); 0 disables health checks / idle shutdown
+  mcpSupervisor: {
+    healthCheckSeconds: saved.mcpSupervisor?.healthCheckSeconds ?? (process.env.MCP_HEALTH_CHECK_INTERVAL !== undefined
+      ? parseInt(process.env.MCP_HEALTH_CHECK_INTERVAL, 10) || 0
+      : 30),
+    idleMinutes: saved.mcpSupervisor?.idleMinutes ?? (process.env.MCP_IDLE_TIMEOUT !== undefined
+      ? parseInt(process.env.MCP_IDLE_TIMEOUT, 10) || 0
+      : 15),
+    maxRestarts: saved.mcpSupervisor?.maxRestarts ?? (process.env.MCP_MAX_RESTARTS !== undefined
+      ? parseInt(process.env.MCP_MAX_RESTARTS, 10) || 0
+      : 5),
+    backoffMs: saved.mcpSupervisor?.backoffMs ?? (parseInt(process.env.MCP_RESTART_BACKOFF, 10) || 1000),
+    backoffMaxMs: saved.mcpSupervisor?.backoffMaxMs ?? (parseInt(process.env.MCP_RESTART_BACKOFF_MAX, 10) || 60000),
+  },
+
+  // Usage accounting: token budgets (per client API key) and per-model prices
+  usage: {
+    budgets: {
+      daily: saved.usage?.budgets?.daily ?? (parseInt(process.env.USAGE_DAILY_TOKEN_BUDGET, 10) || null),
+      monthly: saved.usage?.budgets?.monthly ?? (parseInt(process.env.USAGE_MONTHLY_TOKEN_BUDGET, 10) || null),
+      clients: saved.usage?.budgets?.clients ?? {},  // { [clientId]: { daily, monthly } } overrides
+    },
+    // USD per million tokens; models without an entry are counted at zero cost
+    pricing: saved.usage?.pricing ?? {
+      'glm-4.7': { input: 0.6, output: 2.2, cached: 0.11 },
+      'glm-4.6v': { input: 0.3, output: 0.9, cached: 0.05 },
+      'glm-4.5-air': { input: 0.2, output: 1.1, cached: 0.03 },
+    },
+  },
+
   // Tool execution settings
   toolExecution: {
     maxIterations: 15,       // Maximum tool call loops before error (generous for complex research)
@@ -111,6 +308,17 @@ const config = {
     timeout: 30000,          // Per-tool timeout in milliseconds
   },
 
+  // Distributed tracing (off by default): spans exported over OTLP/HTTP or appended to a JSONL file
+  tracing: {
+    enabled: process.env.TRACING_ENABLED === 'true',
+    exporter: process.env.TRACING_EXPORTER || (process.env.OTEL_EXPORTER_OTLP_ENDPOINT ? 'otlp' : 'file'),
+    otlpEndpoint: process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT
+      || `${(process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://127.0.0.1:4318').replace(/\/+$/, '')}/v1/traces`,
+    otlpHeaders: process.env.OTEL_EXPORTER_OTLP_HEADERS || '',  // "key=value,key2=value2" (never exposed)
+    file: process.env.TRACING_FILE || null,  // Default: ~/.ccglm/traces.jsonl
+    serviceName: process.env.OTEL_SERVICE_NAME || 'ccglm-proxy',
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'none',
@@ -161,17 +369,50 @@ export function getConfigSummary() {
     models: {
       text: config.models.text,
       vision: config.models.vision,
+      aliases: config.models.aliases,
     },
     webSearch: {
       enabled: config.webSearch.enabled,
+      citations: config.webSearch.citations,
     },
+    search: {
+      backends: { ...config.search.backends },
+      searxngUrl: config.search.searxngUrl,
+    },
+    toolSelection: { ...config.toolSelection },
     reasoning: {
       forceReasoning: config.reasoning.forceReasoning,
+      profiles: config.reasoning.profiles,
+      defaultProfile: config.reasoning.defaultProfile,
+      modelProfiles: config.reasoning.modelProfiles,
+      preserveThinking: config.reasoning.preserveThinking,
     },
     toolExecution: {
       maxIterations: config.toolExecution.maxIterations,
       timeout: config.toolExecution.timeout,
     },
+    retry: { ...config.retry },
+    failover: {
+      enabled: config.failover.enabled,
+      order: [...config.failover.order],
+    },
+    history: { ...config.history },
+    cache: { ...config.cache },
+    toolCache: { ...config.toolCache },
+    mcpSupervisor: { ...config.mcpSupervisor },
+    tracing: {
+      enabled: config.tracing.enabled,
+      exporter: config.tracing.exporter,
+      target: config.tracing.exporter === 'otlp' ? config.tracing.otlpEndpoint : config.tracing.file || '~/.ccglm/traces.jsonl',
+    },
+    limits: {
+      ...config.limits,
+      perClient: { ...config.limits.perClient },
+    },
+    usage: {
+      budgets: { ...config.usage.budgets },
+      pricing: config.usage.pricing,
+    },
     logging: config.logging,
     streaming: config.streaming,
   };
@@ -191,6 +432,34 @@ export function updateConfig(updates) {
       if (updates.reasoning.forceReasoning !== undefined) {
         config.reasoning.forceReasoning = updates.reasoning.forceReasoning;
       }
+      if (updates.reasoning.profiles && typeof updates.reasoning.profiles === 'object') {
+        // Profiles without prompt text, a known position or a plain tag name are dropped
+        const profiles = {};
+        for (const [name, profile] of Object.entries(updates.reasoning.profiles)) {
+          if (name.trim()
+            && typeof profile?.prompt === 'string' && profile.prompt.trim()
+            && ['messages', 'system'].includes(profile.position)
+            && typeof profile.tag === 'string' && /^[A-Za-z][\w.-]*$/.test(profile.tag)) {
+            profiles[name.trim()] = { prompt: profile.prompt, position: profile.position, tag: profile.tag };
+          }
+        }
+        config.reasoning.profiles = profiles;
+      }
+      if (THINKING_POLICIES.includes(updates.reasoning.preserveThinking)) {
+        config.reasoning.preserveThinking = updates.reasoning.preserveThinking;
+      }
+      if (typeof updates.reasoning.defaultProfile === 'string' && updates.reasoning.defaultProfile.trim()) {
+        config.reasoning.defaultProfile = updates.reasoning.defaultProfile.trim();
+      }
+      if (updates.reasoning.modelProfiles && typeof updates.reasoning.modelProfiles === 'object') {
+        const modelProfiles = {};
+        for (const [pattern, name] of Object.entries(updates.reasoning.modelProfiles)) {
+          if (pattern.trim() && typeof name === 'string' && name.trim()) {
+            modelProfiles[pattern.trim()] = name.trim();
+          }
+        }
+        config.reasoning.modelProfiles = modelProfiles;
+      }
     }
   }
 
@@ -214,8 +483,207 @@ export function updateConfig(updates) {
   if (updates.webSearch !== undefined) {
     if (typeof updates.webSearch === 'boolean') {
       config.webSearch.enabled = updates.webSearch;
-    } else if (typeof updates.webSearch === 'object' && updates.webSearch.enabled !== undefined) {
-      config.webSearch.enabled = updates.webSearch.enabled;
+    } else if (typeof updates.webSearch === 'object') {
+      if (updates.webSearch.enabled !== undefined) {
+        config.webSearch.enabled = updates.webSearch.enabled;
+      }
+      if (typeof updates.webSearch.citations === 'boolean') {
+        config.webSearch.citations = updates.webSearch.citations;
+      }
+    }
+  }
+
+  if (updates.search !== undefined && typeof updates.search === 'object') {
+    for (const tool of Object.keys(SEARCH_BACKENDS)) {
+      const backends = updates.search.backends?.[tool];
+      if (Array.isArray(backends)) {
+        const valid = [...new Set(backends.filter((name) => SEARCH_BACKENDS[tool].includes(name)))];
+        if (valid.length > 0) {
+          config.search.backends[tool] = valid;
+        }
+      }
+    }
+    if (typeof updates.search.searxngUrl === 'string') {
+      const url = updates.search.searxngUrl.trim();
+      if (url === '' || /^https?:\/\//i.test(url)) {
+        config.search.searxngUrl = url;
+      }
+    }
+  }
+
+  if (updates.toolSelection !== undefined && typeof updates.toolSelection === 'object') {
+    if (TOOL_SELECTION_MODES.includes(updates.toolSelection.webSearchMode)) {
+      config.toolSelection.webSearchMode = updates.toolSelection.webSearchMode;
+    }
+    if (updates.toolSelection.topK !== undefined) {
+      const parsed = parseInt(updates.toolSelection.topK, 10);
+      if (!Number.isNaN(parsed) && parsed >= 1) {
+        config.toolSelection.topK = parsed;
+      }
+    }
+    if (updates.toolSelection.minScore !== undefined) {
+      const parsed = parseFloat(updates.toolSelection.minScore);
+      if (!Number.isNaN(parsed) && parsed >= 0) {
+        config.toolSelection.minScore = parsed;
+      }
+    }
+    if (updates.toolSelection.minTerms !== undefined) {
+      const parsed = parseInt(updates.toolSelection.minTerms, 10);
+      if (!Number.isNaN(parsed) && parsed >= 1) {
+        config.toolSelection.minTerms = parsed;
+      }
+    }
+  }
+
+  if (updates.mcpSupervisor !== undefined && typeof updates.mcpSupervisor === 'object') {
+    // Health checks, idle shutdown and restarts can be turned off with 0; backoff must be positive
+    for (const field of ['healthCheckSeconds', 'idleMinutes', 'maxRestarts', 'backoffMs', 'backoffMaxMs']) {
+      if (updates.mcpSupervisor[field] !== undefined) {
+        const parsed = parseInt(updates.mcpSupervisor[field], 10);
+        const min = field.startsWith('backoff') ? 1 : 0;
+        if (!Number.isNaN(parsed) && parsed >= min) {
+          config.mcpSupervisor[field] = parsed;
+        }
+      }
+    }
+  }
+
+  if (updates.retry !== undefined && typeof updates.retry === 'object') {
+    for (const field of ['maxRetries', 'baseDelayMs', 'maxDelayMs']) {
+      if (updates.retry[field] !== undefined) {
+        const parsed = parseInt(updates.retry[field], 10);
+        if (!Number.isNaN(parsed) && parsed >= 0) {
+          config.retry[field] = parsed;
+        }
+      }
+    }
+  }
+
+  if (updates.limits !== undefined && typeof updates.limits === 'object') {
+    // null, 0 or an invalid value removes a limit
+    const parseLimit = (value) => {
+      const parsed = parseInt(value, 10);
+      return !Number.isNaN(parsed) && parsed > 0 ? parsed : null;
+    };
+
+    for (const field of ['requestsPerMinute', 'burst', 'maxConcurrency']) {
+      if (updates.limits[field] !== undefined) {
+        config.limits[field] = parseLimit(updates.limits[field]);
+      }
+    }
+    for (const field of ['maxQueue', 'queueTimeoutMs']) {
+      const parsed = parseLimit(updates.limits[field]);
+      if (parsed !== null) {
+        config.limits[field] = parsed;
+      }
+    }
+    if (updates.limits.perClient && typeof updates.limits.perClient === 'object') {
+      for (const field of ['requestsPerMinute', 'maxConcurrency']) {
+        if (updates.limits.perClient[field] !== undefined) {
+          config.limits.perClient[field] = parseLimit(updates.limits.perClient[field]);
+        }
+      }
+    }
+    if (updates.limits.clients && typeof updates.limits.clients === 'object') {
+      config.limits.clients = updates.limits.clients;
+    }
+  }
+
+  if (updates.failover !== undefined) {
+    if (typeof updates.failover === 'boolean') {
+      config.failover.enabled = updates.failover;
+    } else if (typeof updates.failover === 'object') {
+      if (updates.failover.enabled !== undefined) {
+        config.failover.enabled = !!updates.failover.enabled;
+      }
+      if (Array.isArray(updates.failover.order)) {
+        config.failover.order = updates.failover.order.filter((id) => typeof id === 'string' && id);
+      }
+    }
+  }
+
+  if (updates.history !== undefined) {
+    if (typeof updates.history === 'boolean') {
+      config.history.enabled = updates.history;
+    } else if (typeof updates.history === 'object') {
+      if (updates.history.enabled !== undefined) {
+        config.history.enabled = !!updates.history.enabled;
+      }
+      for (const field of ['maxEntries', 'maxSizeMb']) {
+        if (updates.history[field] !== undefined) {
+          const parsed = parseInt(updates.history[field], 10);
+          if (!Number.isNaN(parsed) && parsed > 0) {
+            config.history[field] = parsed;
+          }
+        }
+      }
+    }
+  }
+
+  if (updates.cache !== undefined) {
+    if (typeof updates.cache === 'boolean') {
+      config.cache.enabled = updates.cache;
+    } else if (typeof updates.cache === 'object') {
+      if (updates.cache.enabled !== undefined) {
+        config.cache.enabled = !!updates.cache.enabled;
+      }
+      for (const field of ['ttlSeconds', 'maxSizeMb']) {
+        if (updates.cache[field] !== undefined) {
+          const parsed = parseInt(updates.cache[field], 10);
+          if (!Number.isNaN(parsed) && parsed > 0) {
+            config.cache[field] = parsed;
+          }
+        }
+      }
+    }
+  }
+
+  if (updates.toolCache !== undefined) {
+    if (typeof updates.toolCache === 'boolean') {
+      config.toolCache.enabled = updates.toolCache;
+    } else if (typeof updates.toolCache === 'object') {
+      if (updates.toolCache.enabled !== undefined) {
+        config.toolCache.enabled = !!updates.toolCache.enabled;
+      }
+      for (const field of ['ttlSeconds', 'maxEntries', 'maxSizeMb']) {
+        if (updates.toolCache[field] !== undefined) {
+          const parsed = parseInt(updates.toolCache[field], 10);
+          if (!Number.isNaN(parsed) && parsed > 0) {
+            config.toolCache[field] = parsed;
+          }
+        }
+      }
+    }
+  }
+
+  if (updates.models !== undefined && typeof updates.models === 'object' && updates.models.aliases) {
+    // Entries without a target model are dropped
+    const aliases = {};
+    for (const [alias, entry] of Object.entries(updates.models.aliases)) {
+      const model = typeof entry === 'string' ? entry : entry?.model;
+      if (alias.trim() && typeof model === 'string' && model.trim()) {
+        aliases[alias.trim()] = entry;
+      }
+    }
+    config.models.aliases = aliases;
+  }
+
+  if (updates.usage !== undefined && typeof updates.usage === 'object') {
+    const budgets = updates.usage.budgets;
+    if (budgets && typeof budgets === 'object') {
+      for (const period of ['daily', 'monthly']) {
+        if (budgets[period] !== undefined) {
+          const parsed = parseInt(budgets[period], 10);
+          // null, 0 or an invalid value removes the budget
+          config.usage.budgets[period] = !Number.isNaN(parsed) && parsed > 0 ? parsed : null;
+        }
+      }
+      if (budgets.clients && typeof budgets.clients === 'object') {
+        config.usage.budgets.clients = budgets.clients;
+      }
+    }
+    if (updates.usage.pricing && typeof updates.usage.pricing === 'object') {
+      config.usage.pricing = updates.usage.pricing;
     }
   }
 
@@ -265,13 +733,30 @@ export function updateConfig(updates) {
 function saveSettings() {
   writeJsonFile(SETTINGS_FILE, {
     endpoint: { mode: config.endpoint.mode },
-    reasoning: { forceReasoning: config.reasoning.forceReasoning },
+    reasoning: {
+      forceReasoning: config.reasoning.forceReasoning,
+      profiles: config.reasoning.profiles,
+      defaultProfile: config.reasoning.defaultProfile,
+      modelProfiles: config.reasoning.modelProfiles,
+      preserveThinking: config.reasoning.preserveThinking,
+    },
     streaming: {
       enabled: config.streaming.enabled,
       chunkSize: config.streaming.chunkSize,
       chunkDelay: config.streaming.chunkDelay,
     },
-    webSearch: { enabled: config.webSearch.enabled },
+    webSearch: { enabled: config.webSearch.enabled, citations: config.webSearch.citations },
+    search: { backends: config.search.backends, searxngUrl: config.search.searxngUrl },
+    toolSelection: { ...config.toolSelection },
+    models: { aliases: config.models.aliases },
+    retry: { ...config.retry },
+    failover: { enabled: config.failover.enabled, order: config.failover.order },
+    history: { ...config.history },
+    cache: { ...config.cache },
+    toolCache: { ...config.toolCache },
+    mcpSupervisor: { ...config.mcpSupervisor },
+    limits: config.limits,
+    usage: { budgets: config.usage.budgets, pricing: config.usage.pricing },
     // Note: zaiApiKey is NOT saved (security)
   });
 }
@@ -0,0 +1,218 @@
+/**
+ * History Recorder
+ *
+ * Collects one exchange while it is processed: the original Anthropic request,
+ * each provider attempt with its transformed upstream request, every upstream
+ * call of the tool loop, the final response, timing and usage. The record is
+ * handed to the history store when the request finishes.
+ *
+ * Every stored copy, the original request included, has inline base64 media
+ * replaced by a placeholder to keep records small. Entries that lost media are
+ * flagged with mediaOmitted and cannot be replayed.
+ */
+
+import { saveEntry } from './store.js';
+import { toAnthropicError, getErrorStatus } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// Inline media strings longer than this are replaced in stored copies
+const MAX_INLINE_MEDIA_LENGTH = 1024;
+
+/**
+ * Deep-copy a value, replacing large inline base64 media with a placeholder
+ * @param {*} value - Request or response to copy
+ * @param {Function} onOmit - Called for each replaced media string
+ * @returns {*} JSON-safe copy
+ */
+function copyWithoutMedia(value, onOmit) {
+  if (value === undefined) {
+    return undefined;
+  }
+
+  return JSON.parse(JSON.stringify(value, (key, item) => {
+    const isMedia = typeof item === 'string'
+      && item.length > MAX_INLINE_MEDIA_LENGTH
+      && (key === 'data' || item.startsWith('data:'));
+    if (!isMedia) {
+      return item;
+    }
+    onOmit?.();
+    return `[${item.length} characters of inline media omitted]`;
+  }));
+}
+
+/**
+ * Summarize an error for storage
+ * @param {Error} error - Any error object
+ * @returns {Object} Error type, message and upstream status
+ */
+function describeError(error) {
+  const { error: details } = toAnthropicError(error);
+
+  return {
+    type: details.type,
+    message: details.message,
+    status: getErrorStatus(error),
+    upstreamStatus: error.upstreamStatus,
+  };
+}
+
+/**
+ * Create a recorder for one exchange
+ * @param {Object} options - Exchange details
+ * @param {string} options.id - Request ID (also the history entry ID)
+ * @param {string} options.path - Ingress path
+ * @param {Object} options.request - Original Anthropic request (copied immediately, without inline media)
+ * @param {string} options.responseFormat - 'anthropic' or 'openai'
+ * @param {boolean} options.includeUsage - OpenAI stream_options.include_usage
+ * @param {string} options.replayOf - ID of the entry being replayed, if any
+ * @returns {Object} Recorder
+ */
+export function createRecorder(options) {
+  const startTime = Date.now();
+  let mediaOmitted = false;
+  const request = copyWithoutMedia(options.request, () => { mediaOmitted = true; });
+  const entry = {
+    id: options.id,
+    timestamp: new Date(startTime).toISOString(),
+    path: options.path,
+    responseFormat: options.responseFormat || 'anthropic',
+    includeUsage: options.includeUsage || undefined,
+    replayOf: options.replayOf,
+    stream: options.request?.stream === true,
+    request,
+    mediaOmitted: mediaOmitted || undefined,
+    attempts: [],
+    response: null,
+    cache: null,
+    usage: null,
+    status: null,
+    statusCode: null,
+    error: null,
+    durationMs: null,
+  };
+  let currentAttempt = null;
+  let finished = false;
+
+  /**
+   * Start a provider attempt (one per failover route)
+   * @param {Object} attempt - Attempt details ({ provider, endpoint, model })
+   */
+  const startAttempt = ({ provider, endpoint, model }) => {
+    currentAttempt = {
+      provider,
+      endpoint,
+      model: model || undefined,
+      startedAt: new Date().toISOString(),
+      upstreamRequest: null,
+      iterations: [],
+      error: null,
+    };
+    entry.attempts.push(currentAttempt);
+  };
+
+  /**
+   * Record the transformed request sent to the upstream
+   * @param {Object} request - OpenAI/GLM or prepared Anthropic request
+   */
+  const setUpstreamRequest = (request) => {
+    if (currentAttempt) {
+      currentAttempt.upstreamRequest = copyWithoutMedia(request);
+    }
+  };
+
+  /**
+   * Record one upstream call of the tool loop
+   * @param {Object} iteration - Call details
+   * @param {Object} iteration.request - Request sent for this call
+   * @param {Object} iteration.response - Upstream response (or stream summary)
+   * @param {Error} iteration.error - Error thrown by the call
+   * @param {number} iteration.durationMs - Call duration
+   */
+  const addIteration = ({ request, response, error, durationMs }) => {
+    if (!currentAttempt) {
+      return;
+    }
+
+    currentAttempt.iterations.push({
+      index: currentAttempt.iterations.length,
+      durationMs,
+      messageCount: request?.messages?.length,
+      request: copyWithoutMedia(request),
+      response: copyWithoutMedia(response) ?? null,
+      error: error ? describeError(error) : undefined,
+    });
+  };
+
+  /**
+   * Record the final response returned to the client
+   * @param {Object} body - Anthropic response (or stream summary with usage and content)
+   */
+  const setResponse = (body) => {
+    entry.response = copyWithoutMedia(body);
+    entry.usage = body?.usage || null;
+  };
+
+  /**
+   * Record how the response cache served the exchange
+   * @param {string} status - 'hit' when the response came from the cache
+   */
+  const setCacheStatus = (status) => {
+    entry.cache = status;
+  };
+
+  /**
+   * Record an error on the current attempt (and the exchange)
+   * @param {Error} error - Error thrown while processing
+   */
+  const fail = (error) => {
+    const description = describeError(error);
+    if (currentAttempt) {
+      currentAttempt.error = description;
+    }
+    entry.error = description;
+  };
+
+  /**
+   * Complete the record and hand it to the store (only the first call counts)
+   * @returns {Object|null} The completed entry, or null if already finished
+   */
+  const finish = () => {
+    if (finished) {
+      return null;
+    }
+    finished = true;
+
+    // A later failover attempt may have succeeded after an earlier one failed
+    if (entry.response) {
+      entry.error = null;
+    }
+    if (!entry.error) {
+      entry.status = 'success';
+    } else {
+      entry.status = entry.error.type === 'cancelled_error' ? 'cancelled' : 'error';
+    }
+    entry.statusCode = entry.error ? entry.error.status : 200;
+    entry.durationMs = Date.now() - startTime;
+
+    saveEntry(entry).catch((error) => {
+      logger.warn('history', 'Failed to save history entry', { id: entry.id, error: error.message });
+    });
+
+    return entry;
+  };
+
+  return {
+    startAttempt,
+    setUpstreamRequest,
+    addIteration,
+    setResponse,
+    setCacheStatus,
+    fail,
+    finish,
+  };
+}
+
+export default {
+  createRecorder,
+};
@@ -0,0 +1,69 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { createRecorder } from './recorder.js';
+import { flushHistory, getEntry } from './store.js';
+import { InvalidRequestError } from '../utils/errors.js';
+
+const IMAGE_DATA = 'A'.repeat(4096);
+
+/**
+ * Build a request with one inline image
+ * @returns {Object} Anthropic request
+ */
+function imageRequest() {
+  return {
+    model: 'glm-4.7',
+    max_tokens: 100,
+    messages: [{
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: 'image/png', data: IMAGE_DATA } },
+        { type: 'text', text: 'What is this?' },
+      ],
+    }],
+  };
+}
+
+describe('createRecorder', () => {
+  config.history.enabled = true;
+
+  it('stores text-only requests verbatim', async () => {
+    const request = { model: 'glm-4.7', max_tokens: 100, messages: [{ role: 'user', content: 'Hi' }] };
+    const recorder = createRecorder({ id: 'req-text', path: '/v1/messages', request });
+    recorder.setResponse({ content: [{ type: 'text', text: 'Hello' }], usage: { input_tokens: 1, output_tokens: 1 } });
+    const entry = recorder.finish();
+    await flushHistory();
+
+    assert.deepEqual(entry.request, request);
+    assert.equal(entry.mediaOmitted, undefined);
+    assert.equal(entry.status, 'success');
+    assert.equal(getEntry('req-text').request.messages[0].content, 'Hi');
+  });
+
+  it('replaces inline media in the original request and flags the entry', async () => {
+    const request = imageRequest();
+    const recorder = createRecorder({ id: 'req-image', path: '/v1/messages', request });
+    recorder.startAttempt({ provider: 'openai', endpoint: 'openai' });
+    recorder.setUpstreamRequest(request);
+    recorder.fail(new InvalidRequestError('bad image'));
+    const entry = recorder.finish();
+    await flushHistory();
+
+    assert.equal(request.messages[0].content[0].source.data, IMAGE_DATA, 'caller request untouched');
+    assert.equal(entry.request.messages[0].content[0].source.data, '[4096 characters of inline media omitted]');
+    assert.equal(entry.attempts[0].upstreamRequest.messages[0].content[0].source.data, '[4096 characters of inline media omitted]');
+    assert.equal(entry.mediaOmitted, true);
+    assert.equal(entry.status, 'error');
+    assert.equal(entry.statusCode, 400);
+    assert.equal(getEntry('req-image').mediaOmitted, true);
+  });
+
+  it('records an exchange only once', () => {
+    const recorder = createRecorder({ id: 'req-once', path: '/v1/messages', request: { messages: [] } });
+    assert.ok(recorder.finish());
+    assert.equal(recorder.finish(), null);
+  });
+});
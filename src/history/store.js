@@ -0,0 +1,209 @@
+/**
+ * History Store
+ *
+ * Rotating on-disk store of request/response exchanges under ~/.ccglm/history/.
+ * Each exchange is written to its own <id>.json file; index.json keeps a
+ * newest-first list of summaries so listing never has to open every record.
+ * The oldest records are deleted once more than history.maxEntries exist or
+ * their total size exceeds history.maxSizeMb.
+ *
+ * Writes are queued and run in order off the request path; a record is served
+ * from memory until its file has been written.
+ */
+
+import config from '../config.js';
+import { readJsonFile, writeJsonFileAsync, deleteJsonFileAsync } from '../persistence/index.js';
+import logger from '../utils/logger.js';
+
+const HISTORY_DIR = 'history';
+const INDEX_FILE = `${HISTORY_DIR}/index.json`;
+
+// Record IDs are request IDs (req-<timestamp>-<random>); anything else is rejected
+const ENTRY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// In-memory copy of index.json (newest first)
+let historyIndex = [];
+
+// Records saved but not yet written to disk: id -> entry
+const pendingEntries = new Map();
+
+// Tail of the write queue (writes run one after another)
+let writeQueue = Promise.resolve();
+
+// Initialize flag
+let initialized = false;
+
+/**
+ * Get the path of a record file relative to the config directory
+ * @param {string} id - Entry ID
+ * @returns {string} Relative file path
+ */
+function entryFile(id) {
+  return `${HISTORY_DIR}/${id}.json`;
+}
+
+/**
+ * Build the index summary for a full record
+ * @param {Object} entry - History record
+ * @param {number} size - Serialized record size in bytes
+ * @returns {Object} Summary stored in index.json
+ */
+function summarizeEntry(entry, size) {
+  const lastAttempt = entry.attempts[entry.attempts.length - 1];
+
+  return {
+    id: entry.id,
+    timestamp: entry.timestamp,
+    path: entry.path,
+    model: entry.request?.model,
+    provider: lastAttempt?.provider,
+    endpoint: lastAttempt?.endpoint,
+    stream: entry.stream,
+    status: entry.status,
+    statusCode: entry.statusCode,
+    durationMs: entry.durationMs,
+    usage: entry.usage,
+    cache: entry.cache || undefined,
+    iterations: entry.attempts.reduce((sum, attempt) => sum + attempt.iterations.length, 0),
+    error: entry.error?.message,
+    replayOf: entry.replayOf,
+    mediaOmitted: entry.mediaOmitted || undefined,
+    size,
+  };
+}
+
+/**
+ * Drop the oldest summaries beyond history.maxEntries or history.maxSizeMb
+ * The newest record is always kept.
+ * @returns {Array} Removed summaries
+ */
+function rotateIndex() {
+  const maxBytes = config.history.maxSizeMb * 1024 * 1024;
+  let keep = Math.min(historyIndex.length, config.history.maxEntries);
+  let totalBytes = historyIndex.slice(0, keep).reduce((sum, item) => sum + (item.size || 0), 0);
+
+  while (keep > 1 && totalBytes > maxBytes) {
+    keep--;
+    totalBytes -= historyIndex[keep].size || 0;
+  }
+
+  const removed = historyIndex.slice(keep);
+  historyIndex = historyIndex.slice(0, keep);
+  return removed;
+}
+
+/**
+ * Append a task to the write queue
+ * @param {Function} task - Async function to run once earlier writes are done
+ * @returns {Promise} Settles when the task has run
+ */
+function enqueueWrite(task) {
+  writeQueue = writeQueue.then(task).catch((error) => {
+    logger.warn('history', 'History write failed', { error: error.message });
+    return false;
+  });
+  return writeQueue;
+}
+
+/**
+ * Initialize the history store
+ * Loads index.json if it exists
+ */
+export function initHistory() {
+  if (initialized) {
+    return;
+  }
+
+  const data = readJsonFile(INDEX_FILE);
+  historyIndex = Array.isArray(data) ? data : [];
+  initialized = true;
+
+  logger.debug('history', 'History store initialized', { entries: historyIndex.length });
+}
+
+/**
+ * Save a completed exchange and rotate out the oldest records
+ * The index is updated immediately; files are written in the background.
+ * @param {Object} entry - History record (see history/recorder.js)
+ * @returns {Promise<boolean>} Resolves to true once the record is written
+ */
+export function saveEntry(entry) {
+  if (!config.history.enabled) {
+    return Promise.resolve(false);
+  }
+
+  if (!initialized) {
+    initHistory();
+  }
+
+  const size = Buffer.byteLength(JSON.stringify(entry));
+  historyIndex = [summarizeEntry(entry, size), ...historyIndex.filter((item) => item.id !== entry.id)];
+  const removed = rotateIndex();
+  const index = historyIndex;
+
+  pendingEntries.set(entry.id, entry);
+  for (const item of removed) {
+    pendingEntries.delete(item.id);
+  }
+
+  return enqueueWrite(async () => {
+    const written = await writeJsonFileAsync(entryFile(entry.id), entry);
+    pendingEntries.delete(entry.id);
+
+    for (const item of removed) {
+      await deleteJsonFileAsync(entryFile(item.id));
+    }
+    await writeJsonFileAsync(INDEX_FILE, index);
+    return written;
+  });
+}
+
+/**
+ * Wait until every queued history write has finished
+ * @returns {Promise} Resolves when the write queue is empty
+ */
+export function flushHistory() {
+  return writeQueue;
+}
+
+/**
+ * List stored exchanges (newest first)
+ * @param {Object} options - Paging options
+ * @param {number} options.limit - Maximum number of summaries (default 50)
+ * @param {number} options.offset - Number of summaries to skip
+ * @returns {{entries: Array, total: number}} Page of summaries and total count
+ */
+export function listEntries(options = {}) {
+  if (!initialized) {
+    initHistory();
+  }
+
+  const limit = Math.max(1, options.limit || 50);
+  const offset = Math.max(0, options.offset || 0);
+
+  return {
+    entries: historyIndex.slice(offset, offset + limit),
+    total: historyIndex.length,
+  };
+}
+
+/**
+ * Get a full stored exchange
+ * @param {string} id - Entry ID
+ * @returns {Object|null} History record or null if not found
+ */
+export function getEntry(id) {
+  if (!id || !ENTRY_ID_PATTERN.test(id)) {
+    return null;
+  }
+
+  return pendingEntries.get(id) || readJsonFile(entryFile(id));
+}
+
+export default {
+  initHistory,
+  saveEntry,
+  flushHistory,
+  listEntries,
+  getEntry,
+};
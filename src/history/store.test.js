@@ -0,0 +1,91 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { testHome } from '../utils/test-home.js';
+import config from '../config.js';
+import { saveEntry, flushHistory, listEntries, getEntry } from './store.js';
+
+/**
+ * Build a minimal history record
+ * @param {string} id - Entry ID
+ * @param {number} padding - Characters of filler text in the request
+ * @returns {Object} History record
+ */
+function makeEntry(id, padding = 0) {
+  return {
+    id,
+    timestamp: new Date().toISOString(),
+    path: '/v1/messages',
+    request: { model: 'glm-4.7', messages: [{ role: 'user', content: 'x'.repeat(padding) || 'Hi' }] },
+    attempts: [],
+    status: 'success',
+    statusCode: 200,
+  };
+}
+
+/**
+ * Check whether a record file exists on disk
+ * @param {string} id - Entry ID
+ * @returns {boolean} True if history/<id>.json exists
+ */
+function fileExists(id) {
+  return existsSync(join(testHome, '.ccglm', 'history', `${id}.json`));
+}
+
+beforeEach(() => {
+  config.history.enabled = true;
+  config.history.maxEntries = 200;
+  config.history.maxSizeMb = 100;
+});
+
+describe('saveEntry', () => {
+  it('serves a record before its file is written and writes it in the background', async () => {
+    const written = saveEntry(makeEntry('req-pending'));
+
+    assert.equal(getEntry('req-pending').id, 'req-pending');
+    assert.equal(await written, true);
+    assert.ok(fileExists('req-pending'));
+    assert.equal(listEntries().entries[0].id, 'req-pending');
+  });
+
+  it('rotates out the oldest records beyond maxEntries', async () => {
+    config.history.maxEntries = 2;
+    saveEntry(makeEntry('req-count-1'));
+    saveEntry(makeEntry('req-count-2'));
+    saveEntry(makeEntry('req-count-3'));
+    await flushHistory();
+
+    assert.deepEqual(listEntries().entries.map((item) => item.id), ['req-count-3', 'req-count-2']);
+    assert.ok(!fileExists('req-count-1'));
+    assert.equal(getEntry('req-count-1'), null);
+  });
+
+  it('rotates out the oldest records beyond maxSizeMb, keeping the newest', async () => {
+    config.history.maxSizeMb = 1;
+    saveEntry(makeEntry('req-size-1', 400 * 1024));
+    saveEntry(makeEntry('req-size-2', 400 * 1024));
+    saveEntry(makeEntry('req-size-3', 400 * 1024));
+    await flushHistory();
+
+    const { entries } = listEntries();
+    assert.deepEqual(entries.map((item) => item.id), ['req-size-3', 'req-size-2']);
+    assert.ok(entries[0].size > 400 * 1024);
+    assert.ok(!fileExists('req-size-1'));
+
+    saveEntry(makeEntry('req-size-big', 2 * 1024 * 1024));
+    await flushHistory();
+    assert.deepEqual(listEntries().entries.map((item) => item.id), ['req-size-big']);
+  });
+
+  it('stores nothing while history is disabled', async () => {
+    config.history.enabled = false;
+    assert.equal(await saveEntry(makeEntry('req-disabled')), false);
+    assert.equal(getEntry('req-disabled'), null);
+  });
+
+  it('rejects IDs that are not plain file names', () => {
+    assert.equal(getEntry('../settings'), null);
+  });
+});
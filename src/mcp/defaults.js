@@ -14,7 +14,8 @@ export const DEFAULT_MCPS = [
     name: 'Ref Tools',
     enabled: true,
 
-    // Command config
+    // Command config (transport 'stdio': spawned locally)
+    transport: 'stdio',
     command: 'npx',
     args: ['ref-tools-mcp@latest'],
     env: {},
@@ -34,8 +35,21 @@ export const DEFAULT_MCPS = [
     apiKeyValue: process.env.REF_API_KEY || '',
     apiKeyAsArg: false,
 
-    // Custom headers (for future remote MCP support)
+    // Custom headers (remote 'http'/'sse' transports only)
     headers: {},
+
+    // MCP prompt attached to the system prompt when selected ({ name, arguments })
+    systemPrompt: null,
+
+    // When to inject the tools: 'regex' (triggers), 'relevance' or 'always' (see tools/selection.js)
+    selectionMode: 'regex',
+
+    // How the tools are offered: <id>__<tool> names, allow/deny lists (* wildcards),
+    // description overrides by tool name (see mcp/tool-policy.js)
+    namespaceTools: true,
+    toolAllowlist: [],
+    toolDenylist: [],
+    toolDescriptions: {},
   },
   {
     id: 'playwright',
@@ -43,6 +57,7 @@ export const DEFAULT_MCPS = [
     enabled: true,
 
     // Command config
+    transport: 'stdio',
     command: 'npx',
     args: ['@playwright/mcp@latest'],
     env: {},
@@ -63,6 +78,12 @@ export const DEFAULT_MCPS = [
     apiKeyAsArg: false,
 
     headers: {},
+    systemPrompt: null,
+    selectionMode: 'regex',
+    namespaceTools: true,
+    toolAllowlist: [],
+    toolDenylist: [],
+    toolDescriptions: {},
   },
   {
     id: 'context7',
@@ -70,6 +91,7 @@ export const DEFAULT_MCPS = [
     enabled: true,
 
     // Command config
+    transport: 'stdio',
     command: 'npx',
     args: ['-y', '@upstash/context7-mcp@latest'],
     env: {},
@@ -89,6 +111,12 @@ export const DEFAULT_MCPS = [
     apiKeyAsArg: true, // Context7 expects --api-key argument
 
     headers: {},
+    systemPrompt: null,
+    selectionMode: 'regex',
+    namespaceTools: true,
+    toolAllowlist: [],
+    toolDenylist: [],
+    toolDescriptions: {},
   },
 ];
 
@@ -102,6 +130,9 @@ export function getDefaultMcps() {
     // Runtime state (not persisted)
     initialized: false,
     tools: [],
+    knownTools: [],
+    resources: [],
+    prompts: [],
     client: null,
   }));
 }
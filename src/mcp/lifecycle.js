@@ -1,16 +1,152 @@
 /**
  * MCP Lifecycle Manager
  *
- * Handles lazy initialization, shutdown, and health checks for MCPs.
- * MCPs are only spawned when triggered by user messages.
+ * Handles lazy initialization, supervision and shutdown of MCPs.
+ * MCPs are only spawned (or, for remote servers, connected) when picked by tool
+ * selection (see tools/selection.js). Their tools, resources and prompts are
+ * discovered on start; the tools are also kept as knownTools for relevance
+ * ranking while the MCP is stopped.
+ *
+ * Supervisor (config.mcpSupervisor), per MCP state:
+ *   stopped  - not running (never started, idle, disabled or shut down)
+ *   starting - spawning/connecting and discovering tools
+ *   ready    - running and answering health checks
+ *   degraded - running, but the last health check failed
+ *   crashed  - exited unexpectedly or failed to start; restarted with
+ *              exponential backoff until maxRestarts consecutive failures
+ *              open the circuit (then only a manual restart starts it again)
+ * Running MCPs are pinged every healthCheckSeconds (two failed pings count as
+ * a crash) and shut down after idleMinutes without use.
  */
 
+import config from '../config.js';
 import { getMcp, getEnabledMcps, updateMcpState } from './registry.js';
 import { LocalMcpClient } from './local-client.js';
+import { RemoteMcpClient } from './remote-client.js';
+import { isResourceTool, buildResourceTool, formatResourceContents, formatPromptMessages } from './resources.js';
+import { RESOURCE_TOOL, isToolAllowed, resolveToolName } from './tool-policy.js';
 import logger from '../utils/logger.js';
+import { recordToolCall, recordMcpRestart } from '../metrics/proxy-metrics.js';
+
+export const MCP_STATES = ['stopped', 'starting', 'ready', 'degraded', 'crashed'];
+
+// Health check timeout, and failed checks in a row that count as a crash
+const PING_TIMEOUT_MS = 5000;
+const MAX_HEALTH_FAILURES = 2;
+
+// MCPs whose process has been started at least once (later starts count as restarts)
+const startedMcps = new Set();
+
+// mcpId -> { key, name, text } of the prompt attached to the system prompt
+const attachedPrompts = new Map();
+
+// mcpId -> supervision record (also exposed as the MCP's runtime `status`)
+const supervision = new Map();
+
+// Timer of the next health/idle sweep
+let sweepTimer = null;
+
+/**
+ * Get (or create) the supervision record of an MCP
+ * @param {string} mcpId - MCP ID
+ * @returns {Object} Record
+ */
+function getRecord(mcpId) {
+  let record = supervision.get(mcpId);
+  if (!record) {
+    record = {
+      state: 'stopped',
+      since: Date.now(),
+      failures: 0, // Crashes since the last successful health check
+      restarts: 0, // Automatic restarts since startup
+      healthFailures: 0,
+      circuitOpen: false,
+      lastError: null,
+      lastUsedAt: null,
+      nextRestartAt: null,
+      restartTimer: null,
+      starting: null, // Promise of a start in progress
+    };
+    supervision.set(mcpId, record);
+  }
+
+  // Shared with the registry entry (re-added MCPs get a new entry)
+  if (getMcp(mcpId) && getMcp(mcpId).status !== record) {
+    updateMcpState(mcpId, { status: record });
+  }
+  return record;
+}
+
+/**
+ * Move an MCP to a new supervisor state
+ * @param {string} mcpId - MCP ID
+ * @param {string} state - One of MCP_STATES
+ */
+function setState(mcpId, state) {
+  const record = getRecord(mcpId);
+  if (record.state === state) {
+    return;
+  }
+
+  logger.debug('mcp-lifecycle', 'MCP state changed', { id: mcpId, from: record.state, to: state });
+  record.state = state;
+  record.since = Date.now();
+}
+
+/**
+ * Stop a scheduled restart and close the circuit
+ * @param {Object} record - Supervision record
+ */
+function resetSupervision(record) {
+  clearTimeout(record.restartTimer);
+  record.restartTimer = null;
+  record.nextRestartAt = null;
+  record.failures = 0;
+  record.healthFailures = 0;
+  record.circuitOpen = false;
+}
+
+/**
+ * Create the client of an MCP for its transport
+ * The client reports unexpected exits (process exit, SSE stream end) to the supervisor.
+ * @param {Object} mcp - MCP configuration
+ * @returns {LocalMcpClient|RemoteMcpClient} Client
+ */
+function createClient(mcp) {
+  const client = mcp.transport === 'http' || mcp.transport === 'sse' ? new RemoteMcpClient(mcp) : new LocalMcpClient(mcp);
+  client.onExit = (reason) => handleClientExit(mcp.id, client, reason);
+  return client;
+}
+
+/**
+ * Drop the client and discovered state of an MCP
+ * @param {Object} mcp - MCP configuration
+ */
+function stopClient(mcp) {
+  if (mcp.client) {
+    try {
+      mcp.client.shutdown();
+    } catch (error) {
+      logger.error('mcp-lifecycle', 'Error shutting down MCP', {
+        id: mcp.id,
+        error: error.message,
+      });
+    }
+  }
+  attachedPrompts.delete(mcp.id);
+
+  updateMcpState(mcp.id, {
+    initialized: false,
+    tools: [],
+    resources: [],
+    prompts: [],
+    client: null,
+  });
+}
 
 /**
  * Ensure an MCP is initialized and ready
+ * Counts as a use for idle shutdown. Concurrent callers share one start.
  * @param {string} mcpId - MCP ID
  * @returns {Promise<Object>} MCP with initialized client
  */
@@ -24,39 +160,97 @@ export async function ensureInitialized(mcpId) {
     throw new Error(`MCP '${mcpId}' is disabled`);
   }
 
+  const record = getRecord(mcpId);
+  record.lastUsedAt = Date.now();
+
   // Already initialized
   if (mcp.initialized && mcp.client?.isReady()) {
     return mcp;
   }
 
+  if (record.circuitOpen) {
+    throw new Error(`MCP '${mcpId}' crashed ${record.failures} times in a row and is not restarted automatically (last error: ${record.lastError}). Restart it from the dashboard.`);
+  }
+
+  // A crashed MCP is not started before its backoff has elapsed
+  if (record.nextRestartAt && Date.now() < record.nextRestartAt) {
+    const seconds = Math.ceil((record.nextRestartAt - Date.now()) / 1000);
+    throw new Error(`MCP '${mcpId}' crashed and restarts in ${seconds}s (last error: ${record.lastError})`);
+  }
+
+  await startMcp(mcp);
+  return mcp;
+}
+
+/**
+ * Start an MCP, or join the start already in progress
+ * @param {Object} mcp - MCP configuration
+ * @returns {Promise<void>}
+ */
+function startMcp(mcp) {
+  const record = getRecord(mcp.id);
+  if (!record.starting) {
+    clearTimeout(record.restartTimer);
+    record.restartTimer = null;
+    record.nextRestartAt = null;
+    record.starting = runStart(mcp).finally(() => {
+      record.starting = null;
+    });
+  }
+  return record.starting;
+}
+
+/**
+ * Spawn/connect an MCP and discover its tools, resources and prompts
+ * @param {Object} mcp - MCP configuration
+ * @returns {Promise<void>}
+ */
+async function runStart(mcp) {
+  const mcpId = mcp.id;
+  const record = getRecord(mcpId);
+
   logger.info('mcp-lifecycle', 'Initializing MCP', { id: mcpId });
+  setState(mcpId, 'starting');
 
   // Create client if needed
   if (!mcp.client) {
-    mcp.client = new LocalMcpClient(mcp);
+    mcp.client = createClient(mcp);
     updateMcpState(mcpId, { client: mcp.client });
   }
 
   try {
     // Spawn and initialize
     await mcp.client.spawn();
+    if (startedMcps.has(mcpId)) {
+      recordMcpRestart(mcpId);
+    }
+    startedMcps.add(mcpId);
     await mcp.client.initialize();
 
-    // Discover tools
+    // Discover tools, resources and prompts
     const tools = await mcp.client.listTools();
+    const resources = await discover(mcpId, 'resources', () => mcp.client.listResources());
+    const prompts = await discover(mcpId, 'prompts', () => mcp.client.listPrompts());
 
     // Update registry state
+    const resourceTool = buildResourceTool({ ...mcp, resources });
     updateMcpState(mcpId, {
       initialized: true,
       tools,
+      knownTools: resourceTool ? [...tools, resourceTool] : tools,
+      resources,
+      prompts,
     });
+    record.healthFailures = 0;
+    setState(mcpId, 'ready');
+    scheduleSweep();
 
     logger.info('mcp-lifecycle', 'MCP ready', {
       id: mcpId,
       toolCount: tools.length,
+      resourceCount: resources.length,
+      promptCount: prompts.length,
     });
-
-    return mcp;
   } catch (error) {
     logger.error('mcp-lifecycle', 'Failed to initialize MCP', {
       id: mcpId,
@@ -64,21 +258,209 @@ export async function ensureInitialized(mcpId) {
     });
 
     // Clean up on failure
-    if (mcp.client) {
-      mcp.client.shutdown();
-    }
-    updateMcpState(mcpId, {
-      initialized: false,
-      tools: [],
-      client: null,
-    });
+    stopClient(mcp);
+    handleCrash(mcpId, error.message);
 
     throw error;
   }
 }
 
+/**
+ * Run an optional discovery request, tolerating servers that reject it
+ * @param {string} mcpId - MCP ID
+ * @param {string} kind - What is discovered ('resources' or 'prompts')
+ * @param {Function} list - Runs the list request
+ * @returns {Promise<Array>} Discovered items, empty on failure
+ */
+async function discover(mcpId, kind, list) {
+  try {
+    return await list();
+  } catch (error) {
+    logger.warn('mcp-lifecycle', `Failed to list ${kind}`, {
+      id: mcpId,
+      error: error.message,
+    });
+    return [];
+  }
+}
+
+/**
+ * Handle a client going away on its own (process exit, SSE stream end)
+ * @param {string} mcpId - MCP ID
+ * @param {Object} client - Client that exited
+ * @param {string} reason - Why it exited
+ */
+function handleClientExit(mcpId, client, reason) {
+  const mcp = getMcp(mcpId);
+  // Replaced client, or a start in progress (it reports its own failure)
+  if (!mcp || mcp.client !== client || getRecord(mcpId).state === 'starting') {
+    return;
+  }
+
+  logger.warn('mcp-lifecycle', 'MCP exited unexpectedly', { id: mcpId, reason });
+  stopClient(mcp);
+  handleCrash(mcpId, reason);
+}
+
+/**
+ * Record a crash and schedule a restart with exponential backoff
+ * MCPs unused for longer than the idle timeout are left stopped instead, and
+ * more than maxRestarts crashes in a row open the circuit.
+ * @param {string} mcpId - MCP ID
+ * @param {string} reason - Crash reason
+ */
+function handleCrash(mcpId, reason) {
+  const record = getRecord(mcpId);
+  const { idleMinutes, maxRestarts, backoffMs, backoffMaxMs } = config.mcpSupervisor;
+  record.failures++;
+  record.lastError = reason;
+
+  const idle = idleMinutes > 0 && Date.now() - (record.lastUsedAt || 0) > idleMinutes * 60 * 1000;
+  if (idle || !getMcp(mcpId)?.enabled) {
+    setState(mcpId, 'stopped');
+    return;
+  }
+
+  setState(mcpId, 'crashed');
+  if (record.failures > maxRestarts) {
+    record.circuitOpen = true;
+    record.nextRestartAt = null;
+    logger.error('mcp-lifecycle', 'MCP keeps crashing, automatic restarts stopped', {
+      id: mcpId,
+      failures: record.failures,
+      lastError: reason,
+    });
+    return;
+  }
+
+  const delay = Math.min(backoffMs * 2 ** (record.failures - 1), backoffMaxMs);
+  record.nextRestartAt = Date.now() + delay;
+  clearTimeout(record.restartTimer);
+  record.restartTimer = setTimeout(() => restartAfterCrash(mcpId), delay);
+  record.restartTimer.unref();
+
+  logger.info('mcp-lifecycle', 'MCP restart scheduled', {
+    id: mcpId,
+    attempt: record.failures,
+    delayMs: delay,
+  });
+}
+
+/**
+ * Restart a crashed MCP once its backoff has elapsed
+ * @param {string} mcpId - MCP ID
+ */
+function restartAfterCrash(mcpId) {
+  const record = getRecord(mcpId);
+  record.restartTimer = null;
+  record.nextRestartAt = null;
+
+  const mcp = getMcp(mcpId);
+  if (!mcp?.enabled || record.state !== 'crashed') {
+    return;
+  }
+
+  record.restarts++;
+  // A failed start schedules the next attempt itself
+  startMcp(mcp).catch(() => {});
+}
+
+/**
+ * Schedule the next health check and idle sweep
+ */
+function scheduleSweep() {
+  if (sweepTimer) {
+    return;
+  }
+
+  const { healthCheckSeconds } = config.mcpSupervisor;
+  sweepTimer = setTimeout(sweep, (healthCheckSeconds > 0 ? healthCheckSeconds : 60) * 1000);
+  sweepTimer.unref();
+}
+
+/**
+ * Ping running MCPs and shut down idle ones
+ * Keeps sweeping while any MCP is running.
+ */
+async function sweep() {
+  sweepTimer = null;
+  const { healthCheckSeconds, idleMinutes } = config.mcpSupervisor;
+  const running = [];
+
+  for (const mcp of getEnabledMcps()) {
+    const record = supervision.get(mcp.id);
+    if (!record || (record.state !== 'ready' && record.state !== 'degraded') || !mcp.client) {
+      continue;
+    }
+
+    if (idleMinutes > 0 && Date.now() - record.lastUsedAt > idleMinutes * 60 * 1000) {
+      logger.info('mcp-lifecycle', 'Shutting down idle MCP', { id: mcp.id, idleMinutes });
+      stopClient(mcp);
+      setState(mcp.id, 'stopped');
+      continue;
+    }
+    running.push({ mcp, record });
+  }
+
+  // In parallel, so one hanging server does not delay the others
+  if (healthCheckSeconds > 0) {
+    await Promise.all(running.map(({ mcp, record }) => checkHealth(mcp, record)));
+  }
+
+  if (running.length > 0) {
+    scheduleSweep();
+  }
+}
+
+/**
+ * Ping an MCP and update its state
+ * A JSON-RPC error reply still shows the server is alive (e.g. no ping support).
+ * @param {Object} mcp - MCP configuration
+ * @param {Object} record - Supervision record
+ */
+async function checkHealth(mcp, record) {
+  const client = mcp.client;
+  let error = null;
+  try {
+    await client.ping(PING_TIMEOUT_MS);
+  } catch (pingError) {
+    if (typeof pingError.code !== 'number') {
+      error = pingError;
+    }
+  }
+
+  // Shut down or replaced while waiting
+  if (mcp.client !== client) {
+    return;
+  }
+
+  if (!error) {
+    record.healthFailures = 0;
+    record.failures = 0;
+    setState(mcp.id, 'ready');
+    return;
+  }
+
+  record.healthFailures++;
+  record.lastError = `Health check failed: ${error.message}`;
+  logger.warn('mcp-lifecycle', 'MCP health check failed', {
+    id: mcp.id,
+    failures: record.healthFailures,
+    error: error.message,
+  });
+
+  if (record.healthFailures < MAX_HEALTH_FAILURES) {
+    setState(mcp.id, 'degraded');
+    return;
+  }
+
+  stopClient(mcp);
+  handleCrash(mcp.id, record.lastError);
+}
+
 /**
  * Shutdown an MCP
+ * Stops its supervision too: a pending restart is cancelled and the circuit is closed.
  * @param {string} mcpId - MCP ID
  */
 export async function shutdownMcp(mcpId) {
@@ -89,14 +471,22 @@ export async function shutdownMcp(mcpId) {
 
   if (mcp.client) {
     logger.info('mcp-lifecycle', 'Shutting down MCP', { id: mcpId });
-    mcp.client.shutdown();
   }
+  stopClient(mcp);
 
-  updateMcpState(mcpId, {
-    initialized: false,
-    tools: [],
-    client: null,
-  });
+  const record = getRecord(mcpId);
+  resetSupervision(record);
+  setState(mcpId, 'stopped');
+}
+
+/**
+ * Shut down and start an MCP again, closing its circuit
+ * @param {string} mcpId - MCP ID
+ * @returns {Promise<Object>} MCP with initialized client
+ */
+export async function restartMcp(mcpId) {
+  await shutdownMcp(mcpId);
+  return ensureInitialized(mcpId);
 }
 
 /**
@@ -109,47 +499,60 @@ export async function shutdownAllMcps() {
     count: mcps.length,
   });
 
+  clearTimeout(sweepTimer);
+  sweepTimer = null;
+  attachedPrompts.clear();
   for (const mcp of mcps) {
-    if (mcp.client) {
-      try {
-        mcp.client.shutdown();
-      } catch (error) {
-        logger.error('mcp-lifecycle', 'Error shutting down MCP', {
-          id: mcp.id,
-          error: error.message,
-        });
-      }
-    }
-
-    updateMcpState(mcp.id, {
-      initialized: false,
-      tools: [],
-      client: null,
-    });
+    stopClient(mcp);
+  }
+  for (const [mcpId, record] of supervision) {
+    resetSupervision(record);
+    setState(mcpId, 'stopped');
   }
 }
 
 /**
  * Call a tool on an MCP
+ * The name is mapped back to the server's tool name; tools excluded by the
+ * MCP's allow/deny lists are refused.
  * @param {string} mcpId - MCP ID
- * @param {string} toolName - Tool name
+ * @param {string} toolName - Tool name as offered to GLM (namespaced unless turned off)
  * @param {Object} args - Tool arguments
+ * @param {Object} options - Call options
+ * @param {AbortSignal} options.signal - Request cancellation signal (the cancellation is rethrown)
  * @returns {Promise<string>} Formatted result
  */
-export async function callMcpTool(mcpId, toolName, args) {
+export async function callMcpTool(mcpId, toolName, args, options = {}) {
   const mcp = await ensureInitialized(mcpId);
 
   if (!mcp.client) {
     throw new Error(`MCP '${mcpId}' client not available`);
   }
 
+  // Synthetic tool for reading the MCP's resources
+  if (isResourceTool(mcp, toolName) && isToolAllowed(mcp, RESOURCE_TOOL)) {
+    return readMcpResource(mcpId, args?.uri, options);
+  }
+
+  const serverToolName = resolveToolName(mcp, toolName);
+  if (!serverToolName) {
+    logger.warn('mcp-lifecycle', 'Refusing call to unavailable MCP tool', { mcpId, toolName });
+    return `Error: Tool '${toolName}' is not available on MCP '${mcpId}'`;
+  }
+
+  const startTime = Date.now();
   try {
-    const result = await mcp.client.callTool(toolName, args);
-    return formatToolResult(result, toolName);
+    const result = await mcp.client.callTool(serverToolName, args, { signal: options.signal });
+    recordToolCall({ mcp: mcpId, tool: serverToolName, success: !result?.isError, durationMs: Date.now() - startTime });
+    return formatToolResult(result, serverToolName);
   } catch (error) {
+    if (options.signal?.aborted) {
+      throw options.signal.reason;
+    }
+    recordToolCall({ mcp: mcpId, tool: serverToolName, success: false, durationMs: Date.now() - startTime });
     logger.error('mcp-lifecycle', 'Tool call failed', {
       mcpId,
-      toolName,
+      toolName: serverToolName,
       error: error.message,
     });
     return `Error: ${error.message}`;
@@ -241,10 +644,117 @@ export async function getMcpTools(mcpId) {
   return mcp.tools;
 }
 
+/**
+ * Get resources of an MCP (initializes it if needed)
+ * @param {string} mcpId - MCP ID
+ * @returns {Promise<Array>} Resources ({ uri, name, description, mimeType })
+ */
+export async function getMcpResources(mcpId) {
+  const mcp = await ensureInitialized(mcpId);
+  return mcp.resources || [];
+}
+
+/**
+ * Get prompts of an MCP (initializes it if needed)
+ * @param {string} mcpId - MCP ID
+ * @returns {Promise<Array>} Prompts ({ name, description, arguments })
+ */
+export async function getMcpPrompts(mcpId) {
+  const mcp = await ensureInitialized(mcpId);
+  return mcp.prompts || [];
+}
+
+/**
+ * Read a resource of an MCP
+ * @param {string} mcpId - MCP ID
+ * @param {string} uri - Resource URI
+ * @param {Object} options - Read options
+ * @param {AbortSignal} options.signal - Request cancellation signal (the cancellation is rethrown)
+ * @returns {Promise<string>} Resource text ('Error: ...' on failure)
+ */
+export async function readMcpResource(mcpId, uri, options = {}) {
+  if (!uri || typeof uri !== 'string') {
+    return 'Error: uri is required';
+  }
+
+  const mcp = await ensureInitialized(mcpId);
+  const startTime = Date.now();
+  try {
+    const result = await mcp.client.readResource(uri, { signal: options.signal });
+    recordToolCall({ mcp: mcpId, tool: 'resources/read', success: true, durationMs: Date.now() - startTime });
+    return formatResourceContents(result);
+  } catch (error) {
+    if (options.signal?.aborted) {
+      throw options.signal.reason;
+    }
+    recordToolCall({ mcp: mcpId, tool: 'resources/read', success: false, durationMs: Date.now() - startTime });
+    logger.error('mcp-lifecycle', 'Resource read failed', {
+      mcpId,
+      uri,
+      error: error.message,
+    });
+    return `Error: ${error.message}`;
+  }
+}
+
+/**
+ * Get the prompt an MCP attaches to the system prompt (its systemPrompt setting)
+ * The text is fetched once per connection and setting.
+ * @param {string} mcpId - MCP ID
+ * @returns {Promise<Object|null>} { name, text }, or null if none is configured or it is empty
+ */
+export async function getAttachedPrompt(mcpId) {
+  const mcp = await ensureInitialized(mcpId);
+  const setting = mcp.systemPrompt;
+  if (!setting?.name) {
+    return null;
+  }
+
+  const key = JSON.stringify(setting);
+  const cached = attachedPrompts.get(mcpId);
+  if (cached?.key === key) {
+    return cached.text ? { name: cached.name, text: cached.text } : null;
+  }
+
+  const result = await mcp.client.getPrompt(setting.name, setting.arguments || {});
+  const text = formatPromptMessages(result);
+  attachedPrompts.set(mcpId, { key, name: setting.name, text });
+
+  logger.info('mcp-lifecycle', 'Fetched prompt for the system prompt', {
+    id: mcpId,
+    prompt: setting.name,
+    length: text.length,
+  });
+
+  return text ? { name: setting.name, text } : null;
+}
+
+/**
+ * Get the prompt an MCP attaches to the system prompt, if it was fetched already
+ * Never starts the MCP or fetches the prompt (for token counting).
+ * @param {string} mcpId - MCP ID
+ * @returns {Object|null} { name, text }, or null if none is configured or fetched
+ */
+export function peekAttachedPrompt(mcpId) {
+  const setting = getMcp(mcpId)?.systemPrompt;
+  const cached = attachedPrompts.get(mcpId);
+  if (!setting?.name || cached?.key !== JSON.stringify(setting) || !cached.text) {
+    return null;
+  }
+  return { name: cached.name, text: cached.text };
+}
+
 export default {
+  MCP_STATES,
   ensureInitialized,
   shutdownMcp,
+  restartMcp,
   shutdownAllMcps,
   callMcpTool,
   getMcpTools,
+  getMcpResources,
+  getMcpPrompts,
+  readMcpResource,
+  getAttachedPrompt,
+  peekAttachedPrompt,
 };
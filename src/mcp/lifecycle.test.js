@@ -0,0 +1,259 @@
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { initRegistry, addMcp, removeMcp, updateMcp, getMcp } from './registry.js';
+import {
+  callMcpTool,
+  getMcpResources,
+  getMcpPrompts,
+  readMcpResource,
+  getAttachedPrompt,
+  shutdownMcp,
+} from './lifecycle.js';
+import { getTriggeredMcpToolsForInjectionAnthropic } from '../tools/definitions.js';
+
+/**
+ * Local MCP server over Streamable HTTP with tools, resources (listed over two
+ * pages) and prompts. Every JSON-RPC method called but ping is recorded in `calls`.
+ * On /flaky every request fails with a 503 while `down` is set, and pings do
+ * while `pingFails` is set.
+ */
+const server = { calls: [], down: false, pingFails: false };
+
+const RESULTS = {
+  initialize: () => ({ capabilities: { tools: {}, resources: {}, prompts: {} }, serverInfo: { name: 'mock' } }),
+  'tools/list': () => ({ tools: [{ name: 'search', inputSchema: { type: 'object' } }] }),
+  'tools/call': (params) => ({ content: [{ type: 'text', text: `searched ${params.arguments.q}` }] }),
+  'resources/list': (params) => (params.cursor
+    ? { resources: [{ uri: 'docs://faq', name: 'FAQ' }] }
+    : { resources: [{ uri: 'docs://guide', name: 'Guide' }], nextCursor: 'page-2' }),
+  'resources/read': (params) => ({ contents: [{ uri: params.uri, text: `Contents of ${params.uri}` }] }),
+  'prompts/list': () => ({ prompts: [{ name: 'style', description: 'House style' }] }),
+  'prompts/get': (params) => ({
+    messages: [{ role: 'user', content: { type: 'text', text: `Write in ${params.arguments.tone || 'plain'} style.` } }],
+  }),
+  ping: () => ({}),
+};
+
+const mockServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const message = body ? JSON.parse(body) : {};
+    const failing = req.url === '/flaky' && (server.down || (server.pingFails && message.method === 'ping'));
+    if (failing) {
+      res.writeHead(503);
+      res.end('unavailable');
+      return;
+    }
+    if (message.id === undefined) {
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+    if (message.method !== 'ping') {
+      server.calls.push(message.method);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' });
+    res.end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: RESULTS[message.method](message.params || {}) }));
+  });
+});
+
+let mcpUrl;
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<void>} Rejects if the condition never holds
+ */
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+}
+
+before(async () => {
+  await new Promise((resolve) => mockServer.listen(0, '127.0.0.1', resolve));
+  mcpUrl = `http://127.0.0.1:${mockServer.address().port}/mcp`;
+  // The health sweep timer is shared by all MCPs, so every test sweeps often
+  config.mcpSupervisor = { ...config.mcpSupervisor, healthCheckSeconds: 0.01 };
+  initRegistry();
+});
+
+after(() => {
+  mockServer.close();
+  mockServer.closeAllConnections();
+});
+
+describe('MCP resources and prompts', () => {
+  before(() => {
+    addMcp({ id: 'docs', name: 'Docs', transport: 'http', url: mcpUrl });
+  });
+
+  after(async () => {
+    await shutdownMcp('docs');
+    removeMcp('docs');
+  });
+
+  beforeEach(() => {
+    server.calls = [];
+  });
+
+  it('discovers every page of resources and the prompts on start', async () => {
+    assert.deepEqual((await getMcpResources('docs')).map((r) => r.uri), ['docs://guide', 'docs://faq']);
+    assert.deepEqual((await getMcpPrompts('docs')).map((p) => p.name), ['style']);
+    assert.deepEqual(server.calls, ['initialize', 'tools/list', 'resources/list', 'resources/list', 'prompts/list']);
+  });
+
+  it('reads resources directly and through the synthetic read tool', async () => {
+    assert.equal(await readMcpResource('docs', 'docs://guide'), 'Contents of docs://guide');
+    assert.equal(await callMcpTool('docs', 'docs__read_resource', { uri: 'docs://faq' }), 'Contents of docs://faq');
+    assert.equal(await readMcpResource('docs', ''), 'Error: uri is required');
+    assert.deepEqual(server.calls, ['resources/read', 'resources/read']);
+  });
+
+  it('still calls the server tools by their namespaced name', async () => {
+    assert.equal(await callMcpTool('docs', 'docs__search', { q: 'mcp' }), 'searched mcp');
+  });
+
+  it('refuses the read tool when the deny list excludes it', async () => {
+    updateMcp('docs', { toolDenylist: ['read_resource'] });
+    const result = await callMcpTool('docs', 'docs__read_resource', { uri: 'docs://faq' });
+    updateMcp('docs', { toolDenylist: [] });
+
+    assert.match(result, /not available/);
+    assert.deepEqual(server.calls, []);
+  });
+
+  it('fetches the attached prompt once per setting', async () => {
+    assert.equal(await getAttachedPrompt('docs'), null);
+
+    updateMcp('docs', { systemPrompt: { name: 'style', arguments: { tone: 'terse' } } });
+    assert.deepEqual(await getAttachedPrompt('docs'), { name: 'style', text: 'Write in terse style.' });
+    assert.deepEqual(await getAttachedPrompt('docs'), { name: 'style', text: 'Write in terse style.' });
+    assert.deepEqual(server.calls, ['prompts/get']);
+  });
+});
+
+describe('MCP tool injection dry run', () => {
+  const messages = [{ role: 'user', content: 'How many tokens is this?' }];
+
+  before(() => {
+    addMcp({
+      id: 'counted',
+      name: 'Counted',
+      transport: 'http',
+      url: mcpUrl,
+      selectionMode: 'always',
+      systemPrompt: { name: 'style' },
+    });
+  });
+
+  after(async () => {
+    await shutdownMcp('counted');
+    removeMcp('counted');
+  });
+
+  beforeEach(() => {
+    server.calls = [];
+  });
+
+  it('does not start an MCP that was never started', async () => {
+    const injection = await getTriggeredMcpToolsForInjectionAnthropic(messages, undefined, { dryRun: true });
+
+    assert.deepEqual(injection.tools, []);
+    assert.deepEqual(injection.prompts, []);
+    assert.deepEqual(server.calls, []);
+    assert.equal(getMcp('counted').initialized, false);
+  });
+
+  it('counts the tools of the last discovery without contacting the server', async () => {
+    const started = await getTriggeredMcpToolsForInjectionAnthropic(messages);
+    server.calls = [];
+
+    const running = await getTriggeredMcpToolsForInjectionAnthropic(messages, undefined, { dryRun: true });
+    assert.deepEqual(running.tools, started.tools);
+    assert.deepEqual(running.prompts, started.prompts);
+
+    await shutdownMcp('counted');
+    const stopped = await getTriggeredMcpToolsForInjectionAnthropic(messages, undefined, { dryRun: true });
+    assert.deepEqual(stopped.tools.map((t) => t.name), ['counted__search', 'counted__read_resource']);
+    assert.deepEqual(stopped.prompts, [], 'a prompt is only counted while it is fetched');
+    assert.deepEqual(server.calls, []);
+    assert.equal(getMcp('counted').initialized, false);
+  });
+});
+
+describe('MCP supervision', () => {
+  let supervisor;
+
+  before(() => {
+    supervisor = config.mcpSupervisor;
+  });
+
+  beforeEach(() => {
+    server.calls = [];
+    server.down = false;
+    server.pingFails = false;
+    addMcp({ id: 'flaky', name: 'Flaky', transport: 'http', url: mcpUrl.replace(/\/mcp$/, '/flaky') });
+  });
+
+  afterEach(async () => {
+    await shutdownMcp('flaky');
+    removeMcp('flaky');
+    config.mcpSupervisor = supervisor;
+  });
+
+  it('fails fast with the last error until the restart backoff has elapsed', async () => {
+    config.mcpSupervisor = { ...supervisor, backoffMs: 60000, backoffMaxMs: 60000 };
+    server.down = true;
+
+    await assert.rejects(callMcpTool('flaky', 'flaky__search', { q: 'x' }), /status 503/);
+    const record = getMcp('flaky').status;
+    assert.equal(record.state, 'crashed');
+    assert.ok(record.nextRestartAt > Date.now());
+
+    server.down = false;
+    await assert.rejects(
+      callMcpTool('flaky', 'flaky__search', { q: 'x' }),
+      /crashed and restarts in 60s \(last error: MCP request failed with status 503/
+    );
+    assert.deepEqual(server.calls, [], 'the server is not contacted during the backoff');
+  });
+
+  it('opens the circuit when health checks keep failing, even if tool calls work in between', async () => {
+    config.mcpSupervisor = { ...supervisor, healthCheckSeconds: 0.05, maxRestarts: 1, backoffMs: 5, backoffMaxMs: 5 };
+    server.pingFails = true;
+    const record = () => getMcp('flaky').status;
+
+    assert.equal(await callMcpTool('flaky', 'flaky__search', { q: 'first' }), 'searched first');
+    await waitFor(() => record().failures === 1 && record().state === 'ready');
+    assert.equal(await callMcpTool('flaky', 'flaky__search', { q: 'second' }), 'searched second');
+    assert.equal(record().failures, 1, 'a working tool call does not reset the count');
+
+    await waitFor(() => record().circuitOpen);
+    assert.equal(record().state, 'crashed');
+    await assert.rejects(callMcpTool('flaky', 'flaky__search', { q: 'third' }), /not restarted automatically/);
+  });
+
+  it('resets the count after a successful health check', async () => {
+    config.mcpSupervisor = { ...supervisor, healthCheckSeconds: 0.05, maxRestarts: 1, backoffMs: 5, backoffMaxMs: 5 };
+    server.pingFails = true;
+    const record = () => getMcp('flaky').status;
+
+    await callMcpTool('flaky', 'flaky__search', { q: 'x' });
+    await waitFor(() => record().failures === 1 && record().state === 'ready');
+    server.pingFails = false;
+
+    await waitFor(() => record().failures === 0);
+    assert.equal(record().circuitOpen, false);
+  });
+});
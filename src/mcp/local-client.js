@@ -8,6 +8,18 @@
 import { spawn } from 'node:child_process';
 import logger from '../utils/logger.js';
 
+/**
+ * Build the Error of a JSON-RPC error response
+ * The JSON-RPC code is kept so callers can tell an answering server from a dead one.
+ * @param {Object} error - JSON-RPC error ({ code, message })
+ * @returns {Error} Error with the JSON-RPC code
+ */
+function toRpcError(error) {
+  const rpcError = new Error(error.message || JSON.stringify(error));
+  rpcError.code = error.code;
+  return rpcError;
+}
+
 /**
  * Local MCP client that communicates via stdio JSON-RPC
  */
@@ -20,6 +32,8 @@ export class LocalMcpClient {
     this.buffer = '';
     this.initialized = false;
     this.tools = [];
+    this.serverCapabilities = {};
+    this.onExit = null; // Called with the reason when the server goes away unexpectedly
   }
 
   /**
@@ -71,7 +85,7 @@ export class LocalMcpClient {
         });
 
         // Handle process exit
-        this.process.on('exit', (code) => this.handleExit(code));
+        this.process.on('exit', (code, signal) => this.handleExit(code, signal));
 
         // Handle spawn error
         this.process.on('error', (error) => {
@@ -133,7 +147,7 @@ export class LocalMcpClient {
       this.pendingRequests.delete(message.id);
 
       if (message.error) {
-        reject(new Error(message.error.message || JSON.stringify(message.error)));
+        reject(toRpcError(message.error));
       } else {
         resolve(message.result);
       }
@@ -148,21 +162,26 @@ export class LocalMcpClient {
 
   /**
    * Handle process exit
-   * @param {number} code - Exit code
+   * @param {number|null} code - Exit code
+   * @param {string|null} signal - Signal that ended the process
    */
-  handleExit(code) {
+  handleExit(code, signal = null) {
     logger.info('mcp-local', 'Process exited', {
       id: this.config.id,
       code,
+      signal,
     });
 
+    const reason = signal ? `process killed by ${signal}` : `process exited with code ${code}`;
+
     // Reject all pending requests
     for (const [id, { reject }] of this.pendingRequests) {
-      reject(new Error(`MCP process exited with code ${code}`));
+      reject(new Error(`MCP ${reason}`));
     }
     this.pendingRequests.clear();
 
     this.cleanup();
+    this.onExit?.(reason);
   }
 
   /**
@@ -190,6 +209,7 @@ export class LocalMcpClient {
     });
 
     this.initialized = true;
+    this.serverCapabilities = result?.capabilities || {};
 
     // Send initialized notification
     await this.sendNotification('notifications/initialized', {});
@@ -223,13 +243,117 @@ export class LocalMcpClient {
     return this.tools;
   }
 
+  /**
+   * Check that the server responds
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<void>} Rejects if the server does not answer in time
+   */
+  async ping(timeout = 5000) {
+    await this.sendRequest('ping', {}, timeout);
+  }
+
+  /**
+   * Request every page of a paginated list method
+   * @param {string} method - RPC method name (e.g. 'resources/list')
+   * @param {string} field - Result field holding the items
+   * @returns {Promise<Array>} All items
+   */
+  async listAll(method, field) {
+    const items = [];
+    let cursor;
+    // Bounded in case a server keeps returning a cursor
+    for (let page = 0; page < 20; page++) {
+      const result = await this.sendRequest(method, cursor ? { cursor } : {});
+      items.push(...(result?.[field] || []));
+      cursor = result?.nextCursor;
+      if (!cursor) {
+        break;
+      }
+    }
+    return items;
+  }
+
+  /**
+   * List the resources of the MCP
+   * Servers that do not declare the resources capability have none.
+   * @returns {Promise<Array>} Resources ({ uri, name, description, mimeType })
+   */
+  async listResources() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.serverCapabilities.resources) {
+      return [];
+    }
+
+    const resources = await this.listAll('resources/list', 'resources');
+    logger.info('mcp-local', 'Resources discovered', {
+      id: this.config.id,
+      resourceCount: resources.length,
+    });
+    return resources;
+  }
+
+  /**
+   * Read a resource of the MCP
+   * @param {string} uri - Resource URI
+   * @param {Object} options - Read options
+   * @param {AbortSignal} options.signal - Cancellation signal (sends notifications/cancelled to the server)
+   * @returns {Promise<Object>} Read result ({ contents })
+   */
+  async readResource(uri, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    logger.info('mcp-local', 'Reading resource', { id: this.config.id, uri });
+    return this.sendRequest('resources/read', { uri }, undefined, options.signal);
+  }
+
+  /**
+   * List the prompts of the MCP
+   * Servers that do not declare the prompts capability have none.
+   * @returns {Promise<Array>} Prompts ({ name, description, arguments })
+   */
+  async listPrompts() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.serverCapabilities.prompts) {
+      return [];
+    }
+
+    const prompts = await this.listAll('prompts/list', 'prompts');
+    logger.info('mcp-local', 'Prompts discovered', {
+      id: this.config.id,
+      prompts: prompts.map((p) => p.name),
+    });
+    return prompts;
+  }
+
+  /**
+   * Get a prompt of the MCP
+   * @param {string} name - Prompt name
+   * @param {Object} args - Prompt arguments (string values)
+   * @returns {Promise<Object>} Prompt ({ description, messages })
+   */
+  async getPrompt(name, args = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.sendRequest('prompts/get', { name, arguments: args });
+  }
+
   /**
    * Call a tool on the MCP
    * @param {string} name - Tool name
    * @param {Object} args - Tool arguments
+   * @param {Object} options - Call options
+   * @param {AbortSignal} options.signal - Cancellation signal (sends notifications/cancelled to the server)
    * @returns {Promise<Object>} Tool result
    */
-  async callTool(name, args) {
+  async callTool(name, args, options = {}) {
     if (!this.initialized) {
       await this.initialize();
     }
@@ -246,7 +370,7 @@ export class LocalMcpClient {
       const result = await this.sendRequest('tools/call', {
         name,
         arguments: args,
-      });
+      }, undefined, options.signal);
 
       const durationMs = Date.now() - startTime;
       logger.info('mcp-local', 'Tool call completed', {
@@ -258,6 +382,14 @@ export class LocalMcpClient {
       return result;
     } catch (error) {
       const durationMs = Date.now() - startTime;
+      if (options.signal?.aborted) {
+        logger.info('mcp-local', 'Tool call cancelled', {
+          id: this.config.id,
+          tool: name,
+          durationMs,
+        });
+        throw error;
+      }
       logger.error('mcp-local', 'Tool call failed', {
         id: this.config.id,
         tool: name,
@@ -273,21 +405,42 @@ export class LocalMcpClient {
    * @param {string} method - RPC method name
    * @param {Object} params - Method parameters
    * @param {number} timeout - Timeout in ms (default 30s)
+   * @param {AbortSignal} signal - Cancellation signal (optional)
    * @returns {Promise<any>} Response result
    */
-  sendRequest(method, params, timeout = 30000) {
+  sendRequest(method, params, timeout = 30000, signal = null) {
     return new Promise((resolve, reject) => {
       if (!this.process || !this.process.stdin.writable) {
         reject(new Error('MCP process not running'));
         return;
       }
 
+      if (signal?.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
       const id = ++this.requestId;
 
+      // Tell the server to stop working on a request nobody is waiting for
+      const onAbort = () => {
+        if (!this.pendingRequests.has(id)) {
+          return;
+        }
+        this.pendingRequests.delete(id);
+        clearTimeout(timeoutId);
+        this.sendNotification('notifications/cancelled', {
+          requestId: id,
+          reason: signal.reason?.message || 'Request cancelled',
+        });
+        reject(signal.reason);
+      };
+
       // Set timeout
       const timeoutId = setTimeout(() => {
         if (this.pendingRequests.has(id)) {
           this.pendingRequests.delete(id);
+          signal?.removeEventListener('abort', onAbort);
           reject(new Error(`Request timeout after ${timeout}ms`));
         }
       }, timeout);
@@ -296,13 +449,16 @@ export class LocalMcpClient {
       this.pendingRequests.set(id, {
         resolve: (result) => {
           clearTimeout(timeoutId);
+          signal?.removeEventListener('abort', onAbort);
           resolve(result);
         },
         reject: (error) => {
           clearTimeout(timeoutId);
+          signal?.removeEventListener('abort', onAbort);
           reject(error);
         },
       });
+      signal?.addEventListener('abort', onAbort, { once: true });
 
       // Send request
       const request = JSON.stringify({ jsonrpc: '2.0', id, method, params });
@@ -339,6 +495,7 @@ export class LocalMcpClient {
    * Shutdown the MCP process
    */
   shutdown() {
+    this.onExit = null; // Deliberate - not reported as a crash
     if (!this.process) {
       return;
     }
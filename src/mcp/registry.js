@@ -4,14 +4,36 @@
  * In-memory registry for managing custom MCP servers.
  * Provides CRUD operations for MCP configurations.
  * Persists configurations to ~/.ccglm/mcps.json.
+ *
+ * Transports:
+ * - stdio: local server spawned from command/args (LocalMcpClient)
+ * - http:  remote server over Streamable HTTP at url (RemoteMcpClient)
+ * - sse:   remote server over legacy HTTP+SSE at url (RemoteMcpClient)
+ * Remote servers get the custom headers and the API key as a bearer token.
+ *
+ * selectionMode decides when an MCP's tools are injected (see tools/selection.js):
+ * 'regex' (its triggers), 'relevance' (BM25 ranking) or 'always'.
+ * namespaceTools, toolAllowlist, toolDenylist and toolDescriptions decide how
+ * its tools are offered (see tool-policy.js).
+ *
+ * Runtime state (tools, resources, prompts, client, supervisor status) is kept
+ * here but not persisted. knownTools keeps the last discovered tools while the
+ * MCP is stopped, for relevance ranking.
  */
 
 import { getDefaultMcps } from './defaults.js';
+import { TOOL_SELECTION_MODES } from '../config.js';
+import { compileTrigger } from '../tools/triggers.js';
 import { readJsonFile, writeJsonFile, setEnvApiKey } from '../persistence/index.js';
 import logger from '../utils/logger.js';
 
 const MCP_FILE = 'mcps.json';
 
+export const MCP_TRANSPORTS = ['stdio', 'http', 'sse'];
+
+// Commands a stdio MCP may spawn (security: only known runtimes)
+const ALLOWED_COMMANDS = ['npx', 'node', 'python', 'python3'];
+
 // In-memory registry of MCPs
 let mcpRegistry = [];
 
@@ -28,6 +50,100 @@ function generateEnvVarName(mcpId) {
   return `${mcpId.toUpperCase().replace(/-/g, '_')}_API_KEY`;
 }
 
+/**
+ * Validate the transport settings of an MCP
+ * @param {Object} mcp - MCP configuration ({ transport, command, url, headers })
+ * @throws {Error} If the transport, command, URL or headers are invalid
+ */
+function validateTransport(mcp) {
+  if (!MCP_TRANSPORTS.includes(mcp.transport)) {
+    throw new Error(`MCP transport must be one of: ${MCP_TRANSPORTS.join(', ')}`);
+  }
+
+  if (mcp.transport === 'stdio') {
+    if (!mcp.command || typeof mcp.command !== 'string') {
+      throw new Error('MCP command is required and must be a string');
+    }
+    if (!ALLOWED_COMMANDS.includes(mcp.command)) {
+      throw new Error(`Command '${mcp.command}' is not allowed. Allowed: ${ALLOWED_COMMANDS.join(', ')}`);
+    }
+    return;
+  }
+
+  if (!mcp.url || typeof mcp.url !== 'string' || !/^https?:\/\//i.test(mcp.url)) {
+    throw new Error(`MCP url is required for the '${mcp.transport}' transport and must be an http(s) URL`);
+  }
+  if (mcp.headers !== undefined && (typeof mcp.headers !== 'object' || Array.isArray(mcp.headers)
+    || Object.values(mcp.headers).some((value) => typeof value !== 'string'))) {
+    throw new Error('MCP headers must be an object of string values');
+  }
+}
+
+/**
+ * Validate the systemPrompt setting of an MCP
+ * @param {Object|null} systemPrompt - { name, arguments } or null to attach no prompt
+ * @throws {Error} If the name or arguments are invalid
+ */
+function validateSystemPrompt(systemPrompt) {
+  if (systemPrompt === null) {
+    return;
+  }
+  if (typeof systemPrompt !== 'object' || Array.isArray(systemPrompt) || !systemPrompt.name || typeof systemPrompt.name !== 'string') {
+    throw new Error('MCP systemPrompt must be null or an object with a prompt name');
+  }
+  const args = systemPrompt.arguments;
+  if (args !== undefined && (typeof args !== 'object' || Array.isArray(args)
+    || Object.values(args).some((value) => typeof value !== 'string'))) {
+    throw new Error('MCP systemPrompt arguments must be an object of string values');
+  }
+}
+
+/**
+ * Validate the tool selection settings of an MCP
+ * @param {Object} mcp - MCP configuration ({ selectionMode, triggers })
+ * @throws {Error} If the mode is unknown or a trigger is not a valid phrase or regex
+ */
+function validateSelection(mcp) {
+  if (mcp.selectionMode !== undefined && !TOOL_SELECTION_MODES.includes(mcp.selectionMode)) {
+    throw new Error(`MCP selectionMode must be one of: ${TOOL_SELECTION_MODES.join(', ')}`);
+  }
+  if (mcp.triggers === undefined) {
+    return;
+  }
+  if (!Array.isArray(mcp.triggers) || mcp.triggers.some((trigger) => typeof trigger !== 'string' || !trigger)) {
+    throw new Error('MCP triggers must be an array of phrases or /regex/ strings');
+  }
+  for (const trigger of mcp.triggers) {
+    try {
+      compileTrigger(trigger);
+    } catch (error) {
+      throw new Error(`MCP trigger ${trigger} is not a valid regex: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Validate the tool policy settings of an MCP
+ * @param {Object} mcp - MCP configuration ({ namespaceTools, toolAllowlist, toolDenylist, toolDescriptions })
+ * @throws {Error} If a setting has the wrong type
+ */
+function validateToolPolicy(mcp) {
+  if (mcp.namespaceTools !== undefined && typeof mcp.namespaceTools !== 'boolean') {
+    throw new Error('MCP namespaceTools must be a boolean');
+  }
+  for (const field of ['toolAllowlist', 'toolDenylist']) {
+    const list = mcp[field];
+    if (list !== undefined && (!Array.isArray(list) || list.some((name) => typeof name !== 'string' || !name))) {
+      throw new Error(`MCP ${field} must be an array of tool names`);
+    }
+  }
+  const descriptions = mcp.toolDescriptions;
+  if (descriptions !== undefined && (typeof descriptions !== 'object' || descriptions === null || Array.isArray(descriptions)
+    || Object.values(descriptions).some((value) => typeof value !== 'string'))) {
+    throw new Error('MCP toolDescriptions must be an object of string values');
+  }
+}
+
 /**
  * Load MCPs from persistence file
  * Hydrates apiKeyValue from environment variables using auto-generated env var name
@@ -41,11 +157,23 @@ function loadMcps() {
       const envVarName = mcp.apiKeyName || generateEnvVarName(mcp.id);
       return {
         ...mcp,
+        // MCPs saved before transports existed are local
+        transport: mcp.transport || 'stdio',
         // Hydrate apiKeyValue from environment at runtime
         apiKeyValue: process.env[envVarName] || '',
+        systemPrompt: mcp.systemPrompt || null,
+        // MCPs saved before tool selection modes existed use their triggers
+        selectionMode: mcp.selectionMode || 'regex',
+        namespaceTools: mcp.namespaceTools ?? true,
+        toolAllowlist: mcp.toolAllowlist || [],
+        toolDenylist: mcp.toolDenylist || [],
+        toolDescriptions: mcp.toolDescriptions || {},
         // Reset runtime state
         initialized: false,
         tools: [],
+        knownTools: [],
+        resources: [],
+        prompts: [],
         client: null,
       };
     });
@@ -62,15 +190,23 @@ function saveMcps() {
     id: mcp.id,
     name: mcp.name,
     enabled: mcp.enabled,
+    transport: mcp.transport,
     command: mcp.command,
     args: mcp.args,
     env: mcp.env,
+    url: mcp.url,
     triggers: mcp.triggers,
     apiKeyName: mcp.apiKeyName,
     apiKeyAsArg: mcp.apiKeyAsArg,
     headers: mcp.headers,
+    systemPrompt: mcp.systemPrompt,
+    selectionMode: mcp.selectionMode,
+    namespaceTools: mcp.namespaceTools,
+    toolAllowlist: mcp.toolAllowlist,
+    toolDenylist: mcp.toolDenylist,
+    toolDescriptions: mcp.toolDescriptions,
     // Note: apiKeyValue NOT saved (read from env)
-    // Note: runtime state (initialized, tools, client) NOT saved
+    // Note: runtime state (initialized, tools, knownTools, resources, prompts, client) NOT saved
   }));
   writeJsonFile(MCP_FILE, data);
 }
@@ -148,21 +284,17 @@ export function addMcp(config) {
   if (!config.name || typeof config.name !== 'string') {
     throw new Error('MCP name is required and must be a string');
   }
-  if (!config.command || typeof config.command !== 'string') {
-    throw new Error('MCP command is required and must be a string');
-  }
+  const transport = config.transport || 'stdio';
+  validateTransport({ ...config, transport });
+  validateSystemPrompt(config.systemPrompt ?? null);
+  validateSelection(config);
+  validateToolPolicy(config);
 
   // Check for duplicate ID
   if (mcpRegistry.find((m) => m.id === config.id)) {
     throw new Error(`MCP with id '${config.id}' already exists`);
   }
 
-  // Validate command (security: only allow known commands)
-  const allowedCommands = ['npx', 'node', 'python', 'python3'];
-  if (!allowedCommands.includes(config.command)) {
-    throw new Error(`Command '${config.command}' is not allowed. Allowed: ${allowedCommands.join(', ')}`);
-  }
-
   // Create MCP entry with defaults
   // Auto-generate apiKeyName from ID if not provided
   const apiKeyName = config.apiKeyName || generateEnvVarName(config.id);
@@ -170,17 +302,28 @@ export function addMcp(config) {
     id: config.id,
     name: config.name,
     enabled: config.enabled !== false,
-    command: config.command,
-    args: Array.isArray(config.args) ? config.args : [],
+    transport,
+    command: transport === 'stdio' ? config.command : '',
+    args: transport === 'stdio' && Array.isArray(config.args) ? config.args : [],
     env: config.env || {},
+    url: transport === 'stdio' ? '' : config.url,
     triggers: Array.isArray(config.triggers) ? config.triggers : [],
     apiKeyName: apiKeyName,
     apiKeyValue: config.apiKeyValue || '',
     apiKeyAsArg: config.apiKeyAsArg || false,
     headers: config.headers || {},
+    systemPrompt: config.systemPrompt || null,
+    selectionMode: config.selectionMode || 'regex',
+    namespaceTools: config.namespaceTools ?? true,
+    toolAllowlist: config.toolAllowlist || [],
+    toolDenylist: config.toolDenylist || [],
+    toolDescriptions: config.toolDescriptions || {},
     // Runtime state
     initialized: false,
     tools: [],
+    knownTools: [],
+    resources: [],
+    prompts: [],
     client: null,
   };
 
@@ -200,7 +343,8 @@ export function addMcp(config) {
   logger.info('mcp-registry', 'MCP added', {
     id: mcp.id,
     name: mcp.name,
-    command: mcp.command,
+    transport: mcp.transport,
+    ...(mcp.transport === 'stdio' ? { command: mcp.command } : { url: mcp.url }),
   });
 
   return sanitizeMcpForResponse(mcp);
@@ -219,16 +363,35 @@ export function updateMcp(id, updates) {
     throw new Error(`MCP with id '${id}' not found`);
   }
 
+  // Transport changes are validated against the merged configuration
+  if (updates.transport !== undefined || updates.command !== undefined || updates.url !== undefined || updates.headers !== undefined) {
+    validateTransport({ ...mcp, ...updates });
+  }
+  if (updates.systemPrompt !== undefined) {
+    validateSystemPrompt(updates.systemPrompt);
+  }
+  validateSelection(updates);
+  validateToolPolicy(updates);
+
   // Update allowed fields
   const allowedFields = [
     'name',
     'enabled',
+    'transport',
+    'command',
     'args',
     'env',
+    'url',
     'triggers',
     'apiKeyValue',
     'apiKeyAsArg',
     'headers',
+    'systemPrompt',
+    'selectionMode',
+    'namespaceTools',
+    'toolAllowlist',
+    'toolDenylist',
+    'toolDescriptions',
   ];
 
   for (const field of allowedFields) {
@@ -239,13 +402,20 @@ export function updateMcp(id, updates) {
 
   // If config changed, mark as needing re-initialization
   if (
+    updates.transport !== undefined ||
+    updates.command !== undefined ||
     updates.args !== undefined ||
     updates.env !== undefined ||
+    updates.url !== undefined ||
+    updates.headers !== undefined ||
     updates.apiKeyValue !== undefined ||
     updates.apiKeyAsArg !== undefined
   ) {
     mcp.initialized = false;
     mcp.tools = [];
+    mcp.knownTools = [];
+    mcp.resources = [];
+    mcp.prompts = [];
     // Client will be shut down by lifecycle manager
   }
 
@@ -357,9 +527,21 @@ export function updateMcpState(id, state) {
   if (state.tools !== undefined) {
     mcp.tools = state.tools;
   }
+  if (state.knownTools !== undefined) {
+    mcp.knownTools = state.knownTools;
+  }
+  if (state.resources !== undefined) {
+    mcp.resources = state.resources;
+  }
+  if (state.prompts !== undefined) {
+    mcp.prompts = state.prompts;
+  }
   if (state.client !== undefined) {
     mcp.client = state.client;
   }
+  if (state.status !== undefined) {
+    mcp.status = state.status;
+  }
 }
 
 /**
@@ -370,6 +552,32 @@ export function getEnabledMcps() {
   return mcpRegistry.filter((m) => m.enabled);
 }
 
+/**
+ * Format an optional timestamp for API responses
+ * @param {number|null} time - Epoch milliseconds
+ * @returns {string|null} ISO timestamp
+ */
+function toIso(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+/**
+ * Describe the supervisor status of an MCP for API responses
+ * @param {Object|undefined} status - Supervision record (see mcp/lifecycle.js)
+ * @returns {Object} Health details
+ */
+function describeHealth(status) {
+  return {
+    since: toIso(status?.since),
+    failures: status?.failures || 0,
+    restarts: status?.restarts || 0,
+    circuitOpen: status?.circuitOpen || false,
+    lastError: status?.lastError || null,
+    lastUsedAt: toIso(status?.lastUsedAt),
+    nextRestartAt: toIso(status?.nextRestartAt),
+  };
+}
+
 /**
  * Sanitize MCP for API response (hide sensitive data)
  * @param {Object} mcp - MCP configuration
@@ -380,15 +588,29 @@ function sanitizeMcpForResponse(mcp) {
     id: mcp.id,
     name: mcp.name,
     enabled: mcp.enabled,
+    transport: mcp.transport,
     command: mcp.command,
     args: mcp.args,
+    url: mcp.url,
+    // Header values may hold credentials - only their names are returned
+    headerNames: Object.keys(mcp.headers || {}),
     triggers: mcp.triggers,
+    selectionMode: mcp.selectionMode || 'regex',
+    namespaceTools: mcp.namespaceTools !== false,
+    toolAllowlist: mcp.toolAllowlist || [],
+    toolDenylist: mcp.toolDenylist || [],
+    toolDescriptions: mcp.toolDescriptions || {},
+    systemPrompt: mcp.systemPrompt || null,
     apiKeyName: mcp.apiKeyName,
     apiKeyConfigured: !!mcp.apiKeyValue,
     apiKeyAsArg: mcp.apiKeyAsArg,
     // Runtime state
+    state: mcp.status?.state || 'stopped',
+    health: describeHealth(mcp.status),
     initialized: mcp.initialized,
     toolCount: mcp.tools?.length || 0,
+    resourceCount: mcp.resources?.length || 0,
+    promptCount: mcp.prompts?.length || 0,
   };
 }
 
@@ -412,6 +634,7 @@ export function resetRegistry() {
 }
 
 export default {
+  MCP_TRANSPORTS,
   initRegistry,
   getAllMcps,
   getMcp,
@@ -0,0 +1,58 @@
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import { initRegistry, addMcp, updateMcp, removeMcp, getMcp, getMcpSafe } from './registry.js';
+
+const REMOTE = {
+  id: 'shared-docs',
+  name: 'Shared docs',
+  transport: 'http',
+  url: 'https://mcp.example.com/mcp',
+  headers: { 'X-Team': 'infra' },
+};
+
+describe('remote MCP registration', () => {
+  before(() => {
+    initRegistry();
+  });
+
+  afterEach(() => {
+    for (const id of ['shared-docs', 'local']) {
+      if (getMcp(id)) {
+        removeMcp(id);
+      }
+    }
+  });
+
+  it('stores the URL and headers of a remote MCP and no command', () => {
+    addMcp({ ...REMOTE, command: 'npx' });
+    const mcp = getMcp('shared-docs');
+
+    assert.equal(mcp.transport, 'http');
+    assert.equal(mcp.url, 'https://mcp.example.com/mcp');
+    assert.deepEqual(mcp.headers, { 'X-Team': 'infra' });
+    assert.equal(mcp.command, '');
+    assert.equal(getMcpSafe('shared-docs').apiKeyValue, undefined);
+  });
+
+  it('treats an MCP without a transport as a local command', () => {
+    addMcp({ id: 'local', name: 'Local', command: 'npx', args: ['-y', 'some-mcp'] });
+    assert.equal(getMcp('local').transport, 'stdio');
+  });
+
+  it('rejects invalid transports, URLs and headers', () => {
+    assert.throws(() => addMcp({ ...REMOTE, transport: 'websocket' }), /transport must be one of: stdio, http, sse/);
+    assert.throws(() => addMcp({ ...REMOTE, transport: 'sse', url: 'ftp://mcp.example.com' }), /http\(s\) URL/);
+    assert.throws(() => addMcp({ ...REMOTE, headers: { 'X-Retries': 3 } }), /string values/);
+    assert.throws(() => addMcp({ ...REMOTE, transport: 'stdio', command: 'bash' }), /not allowed/);
+  });
+
+  it('validates a transport change against the merged configuration', () => {
+    addMcp(REMOTE);
+
+    assert.throws(() => updateMcp('shared-docs', { transport: 'stdio' }), /command is required/);
+    updateMcp('shared-docs', { transport: 'sse', url: 'https://mcp.example.com/sse' });
+    assert.equal(getMcp('shared-docs').transport, 'sse');
+  });
+});
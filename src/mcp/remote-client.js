@@ -0,0 +1,708 @@
+/**
+ * Remote MCP Client
+ *
+ * JSON-RPC client for MCP servers reached over the network, with the same
+ * interface as LocalMcpClient so the lifecycle manager can treat both alike:
+ * - http: Streamable HTTP - every message is POSTed to the server URL; replies
+ *   come back as JSON or as an SSE stream. The Mcp-Session-Id returned by
+ *   initialize is sent with every later request, and an expired session
+ *   (404) is re-initialized once.
+ * - sse: legacy HTTP+SSE - a GET stream delivers an 'endpoint' event with the
+ *   URL to POST messages to; replies arrive as 'message' events on the stream.
+ *
+ * Custom headers are sent with every request, and the MCP's API key (if any)
+ * as a bearer token unless the headers already set Authorization.
+ */
+
+import logger from '../utils/logger.js';
+import { withTimeout } from '../utils/cancellation.js';
+
+const PROTOCOL_VERSION = '2024-11-05';
+
+// Time allowed for the SSE stream to announce its message endpoint
+const CONNECT_TIMEOUT_MS = 10000;
+
+/**
+ * Parse the events of an SSE text
+ * @param {string} text - Complete events ("event: x\ndata: y\n\n")
+ * @returns {Array<{event: string, data: string}>} Events ('message' when unnamed)
+ */
+function parseSseEvents(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n\n')
+    .map((block) => {
+      let event = 'message';
+      const data = [];
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) {
+          event = line.slice(6).trim();
+        } else if (line.startsWith('data:')) {
+          data.push(line.slice(5).replace(/^ /, ''));
+        }
+      }
+      return { event, data: data.join('\n') };
+    })
+    .filter((item) => item.data);
+}
+
+/**
+ * Build the Error of a JSON-RPC error response
+ * The JSON-RPC code is kept so callers can tell an answering server from a dead one.
+ * @param {Object} error - JSON-RPC error ({ code, message })
+ * @returns {Error} Error with the JSON-RPC code
+ */
+function toRpcError(error) {
+  const rpcError = new Error(error.message || JSON.stringify(error));
+  rpcError.code = error.code;
+  return rpcError;
+}
+
+/**
+ * Remote MCP client over Streamable HTTP or legacy SSE
+ */
+export class RemoteMcpClient {
+  constructor(config) {
+    this.config = config;
+    this.transport = config.transport === 'sse' ? 'sse' : 'http';
+    this.connected = false;
+    this.sessionId = null;
+    this.endpoint = null; // sse: URL messages are POSTed to
+    this.stream = null; // sse: AbortController of the event stream
+    this.requestId = 0;
+    this.pendingRequests = new Map();
+    this.initialized = false;
+    this.tools = [];
+    this.serverCapabilities = {};
+    this.onExit = null; // Called with the reason when the server goes away unexpectedly
+  }
+
+  /**
+   * Build the headers of a request
+   * @param {Object} extra - Request-specific headers
+   * @returns {Object} Headers
+   */
+  buildHeaders(extra = {}) {
+    const headers = { ...this.config.headers, ...extra };
+    const hasAuthorization = Object.keys(headers).some((name) => name.toLowerCase() === 'authorization');
+    if (this.config.apiKeyValue && !hasAuthorization) {
+      headers.Authorization = `Bearer ${this.config.apiKeyValue}`;
+    }
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    return headers;
+  }
+
+  /**
+   * Connect to the server
+   * Named like LocalMcpClient.spawn so the lifecycle manager can start either
+   * client. Streamable HTTP needs no connection; legacy SSE opens the event
+   * stream and waits for the message endpoint.
+   * @returns {Promise<void>}
+   */
+  async spawn() {
+    if (this.connected) {
+      logger.debug('mcp-remote', 'Already connected', { id: this.config.id });
+      return;
+    }
+
+    logger.info('mcp-remote', 'Connecting to MCP server', {
+      id: this.config.id,
+      transport: this.transport,
+      url: this.config.url,
+    });
+
+    if (this.transport === 'sse') {
+      await this.openStream();
+    }
+    this.connected = true;
+  }
+
+  /**
+   * Open the legacy SSE event stream and wait for its endpoint event
+   * @returns {Promise<void>}
+   */
+  async openStream() {
+    const stream = new AbortController();
+    this.stream = stream;
+    const connectTimer = setTimeout(() => stream.abort(new Error('Timed out waiting for the SSE endpoint event')), CONNECT_TIMEOUT_MS);
+
+    try {
+      const response = await fetch(this.config.url, {
+        headers: this.buildHeaders({ Accept: 'text/event-stream' }),
+        signal: stream.signal,
+      });
+
+      if (!response.ok || !response.body) {
+        throw new Error(`SSE connection failed with status ${response.status}`);
+      }
+
+      await new Promise((resolve, reject) => {
+        this.onEndpoint = resolve;
+        this.readStream(response.body, stream).then(
+          () => reject(new Error('SSE stream closed before announcing its endpoint')),
+          reject,
+        );
+      });
+    } catch (error) {
+      const timedOut = stream.signal.aborted;
+      stream.abort();
+      this.stream = null;
+      throw timedOut ? stream.signal.reason : error;
+    } finally {
+      clearTimeout(connectTimer);
+      this.onEndpoint = null;
+    }
+  }
+
+  /**
+   * Read the SSE event stream until it ends
+   * A stream that ends after the endpoint event fails the pending requests, so
+   * the next call reconnects.
+   * @param {ReadableStream} body - Response body
+   * @param {AbortController} stream - Controller of this stream
+   * @returns {Promise<void>} Resolves when the stream ends
+   */
+  async readStream(body, stream) {
+    const reader = body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true }).replace(/\r\n?/g, '\n');
+        const end = buffer.lastIndexOf('\n\n');
+        if (end === -1) continue;
+
+        const complete = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        for (const { event, data } of parseSseEvents(complete)) {
+          this.handleEvent(event, data);
+        }
+      }
+    } finally {
+      // Only the current stream may reset the connection (a reconnect replaces it)
+      if (this.stream === stream && this.endpoint) {
+        this.handleClose(stream.signal.aborted ? 'aborted' : 'closed');
+      }
+    }
+  }
+
+  /**
+   * Handle an event from the SSE stream
+   * @param {string} event - Event name
+   * @param {string} data - Event data
+   */
+  handleEvent(event, data) {
+    if (event === 'endpoint') {
+      this.endpoint = new URL(data.trim(), this.config.url).href;
+      logger.debug('mcp-remote', 'SSE endpoint received', { id: this.config.id, endpoint: this.endpoint });
+      this.onEndpoint?.();
+      this.onEndpoint = null;
+      return;
+    }
+
+    if (event === 'message') {
+      try {
+        this.handleMessage(JSON.parse(data));
+      } catch (error) {
+        logger.debug('mcp-remote', 'Non-JSON event data', { id: this.config.id, data: data.substring(0, 200) });
+      }
+    }
+  }
+
+  /**
+   * Handle a parsed JSON-RPC message (or batch)
+   * @param {Object|Array} message - JSON-RPC message
+   */
+  handleMessage(message) {
+    if (Array.isArray(message)) {
+      message.forEach((item) => this.handleMessage(item));
+      return;
+    }
+
+    if (message.id !== undefined && this.pendingRequests.has(message.id)) {
+      const { resolve, reject } = this.pendingRequests.get(message.id);
+      this.pendingRequests.delete(message.id);
+
+      if (message.error) {
+        reject(toRpcError(message.error));
+      } else {
+        resolve(message.result);
+      }
+    } else if (message.method) {
+      logger.debug('mcp-remote', 'Received server message', {
+        id: this.config.id,
+        method: message.method,
+      });
+    }
+  }
+
+  /**
+   * Handle the SSE stream ending: pending requests fail and the next call reconnects
+   * @param {string} reason - Why the stream ended
+   */
+  handleClose(reason) {
+    logger.info('mcp-remote', 'SSE stream ended', { id: this.config.id, reason });
+
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(new Error(`MCP SSE stream ${reason}`));
+    }
+    this.pendingRequests.clear();
+
+    this.cleanup();
+    this.onExit?.(`SSE stream ${reason}`);
+  }
+
+  /**
+   * Clean up connection state
+   */
+  cleanup() {
+    this.connected = false;
+    this.initialized = false;
+    this.sessionId = null;
+    this.endpoint = null;
+    this.stream = null;
+  }
+
+  /**
+   * Initialize the MCP connection
+   * @returns {Promise<Object>} Initialize result
+   */
+  async initialize() {
+    if (!this.connected) {
+      await this.spawn();
+    }
+
+    this.sessionId = null;
+    const result = await this.sendRequest('initialize', {
+      protocolVersion: PROTOCOL_VERSION,
+      capabilities: {},
+      clientInfo: { name: 'glm-proxy', version: '1.0.0' },
+    });
+
+    this.initialized = true;
+    this.serverCapabilities = result?.capabilities || {};
+
+    // Send initialized notification
+    await this.sendNotification('notifications/initialized', {});
+
+    logger.info('mcp-remote', 'MCP initialized', {
+      id: this.config.id,
+      transport: this.transport,
+      sessionId: this.sessionId,
+      serverInfo: result?.serverInfo,
+    });
+
+    return result;
+  }
+
+  /**
+   * List available tools from the MCP
+   * @returns {Promise<Array>} Array of tool definitions
+   */
+  async listTools() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const result = await this.sendRequest('tools/list', {});
+    this.tools = result?.tools || [];
+
+    logger.info('mcp-remote', 'Tools discovered', {
+      id: this.config.id,
+      toolCount: this.tools.length,
+      tools: this.tools.map((t) => t.name),
+    });
+
+    return this.tools;
+  }
+
+  /**
+   * Check that the server responds
+   * @param {number} timeout - Timeout in ms
+   * @returns {Promise<void>} Rejects if the server does not answer in time
+   */
+  async ping(timeout = 5000) {
+    await this.sendRequest('ping', {}, timeout);
+  }
+
+  /**
+   * Request every page of a paginated list method
+   * @param {string} method - RPC method name (e.g. 'resources/list')
+   * @param {string} field - Result field holding the items
+   * @returns {Promise<Array>} All items
+   */
+  async listAll(method, field) {
+    const items = [];
+    let cursor;
+    // Bounded in case a server keeps returning a cursor
+    for (let page = 0; page < 20; page++) {
+      const result = await this.sendRequest(method, cursor ? { cursor } : {});
+      items.push(...(result?.[field] || []));
+      cursor = result?.nextCursor;
+      if (!cursor) {
+        break;
+      }
+    }
+    return items;
+  }
+
+  /**
+   * List the resources of the MCP
+   * Servers that do not declare the resources capability have none.
+   * @returns {Promise<Array>} Resources ({ uri, name, description, mimeType })
+   */
+  async listResources() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.serverCapabilities.resources) {
+      return [];
+    }
+
+    const resources = await this.listAll('resources/list', 'resources');
+    logger.info('mcp-remote', 'Resources discovered', {
+      id: this.config.id,
+      resourceCount: resources.length,
+    });
+    return resources;
+  }
+
+  /**
+   * Read a resource of the MCP
+   * @param {string} uri - Resource URI
+   * @param {Object} options - Read options
+   * @param {AbortSignal} options.signal - Cancellation signal (sends notifications/cancelled to the server)
+   * @returns {Promise<Object>} Read result ({ contents })
+   */
+  async readResource(uri, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    logger.info('mcp-remote', 'Reading resource', { id: this.config.id, uri });
+    return this.sendRequest('resources/read', { uri }, undefined, options.signal);
+  }
+
+  /**
+   * List the prompts of the MCP
+   * Servers that do not declare the prompts capability have none.
+   * @returns {Promise<Array>} Prompts ({ name, description, arguments })
+   */
+  async listPrompts() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    if (!this.serverCapabilities.prompts) {
+      return [];
+    }
+
+    const prompts = await this.listAll('prompts/list', 'prompts');
+    logger.info('mcp-remote', 'Prompts discovered', {
+      id: this.config.id,
+      prompts: prompts.map((p) => p.name),
+    });
+    return prompts;
+  }
+
+  /**
+   * Get a prompt of the MCP
+   * @param {string} name - Prompt name
+   * @param {Object} args - Prompt arguments (string values)
+   * @returns {Promise<Object>} Prompt ({ description, messages })
+   */
+  async getPrompt(name, args = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    return this.sendRequest('prompts/get', { name, arguments: args });
+  }
+
+  /**
+   * Call a tool on the MCP
+   * @param {string} name - Tool name
+   * @param {Object} args - Tool arguments
+   * @param {Object} options - Call options
+   * @param {AbortSignal} options.signal - Cancellation signal (sends notifications/cancelled to the server)
+   * @returns {Promise<Object>} Tool result
+   */
+  async callTool(name, args, options = {}) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+
+    const startTime = Date.now();
+
+    logger.info('mcp-remote', 'Calling tool', {
+      id: this.config.id,
+      tool: name,
+      args,
+    });
+
+    try {
+      const result = await this.sendRequest('tools/call', {
+        name,
+        arguments: args,
+      }, undefined, options.signal);
+
+      logger.info('mcp-remote', 'Tool call completed', {
+        id: this.config.id,
+        tool: name,
+        durationMs: Date.now() - startTime,
+      });
+
+      return result;
+    } catch (error) {
+      const durationMs = Date.now() - startTime;
+      if (options.signal?.aborted) {
+        logger.info('mcp-remote', 'Tool call cancelled', {
+          id: this.config.id,
+          tool: name,
+          durationMs,
+        });
+        throw error;
+      }
+      logger.error('mcp-remote', 'Tool call failed', {
+        id: this.config.id,
+        tool: name,
+        durationMs,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Send a JSON-RPC request and wait for response
+   * @param {string} method - RPC method name
+   * @param {Object} params - Method parameters
+   * @param {number} timeout - Timeout in ms (default 30s)
+   * @param {AbortSignal} signal - Cancellation signal (optional)
+   * @returns {Promise<any>} Response result
+   */
+  async sendRequest(method, params, timeout = 30000, signal = null) {
+    signal?.throwIfAborted();
+    const id = ++this.requestId;
+
+    try {
+      return this.transport === 'sse'
+        ? await this.sendSseRequest(id, method, params, timeout, signal)
+        : await this.sendHttpRequest(id, method, params, timeout, signal);
+    } catch (error) {
+      if (signal?.aborted) {
+        // Tell the server to stop working on a request nobody is waiting for
+        this.sendNotification('notifications/cancelled', {
+          requestId: id,
+          reason: signal.reason?.message || 'Request cancelled',
+        }).catch(() => {});
+        throw signal.reason;
+      }
+      if (error.name === 'TimeoutError') {
+        throw new Error(`Request timeout after ${timeout}ms`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Send a request over Streamable HTTP
+   * @param {number} id - JSON-RPC request ID
+   * @param {string} method - RPC method name
+   * @param {Object} params - Method parameters
+   * @param {number} timeout - Timeout in ms
+   * @param {AbortSignal} signal - Cancellation signal
+   * @param {boolean} retried - Whether this is the retry after an expired session
+   * @returns {Promise<any>} Response result
+   */
+  async sendHttpRequest(id, method, params, timeout, signal, retried = false) {
+    const response = await fetch(this.config.url, {
+      method: 'POST',
+      headers: this.buildHeaders({
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+      }),
+      body: JSON.stringify({ jsonrpc: '2.0', id, method, params }),
+      signal: withTimeout(signal, timeout),
+    });
+
+    // The server forgot our session: start a new one and try once more
+    if (response.status === 404 && this.sessionId && method !== 'initialize' && !retried) {
+      logger.info('mcp-remote', 'MCP session expired, re-initializing', { id: this.config.id });
+      await response.body?.cancel();
+      this.initialized = false;
+      await this.initialize();
+      return this.sendHttpRequest(id, method, params, timeout, signal, true);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`MCP request failed with status ${response.status}: ${errorText.substring(0, 200)}`);
+    }
+
+    if (method === 'initialize') {
+      this.sessionId = response.headers.get('mcp-session-id');
+    }
+
+    const text = await response.text();
+    const contentType = response.headers.get('content-type') || '';
+    const messages = contentType.includes('text/event-stream')
+      ? parseSseEvents(text).filter((item) => item.event === 'message').map((item) => JSON.parse(item.data))
+      : [JSON.parse(text)];
+
+    const reply = messages.flat().find((message) => message?.id === id);
+    if (!reply) {
+      throw new Error(`No response to ${method} from MCP server`);
+    }
+    if (reply.error) {
+      throw toRpcError(reply.error);
+    }
+    return reply.result;
+  }
+
+  /**
+   * Send a request over legacy SSE (the reply arrives on the event stream)
+   * @param {number} id - JSON-RPC request ID
+   * @param {string} method - RPC method name
+   * @param {Object} params - Method parameters
+   * @param {number} timeout - Timeout in ms
+   * @param {AbortSignal} signal - Cancellation signal
+   * @returns {Promise<any>} Response result
+   */
+  sendSseRequest(id, method, params, timeout, signal) {
+    if (!this.endpoint) {
+      return Promise.reject(new Error('MCP SSE stream not connected'));
+    }
+
+    const reply = new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', onAbort);
+      };
+      const onAbort = () => {
+        this.pendingRequests.delete(id);
+        done();
+        reject(signal.reason);
+      };
+      const timeoutId = setTimeout(() => {
+        this.pendingRequests.delete(id);
+        done();
+        reject(new Error(`Request timeout after ${timeout}ms`));
+      }, timeout);
+
+      this.pendingRequests.set(id, {
+        resolve: (result) => {
+          done();
+          resolve(result);
+        },
+        reject: (error) => {
+          done();
+          reject(error);
+        },
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+
+    return this.post({ jsonrpc: '2.0', id, method, params }, signal)
+      .then(() => reply, (error) => {
+        this.pendingRequests.get(id)?.reject(error);
+        return reply;
+      });
+  }
+
+  /**
+   * POST a message to the legacy SSE message endpoint
+   * @param {Object} message - JSON-RPC message
+   * @param {AbortSignal} signal - Cancellation signal (optional)
+   * @returns {Promise<void>}
+   */
+  async post(message, signal = null) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: this.buildHeaders({ 'Content-Type': 'application/json' }),
+      body: JSON.stringify(message),
+      signal: withTimeout(signal, CONNECT_TIMEOUT_MS),
+    });
+    await response.body?.cancel();
+
+    if (!response.ok) {
+      throw new Error(`MCP message POST failed with status ${response.status}`);
+    }
+  }
+
+  /**
+   * Send a JSON-RPC notification (no response expected)
+   * @param {string} method - RPC method name
+   * @param {Object} params - Method parameters
+   * @returns {Promise<void>}
+   */
+  async sendNotification(method, params) {
+    const notification = { jsonrpc: '2.0', method, params };
+
+    if (this.transport === 'sse') {
+      if (this.endpoint) {
+        await this.post(notification);
+      }
+    } else {
+      const response = await fetch(this.config.url, {
+        method: 'POST',
+        headers: this.buildHeaders({
+          'Content-Type': 'application/json',
+          Accept: 'application/json, text/event-stream',
+        }),
+        body: JSON.stringify(notification),
+        signal: AbortSignal.timeout(CONNECT_TIMEOUT_MS),
+      });
+      await response.body?.cancel();
+    }
+
+    logger.debug('mcp-remote', 'Notification sent', {
+      id: this.config.id,
+      method,
+    });
+  }
+
+  /**
+   * Close the connection
+   * Ends the Streamable HTTP session (DELETE) or the SSE stream.
+   */
+  shutdown() {
+    this.onExit = null; // Deliberate - not reported as a crash
+    if (!this.connected) {
+      return;
+    }
+
+    logger.info('mcp-remote', 'Disconnecting from MCP server', { id: this.config.id });
+
+    if (this.transport === 'http' && this.sessionId) {
+      fetch(this.config.url, {
+        method: 'DELETE',
+        headers: this.buildHeaders(),
+        signal: AbortSignal.timeout(CONNECT_TIMEOUT_MS),
+      }).then((response) => response.body?.cancel(), () => {});
+    }
+
+    const stream = this.stream;
+    for (const { reject } of this.pendingRequests.values()) {
+      reject(new Error('MCP connection closed'));
+    }
+    this.pendingRequests.clear();
+    this.cleanup();
+    stream?.abort();
+  }
+
+  /**
+   * Check if the client is connected and initialized
+   * @returns {boolean} True if ready
+   */
+  isReady() {
+    return this.connected && this.initialized;
+  }
+}
+
+export default RemoteMcpClient;
@@ -0,0 +1,205 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import '../utils/test-home.js';
+import { RemoteMcpClient } from './remote-client.js';
+
+/**
+ * Local MCP server speaking both remote transports:
+ * - POST /mcp: Streamable HTTP (tools/list answers as an SSE stream)
+ * - GET /sse + POST /messages: legacy HTTP+SSE
+ * With `expireSession` set, the next request carrying a session gets a 404.
+ */
+const mcp = {
+  requests: [],
+  expireSession: false,
+  sessions: 0,
+  streams: [],
+};
+
+const TOOLS = [{ name: 'echo', inputSchema: { type: 'object' } }];
+
+/**
+ * Answer a JSON-RPC request
+ * @param {Object} message - JSON-RPC request
+ * @returns {Object} JSON-RPC response
+ */
+function answer(message) {
+  switch (message.method) {
+    case 'initialize':
+      return { jsonrpc: '2.0', id: message.id, result: { capabilities: { tools: {} }, serverInfo: { name: 'mock' } } };
+    case 'tools/list':
+      return { jsonrpc: '2.0', id: message.id, result: { tools: TOOLS } };
+    case 'tools/call':
+      return message.params.name === 'echo'
+        ? { jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text: JSON.stringify(message.params.arguments) }] } }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32602, message: `Unknown tool: ${message.params.name}` } };
+    default:
+      return { jsonrpc: '2.0', id: message.id, result: {} };
+  }
+}
+
+const server = http.createServer((req, res) => {
+  if (req.method === 'GET' && req.url === '/sse') {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    res.write('event: endpoint\ndata: /messages?session=1\n\n');
+    mcp.streams.push(res);
+    return;
+  }
+
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const message = body ? JSON.parse(body) : null;
+    mcp.requests.push({ method: req.method, url: req.url, headers: req.headers, rpc: message?.method });
+
+    if (req.method === 'DELETE') {
+      res.writeHead(200);
+      res.end();
+      return;
+    }
+
+    if (req.url.startsWith('/messages')) {
+      res.writeHead(202);
+      res.end();
+      if (message.id !== undefined) {
+        mcp.streams.at(-1).write(`event: message\ndata: ${JSON.stringify(answer(message))}\n\n`);
+      }
+      return;
+    }
+
+    if (mcp.expireSession && req.headers['mcp-session-id']) {
+      mcp.expireSession = false;
+      res.writeHead(404);
+      res.end('Session not found');
+      return;
+    }
+    if (message.id === undefined) {
+      res.writeHead(202);
+      res.end();
+      return;
+    }
+
+    const headers = message.method === 'initialize' ? { 'Mcp-Session-Id': `session-${++mcp.sessions}` } : {};
+    if (message.method === 'tools/list') {
+      res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+      res.end(`event: message\ndata: ${JSON.stringify(answer(message))}\n\n`);
+      return;
+    }
+    res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(answer(message)));
+  });
+});
+
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  server.closeAllConnections();
+});
+
+beforeEach(() => {
+  mcp.requests = [];
+  mcp.expireSession = false;
+});
+
+/**
+ * Requests received for one JSON-RPC method
+ * @param {string} rpc - Method name
+ * @returns {Array<Object>} Requests
+ */
+function requestsFor(rpc) {
+  return mcp.requests.filter((request) => request.rpc === rpc);
+}
+
+describe('RemoteMcpClient over Streamable HTTP', () => {
+  it('initializes, keeps the session and reads JSON and SSE replies', async () => {
+    const client = new RemoteMcpClient({ id: 'remote', transport: 'http', url: `${baseUrl}/mcp`, headers: { 'X-Team': 'infra' }, apiKeyValue: 'secret' });
+
+    assert.deepEqual(await client.listTools(), TOOLS);
+    const result = await client.callTool('echo', { text: 'hi' });
+
+    assert.equal(result.content[0].text, '{"text":"hi"}');
+    assert.ok(client.isReady());
+    assert.deepEqual(mcp.requests.map((r) => r.rpc), ['initialize', 'notifications/initialized', 'tools/list', 'tools/call']);
+
+    const call = requestsFor('tools/call')[0];
+    assert.equal(call.headers['x-team'], 'infra');
+    assert.equal(call.headers.authorization, 'Bearer secret');
+    assert.equal(call.headers['mcp-session-id'], client.sessionId);
+    assert.equal(requestsFor('initialize')[0].headers['mcp-session-id'], undefined);
+
+    client.shutdown();
+  });
+
+  it('lets a custom Authorization header win over the API key', async () => {
+    const client = new RemoteMcpClient({ id: 'remote', url: `${baseUrl}/mcp`, headers: { Authorization: 'Token abc' }, apiKeyValue: 'secret' });
+    await client.initialize();
+
+    assert.equal(requestsFor('initialize')[0].headers.authorization, 'Token abc');
+    client.shutdown();
+  });
+
+  it('re-initializes once when the server forgets the session', async () => {
+    const client = new RemoteMcpClient({ id: 'remote', url: `${baseUrl}/mcp` });
+    await client.initialize();
+    const firstSession = client.sessionId;
+
+    mcp.expireSession = true;
+    await client.callTool('echo', { n: 1 });
+
+    assert.equal(requestsFor('initialize').length, 2);
+    assert.notEqual(client.sessionId, firstSession);
+    assert.equal(requestsFor('tools/call').at(-1).headers['mcp-session-id'], client.sessionId);
+    client.shutdown();
+  });
+
+  it('keeps the JSON-RPC code of an error reply', async () => {
+    const client = new RemoteMcpClient({ id: 'remote', url: `${baseUrl}/mcp` });
+    await assert.rejects(client.callTool('missing', {}), (error) => error.code === -32602 && /Unknown tool/.test(error.message));
+    client.shutdown();
+  });
+
+  it('ends the session with a DELETE on shutdown', async () => {
+    const client = new RemoteMcpClient({ id: 'remote', url: `${baseUrl}/mcp` });
+    await client.initialize();
+    const { sessionId } = client;
+    client.shutdown();
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(mcp.requests.some((r) => r.method === 'DELETE' && r.headers['mcp-session-id'] === sessionId));
+    assert.ok(!client.isReady());
+  });
+});
+
+describe('RemoteMcpClient over legacy SSE', () => {
+  it('posts to the announced endpoint and reads replies from the stream', async () => {
+    const client = new RemoteMcpClient({ id: 'legacy', transport: 'sse', url: `${baseUrl}/sse`, apiKeyValue: 'secret' });
+
+    assert.deepEqual(await client.listTools(), TOOLS);
+    assert.equal(client.endpoint, `${baseUrl}/messages?session=1`);
+    assert.ok(mcp.requests.every((r) => r.url === '/messages?session=1' && r.headers.authorization === 'Bearer secret'));
+
+    client.shutdown();
+  });
+
+  it('fails pending requests and reports the exit when the stream ends', async () => {
+    const client = new RemoteMcpClient({ id: 'legacy', transport: 'sse', url: `${baseUrl}/sse` });
+    await client.initialize();
+    let exitReason = null;
+    client.onExit = (reason) => { exitReason = reason; };
+
+    mcp.streams.at(-1).end();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+
+    assert.equal(exitReason, 'SSE stream closed');
+    assert.ok(!client.isReady());
+    await assert.rejects(client.sendRequest('ping', {}), /not connected/);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * MCP Resources and Prompts
+ *
+ * Helpers for the resources and prompts a custom MCP exposes:
+ * - A synthetic read tool per MCP (`<id>__read_resource`), injected next to the
+ *   MCP's own tools so GLM can read its resources
+ * - Formatting of resources/read and prompts/get results as plain text
+ */
+
+import { RESOURCE_TOOL, getNamespacedName } from './tool-policy.js';
+
+// Resources listed in the read tool description (the rest are still readable)
+const MAX_LISTED_RESOURCES = 25;
+
+/**
+ * Get the name of the resource read tool of an MCP
+ * @param {string} mcpId - MCP ID
+ * @returns {string} Tool name
+ */
+export function getResourceToolName(mcpId) {
+  return getNamespacedName(mcpId, RESOURCE_TOOL);
+}
+
+/**
+ * Check whether a tool name is the resource read tool of an MCP
+ * @param {Object} mcp - MCP configuration with runtime state
+ * @param {string} toolName - Tool name
+ * @returns {boolean} True if the MCP has resources and the name is its read tool
+ */
+export function isResourceTool(mcp, toolName) {
+  return mcp.resources?.length > 0 && toolName === getResourceToolName(mcp.id);
+}
+
+/**
+ * Build the resource read tool of an MCP (MCP tool format)
+ * @param {Object} mcp - MCP configuration with runtime state
+ * @returns {Object|null} Tool definition, or null if the MCP has no resources
+ */
+export function buildResourceTool(mcp) {
+  if (!mcp.resources?.length) {
+    return null;
+  }
+
+  const listed = mcp.resources.slice(0, MAX_LISTED_RESOURCES).map((resource) => {
+    const label = resource.name && resource.name !== resource.uri ? ` (${resource.name})` : '';
+    const description = resource.description ? ` - ${resource.description}` : '';
+    return `- ${resource.uri}${label}${description}`;
+  });
+  if (mcp.resources.length > MAX_LISTED_RESOURCES) {
+    listed.push(`- ... and ${mcp.resources.length - MAX_LISTED_RESOURCES} more`);
+  }
+
+  return {
+    name: getResourceToolName(mcp.id),
+    description: `Read a resource from the ${mcp.name} MCP server by URI. Available resources:\n${listed.join('\n')}`,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        uri: {
+          type: 'string',
+          description: 'URI of the resource to read',
+        },
+      },
+      required: ['uri'],
+    },
+  };
+}
+
+/**
+ * Format a resources/read result as text
+ * @param {Object} result - Read result ({ contents })
+ * @returns {string} Resource text
+ */
+export function formatResourceContents(result) {
+  const contents = result?.contents || [];
+  if (contents.length === 0) {
+    return 'Resource is empty.';
+  }
+
+  return contents
+    .map((item) => {
+      const body = typeof item.text === 'string'
+        ? item.text
+        : `[Binary resource: ${item.mimeType || 'application/octet-stream'}, ${Math.floor(((item.blob || '').length * 3) / 4)} bytes]`;
+      return contents.length > 1 ? `${item.uri}\n${body}` : body;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Format a prompts/get result as text
+ * Text content and embedded text resources are kept; other content is dropped.
+ * @param {Object} result - Prompt ({ description, messages })
+ * @returns {string} Prompt text
+ */
+export function formatPromptMessages(result) {
+  return (result?.messages || [])
+    .map((message) => {
+      const content = message.content || {};
+      if (content.type === 'text') {
+        return content.text;
+      }
+      if (content.type === 'resource' && typeof content.resource?.text === 'string') {
+        return content.resource.text;
+      }
+      return '';
+    })
+    .filter((text) => text)
+    .join('\n\n');
+}
+
+export default {
+  getResourceToolName,
+  isResourceTool,
+  buildResourceTool,
+  formatResourceContents,
+  formatPromptMessages,
+};
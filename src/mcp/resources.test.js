@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getResourceToolName,
+  isResourceTool,
+  buildResourceTool,
+  formatResourceContents,
+  formatPromptMessages,
+} from './resources.js';
+
+const MCP = {
+  id: 'docs',
+  name: 'Docs',
+  resources: [
+    { uri: 'docs://guide', name: 'Guide', description: 'User guide' },
+    { uri: 'docs://faq', name: 'docs://faq' },
+  ],
+};
+
+describe('resource read tool', () => {
+  it('is namespaced under the MCP and only exists when the MCP has resources', () => {
+    assert.equal(getResourceToolName('docs'), 'docs__read_resource');
+    assert.ok(isResourceTool(MCP, 'docs__read_resource'));
+    assert.ok(!isResourceTool({ ...MCP, resources: [] }, 'docs__read_resource'));
+    assert.equal(buildResourceTool({ ...MCP, resources: [] }), null);
+  });
+
+  it('lists the resources in its description', () => {
+    const tool = buildResourceTool(MCP);
+
+    assert.equal(tool.name, 'docs__read_resource');
+    assert.match(tool.description, /- docs:\/\/guide \(Guide\) - User guide\n- docs:\/\/faq$/);
+    assert.deepEqual(tool.inputSchema.required, ['uri']);
+  });
+
+  it('lists at most 25 resources', () => {
+    const resources = Array.from({ length: 30 }, (_, i) => ({ uri: `docs://page/${i}` }));
+    const { description } = buildResourceTool({ ...MCP, resources });
+
+    assert.match(description, /docs:\/\/page\/24\n- \.\.\. and 5 more$/);
+    assert.doesNotMatch(description, /docs:\/\/page\/25/);
+  });
+});
+
+describe('formatResourceContents', () => {
+  it('returns the text of a single resource', () => {
+    assert.equal(formatResourceContents({ contents: [{ uri: 'docs://guide', text: 'Hello' }] }), 'Hello');
+    assert.equal(formatResourceContents({ contents: [] }), 'Resource is empty.');
+  });
+
+  it('labels several contents with their URI and describes binary ones', () => {
+    const text = formatResourceContents({
+      contents: [
+        { uri: 'docs://guide', text: 'Hello' },
+        { uri: 'docs://logo', mimeType: 'image/png', blob: 'AAAA' },
+      ],
+    });
+    assert.equal(text, 'docs://guide\nHello\n\ndocs://logo\n[Binary resource: image/png, 3 bytes]');
+  });
+});
+
+describe('formatPromptMessages', () => {
+  it('keeps text and embedded text resources', () => {
+    const text = formatPromptMessages({
+      messages: [
+        { role: 'user', content: { type: 'text', text: 'Follow the style guide.' } },
+        { role: 'user', content: { type: 'resource', resource: { uri: 'docs://style', text: 'Use tabs.' } } },
+        { role: 'user', content: { type: 'image', data: 'AAAA', mimeType: 'image/png' } },
+      ],
+    });
+    assert.equal(text, 'Follow the style guide.\n\nUse tabs.');
+  });
+});
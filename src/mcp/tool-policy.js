@@ -0,0 +1,119 @@
+/**
+ * MCP Tool Policy
+ *
+ * How the tools of a custom MCP are offered to GLM:
+ * - Namespaced as <id>__<tool> (e.g. playwright__browser_navigate) unless the
+ *   MCP turns namespaceTools off, so servers with tools of the same name do not
+ *   collide. Names that have to be shortened or cleaned up to fit the API's
+ *   tool name rules end in a hash of the full name, so they stay distinct.
+ *   Calls are mapped back to the server's own tool name on dispatch.
+ * - Filtered by toolAllowlist (when not empty) and toolDenylist - tool names
+ *   with * and ? wildcards; the denylist wins
+ * - With descriptions replaced from toolDescriptions (by tool name)
+ * The synthetic resource read tool (see resources.js) is always namespaced and
+ * goes by 'read_resource' in the lists.
+ */
+
+import { createHash } from 'node:crypto';
+
+import { matchesGlob } from '../utils/glob.js';
+
+// Name of the resource read tool in allow/deny lists and description overrides
+export const RESOURCE_TOOL = 'read_resource';
+
+// Tool name rules of the Anthropic and OpenAI APIs
+const MAX_TOOL_NAME_LENGTH = 64;
+const VALID_TOOL_NAME = /^[a-zA-Z0-9_-]+$/;
+
+// Hex characters of the hash that keeps shortened names distinct
+const NAME_HASH_LENGTH = 8;
+
+/**
+ * Get the namespaced name of an MCP tool
+ * @param {string} mcpId - MCP ID
+ * @param {string} toolName - Tool name on the server
+ * @returns {string} <id>__<tool>, or when that breaks the API's rules a sanitized,
+ *   shortened form ending in _<hash of the full name> (at most 64 characters)
+ */
+export function getNamespacedName(mcpId, toolName) {
+  const name = `${mcpId}__${toolName}`;
+  if (name.length <= MAX_TOOL_NAME_LENGTH && VALID_TOOL_NAME.test(name)) {
+    return name;
+  }
+
+  const hash = createHash('sha256').update(name).digest('hex').slice(0, NAME_HASH_LENGTH);
+  const prefix = mcpId.replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 48);
+  const readable = `${prefix}__${toolName.replace(/[^a-zA-Z0-9_-]/g, '_')}`
+    .slice(0, MAX_TOOL_NAME_LENGTH - NAME_HASH_LENGTH - 1);
+  return `${readable}_${hash}`;
+}
+
+/**
+ * Get the name a tool of an MCP is offered to GLM under
+ * @param {Object} mcp - MCP configuration
+ * @param {string} toolName - Tool name on the server
+ * @returns {string} Namespaced name, or the server's name when namespacing is off
+ */
+export function getExposedName(mcp, toolName) {
+  return mcp.namespaceTools === false ? toolName : getNamespacedName(mcp.id, toolName);
+}
+
+/**
+ * Check whether the allow/deny lists of an MCP let GLM use a tool
+ * @param {Object} mcp - MCP configuration
+ * @param {string} toolName - Tool name on the server ('read_resource' for the resource tool)
+ * @returns {boolean} True if the tool may be offered and called
+ */
+export function isToolAllowed(mcp, toolName) {
+  const allowlist = mcp.toolAllowlist || [];
+  if ((mcp.toolDenylist || []).some((pattern) => matchesGlob(pattern, toolName))) {
+    return false;
+  }
+  return allowlist.length === 0 || allowlist.some((pattern) => matchesGlob(pattern, toolName));
+}
+
+/**
+ * Apply the tool policy of an MCP to its tools
+ * @param {Object} mcp - MCP configuration
+ * @param {Array} tools - Tools in MCP format, as discovered (may include the resource tool)
+ * @returns {Array} Allowed tools, renamed and with overridden descriptions
+ */
+export function exposeTools(mcp, tools) {
+  const resourceToolName = getNamespacedName(mcp.id, RESOURCE_TOOL);
+  const overrides = mcp.toolDescriptions || {};
+
+  const exposed = [];
+  for (const tool of tools) {
+    const isResourceTool = tool.name === resourceToolName;
+    const policyName = isResourceTool ? RESOURCE_TOOL : tool.name;
+    if (!isToolAllowed(mcp, policyName)) {
+      continue;
+    }
+    exposed.push({
+      ...tool,
+      name: isResourceTool ? tool.name : getExposedName(mcp, tool.name),
+      description: overrides[policyName] || tool.description,
+    });
+  }
+  return exposed;
+}
+
+/**
+ * Map the name GLM called a tool by back to the server's tool name
+ * @param {Object} mcp - Initialized MCP
+ * @param {string} exposedName - Tool name as offered to GLM
+ * @returns {string|null} Server tool name, or null if the MCP offers no such allowed tool
+ */
+export function resolveToolName(mcp, exposedName) {
+  const tool = (mcp.tools || []).find((t) => getExposedName(mcp, t.name) === exposedName);
+  return tool && isToolAllowed(mcp, tool.name) ? tool.name : null;
+}
+
+export default {
+  RESOURCE_TOOL,
+  getNamespacedName,
+  getExposedName,
+  isToolAllowed,
+  exposeTools,
+  resolveToolName,
+};
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  getNamespacedName,
+  getExposedName,
+  isToolAllowed,
+  exposeTools,
+  resolveToolName,
+} from './tool-policy.js';
+
+const VALID_TOOL_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+describe('getNamespacedName', () => {
+  it('prefixes the MCP id and leaves short names readable', () => {
+    assert.equal(getNamespacedName('playwright', 'browser_navigate'), 'playwright__browser_navigate');
+  });
+
+  it('keeps tools sharing a 64-character prefix apart', () => {
+    const long = 'x'.repeat(70);
+    const first = getNamespacedName('docs', `${long}_first`);
+    const second = getNamespacedName('docs', `${long}_second`);
+
+    assert.notEqual(first, second);
+    assert.match(first, VALID_TOOL_NAME);
+    assert.match(second, VALID_TOOL_NAME);
+    assert.ok(first.startsWith('docs__xxx'));
+  });
+
+  it('does not collide on ids that only differ in sanitized characters', () => {
+    const dotted = getNamespacedName('a.b', 'search');
+    const underscored = getNamespacedName('a_b', 'search');
+
+    assert.notEqual(dotted, underscored);
+    assert.equal(underscored, 'a_b__search');
+    assert.match(dotted, VALID_TOOL_NAME);
+  });
+});
+
+describe('tool policy', () => {
+  const long = `fetch_${'page_'.repeat(15)}`;
+  const mcp = {
+    id: 'web',
+    toolAllowlist: ['fetch_*', 'search'],
+    toolDenylist: ['fetch_raw'],
+    toolDescriptions: { search: 'Search the web' },
+    tools: [
+      { name: 'search', description: 'Search' },
+      { name: 'fetch_raw', description: 'Raw fetch' },
+      { name: long, description: 'Long' },
+      { name: 'admin', description: 'Admin' },
+    ],
+  };
+
+  it('lets the denylist win over the allowlist', () => {
+    assert.ok(isToolAllowed(mcp, 'search'));
+    assert.ok(isToolAllowed(mcp, 'fetch_page'));
+    assert.ok(!isToolAllowed(mcp, 'fetch_raw'));
+    assert.ok(!isToolAllowed(mcp, 'admin'));
+  });
+
+  it('exposes allowed tools under namespaced names with description overrides', () => {
+    const exposed = exposeTools(mcp, mcp.tools);
+
+    assert.deepEqual(exposed.map((t) => t.name), ['web__search', getNamespacedName('web', long)]);
+    assert.equal(exposed[0].description, 'Search the web');
+  });
+
+  it('maps exposed names back to the server tool name', () => {
+    assert.equal(resolveToolName(mcp, getExposedName(mcp, long)), long);
+    assert.equal(resolveToolName(mcp, 'web__search'), 'search');
+    assert.equal(resolveToolName(mcp, 'web__fetch_raw'), null);
+    assert.equal(resolveToolName({ ...mcp, namespaceTools: false }, 'search'), 'search');
+  });
+});
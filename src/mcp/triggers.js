@@ -1,121 +1,38 @@
 /**
- * MCP Trigger Detection
+ * MCP Tool Lookup
  *
- * Detects when user messages contain trigger keywords for custom MCPs.
- * Each MCP can have its own set of trigger phrases.
+ * Finds the custom MCP a tool call belongs to, by the (namespaced) name its
+ * tools are offered under. Which MCPs are injected into a request is decided by
+ * the tool selection engine (see tools/selection.js).
  */
 
 import { getEnabledMcps } from './registry.js';
-import logger from '../utils/logger.js';
+import { isResourceTool, buildResourceTool } from './resources.js';
+import { RESOURCE_TOOL, isToolAllowed, resolveToolName } from './tool-policy.js';
 
 /**
- * Check which MCPs are triggered by the user message
- * @param {Array} messages - Anthropic format messages
- * @returns {Array} Array of triggered MCP IDs
+ * Check if a tool belongs to a custom MCP
+ * Includes the synthetic resource read tool of MCPs with resources.
+ * Tools the MCP's allow/deny lists exclude are not matched.
+ * @param {string} toolName - Tool name to check, as offered to GLM
+ * @returns {Object|null} MCP info { mcpId, tool } (tool as listed by the server) or null
  */
-export function getTriggeredMcps(messages) {
-  if (!messages || messages.length === 0) {
-    return [];
-  }
-
-  // Find the last user message
-  const lastUserMessage = [...messages].reverse().find((m) => m.role === 'user');
-  if (!lastUserMessage) {
-    return [];
-  }
-
-  // Extract text content from the message
-  let textContent = '';
-  if (typeof lastUserMessage.content === 'string') {
-    textContent = lastUserMessage.content;
-  } else if (Array.isArray(lastUserMessage.content)) {
-    textContent = lastUserMessage.content
-      .filter((block) => block.type === 'text')
-      .map((block) => block.text)
-      .join(' ');
-  }
-
-  const lowerContent = textContent.toLowerCase();
-
-  // Check each enabled MCP for trigger matches
+export function findMcpForTool(toolName) {
   const enabledMcps = getEnabledMcps();
-  const triggeredMcps = [];
 
   for (const mcp of enabledMcps) {
-    if (!mcp.triggers || mcp.triggers.length === 0) {
+    if (isResourceTool(mcp, toolName)) {
+      if (isToolAllowed(mcp, RESOURCE_TOOL)) {
+        return { mcpId: mcp.id, tool: buildResourceTool(mcp) };
+      }
       continue;
     }
 
-    // Check if any trigger phrase matches
-    const matchedTrigger = mcp.triggers.find((trigger) =>
-      lowerContent.includes(trigger.toLowerCase())
-    );
-
-    if (matchedTrigger) {
-      logger.info('mcp-triggers', 'MCP triggered', {
-        mcpId: mcp.id,
-        trigger: matchedTrigger,
-        messagePreview: textContent.substring(0, 100),
-      });
-      triggeredMcps.push(mcp.id);
-    }
-  }
-
-  if (triggeredMcps.length > 0) {
-    logger.info('mcp-triggers', 'Triggered MCPs', { mcps: triggeredMcps });
-  }
-
-  return triggeredMcps;
-}
-
-/**
- * Check if a specific MCP is triggered by the user message
- * @param {string} mcpId - MCP ID
- * @param {Array} messages - Anthropic format messages
- * @returns {boolean} True if MCP is triggered
- */
-export function isMcpTriggered(mcpId, messages) {
-  const triggeredMcps = getTriggeredMcps(messages);
-  return triggeredMcps.includes(mcpId);
-}
-
-/**
- * Get all tools from triggered MCPs
- * @param {Array} messages - Anthropic format messages
- * @returns {Object} Object with { mcpIds: string[], tools: Array }
- */
-export function getTriggeredMcpTools(messages) {
-  const triggeredMcps = getTriggeredMcps(messages);
-  const enabledMcps = getEnabledMcps();
-
-  const tools = [];
-  const mcpIds = [];
-
-  for (const mcpId of triggeredMcps) {
-    const mcp = enabledMcps.find((m) => m.id === mcpId);
-    if (mcp && mcp.initialized && mcp.tools) {
-      mcpIds.push(mcpId);
-      tools.push(...mcp.tools);
-    }
-  }
-
-  return { mcpIds, tools };
-}
-
-/**
- * Check if a tool belongs to a custom MCP
- * @param {string} toolName - Tool name to check
- * @returns {Object|null} MCP info { mcpId, tool } or null
- */
-export function findMcpForTool(toolName) {
-  const enabledMcps = getEnabledMcps();
-
-  for (const mcp of enabledMcps) {
     if (!mcp.tools) continue;
 
-    const tool = mcp.tools.find((t) => t.name === toolName);
-    if (tool) {
-      return { mcpId: mcp.id, tool };
+    const serverToolName = resolveToolName(mcp, toolName);
+    if (serverToolName) {
+      return { mcpId: mcp.id, tool: mcp.tools.find((t) => t.name === serverToolName) };
     }
   }
 
@@ -132,9 +49,6 @@ export function isCustomMcpTool(toolName) {
 }
 
 export default {
-  getTriggeredMcps,
-  isMcpTriggered,
-  getTriggeredMcpTools,
   findMcpForTool,
   isCustomMcpTool,
 };
@@ -0,0 +1,154 @@
+/**
+ * Proxy Metrics
+ *
+ * The metrics exposed on GET /metrics and the helpers that record them.
+ * Durations are in seconds, as Prometheus expects.
+ *
+ * The endpoint label is the path a request took ('anthropic', 'openai' or
+ * 'bigmodel'), 'cache' for response cache hits and 'none' for requests that
+ * failed before being routed. The model label is the requested model when it
+ * is a configured model or alias, else the model sent upstream, else 'other',
+ * so clients cannot create unbounded label values.
+ */
+
+import { createCounter, createGauge, createHistogram } from './registry.js';
+
+const requestsTotal = createCounter({
+  name: 'ccglm_requests_total',
+  help: 'Messages requests by endpoint path taken, model and HTTP status',
+  labelNames: ['endpoint', 'model', 'status'],
+});
+
+const upstreamDuration = createHistogram({
+  name: 'ccglm_upstream_request_duration_seconds',
+  help: 'Duration of upstream calls (streams until the upstream stream ends)',
+  labelNames: ['endpoint', 'provider', 'outcome'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120],
+});
+
+const timeToFirstToken = createHistogram({
+  name: 'ccglm_time_to_first_token_seconds',
+  help: 'Time from request arrival to the first streamed content delta',
+  labelNames: ['endpoint'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+});
+
+const toolLoopIterations = createHistogram({
+  name: 'ccglm_tool_loop_iterations',
+  help: 'Upstream calls made by the tool loop per request',
+  labelNames: ['endpoint'],
+  buckets: [1, 2, 3, 5, 10, 20],
+});
+
+const toolCallsTotal = createCounter({
+  name: 'ccglm_tool_calls_total',
+  help: 'Internal tool calls by MCP server, tool and outcome',
+  labelNames: ['mcp', 'tool', 'outcome'],
+});
+
+const toolCallDuration = createHistogram({
+  name: 'ccglm_tool_call_duration_seconds',
+  help: 'Duration of internal tool calls by MCP server and tool',
+  labelNames: ['mcp', 'tool'],
+  buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+});
+
+const mcpRestartsTotal = createCounter({
+  name: 'ccglm_mcp_restarts_total',
+  help: 'Local MCP server processes started again after their first start',
+  labelNames: ['mcp'],
+});
+
+const activeStreams = createGauge({
+  name: 'ccglm_active_streams',
+  help: 'Streaming requests in progress',
+});
+
+const trafficSubscribers = createGauge({
+  name: 'ccglm_traffic_subscribers',
+  help: 'Clients connected to the /v1/traffic feed',
+});
+
+/**
+ * Record a completed messages request
+ * @param {Object} request - Request details
+ * @param {string} request.endpoint - Endpoint path taken (see module comment)
+ * @param {string} request.model - Model label (see module comment)
+ * @param {number} request.status - HTTP status returned (499 when the client disconnected)
+ * @param {number} request.iterations - Upstream calls made by the tool loop (0 if none)
+ */
+export function recordRequest({ endpoint, model, status, iterations = 0 }) {
+  requestsTotal.inc({ endpoint: endpoint || 'none', model: model || 'unknown', status });
+
+  if (iterations > 0) {
+    toolLoopIterations.observe({ endpoint }, iterations);
+  }
+}
+
+/**
+ * Record one upstream call
+ * @param {Object} call - Call details
+ * @param {string} call.endpoint - Path handler ('openai', 'anthropic' or 'bigmodel')
+ * @param {string} call.provider - Provider ID
+ * @param {boolean} call.success - Whether the call succeeded
+ * @param {number} call.durationMs - Call duration in milliseconds
+ */
+export function recordUpstreamCall({ endpoint, provider, success, durationMs }) {
+  upstreamDuration.observe({ endpoint, provider, outcome: success ? 'success' : 'error' }, durationMs / 1000);
+}
+
+/**
+ * Record the time to first token of a streamed response
+ * @param {string} endpoint - Endpoint path taken
+ * @param {number} durationMs - Milliseconds since the request arrived
+ */
+export function recordFirstToken(endpoint, durationMs) {
+  timeToFirstToken.observe({ endpoint }, durationMs / 1000);
+}
+
+/**
+ * Record an internal tool call
+ * @param {Object} call - Call details
+ * @param {string} call.mcp - MCP server ID ('zai-search' and 'zai-reader' for the built-in tools)
+ * @param {string} call.tool - Tool name on the MCP server
+ * @param {boolean} call.success - Whether the tool returned a result
+ * @param {number} call.durationMs - Call duration in milliseconds
+ */
+export function recordToolCall({ mcp, tool, success, durationMs }) {
+  toolCallsTotal.inc({ mcp, tool, outcome: success ? 'success' : 'error' });
+  toolCallDuration.observe({ mcp, tool }, durationMs / 1000);
+}
+
+/**
+ * Record a local MCP server process being started again
+ * @param {string} mcpId - MCP ID
+ */
+export function recordMcpRestart(mcpId) {
+  mcpRestartsTotal.inc({ mcp: mcpId });
+}
+
+/**
+ * Track a streaming request starting (+1) or ending (-1)
+ * @param {number} delta - Change in active streams
+ */
+export function trackActiveStream(delta) {
+  activeStreams.inc({}, delta);
+}
+
+/**
+ * Set the number of traffic feed subscribers
+ * @param {number} count - Connected clients
+ */
+export function setTrafficSubscribers(count) {
+  trafficSubscribers.set({}, count);
+}
+
+export default {
+  recordRequest,
+  recordUpstreamCall,
+  recordFirstToken,
+  recordToolCall,
+  recordMcpRestart,
+  trackActiveStream,
+  setTrafficSubscribers,
+};
@@ -0,0 +1,244 @@
+/**
+ * Metrics Registry
+ *
+ * Minimal in-process counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4) for GET /metrics.
+ * Each metric keeps one series per distinct combination of label values.
+ */
+
+// Registered metrics in registration order: name -> metric
+const metrics = new Map();
+
+export const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value ?? '').replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set as {name="value",...}
+ * @param {Array<[string, *]>} pairs - Label name/value pairs
+ * @returns {string} Label block (empty when there are no labels)
+ */
+function formatLabels(pairs) {
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Format a sample value
+ * @param {number} value - Sample value
+ * @returns {string} Value as Prometheus expects it
+ */
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return Number.isFinite(value) ? String(value) : 'NaN';
+}
+
+/**
+ * Get (or create) the series of a label set
+ * @param {Map} series - Series by label key
+ * @param {Array<string>} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @param {Function} create - Creates the initial series state
+ * @returns {Object} Series ({ pairs, ...state })
+ */
+function getSeries(series, labelNames, labels, create) {
+  const values = labelNames.map((name) => String(labels[name] ?? ''));
+  const key = values.join('\u0000');
+
+  let entry = series.get(key);
+  if (!entry) {
+    entry = { pairs: labelNames.map((name, i) => [name, values[i]]), ...create() };
+    series.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Register a metric
+ * @param {Object} metric - Metric ({ name, help, type, render })
+ * @returns {Object} The metric
+ * @throws {Error} If a metric with the same name already exists
+ */
+function register(metric) {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric '${metric.name}' is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * Create a counter
+ * @param {Object} options - Counter options
+ * @param {string} options.name - Metric name (should end in _total)
+ * @param {string} options.help - Help text
+ * @param {Array<string>} options.labelNames - Label names
+ * @returns {{inc: Function}} Counter
+ */
+export function createCounter({ name, help, labelNames = [] }) {
+  const series = new Map();
+
+  register({
+    name,
+    help,
+    type: 'counter',
+    render: () => Array.from(series.values()).map(
+      (entry) => `${name}${formatLabels(entry.pairs)} ${formatValue(entry.value)}`
+    ),
+  });
+
+  return {
+    /**
+     * Increment the counter
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (default 1)
+     */
+    inc(labels = {}, value = 1) {
+      getSeries(series, labelNames, labels, () => ({ value: 0 })).value += value;
+    },
+  };
+}
+
+/**
+ * Create a gauge
+ * @param {Object} options - Gauge options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Help text
+ * @param {Array<string>} options.labelNames - Label names
+ * @returns {{set: Function, inc: Function, dec: Function}} Gauge
+ */
+export function createGauge({ name, help, labelNames = [] }) {
+  const series = new Map();
+  const seriesOf = (labels) => getSeries(series, labelNames, labels, () => ({ value: 0 }));
+
+  // Unlabelled gauges report 0 before their first update
+  if (labelNames.length === 0) {
+    seriesOf({});
+  }
+
+  register({
+    name,
+    help,
+    type: 'gauge',
+    render: () => Array.from(series.values()).map(
+      (entry) => `${name}${formatLabels(entry.pairs)} ${formatValue(entry.value)}`
+    ),
+  });
+
+  return {
+    /**
+     * Set the gauge
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(labels = {}, value = 0) {
+      seriesOf(labels).value = value;
+    },
+
+    /**
+     * Increase the gauge
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (default 1)
+     */
+    inc(labels = {}, value = 1) {
+      seriesOf(labels).value += value;
+    },
+
+    /**
+     * Decrease the gauge
+     * @param {Object} labels - Label values
+     * @param {number} value - Amount (default 1)
+     */
+    dec(labels = {}, value = 1) {
+      seriesOf(labels).value -= value;
+    },
+  };
+}
+
+/**
+ * Create a histogram
+ * @param {Object} options - Histogram options
+ * @param {string} options.name - Metric name
+ * @param {string} options.help - Help text
+ * @param {Array<string>} options.labelNames - Label names
+ * @param {Array<number>} options.buckets - Upper bounds, ascending (+Inf is implied)
+ * @returns {{observe: Function}} Histogram
+ */
+export function createHistogram({ name, help, labelNames = [], buckets }) {
+  const series = new Map();
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  register({
+    name,
+    help,
+    type: 'histogram',
+    render: () => {
+      const lines = [];
+      for (const entry of series.values()) {
+        let cumulative = 0;
+        bounds.forEach((bound, i) => {
+          cumulative += entry.counts[i];
+          lines.push(`${name}_bucket${formatLabels([...entry.pairs, ['le', formatValue(bound)]])} ${cumulative}`);
+        });
+        lines.push(`${name}_bucket${formatLabels([...entry.pairs, ['le', '+Inf']])} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(entry.pairs)} ${formatValue(entry.sum)}`);
+        lines.push(`${name}_count${formatLabels(entry.pairs)} ${entry.count}`);
+      }
+      return lines;
+    },
+  });
+
+  return {
+    /**
+     * Record an observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels = {}, value = 0) {
+      const entry = getSeries(series, labelNames, labels, () => ({
+        counts: new Array(bounds.length).fill(0),
+        sum: 0,
+        count: 0,
+      }));
+
+      const index = bounds.findIndex((bound) => value <= bound);
+      if (index !== -1) {
+        entry.counts[index]++;
+      }
+      entry.sum += value;
+      entry.count++;
+    },
+  };
+}
+
+/**
+ * Render every registered metric
+ * @returns {string} Prometheus text exposition
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    lines.push(...metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  CONTENT_TYPE,
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+};
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createCounter, createGauge, createHistogram, renderMetrics } from './registry.js';
+
+describe('metrics registry', () => {
+  it('renders counters and gauges with escaped label values', () => {
+    const counter = createCounter({ name: 'test_events_total', help: 'Events', labelNames: ['kind'] });
+    const gauge = createGauge({ name: 'test_open', help: 'Open things' });
+
+    counter.inc({ kind: 'a"b' });
+    counter.inc({ kind: 'a"b' }, 2);
+    gauge.inc({}, 3);
+    gauge.dec({});
+
+    const text = renderMetrics();
+    assert.match(text, /# TYPE test_events_total counter\ntest_events_total\{kind="a\\"b"\} 3\n/);
+    assert.match(text, /\ntest_open 2\n/);
+  });
+
+  it('renders cumulative histogram buckets, sum and count', () => {
+    const histogram = createHistogram({ name: 'test_seconds', help: 'Durations', labelNames: ['op'], buckets: [1, 5] });
+    histogram.observe({ op: 'read' }, 0.5);
+    histogram.observe({ op: 'read' }, 3);
+    histogram.observe({ op: 'read' }, 10);
+
+    const text = renderMetrics();
+    assert.match(text, /test_seconds_bucket\{op="read",le="1"\} 1\n/);
+    assert.match(text, /test_seconds_bucket\{op="read",le="5"\} 2\n/);
+    assert.match(text, /test_seconds_bucket\{op="read",le="\+Inf"\} 3\n/);
+    assert.match(text, /test_seconds_sum\{op="read"\} 13.5\n/);
+    assert.match(text, /test_seconds_count\{op="read"\} 3\n/);
+  });
+});
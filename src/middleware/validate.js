@@ -58,6 +58,21 @@ export function validateRequest(body) {
     }
   }
 
+  // Validate thinking if provided
+  if (body.thinking !== undefined) {
+    if (!body.thinking || typeof body.thinking !== 'object') {
+      throw new InvalidRequestError('thinking must be an object');
+    }
+    const validTypes = ['enabled', 'disabled', 'adaptive'];
+    if (!validTypes.includes(body.thinking.type)) {
+      throw new InvalidRequestError(`thinking.type must be one of: ${validTypes.join(', ')}`);
+    }
+    if (body.thinking.budget_tokens !== undefined
+      && (!Number.isInteger(body.thinking.budget_tokens) || body.thinking.budget_tokens <= 0)) {
+      throw new InvalidRequestError('thinking.budget_tokens must be a positive integer');
+    }
+  }
+
   // Validate tools if provided
   if (body.tools !== undefined) {
     if (!Array.isArray(body.tools)) {
@@ -142,7 +157,11 @@ function validateContentBlock(block, msgIndex, blockIndex) {
     );
   }
 
-  const validTypes = ['text', 'image', 'video', 'tool_use', 'tool_result', 'thinking'];
+  const validTypes = [
+    'text', 'image', 'video', 'tool_use', 'tool_result', 'thinking',
+    // Search blocks the proxy returned earlier (web search citations)
+    'server_tool_use', 'web_search_tool_result', 'web_fetch_tool_result',
+  ];
   if (!validTypes.includes(block.type)) {
     throw new InvalidRequestError(
       `messages[${msgIndex}].content[${blockIndex}].type must be one of: ${validTypes.join(', ')}`
@@ -234,6 +253,15 @@ function validateContentBlock(block, msgIndex, blockIndex) {
         );
       }
       break;
+
+    case 'web_search_tool_result':
+    case 'web_fetch_tool_result':
+      if (typeof block.tool_use_id !== 'string') {
+        throw new InvalidRequestError(
+          `messages[${msgIndex}].content[${blockIndex}].tool_use_id is required for ${block.type} blocks`
+        );
+      }
+      break;
   }
 }
 
@@ -6,8 +6,9 @@
  */
 
 import { homedir } from 'os';
-import { join, dirname } from 'path';
-import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync } from 'fs';
+import { join, dirname, basename } from 'path';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, renameSync, unlinkSync } from 'fs';
+import { mkdir, writeFile, rename, unlink } from 'fs/promises';
 import { fileURLToPath } from 'url';
 
 const CONFIG_DIR_NAME = '.ccglm';
@@ -56,16 +57,19 @@ export function readJsonFile(filename) {
 
 /**
  * Write JSON data to a file in the config directory (atomic write)
- * @param {string} filename - Filename (e.g., 'mcps.json')
+ * @param {string} filename - Filename, may include a subdirectory (e.g., 'mcps.json', 'history/index.json')
  * @param {Object|Array} data - Data to write
  * @returns {boolean} True if successful
  */
 export function writeJsonFile(filename, data) {
-  const configDir = getConfigDir();
-  const filePath = join(configDir, filename);
-  const tempPath = join(configDir, `.${filename}.tmp`);
+  const filePath = join(getConfigDir(), filename);
+  const fileDir = dirname(filePath);
+  const tempPath = join(fileDir, `.${basename(filePath)}.tmp`);
 
   try {
+    if (!existsSync(fileDir)) {
+      mkdirSync(fileDir, { recursive: true });
+    }
     const content = JSON.stringify(data, null, 2);
     // Write to temp file first, then rename for atomic operation
     writeFileSync(tempPath, content, 'utf-8');
@@ -77,6 +81,67 @@ export function writeJsonFile(filename, data) {
   }
 }
 
+/**
+ * Write JSON data to a file in the config directory without blocking (atomic write)
+ * Callers must not write the same file concurrently (the temp file is shared).
+ * @param {string} filename - Filename, may include a subdirectory
+ * @param {Object|Array} data - Data to write
+ * @returns {Promise<boolean>} True if successful
+ */
+export async function writeJsonFileAsync(filename, data) {
+  const filePath = join(getConfigDir(), filename);
+  const tempPath = join(dirname(filePath), `.${basename(filePath)}.tmp`);
+
+  try {
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(tempPath, JSON.stringify(data, null, 2), 'utf-8');
+    await rename(tempPath, filePath);
+    return true;
+  } catch (err) {
+    console.error(`[persistence] Failed to write ${filename}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a file from the config directory without blocking
+ * @param {string} filename - Filename, may include a subdirectory
+ * @returns {Promise<boolean>} True if the file was deleted or did not exist
+ */
+export async function deleteJsonFileAsync(filename) {
+  try {
+    await unlink(join(getConfigDir(), filename));
+    return true;
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return true;
+    }
+    console.error(`[persistence] Failed to delete ${filename}:`, err.message);
+    return false;
+  }
+}
+
+/**
+ * Delete a file from the config directory
+ * @param {string} filename - Filename, may include a subdirectory
+ * @returns {boolean} True if the file was deleted or did not exist
+ */
+export function deleteJsonFile(filename) {
+  const filePath = join(getConfigDir(), filename);
+
+  if (!existsSync(filePath)) {
+    return true;
+  }
+
+  try {
+    unlinkSync(filePath);
+    return true;
+  } catch (err) {
+    console.error(`[persistence] Failed to delete ${filename}:`, err.message);
+    return false;
+  }
+}
+
 /**
  * Read environment variables from .env file
  * @returns {Object} Key-value pairs from .env file
@@ -180,6 +245,9 @@ export default {
   getConfigDir,
   readJsonFile,
   writeJsonFile,
+  writeJsonFileAsync,
+  deleteJsonFile,
+  deleteJsonFileAsync,
   readEnvFile,
   setEnvApiKey,
 };
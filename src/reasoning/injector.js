@@ -1,52 +1,67 @@
 /**
  * Reasoning Prompt Injector
  * Injects explicit reasoning instructions to force GLM-4.7 to think step-by-step
+ *
+ * The prompt text, where it goes and the tag the model is asked to reason in
+ * come from the model's reasoning profile (see reasoning/profiles.js).
  */
 
 import logger from '../utils/logger.js';
 
 /**
- * The reasoning prompt to inject before the last user message
- * Short and punchy to cut through large system prompts
+ * Find the index of the last user message
+ * @param {Array} messages - Messages array
+ * @returns {number} Index, or -1 if there is no user message
  */
-export const REASONING_PROMPT = `ultrathink really hard
-
-Think step-by-step in <reasoning_content> tags before answering.`;
+function findLastUserIndex(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') {
+      return i;
+    }
+  }
+  return -1;
+}
 
 /**
  * Inject reasoning prompt into messages array
- * Inserts BEFORE the last user message to prime the model for reasoning
+ * 'messages' position: inserts the prompt and an assistant acknowledgment
+ * BEFORE the last user message to prime the model for reasoning.
+ * 'system' position: appends the prompt to the system message.
  *
  * @param {Array} messages - OpenAI format messages array
+ * @param {Object} profile - Reasoning profile (from getReasoningProfile)
  * @returns {Array} Messages with reasoning prompt injected
  */
-export function injectReasoningPrompt(messages) {
-  const reasoningMessage = {
-    role: 'user',
-    content: REASONING_PROMPT,
-  };
-
+export function injectReasoningPrompt(messages, profile) {
   const result = [...messages];
 
-  // Find last user message index
-  let lastUserIdx = -1;
-  for (let i = result.length - 1; i >= 0; i--) {
-    if (result[i].role === 'user') {
-      lastUserIdx = i;
-      break;
+  if (profile.position === 'system') {
+    if (result[0]?.role === 'system') {
+      result[0] = { ...result[0], content: `${result[0].content}\n\n${profile.prompt}` };
+    } else {
+      result.unshift({ role: 'system', content: profile.prompt });
     }
+    logger.debug('Appended reasoning prompt to system message', { profile: profile.name });
+    return result;
   }
 
+  const reasoningMessage = {
+    role: 'user',
+    content: profile.prompt,
+  };
+
   // Assistant acknowledgment to maintain alternating user/assistant pattern
   const assistantAck = {
     role: 'assistant',
-    content: 'I understand. I will think step by step and show my reasoning in <reasoning_content> tags before providing my final answer.',
+    content: profile.acknowledgment,
   };
 
+  const lastUserIdx = findLastUserIndex(result);
   if (lastUserIdx >= 0) {
     // Insert reasoning prompt + assistant ack before last user message
     result.splice(lastUserIdx, 0, reasoningMessage, assistantAck);
     logger.debug('Injected reasoning prompt before last user message', {
+      profile: profile.name,
       insertIndex: lastUserIdx,
       totalMessages: result.length,
     });
@@ -59,27 +74,75 @@ export function injectReasoningPrompt(messages) {
   return result;
 }
 
+/**
+ * Inject reasoning prompt into an Anthropic format request
+ * Same positions as injectReasoningPrompt; the system prompt is the separate
+ * Anthropic system field (string or array of text blocks).
+ *
+ * @param {Array} messages - Anthropic format messages array
+ * @param {string|Array} system - Anthropic system prompt
+ * @param {Object} profile - Reasoning profile (from getReasoningProfile)
+ * @returns {{messages: Array, system: string|Array}} Messages and system prompt with reasoning prompt injected
+ */
+export function injectReasoningPromptAnthropic(messages, system, profile) {
+  if (profile.position === 'system') {
+    let withPrompt;
+    if (Array.isArray(system)) {
+      withPrompt = [...system, { type: 'text', text: profile.prompt }];
+    } else {
+      withPrompt = system ? `${system}\n\n${profile.prompt}` : profile.prompt;
+    }
+    logger.debug('anthropic-request', 'Appended reasoning prompt to system prompt', { profile: profile.name });
+    return { messages: [...messages], system: withPrompt };
+  }
+
+  const result = [...messages];
+  const lastUserIdx = findLastUserIndex(result);
+
+  if (lastUserIdx >= 0) {
+    // We need to add a fake assistant response after the reasoning prompt
+    // to maintain the alternating user/assistant pattern required by Anthropic API
+    result.splice(
+      lastUserIdx,
+      0,
+      { role: 'user', content: [{ type: 'text', text: profile.prompt }] },
+      { role: 'assistant', content: [{ type: 'text', text: profile.acknowledgment }] },
+    );
+    logger.debug('anthropic-request', 'Injected reasoning prompt before last user message', {
+      profile: profile.name,
+      insertIndex: lastUserIdx,
+      totalMessages: result.length,
+    });
+  }
+
+  return { messages: result, system };
+}
+
 /**
  * Extract reasoning content from response text
- * Handles <reasoning_content>...</reasoning_content> tags in message content
+ * Handles <tag>...</tag> reasoning tags in message content
  *
  * @param {string} content - The message content to extract reasoning from
+ * @param {string} tag - Reasoning tag name (default 'reasoning_content')
  * @returns {Object} Object with reasoning (string|null) and content (cleaned string)
  */
-export function extractReasoning(content) {
+export function extractReasoning(content, tag = 'reasoning_content') {
   if (!content || typeof content !== 'string') {
     return { reasoning: null, content: content || '' };
   }
 
-  const match = content.match(/<reasoning_content>([\s\S]*?)<\/reasoning_content>/);
+  const escaped = tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`<${escaped}>([\\s\\S]*?)<\\/${escaped}>`);
+  const match = content.match(pattern);
 
   if (match) {
     const reasoning = match[1].trim();
     const cleanedContent = content
-      .replace(/<reasoning_content>[\s\S]*?<\/reasoning_content>/, '')
+      .replace(pattern, '')
       .trim();
 
     logger.debug('Extracted reasoning from content tags', {
+      tag,
       reasoningLength: reasoning.length,
       cleanedContentLength: cleanedContent.length,
     });
@@ -95,6 +158,6 @@ export function extractReasoning(content) {
 
 export default {
   injectReasoningPrompt,
+  injectReasoningPromptAnthropic,
   extractReasoning,
-  REASONING_PROMPT,
 };
@@ -0,0 +1,59 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import { injectReasoningPrompt, injectReasoningPromptAnthropic, extractReasoning } from './injector.js';
+
+const MESSAGES_PROFILE = { name: 'default', prompt: 'Think first.', position: 'messages', tag: 'reasoning_content', acknowledgment: 'OK.' };
+const SYSTEM_PROFILE = { name: 'think', prompt: 'Use <think> tags.', position: 'system', tag: 'think', acknowledgment: 'OK.' };
+
+describe('injectReasoningPrompt', () => {
+  const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' },
+  ];
+
+  it('inserts a prompt and acknowledgment before the last user message', () => {
+    const result = injectReasoningPrompt(messages, MESSAGES_PROFILE);
+    assert.deepEqual(result.map((m) => m.content), ['Be brief.', 'Think first.', 'OK.', 'Hi']);
+  });
+
+  it('appends the prompt to the system message in the system position', () => {
+    assert.equal(injectReasoningPrompt(messages, SYSTEM_PROFILE)[0].content, 'Be brief.\n\nUse <think> tags.');
+    assert.deepEqual(injectReasoningPrompt(messages.slice(1), SYSTEM_PROFILE)[0], { role: 'system', content: 'Use <think> tags.' });
+  });
+});
+
+describe('injectReasoningPromptAnthropic', () => {
+  const messages = [{ role: 'user', content: 'Hi' }];
+
+  it('appends to a string or block system prompt', () => {
+    assert.equal(injectReasoningPromptAnthropic(messages, 'Be brief.', SYSTEM_PROFILE).system, 'Be brief.\n\nUse <think> tags.');
+    assert.deepEqual(injectReasoningPromptAnthropic(messages, [{ type: 'text', text: 'Be brief.' }], SYSTEM_PROFILE).system, [
+      { type: 'text', text: 'Be brief.' },
+      { type: 'text', text: 'Use <think> tags.' },
+    ]);
+  });
+
+  it('inserts text blocks before the last user message and leaves the system prompt alone', () => {
+    const result = injectReasoningPromptAnthropic(messages, 'Be brief.', MESSAGES_PROFILE);
+
+    assert.equal(result.system, 'Be brief.');
+    assert.deepEqual(result.messages.map((m) => m.role), ['user', 'assistant', 'user']);
+    assert.equal(result.messages[0].content[0].text, 'Think first.');
+  });
+});
+
+describe('extractReasoning', () => {
+  it('splits reasoning from content using the profile tag', () => {
+    assert.deepEqual(extractReasoning('<think>Plan it.</think>\nAnswer', 'think'), { reasoning: 'Plan it.', content: 'Answer' });
+    assert.deepEqual(extractReasoning('<reasoning_content>x</reasoning_content>y'), { reasoning: 'x', content: 'y' });
+  });
+
+  it('ignores tags other than the configured one', () => {
+    assert.deepEqual(extractReasoning('<think>Plan it.</think>Answer'), {
+      reasoning: null,
+      content: '<think>Plan it.</think>Answer',
+    });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Reasoning Profiles
+ *
+ * A profile describes how the reasoning prompt is injected for upstreams
+ * without native thinking, and which tags the response parsers look for:
+ * - prompt: prompt text ({tag} is replaced with the profile's tag name)
+ * - position: 'messages' (user prompt + assistant acknowledgment before the
+ *   last user message) or 'system' (appended to the system prompt)
+ * - tag: tag name the model wraps its reasoning in (e.g. 'think' for <think>)
+ *
+ * Profiles live in config.reasoning.profiles. config.reasoning.modelProfiles
+ * maps model name patterns to a profile; other models use
+ * config.reasoning.defaultProfile.
+ */
+
+import config, { DEFAULT_REASONING_PROFILES } from '../config.js';
+import { matchesGlob } from '../utils/glob.js';
+
+/**
+ * Get the name of the profile selected for a model
+ * @param {string} model - Upstream model name
+ * @returns {string} Profile name (may name a profile that no longer exists)
+ */
+function getProfileName(model) {
+  const modelProfiles = config.reasoning.modelProfiles || {};
+  const pattern = Object.keys(modelProfiles).find((key) => matchesGlob(key, model));
+  return pattern ? modelProfiles[pattern] : config.reasoning.defaultProfile;
+}
+
+/**
+ * Get the reasoning profile for a model
+ * Falls back to the 'default' profile when the selected one does not exist.
+ * @param {string} model - Upstream model name
+ * @returns {{name: string, prompt: string, position: string, tag: string, acknowledgment: string}} Resolved profile
+ */
+export function getReasoningProfile(model) {
+  const profiles = config.reasoning.profiles || {};
+  let name = getProfileName(model);
+  if (!Object.hasOwn(profiles, name)) {
+    name = 'default';
+  }
+
+  const { prompt, position, tag } = profiles[name] || DEFAULT_REASONING_PROFILES.default;
+
+  return {
+    name,
+    prompt: prompt.replaceAll('{tag}', tag),
+    position,
+    tag,
+    acknowledgment: `I understand. I will think step by step and show my reasoning in <${tag}> tags before providing my final answer.`,
+  };
+}
+
+/**
+ * Get the reasoning tag name for a model
+ * @param {string} model - Upstream model name
+ * @returns {string} Tag name (without angle brackets)
+ */
+export function getReasoningTag(model) {
+  return getReasoningProfile(model).tag;
+}
+
+export default {
+  getReasoningProfile,
+  getReasoningTag,
+};
@@ -0,0 +1,37 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { getReasoningProfile, getReasoningTag } from './profiles.js';
+
+describe('getReasoningProfile', () => {
+  afterEach(() => {
+    config.reasoning.modelProfiles = {};
+    config.reasoning.defaultProfile = 'default';
+  });
+
+  it('fills the tag into the prompt and acknowledgment', () => {
+    const profile = getReasoningProfile('glm-4.7');
+
+    assert.equal(profile.name, 'default');
+    assert.equal(profile.position, 'messages');
+    assert.match(profile.prompt, /<reasoning_content> tags/);
+    assert.match(profile.acknowledgment, /<reasoning_content> tags/);
+  });
+
+  it('selects a profile by model pattern before the default profile', () => {
+    config.reasoning.modelProfiles = { 'qwen*': 'think' };
+    config.reasoning.defaultProfile = 'default';
+
+    assert.equal(getReasoningProfile('qwen3-coder').name, 'think');
+    assert.equal(getReasoningProfile('qwen3-coder').position, 'system');
+    assert.equal(getReasoningTag('qwen3-coder'), 'think');
+    assert.equal(getReasoningTag('glm-4.7'), 'reasoning_content');
+  });
+
+  it('falls back to the default profile when the selected one does not exist', () => {
+    config.reasoning.defaultProfile = 'deleted';
+    assert.equal(getReasoningProfile('glm-4.7').name, 'default');
+  });
+});
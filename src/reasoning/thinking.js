@@ -0,0 +1,149 @@
+/**
+ * Thinking Mode
+ *
+ * Maps the Anthropic `thinking` request parameter onto GLM's native thinking
+ * controls. Requests without the parameter think when
+ * config.reasoning.forceReasoning is on.
+ *
+ * - OpenAI-protocol upstreams (Z.ai, BigModel): thinking: { type } plus a
+ *   reasoning_effort tier derived from budget_tokens
+ * - Anthropic-protocol upstreams: the Anthropic thinking parameter
+ *
+ * Upstreams without native thinking (custom providers unless nativeThinking
+ * is set) fall back to the reasoning prompt in reasoning/injector.js, as do
+ * Anthropic-protocol requests that cannot carry the thinking parameter.
+ * Disabled thinking means no reasoning prompt at all.
+ */
+
+import config from '../config.js';
+
+// Budget used on the Anthropic protocol when the client gave none, capped at a
+// share of max_tokens so the answer keeps room after the thinking
+const DEFAULT_BUDGET_TOKENS = 16000;
+const DEFAULT_BUDGET_SHARE = 0.5;
+
+// Smallest budget the Anthropic protocol accepts
+const MIN_BUDGET_TOKENS = 1024;
+
+// budget_tokens -> reasoning_effort (Claude Code sends 4000 for "think", 10000 for "think hard", 31999 for "ultrathink")
+const EFFORT_TIERS = [
+  { maxBudget: 7999, effort: 'low' },
+  { maxBudget: 23999, effort: 'medium' },
+  { maxBudget: Infinity, effort: 'high' },
+];
+
+/**
+ * Resolve whether a request should think
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {{enabled: boolean, budgetTokens: number|null, source: string}} source is 'client' or 'config'
+ */
+export function resolveThinking(anthropicRequest) {
+  const requested = anthropicRequest.thinking;
+
+  if (requested && typeof requested === 'object') {
+    return {
+      enabled: requested.type !== 'disabled',
+      budgetTokens: requested.type !== 'disabled' ? requested.budget_tokens || null : null,
+      source: 'client',
+    };
+  }
+
+  return {
+    enabled: config.reasoning?.forceReasoning ?? true,
+    budgetTokens: null,
+    source: 'config',
+  };
+}
+
+/**
+ * Map a thinking budget to a reasoning effort tier
+ * @param {number|null} budgetTokens - Thinking budget
+ * @returns {string|null} 'low', 'medium' or 'high' (null without a budget)
+ */
+export function getReasoningEffort(budgetTokens) {
+  if (!budgetTokens) {
+    return null;
+  }
+  return EFFORT_TIERS.find((tier) => budgetTokens <= tier.maxBudget).effort;
+}
+
+/**
+ * Decide how a request's thinking reaches the upstream
+ * @param {Object} thinking - Result of resolveThinking
+ * @param {boolean} nativeThinking - Whether the upstream supports native thinking
+ * @returns {string} 'native', 'prompt' (reasoning prompt injection) or 'off'
+ */
+export function getThinkingMode(thinking, nativeThinking) {
+  if (nativeThinking) {
+    return 'native';
+  }
+  return thinking.enabled ? 'prompt' : 'off';
+}
+
+/**
+ * Build the native thinking fields of an OpenAI-protocol (GLM) request
+ * GLM clears reasoning_content of earlier turns unless clear_thinking is
+ * false, so it is turned off whenever earlier thinking is sent back.
+ * @param {Object} thinking - Result of resolveThinking
+ * @param {string} preserveThinking - Prior-turn thinking policy ('all', 'last' or 'strip')
+ * @returns {Object} Fields to merge into the request ({ thinking, reasoning_effort })
+ */
+export function buildOpenAIThinking(thinking, preserveThinking = 'strip') {
+  if (!thinking.enabled) {
+    return { thinking: { type: 'disabled' } };
+  }
+
+  const effort = getReasoningEffort(thinking.budgetTokens);
+  return {
+    thinking: preserveThinking === 'strip' ? { type: 'enabled' } : { type: 'enabled', clear_thinking: false },
+    ...(effort ? { reasoning_effort: effort } : {}),
+  };
+}
+
+/**
+ * Build the thinking parameter of an Anthropic-protocol request
+ * @param {Object} thinking - Result of resolveThinking
+ * @param {number} maxTokens - Request max_tokens (the default budget takes at most half of it)
+ * @returns {Object|null} Anthropic thinking parameter (null when max_tokens leaves no room for a budget)
+ */
+export function buildAnthropicThinking(thinking, maxTokens) {
+  if (!thinking.enabled) {
+    return { type: 'disabled' };
+  }
+  if (thinking.budgetTokens) {
+    return { type: 'enabled', budget_tokens: thinking.budgetTokens };
+  }
+
+  const budgetTokens = Math.min(DEFAULT_BUDGET_TOKENS, Math.floor(maxTokens * DEFAULT_BUDGET_SHARE));
+  return budgetTokens >= MIN_BUDGET_TOKENS ? { type: 'enabled', budget_tokens: budgetTokens } : null;
+}
+
+/**
+ * Describe a request's thinking for the traffic monitor's injection list
+ * @param {Object} thinking - Result of resolveThinking
+ * @param {string} mode - Result of getThinkingMode
+ * @returns {Object|null} Injection entry (null when nothing was changed)
+ */
+export function describeThinking(thinking, mode) {
+  if (mode !== 'native') {
+    return null;
+  }
+
+  const effort = getReasoningEffort(thinking.budgetTokens);
+  return {
+    type: 'native_thinking',
+    description: thinking.enabled
+      ? `Native thinking enabled${effort ? ` (${effort} effort)` : ''}`
+      : 'Native thinking disabled',
+    source: thinking.source,
+  };
+}
+
+export default {
+  resolveThinking,
+  getReasoningEffort,
+  getThinkingMode,
+  buildOpenAIThinking,
+  buildAnthropicThinking,
+  describeThinking,
+};
@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import {
+  resolveThinking,
+  getReasoningEffort,
+  getThinkingMode,
+  buildOpenAIThinking,
+  buildAnthropicThinking,
+  describeThinking,
+} from './thinking.js';
+
+const ENABLED = { enabled: true, budgetTokens: null, source: 'config' };
+
+describe('resolveThinking', () => {
+  it('follows the client thinking parameter', () => {
+    assert.deepEqual(resolveThinking({ thinking: { type: 'enabled', budget_tokens: 4000 } }), {
+      enabled: true, budgetTokens: 4000, source: 'client',
+    });
+    assert.deepEqual(resolveThinking({ thinking: { type: 'disabled' } }), {
+      enabled: false, budgetTokens: null, source: 'client',
+    });
+  });
+
+  it('falls back to Force Reasoning without a thinking parameter', () => {
+    config.reasoning.forceReasoning = false;
+    assert.equal(resolveThinking({}).enabled, false);
+    config.reasoning.forceReasoning = true;
+    assert.deepEqual(resolveThinking({}), ENABLED);
+  });
+});
+
+describe('getReasoningEffort', () => {
+  it('maps Claude Code budgets to effort tiers', () => {
+    assert.equal(getReasoningEffort(null), null);
+    assert.equal(getReasoningEffort(4000), 'low');
+    assert.equal(getReasoningEffort(10000), 'medium');
+    assert.equal(getReasoningEffort(31999), 'high');
+  });
+});
+
+describe('getThinkingMode', () => {
+  it('uses the reasoning prompt only where native thinking is missing', () => {
+    assert.equal(getThinkingMode(ENABLED, true), 'native');
+    assert.equal(getThinkingMode(ENABLED, false), 'prompt');
+    assert.equal(getThinkingMode({ ...ENABLED, enabled: false }, false), 'off');
+  });
+});
+
+describe('buildOpenAIThinking', () => {
+  it('keeps earlier reasoning unless prior thinking is stripped', () => {
+    assert.deepEqual(buildOpenAIThinking(ENABLED), { thinking: { type: 'enabled' } });
+    assert.deepEqual(buildOpenAIThinking({ ...ENABLED, budgetTokens: 31999 }, 'last'), {
+      thinking: { type: 'enabled', clear_thinking: false },
+      reasoning_effort: 'high',
+    });
+    assert.deepEqual(buildOpenAIThinking({ ...ENABLED, enabled: false }), { thinking: { type: 'disabled' } });
+  });
+});
+
+describe('buildAnthropicThinking', () => {
+  it('caps the default budget at half of max_tokens', () => {
+    assert.deepEqual(buildAnthropicThinking(ENABLED, 64000), { type: 'enabled', budget_tokens: 16000 });
+    assert.deepEqual(buildAnthropicThinking(ENABLED, 4096), { type: 'enabled', budget_tokens: 2048 });
+  });
+
+  it('returns null when max_tokens leaves no room for the minimum budget', () => {
+    assert.equal(buildAnthropicThinking(ENABLED, 2000), null);
+  });
+
+  it('keeps a budget the client asked for', () => {
+    assert.deepEqual(buildAnthropicThinking({ ...ENABLED, budgetTokens: 3000 }, 4096), {
+      type: 'enabled', budget_tokens: 3000,
+    });
+    assert.deepEqual(buildAnthropicThinking({ ...ENABLED, enabled: false }, 100), { type: 'disabled' });
+  });
+});
+
+describe('describeThinking', () => {
+  it('only reports native thinking', () => {
+    assert.equal(describeThinking(ENABLED, 'prompt'), null);
+    assert.deepEqual(describeThinking({ ...ENABLED, budgetTokens: 4000 }, 'native'), {
+      type: 'native_thinking',
+      description: 'Native thinking enabled (low effort)',
+      source: 'config',
+    });
+  });
+});
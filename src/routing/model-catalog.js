@@ -0,0 +1,214 @@
+/**
+ * Model Catalog
+ *
+ * The models advertised on GET /v1/models: the configured text and vision
+ * models plus the alias table in config.models.aliases, which maps
+ * client-facing names (e.g. 'claude-sonnet-4') to a GLM model.
+ *
+ * An alias entry is either the target model name or an object
+ * { model, displayName, contextWindow, maxOutputTokens, capabilities };
+ * anything it leaves out is inherited from the target model.
+ *
+ * Requests for an alias are sent upstream as the target model (unless a
+ * routing rule names one), and responses report the alias the client asked
+ * for instead of the upstream model name.
+ */
+
+import config from '../config.js';
+import { getAllProviders, getRoutingRules } from './providers.js';
+
+// The proxy has no reliable release dates, so every model reports the Unix
+// epoch as created_at (the field is required by the Anthropic models API)
+const CREATED_AT = '1970-01-01T00:00:00Z';
+
+// Advertised details of known GLM models
+const KNOWN_MODELS = {
+  'glm-4.7': {
+    displayName: 'GLM-4.7',
+    contextWindow: 200000,
+    maxOutputTokens: 128000,
+    capabilities: { vision: false, tools: true, thinking: true },
+  },
+  'glm-4.6v': {
+    displayName: 'GLM-4.6V',
+    contextWindow: 128000,
+    maxOutputTokens: 32768,
+    capabilities: { vision: true, tools: true, thinking: true },
+  },
+  'glm-4.5-air': {
+    displayName: 'GLM-4.5-Air',
+    contextWindow: 128000,
+    maxOutputTokens: 96000,
+    capabilities: { vision: false, tools: true, thinking: true },
+  },
+};
+
+// Used for configured models this catalog knows nothing about
+const UNKNOWN_MODEL = {
+  contextWindow: 128000,
+  maxOutputTokens: 32768,
+  capabilities: { vision: false, tools: true, thinking: false },
+};
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Build the advertised entry of a GLM model
+ * @param {string} id - Model name
+ * @returns {Object} Model info in the Anthropic models API format
+ */
+function describeModel(id) {
+  const known = KNOWN_MODELS[id] || UNKNOWN_MODEL;
+
+  return {
+    type: 'model',
+    id,
+    display_name: known.displayName || id,
+    created_at: CREATED_AT,
+    context_window: known.contextWindow,
+    max_output_tokens: known.maxOutputTokens,
+    capabilities: { ...known.capabilities },
+  };
+}
+
+/**
+ * Look up an alias
+ * @param {string} name - Model name from a client request
+ * @returns {Object|null} Alias ({ alias, model, displayName, contextWindow, maxOutputTokens, capabilities }), or null
+ */
+export function resolveModelAlias(name) {
+  const aliases = config.models.aliases || {};
+  if (typeof name !== 'string' || !Object.hasOwn(aliases, name)) {
+    return null;
+  }
+
+  const entry = aliases[name];
+  const alias = typeof entry === 'string' ? { model: entry } : { ...entry };
+  if (typeof alias.model !== 'string' || !alias.model) {
+    return null;
+  }
+
+  return { ...alias, alias: name };
+}
+
+/**
+ * Build the advertised entry of an alias
+ * @param {Object} alias - Alias from resolveModelAlias
+ * @returns {Object} Model info in the Anthropic models API format
+ */
+function describeAlias(alias) {
+  const target = describeModel(alias.model);
+
+  return {
+    ...target,
+    id: alias.alias,
+    display_name: alias.displayName || alias.alias,
+    context_window: alias.contextWindow || target.context_window,
+    max_output_tokens: alias.maxOutputTokens || target.max_output_tokens,
+    capabilities: { ...target.capabilities, ...alias.capabilities },
+    alias_for: alias.model,
+  };
+}
+
+/**
+ * Get every advertised model: configured models first, then aliases
+ * @returns {Array<Object>} Model info in the Anthropic models API format
+ */
+function getAllModels() {
+  const ids = [...new Set([config.models.text, config.models.vision])];
+  const models = ids.map(describeModel);
+
+  for (const name of Object.keys(config.models.aliases || {})) {
+    const alias = resolveModelAlias(name);
+    if (alias && !ids.includes(name)) {
+      models.push(describeAlias(alias));
+    }
+  }
+
+  return models;
+}
+
+/**
+ * List models (GET /v1/models)
+ * Pages the same way as the Anthropic API: after_id/before_id are cursors
+ * taken from first_id/last_id of a previous page.
+ * @param {Object} options - Paging options
+ * @param {number} options.limit - Page size (1-1000, default 20)
+ * @param {string} options.afterId - Return models after this ID
+ * @param {string} options.beforeId - Return models before this ID
+ * @returns {{data: Array<Object>, has_more: boolean, first_id: string|null, last_id: string|null}} Page
+ */
+export function listModels({ limit, afterId, beforeId } = {}) {
+  const models = getAllModels();
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+  let data;
+  let hasMore;
+  if (beforeId) {
+    const end = Math.max(models.findIndex((model) => model.id === beforeId), 0);
+    const start = Math.max(end - pageSize, 0);
+    data = models.slice(start, end);
+    hasMore = start > 0;
+  } else {
+    const start = afterId ? models.findIndex((model) => model.id === afterId) + 1 : 0;
+    data = start > 0 || !afterId ? models.slice(start, start + pageSize) : [];
+    hasMore = data.length > 0 && start + pageSize < models.length;
+  }
+
+  return {
+    data,
+    has_more: hasMore,
+    first_id: data[0]?.id || null,
+    last_id: data[data.length - 1]?.id || null,
+  };
+}
+
+/**
+ * Get one model (GET /v1/models/{model_id})
+ * @param {string} id - Model name or alias
+ * @returns {Object|null} Model info, or null if the model is not advertised
+ */
+export function getModel(id) {
+  return getAllModels().find((model) => model.id === id) || null;
+}
+
+/**
+ * Check whether a model name comes from configuration rather than a client
+ * True for advertised models and aliases, the GLM models this catalog knows,
+ * models listed by providers and routing rule targets. Used to keep metric
+ * labels bounded.
+ * @param {string} name - Model name
+ * @returns {boolean} True if the name is known
+ */
+export function isKnownModel(name) {
+  if (typeof name !== 'string' || !name) {
+    return false;
+  }
+  if (Object.hasOwn(KNOWN_MODELS, name) || getModel(name)) {
+    return true;
+  }
+
+  return getAllProviders().some((provider) => provider.models?.includes(name))
+    || getRoutingRules().some((rule) => rule.model === name);
+}
+
+/**
+ * Get the model name to report in a response
+ * Clients that asked for an alias see that alias; everything else keeps the
+ * model name the upstream returned.
+ * @param {string} requestedModel - Model name from the client request
+ * @param {string} upstreamModel - Model name in the upstream response
+ * @returns {string} Model name for the client
+ */
+export function getResponseModel(requestedModel, upstreamModel) {
+  return resolveModelAlias(requestedModel) ? requestedModel : upstreamModel;
+}
+
+export default {
+  resolveModelAlias,
+  listModels,
+  getModel,
+  isKnownModel,
+  getResponseModel,
+};
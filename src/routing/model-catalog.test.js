@@ -0,0 +1,79 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { resolveModelAlias, listModels, getModel, isKnownModel, getResponseModel } from './model-catalog.js';
+
+beforeEach(() => {
+  config.models.aliases = {
+    'claude-sonnet-4': { model: 'glm-4.7', displayName: 'Claude Sonnet 4 (GLM-4.7)' },
+    'claude-haiku': 'glm-4.5-air',
+    broken: { displayName: 'No target' },
+  };
+});
+
+describe('resolveModelAlias', () => {
+  it('accepts string and object entries and ignores entries without a target', () => {
+    assert.equal(resolveModelAlias('claude-haiku').model, 'glm-4.5-air');
+    assert.equal(resolveModelAlias('claude-sonnet-4').alias, 'claude-sonnet-4');
+    assert.equal(resolveModelAlias('broken'), null);
+    assert.equal(resolveModelAlias('toString'), null);
+  });
+});
+
+describe('listModels', () => {
+  it('lists configured models, then aliases inheriting from their target', () => {
+    const { data } = listModels();
+
+    assert.deepEqual(data.map((model) => model.id), ['glm-4.7', 'glm-4.6v', 'claude-sonnet-4', 'claude-haiku']);
+    assert.equal(data[2].alias_for, 'glm-4.7');
+    assert.equal(data[2].context_window, 200000);
+    assert.equal(data[3].display_name, 'claude-haiku');
+  });
+
+  it('reports the same fixed created_at for every model', () => {
+    for (const model of listModels().data) {
+      assert.equal(model.created_at, '1970-01-01T00:00:00Z');
+    }
+  });
+
+  it('pages with after_id and before_id', () => {
+    const first = listModels({ limit: 2 });
+    assert.deepEqual([first.first_id, first.last_id, first.has_more], ['glm-4.7', 'glm-4.6v', true]);
+
+    const second = listModels({ limit: 2, afterId: first.last_id });
+    assert.deepEqual(second.data.map((model) => model.id), ['claude-sonnet-4', 'claude-haiku']);
+    assert.equal(second.has_more, false);
+
+    const back = listModels({ limit: 1, beforeId: 'claude-sonnet-4' });
+    assert.deepEqual(back.data.map((model) => model.id), ['glm-4.6v']);
+    assert.equal(back.has_more, true);
+
+    assert.deepEqual(listModels({ afterId: 'missing' }).data, []);
+  });
+});
+
+describe('getModel', () => {
+  it('finds advertised models and aliases only', () => {
+    assert.equal(getModel('claude-sonnet-4').alias_for, 'glm-4.7');
+    assert.equal(getModel('glm-4.5-air'), null);
+  });
+});
+
+describe('isKnownModel', () => {
+  it('knows configured and catalog models but not arbitrary client names', () => {
+    assert.ok(isKnownModel('glm-4.7'));
+    assert.ok(isKnownModel('glm-4.5-air'));
+    assert.ok(isKnownModel('claude-haiku'));
+    assert.ok(!isKnownModel('claude-opus-4-20250514'));
+    assert.ok(!isKnownModel(''));
+  });
+});
+
+describe('getResponseModel', () => {
+  it('reports aliases the client asked for and the upstream model otherwise', () => {
+    assert.equal(getResponseModel('claude-haiku', 'glm-4.5-air'), 'claude-haiku');
+    assert.equal(getResponseModel('gpt-4o', 'glm-4.7'), 'glm-4.7');
+  });
+});
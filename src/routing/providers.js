@@ -0,0 +1,567 @@
+/**
+ * Provider Registry
+ *
+ * In-memory registry of upstream providers and model routing rules.
+ * Persists custom providers and rules to ~/.ccglm/providers.json.
+ *
+ * Built-in providers mirror the three original endpoint modes and are always
+ * derived from config (ZAI_BASE_URL, ZAI_ANTHROPIC_URL, BIGMODEL_URL), so their
+ * IDs ('anthropic', 'openai', 'bigmodel') double as endpoint mode names.
+ *
+ * Routing rules map incoming model names (glob patterns, first match wins)
+ * to a provider and an optional target model.
+ *
+ * nativeThinking marks providers that accept a thinking parameter (see
+ * reasoning/thinking.js); requests to the others get the reasoning prompt.
+ */
+
+import config from '../config.js';
+import { readJsonFile, writeJsonFile, setEnvApiKey } from '../persistence/index.js';
+import { InvalidRequestError } from '../utils/errors.js';
+import { matchesGlob } from '../utils/glob.js';
+import logger from '../utils/logger.js';
+
+const PROVIDERS_FILE = 'providers.json';
+
+const PROTOCOLS = ['anthropic', 'openai'];
+const AUTH_STYLES = ['bearer', 'x-api-key', 'none'];
+
+// .env entries a custom provider may store its key in
+const API_KEY_NAME_PATTERN = /^[A-Z][A-Z0-9_]*_API_KEY$/;
+
+// Custom providers and routing rules
+let customProviders = [];
+let routingRules = [];
+
+// Initialize flag
+let initialized = false;
+
+/**
+ * Generate environment variable name from provider ID
+ * e.g., "openrouter" -> "OPENROUTER_API_KEY"
+ * @param {string} providerId - Provider ID
+ * @returns {string} Environment variable name
+ */
+function generateEnvVarName(providerId) {
+  return `${providerId.toUpperCase().replace(/-/g, '_')}_API_KEY`;
+}
+
+/**
+ * Build the built-in providers from current config
+ * @returns {Array} Built-in provider entries
+ */
+function getBuiltinProviders() {
+  const models = [config.models.text, config.models.vision];
+  return [
+    {
+      id: 'anthropic',
+      name: 'Z.ai (Anthropic)',
+      baseUrl: config.zaiAnthropicUrl,
+      protocol: 'anthropic',
+      authStyle: 'x-api-key',
+      apiKeyName: 'ZAI_API_KEY',
+      models,
+      nativeThinking: true,
+      builtin: true,
+    },
+    {
+      id: 'openai',
+      name: 'Z.ai (OpenAI)',
+      baseUrl: config.zaiBaseUrl,
+      protocol: 'openai',
+      authStyle: 'bearer',
+      apiKeyName: 'ZAI_API_KEY',
+      models,
+      nativeThinking: true,
+      builtin: true,
+    },
+    {
+      id: 'bigmodel',
+      name: 'BigModel',
+      baseUrl: config.bigModelUrl,
+      protocol: 'openai',
+      authStyle: 'bearer',
+      apiKeyName: 'ZAI_API_KEY',
+      models,
+      nativeThinking: true,
+      builtin: true,
+    },
+  ];
+}
+
+/**
+ * Save custom providers and rules to persistence file
+ * Excludes API key values (read from env)
+ */
+function saveProviders() {
+  writeJsonFile(PROVIDERS_FILE, {
+    providers: customProviders.map((provider) => ({
+      id: provider.id,
+      name: provider.name,
+      baseUrl: provider.baseUrl,
+      protocol: provider.protocol,
+      authStyle: provider.authStyle,
+      apiKeyName: provider.apiKeyName,
+      models: provider.models,
+      nativeThinking: !!provider.nativeThinking,
+    })),
+    rules: routingRules,
+  });
+}
+
+/**
+ * Initialize the provider registry from persistence
+ */
+export function initProviders() {
+  if (initialized) {
+    return;
+  }
+
+  const data = readJsonFile(PROVIDERS_FILE);
+  customProviders = Array.isArray(data?.providers) ? data.providers : [];
+  routingRules = Array.isArray(data?.rules) ? data.rules : [];
+  initialized = true;
+
+  logger.info('providers', 'Provider registry loaded', {
+    customProviders: customProviders.map((p) => p.id),
+    ruleCount: routingRules.length,
+  });
+}
+
+/**
+ * Get a provider by ID (built-in or custom)
+ * @param {string} id - Provider ID
+ * @returns {Object|null} Provider or null if not found
+ */
+export function getProvider(id) {
+  initProviders();
+  return getBuiltinProviders().find((p) => p.id === id)
+    || customProviders.find((p) => p.id === id)
+    || null;
+}
+
+/**
+ * Get all providers (sanitized for API response)
+ * @returns {Array} Providers, built-ins first
+ */
+export function getAllProviders() {
+  initProviders();
+  return [...getBuiltinProviders(), ...customProviders].map(sanitizeProviderForResponse);
+}
+
+/**
+ * Create a 404 error for a provider that does not exist
+ * @param {string} id - Provider ID
+ * @returns {InvalidRequestError} Error with status 404
+ */
+function providerNotFound(id) {
+  const error = new InvalidRequestError(`Provider with id '${id}' not found`);
+  error.status = 404;
+  return error;
+}
+
+/**
+ * Validate the .env entry a new custom provider keeps its API key in
+ * The key value is written to .env, so the name must look like an API key
+ * and must not belong to another provider (e.g. ZAI_API_KEY)
+ * @param {string} apiKeyName - Environment variable name
+ * @throws {InvalidRequestError} If the name is not allowed
+ */
+function validateApiKeyName(apiKeyName) {
+  if (typeof apiKeyName !== 'string' || !API_KEY_NAME_PATTERN.test(apiKeyName)) {
+    throw new InvalidRequestError('Provider apiKeyName must be uppercase letters, digits and "_", ending in _API_KEY');
+  }
+
+  const owner = [...getBuiltinProviders(), ...customProviders].find((p) => p.apiKeyName === apiKeyName);
+  if (owner) {
+    throw new InvalidRequestError(`Provider apiKeyName '${apiKeyName}' is already used by provider '${owner.id}'`);
+  }
+}
+
+/**
+ * Validate provider fields shared by add and update
+ * @param {Object} provider - Provider configuration
+ * @throws {InvalidRequestError} If a field is invalid
+ */
+function validateProvider(provider) {
+  if (!provider.name || typeof provider.name !== 'string') {
+    throw new InvalidRequestError('Provider name is required and must be a string');
+  }
+
+  let url;
+  try {
+    url = new URL(provider.baseUrl);
+  } catch {
+    throw new InvalidRequestError('Provider baseUrl must be a valid URL');
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new InvalidRequestError('Provider baseUrl must use http or https');
+  }
+
+  if (!PROTOCOLS.includes(provider.protocol)) {
+    throw new InvalidRequestError(`Provider protocol must be one of: ${PROTOCOLS.join(', ')}`);
+  }
+  if (!AUTH_STYLES.includes(provider.authStyle)) {
+    throw new InvalidRequestError(`Provider authStyle must be one of: ${AUTH_STYLES.join(', ')}`);
+  }
+  if (!Array.isArray(provider.models) || provider.models.some((m) => typeof m !== 'string')) {
+    throw new InvalidRequestError('Provider models must be an array of strings');
+  }
+  if (typeof provider.nativeThinking !== 'boolean') {
+    throw new InvalidRequestError('Provider nativeThinking must be a boolean');
+  }
+}
+
+/**
+ * Add a custom provider
+ * @param {Object} providerConfig - Provider configuration
+ * @returns {Object} Added provider (sanitized)
+ * @throws {InvalidRequestError} If invalid or the ID already exists
+ */
+export function addProvider(providerConfig) {
+  initProviders();
+
+  if (!providerConfig.id || typeof providerConfig.id !== 'string') {
+    throw new InvalidRequestError('Provider id is required and must be a string');
+  }
+  if (!/^[a-z0-9][a-z0-9_-]*$/.test(providerConfig.id)) {
+    throw new InvalidRequestError('Provider id must be lowercase letters, digits, "-" or "_"');
+  }
+  if (getProvider(providerConfig.id)) {
+    throw new InvalidRequestError(`Provider with id '${providerConfig.id}' already exists`);
+  }
+
+  const provider = {
+    id: providerConfig.id,
+    name: providerConfig.name,
+    baseUrl: providerConfig.baseUrl,
+    protocol: providerConfig.protocol || 'openai',
+    authStyle: providerConfig.authStyle || 'bearer',
+    apiKeyName: providerConfig.apiKeyName || generateEnvVarName(providerConfig.id),
+    models: Array.isArray(providerConfig.models) ? providerConfig.models : [],
+    nativeThinking: providerConfig.nativeThinking ?? false,
+  };
+
+  validateProvider(provider);
+  validateApiKeyName(provider.apiKeyName);
+
+  // If API key value provided, save to .env file
+  if (providerConfig.apiKeyValue) {
+    const saved = setEnvApiKey(provider.apiKeyName, providerConfig.apiKeyValue);
+    if (saved) {
+      logger.info('providers', 'API key saved to .env', { keyName: provider.apiKeyName });
+    }
+  }
+
+  customProviders.push(provider);
+  saveProviders();
+
+  logger.info('providers', 'Provider added', {
+    id: provider.id,
+    protocol: provider.protocol,
+    baseUrl: provider.baseUrl,
+  });
+
+  return sanitizeProviderForResponse(provider);
+}
+
+/**
+ * Update a custom provider
+ * @param {string} id - Provider ID
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Updated provider (sanitized)
+ * @throws {InvalidRequestError} If not found (404), built-in, or invalid
+ */
+export function updateProvider(id, updates) {
+  initProviders();
+
+  const provider = customProviders.find((p) => p.id === id);
+  if (!provider) {
+    if (getProvider(id)) {
+      throw new InvalidRequestError(`Provider '${id}' is built-in and configured via environment variables`);
+    }
+    throw providerNotFound(id);
+  }
+
+  const allowedFields = ['name', 'baseUrl', 'protocol', 'authStyle', 'models', 'nativeThinking'];
+  const updated = { nativeThinking: false, ...provider };
+  for (const field of allowedFields) {
+    if (updates[field] !== undefined) {
+      updated[field] = updates[field];
+    }
+  }
+
+  validateProvider(updated);
+  Object.assign(provider, updated);
+
+  if (updates.apiKeyValue) {
+    const saved = setEnvApiKey(provider.apiKeyName, updates.apiKeyValue);
+    if (saved) {
+      logger.info('providers', 'API key saved to .env', { keyName: provider.apiKeyName });
+    }
+  }
+
+  saveProviders();
+
+  logger.info('providers', 'Provider updated', {
+    id,
+    fields: Object.keys(updates),
+  });
+
+  return sanitizeProviderForResponse(provider);
+}
+
+/**
+ * Remove a custom provider
+ * @param {string} id - Provider ID
+ * @returns {boolean} True if removed
+ * @throws {InvalidRequestError} If not found (404), built-in, or still referenced by a rule
+ */
+export function removeProvider(id) {
+  initProviders();
+
+  const index = customProviders.findIndex((p) => p.id === id);
+  if (index === -1) {
+    if (getProvider(id)) {
+      throw new InvalidRequestError(`Provider '${id}' is built-in and cannot be removed`);
+    }
+    throw providerNotFound(id);
+  }
+
+  const referencingRules = routingRules.filter((rule) => rule.provider === id);
+  if (referencingRules.length > 0) {
+    throw new InvalidRequestError(
+      `Provider '${id}' is used by routing rules: ${referencingRules.map((r) => r.pattern).join(', ')}`
+    );
+  }
+
+  customProviders.splice(index, 1);
+  saveProviders();
+
+  logger.info('providers', 'Provider removed', { id });
+
+  return true;
+}
+
+/**
+ * Get routing rules
+ * @returns {Array} Rules in evaluation order
+ */
+export function getRoutingRules() {
+  initProviders();
+  return routingRules.map((rule) => ({ ...rule }));
+}
+
+/**
+ * Replace the routing rules
+ * @param {Array} rules - Rules in evaluation order ({ pattern, provider, model })
+ * @returns {Array} Saved rules
+ * @throws {InvalidRequestError} If a rule is invalid
+ */
+export function setRoutingRules(rules) {
+  initProviders();
+
+  if (!Array.isArray(rules)) {
+    throw new InvalidRequestError('rules must be an array');
+  }
+
+  const normalized = rules.map((rule, index) => {
+    if (!rule || typeof rule.pattern !== 'string' || !rule.pattern.trim()) {
+      throw new InvalidRequestError(`rules[${index}].pattern is required`);
+    }
+    if (!getProvider(rule.provider)) {
+      throw new InvalidRequestError(`rules[${index}].provider '${rule.provider}' does not exist`);
+    }
+    if (rule.model !== undefined && rule.model !== null && typeof rule.model !== 'string') {
+      throw new InvalidRequestError(`rules[${index}].model must be a string`);
+    }
+    return {
+      pattern: rule.pattern.trim(),
+      provider: rule.provider,
+      model: rule.model?.trim() || null,
+    };
+  });
+
+  routingRules = normalized;
+  saveProviders();
+
+  logger.info('providers', 'Routing rules updated', { ruleCount: routingRules.length });
+
+  return getRoutingRules();
+}
+
+/**
+ * Get the provider used when no routing rule matches
+ * @returns {Object} Default provider (from endpoint mode)
+ */
+export function getDefaultProvider() {
+  const mode = config.endpoint.mode;
+
+  if (mode === 'anthropic' || mode === 'openai' || mode === 'bigmodel') {
+    return getProvider(mode);
+  }
+
+  // Legacy fallback: check useAnthropic flag
+  return getProvider(config.endpoint.useAnthropic ? 'anthropic' : 'openai');
+}
+
+/**
+ * Resolve the provider and target model for an incoming model name
+ * @param {string} requestedModel - Model name from the client request
+ * @returns {{provider: Object, model: string|null, rule: Object|null}} Route
+ */
+export function resolveRoute(requestedModel) {
+  initProviders();
+
+  for (const rule of routingRules) {
+    if (!matchesGlob(rule.pattern, requestedModel)) {
+      continue;
+    }
+
+    const provider = getProvider(rule.provider);
+    if (!provider) {
+      logger.warn('providers', 'Routing rule references missing provider', { rule });
+      continue;
+    }
+
+    return { provider, model: rule.model || null, rule };
+  }
+
+  return { provider: getDefaultProvider(), model: null, rule: null };
+}
+
+/**
+ * Build the ordered list of routes to try for a request
+ * The resolved route comes first, followed by config.failover.order. A rule's
+ * target model is only kept for fallback providers that list it, others use
+ * their default model. Anthropic-protocol providers are skipped for vision
+ * requests (Z.ai intercepts images there with server_tool_use).
+ * @param {Object} route - Primary route from resolveRoute
+ * @param {Object} options - Options
+ * @param {boolean} options.hasImages - Whether the current message has images
+ * @returns {Array<{provider: Object, model: string|null, rule: Object|null}>} Routes in order
+ */
+export function getFailoverRoutes(route, options = {}) {
+  if (!config.failover.enabled) {
+    return [route];
+  }
+
+  const routes = [route];
+  for (const id of config.failover.order) {
+    const provider = getProvider(id);
+    if (!provider || routes.some((r) => r.provider.id === id)) {
+      continue;
+    }
+    if (options.hasImages && provider.protocol === 'anthropic') {
+      continue;
+    }
+
+    const model = route.model && provider.models.includes(route.model) ? route.model : null;
+    routes.push({ provider, model, rule: route.rule });
+  }
+
+  return routes;
+}
+
+/**
+ * Resolve the full upstream URL for a provider
+ * Built-in URLs come from env vars as full endpoint URLs and are used as-is;
+ * custom base URLs get the protocol's path appended unless already present
+ * @param {Object} provider - Provider
+ * @returns {string} Upstream URL
+ */
+function resolveEndpointUrl(provider) {
+  if (provider.builtin) {
+    return provider.baseUrl;
+  }
+
+  const baseUrl = provider.baseUrl.replace(/\/+$/, '');
+
+  if (provider.protocol === 'anthropic') {
+    if (baseUrl.endsWith('/messages')) return baseUrl;
+    return baseUrl.endsWith('/v1') ? `${baseUrl}/messages` : `${baseUrl}/v1/messages`;
+  }
+
+  return baseUrl.endsWith('/chat/completions') ? baseUrl : `${baseUrl}/chat/completions`;
+}
+
+/**
+ * Get the API key for a provider
+ * Built-in providers use the Z.ai key, which can change at runtime
+ * @param {Object} provider - Provider
+ * @returns {string} API key (empty if not configured)
+ */
+function getProviderApiKey(provider) {
+  if (provider.builtin) {
+    return config.zaiApiKey;
+  }
+  return process.env[provider.apiKeyName] || '';
+}
+
+/**
+ * Build the upstream target (URL and headers) for a provider
+ * @param {Object|string} providerOrId - Provider or provider ID
+ * @returns {{provider: string, protocol: string, url: string, headers: Object, nativeThinking: boolean}} Upstream target
+ */
+export function getUpstream(providerOrId) {
+  const provider = typeof providerOrId === 'string' ? getProvider(providerOrId) : providerOrId;
+  if (!provider) {
+    throw new Error(`Provider '${providerOrId}' not found`);
+  }
+
+  const apiKey = getProviderApiKey(provider);
+  const headers = { 'Content-Type': 'application/json' };
+
+  if (provider.authStyle === 'bearer') {
+    headers.Authorization = `Bearer ${apiKey}`;
+  } else if (provider.authStyle === 'x-api-key') {
+    headers['x-api-key'] = apiKey;
+  }
+
+  if (provider.protocol === 'anthropic') {
+    headers['anthropic-version'] = '2023-06-01';
+  }
+
+  return {
+    provider: provider.id,
+    protocol: provider.protocol,
+    url: resolveEndpointUrl(provider),
+    headers,
+    nativeThinking: !!provider.nativeThinking,
+  };
+}
+
+/**
+ * Sanitize provider for API response (hide sensitive data)
+ * @param {Object} provider - Provider
+ * @returns {Object} Sanitized provider
+ */
+function sanitizeProviderForResponse(provider) {
+  return {
+    id: provider.id,
+    name: provider.name,
+    baseUrl: provider.baseUrl,
+    protocol: provider.protocol,
+    authStyle: provider.authStyle,
+    apiKeyName: provider.apiKeyName,
+    apiKeyConfigured: !!getProviderApiKey(provider),
+    models: provider.models,
+    nativeThinking: !!provider.nativeThinking,
+    builtin: !!provider.builtin,
+  };
+}
+
+export default {
+  initProviders,
+  getProvider,
+  getAllProviders,
+  addProvider,
+  updateProvider,
+  removeProvider,
+  getRoutingRules,
+  setRoutingRules,
+  getDefaultProvider,
+  resolveRoute,
+  getFailoverRoutes,
+  getUpstream,
+};
@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import {
+  addProvider,
+  updateProvider,
+  removeProvider,
+  setRoutingRules,
+  resolveRoute,
+  getUpstream,
+} from './providers.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+const PROVIDER = {
+  id: 'openrouter',
+  name: 'OpenRouter',
+  baseUrl: 'https://openrouter.ai/api/v1',
+  protocol: 'openai',
+  authStyle: 'bearer',
+  models: ['z-ai/glm-4.5-air'],
+};
+
+/**
+ * Assert that a call fails with a client error
+ * @param {Function} fn - Call expected to throw
+ * @param {number} status - Expected HTTP status
+ * @param {RegExp} message - Expected message
+ */
+function assertRejected(fn, status, message) {
+  assert.throws(fn, (error) => getErrorStatus(error) === status && message.test(error.message));
+}
+
+describe('custom providers', () => {
+  it('adds a provider with a generated key name and resolves its URL', () => {
+    const provider = addProvider(PROVIDER);
+    assert.equal(provider.apiKeyName, 'OPENROUTER_API_KEY');
+    assert.equal(getUpstream('openrouter').url, 'https://openrouter.ai/api/v1/chat/completions');
+  });
+
+  it('rejects invalid fields with a 400', () => {
+    assertRejected(() => addProvider({ ...PROVIDER, id: 'bad-url', baseUrl: 'ftp://x' }), 400, /http or https/);
+    assertRejected(() => addProvider({ ...PROVIDER, id: 'Bad Id' }), 400, /lowercase/);
+    assertRejected(() => addProvider(PROVIDER), 400, /already exists/);
+    assertRejected(() => updateProvider('openrouter', { protocol: 'grpc' }), 400, /protocol/);
+  });
+
+  it('only stores keys in *_API_KEY entries no other provider uses', () => {
+    assertRejected(() => addProvider({ ...PROVIDER, id: 'port', apiKeyName: 'PORT' }), 400, /_API_KEY/);
+    assertRejected(() => addProvider({ ...PROVIDER, id: 'zai-copy', apiKeyName: 'ZAI_API_KEY' }), 400, /used by provider 'anthropic'/);
+    assertRejected(() => addProvider({ ...PROVIDER, id: 'zai' }), 400, /ZAI_API_KEY/);
+    assertRejected(
+      () => addProvider({ ...PROVIDER, id: 'other', apiKeyName: 'OPENROUTER_API_KEY' }),
+      400,
+      /used by provider 'openrouter'/
+    );
+  });
+
+  it('returns 404 for unknown providers and refuses to change built-ins', () => {
+    assertRejected(() => updateProvider('missing', { name: 'x' }), 404, /not found/);
+    assertRejected(() => removeProvider('missing'), 404, /not found/);
+    assertRejected(() => removeProvider('anthropic'), 400, /built-in/);
+  });
+});
+
+describe('routing rules', () => {
+  it('routes by the first matching rule and falls back to the default provider', () => {
+    setRoutingRules([
+      { pattern: 'claude-3-5-haiku*', provider: 'openrouter', model: 'z-ai/glm-4.5-air' },
+      { pattern: 'claude-*', provider: 'anthropic' },
+    ]);
+
+    const haiku = resolveRoute('claude-3-5-haiku-latest');
+    assert.equal(haiku.provider.id, 'openrouter');
+    assert.equal(haiku.model, 'z-ai/glm-4.5-air');
+
+    const opus = resolveRoute('claude-opus-4');
+    assert.equal(opus.provider.id, 'anthropic');
+    assert.equal(opus.model, null);
+
+    assert.equal(resolveRoute('gpt-4o').rule, null);
+  });
+
+  it('rejects rules for unknown providers and keeps providers that rules use', () => {
+    assertRejected(() => setRoutingRules([{ pattern: '*', provider: 'missing' }]), 400, /does not exist/);
+    assertRejected(() => removeProvider('openrouter'), 400, /used by routing rules/);
+  });
+});
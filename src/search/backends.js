@@ -0,0 +1,165 @@
+/**
+ * Web Search Backends
+ *
+ * web_search and web_reader run on an ordered list of backends per tool
+ * (config.search.backends); when a backend fails the next one is tried:
+ * - zai: the Z.ai MCP servers (config.mcp.search / config.mcp.reader)
+ * - searxng: a SearXNG JSON endpoint (web_search only, needs config.search.searxngUrl)
+ * - local: the built-in page reader (web_reader only, no API key needed)
+ *
+ * Results go through the tool result cache (cache/tool-cache.js).
+ */
+
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { callMcpTool, formatMcpResult } from '../tools/mcp-client.js';
+import { recordToolCall } from '../metrics/proxy-metrics.js';
+import { cachedToolCall } from '../cache/tool-cache.js';
+import { searchSearxng } from './searxng.js';
+import { readPage } from './reader.js';
+
+/**
+ * Backend implementations by tool
+ * Each run() takes the tool input, a cancellation signal and the onResult
+ * callback (receives the raw result in MCP shape) and returns the text for
+ * the model; failures are returned as 'Error: ...' or thrown.
+ */
+const BACKENDS = {
+  web_search: {
+    zai: {
+      available: () => Boolean(config.mcp.search.url),
+      run: ({ query }, signal, onResult) => callMcpTool(
+        config.mcp.search.url,
+        config.mcp.search.toolName,
+        { search_query: query },
+        config,
+        signal,
+        onResult,
+      ),
+    },
+    searxng: {
+      available: () => Boolean(config.search.searxngUrl),
+      run: async ({ query }, signal, onResult) => {
+        const results = await searchSearxng(query, signal);
+        onResult?.({ content: [{ type: 'text', text: JSON.stringify(results) }] });
+        return formatMcpResult(results, 'web_search');
+      },
+    },
+  },
+  web_reader: {
+    zai: {
+      available: () => Boolean(config.mcp.reader.url),
+      run: ({ url }, signal, onResult) => callMcpTool(
+        config.mcp.reader.url,
+        config.mcp.reader.toolName,
+        { url },
+        config,
+        signal,
+        onResult,
+      ),
+    },
+    local: {
+      available: () => true,
+      run: async ({ url }, signal, onResult) => {
+        const page = await readPage(url, signal);
+        onResult?.({
+          content: [{ type: 'text', text: JSON.stringify({ title: page.title, url: page.url, content: page.markdown }) }],
+        });
+        return `# ${page.title}\nURL: ${page.url}\n\n${page.markdown || '(no readable content)'}`;
+      },
+    },
+  },
+};
+
+// Backends that record their own tool metrics (callMcpTool does)
+const SELF_RECORDING = new Set(['zai']);
+
+/**
+ * Run one backend, turning thrown errors into an error result
+ * @param {string} tool - 'web_search' or 'web_reader'
+ * @param {string} name - Backend name
+ * @param {Object} input - Tool input
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Function} onResult - Raw result callback
+ * @returns {Promise<string>} Result text ('Error: ...' on failure)
+ */
+async function runBackend(tool, name, input, signal, onResult) {
+  const startTime = Date.now();
+  let result;
+  try {
+    result = await BACKENDS[tool][name].run(input, signal, onResult);
+  } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
+    result = error.name === 'TimeoutError' || error.name === 'AbortError'
+      ? `Error: Tool execution timed out after ${config.toolExecution.timeout}ms`
+      : `Error: ${error.message}`;
+  }
+
+  if (!SELF_RECORDING.has(name)) {
+    recordToolCall({
+      mcp: name === 'local' ? 'local-reader' : name,
+      tool,
+      success: !result.startsWith('Error'),
+      durationMs: Date.now() - startTime,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Try the configured backends of a tool in order until one succeeds
+ * @param {string} tool - 'web_search' or 'web_reader'
+ * @param {Object} input - Tool input
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Function} onResult - Raw result callback
+ * @returns {Promise<string>} Result text (the last error when all backends fail)
+ */
+async function runBackends(tool, input, signal, onResult) {
+  const names = (config.search.backends[tool] || []).filter((name) => BACKENDS[tool]?.[name]?.available());
+  if (names.length === 0) {
+    return `Error: No ${tool} backend is available`;
+  }
+
+  let result = '';
+  for (const [index, name] of names.entries()) {
+    result = await runBackend(tool, name, input, signal, onResult);
+    if (!result.startsWith('Error')) {
+      if (index > 0) {
+        logger.info('search', 'Fallback backend succeeded', { tool, backend: name });
+      }
+      return result;
+    }
+
+    if (index < names.length - 1) {
+      logger.warn('search', 'Search backend failed, trying the next one', {
+        tool,
+        backend: name,
+        next: names[index + 1],
+        error: result.substring(0, 200),
+      });
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run web_search or web_reader on the configured backends
+ * Backends are tried in order until one succeeds; the last error is returned
+ * when all of them fail. Repeated calls are served from the tool result cache.
+ * @param {string} tool - 'web_search' or 'web_reader'
+ * @param {Object} input - { query } for web_search, { url } for web_reader
+ * @param {AbortSignal} signal - Request cancellation signal (the cancellation is rethrown)
+ * @param {Function} onResult - Called with the raw result of the successful backend (e.g. a search recorder)
+ * @returns {Promise<string>} Result text for the model
+ */
+export function runSearchTool(tool, input, signal = null, onResult = null) {
+  return cachedToolCall(tool, input, (onRaw) => runBackends(tool, input, signal, onRaw), signal, onResult);
+}
+
+export default {
+  runSearchTool,
+};
@@ -0,0 +1,67 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { runSearchTool } from './backends.js';
+
+// One local server: /mcp is a Z.ai MCP server that is down, /search a SearXNG instance
+const calls = [];
+
+const server = http.createServer((req, res) => {
+  calls.push(req.url.split('?')[0]);
+  if (req.url === '/mcp') {
+    res.writeHead(503);
+    res.end('down');
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ results: [{ title: 'Node.js', url: 'https://nodejs.org', content: 'JavaScript runtime' }] }));
+});
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  config.mcp.search.url = `${baseUrl}/mcp`;
+  config.search.searxngUrl = baseUrl;
+  config.toolCache.enabled = false;
+});
+
+after(() => {
+  server.close();
+  server.closeAllConnections();
+});
+
+beforeEach(() => {
+  calls.length = 0;
+});
+
+describe('runSearchTool', () => {
+  it('falls back to the next backend when one fails', async () => {
+    config.search.backends.web_search = ['zai', 'searxng'];
+    const raw = [];
+    const result = await runSearchTool('web_search', { query: 'node' }, null, (value) => raw.push(value));
+
+    assert.deepEqual(calls, ['/mcp', '/search']);
+    assert.match(result, /Node\.js/);
+    assert.equal(raw.length, 1, 'only the successful backend reports a raw result');
+  });
+
+  it('skips backends that are not configured', async () => {
+    config.search.backends.web_search = ['searxng', 'zai'];
+    config.search.searxngUrl = '';
+
+    const result = await runSearchTool('web_search', { query: 'node' });
+    assert.match(result, /^Error/);
+    assert.deepEqual(calls, ['/mcp']);
+
+    config.mcp.search.url = '';
+    assert.equal(await runSearchTool('web_search', { query: 'node' }), 'Error: No web_search backend is available');
+  });
+
+  it('returns a local reader refusal as an error result', async () => {
+    config.search.backends.web_reader = ['local'];
+    assert.match(await runSearchTool('web_reader', { url: 'http://localhost/' }), /^Error: Refusing to read local/);
+  });
+});
@@ -0,0 +1,310 @@
+/**
+ * HTML to Markdown
+ *
+ * Dependency-free converter used by the local web reader. Turns a page into
+ * readable markdown for the model:
+ * - Keeps the page's <main>/<article> when it has one, otherwise <body>
+ * - Drops scripts, styles, navigation, forms and other page chrome
+ * - Converts headings, paragraphs, lists, links, images, emphasis, code,
+ *   blockquotes and tables; relative URLs are resolved against the page URL
+ */
+
+// Elements dropped together with their content
+const DROPPED_ELEMENTS = [
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object',
+  'head', 'nav', 'aside', 'footer', 'form', 'button', 'select', 'dialog',
+];
+
+// Elements that separate blocks of text
+const BLOCK_ELEMENTS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'header', 'figure', 'figcaption',
+  'dl', 'dt', 'dd', 'address', 'details', 'summary', 'table', 'caption',
+]);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  mdash: '—', ndash: '–', hellip: '…', copy: '©', reg: '®', trade: '™',
+  laquo: '«', raquo: '»', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  bull: '•', middot: '·', times: '×', deg: '°', euro: '€', pound: '£',
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - HTML text
+ * @returns {string} Decoded text
+ */
+export function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, ref) => {
+    if (ref[0] === '#') {
+      const code = ref[1] === 'x' || ref[1] === 'X' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+      return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[ref.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Read an attribute from a tag's attribute string
+ * @param {string} attributes - Raw attribute string
+ * @param {string} name - Attribute name
+ * @returns {string} Decoded value ('' when missing)
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2] ?? match[3] ?? '').trim() : '';
+}
+
+/**
+ * Resolve a link against the page URL
+ * @param {string} href - Link target
+ * @param {string} baseUrl - Page URL
+ * @returns {string} Absolute URL ('' for fragments, javascript: and unparseable links)
+ */
+function resolveUrl(href, baseUrl) {
+  if (!href || href.startsWith('#') || /^(javascript|data):/i.test(href)) {
+    return '';
+  }
+  try {
+    return new URL(href, baseUrl || undefined).href;
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Remove dropped elements, comments and everything outside the main content
+ * @param {string} html - Page HTML
+ * @returns {string} HTML of the content to convert
+ */
+function selectContent(html) {
+  let content = html.replace(/<!--[\s\S]*?-->/g, '').replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '');
+
+  for (const element of DROPPED_ELEMENTS) {
+    content = content.replace(new RegExp(`<${element}\\b[^>]*>[\\s\\S]*?<\\/${element}\\s*>`, 'gi'), '');
+  }
+
+  const main = content.match(/<main\b[^>]*>([\s\S]*)<\/main\s*>/i)
+    || content.match(/<article\b[^>]*>([\s\S]*)<\/article\s*>/i)
+    || content.match(/<body\b[^>]*>([\s\S]*)<\/body\s*>/i);
+  return main ? main[1] : content;
+}
+
+/**
+ * Create the output buffer stack of a conversion
+ * Links, blockquotes and table cells render into their own buffer, which is
+ * popped and post-processed when the element closes.
+ * @returns {Object} Writer ({ text, block, line, push, pop })
+ */
+function createWriter() {
+  const buffers = [''];
+
+  const current = () => buffers[buffers.length - 1];
+  const append = (value) => {
+    buffers[buffers.length - 1] += value;
+  };
+
+  return {
+    /**
+     * Append inline text (leading whitespace is dropped at the start of a line)
+     * @param {string} value - Text
+     */
+    text(value) {
+      const buffer = current();
+      append(buffer === '' || buffer.endsWith('\n') ? value.replace(/^ +/, '') : value);
+    },
+
+    /** Start a new block (blank line) */
+    block() {
+      const buffer = current();
+      if (buffer !== '' && !buffer.endsWith('\n\n')) {
+        append(buffer.endsWith('\n') ? '\n' : '\n\n');
+      }
+    },
+
+    /** Start a new line */
+    line() {
+      const buffer = current();
+      if (buffer !== '' && !buffer.endsWith('\n')) {
+        append('\n');
+      }
+    },
+
+    /** Append raw markdown */
+    raw: append,
+
+    /** Start a nested buffer */
+    push() {
+      buffers.push('');
+    },
+
+    /**
+     * End a nested buffer
+     * @returns {string} Its content
+     */
+    pop() {
+      return buffers.length > 1 ? buffers.pop() : '';
+    },
+
+    /** Full output */
+    result: () => buffers.join(''),
+  };
+}
+
+/**
+ * Convert HTML to markdown
+ * @param {string} html - Page HTML
+ * @param {string} baseUrl - Page URL (for resolving relative links and images)
+ * @returns {{title: string, markdown: string}} Page title and markdown
+ */
+export function htmlToMarkdown(html, baseUrl = '') {
+  const titleMatch = html.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i);
+  const title = titleMatch ? decodeEntities(titleMatch[1]).replace(/\s+/g, ' ').trim() : '';
+
+  const out = createWriter();
+  const lists = [];
+  const links = [];
+  const rows = [];
+  let preDepth = 0;
+
+  const content = selectContent(html).replace(/\r\n?/g, '\n');
+  const tokenPattern = /<(\/?)([a-zA-Z][\w-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|([^<]+|<)/g;
+  let match;
+  while ((match = tokenPattern.exec(content)) !== null) {
+    const [, closing, rawName, attributes = '', text] = match;
+
+    if (text !== undefined) {
+      const decoded = decodeEntities(text);
+      if (preDepth > 0) {
+        out.raw(decoded);
+      } else {
+        out.text(decoded.replace(/\s+/g, ' '));
+      }
+      continue;
+    }
+
+    const name = rawName.toLowerCase();
+    const isClosing = closing === '/';
+
+    if (/^h[1-6]$/.test(name)) {
+      out.block();
+      if (!isClosing) {
+        out.raw(`${'#'.repeat(Number(name[1]))} `);
+      }
+    } else if (BLOCK_ELEMENTS.has(name)) {
+      // Paragraphs inside list items stay on the item's line
+      if (lists.length === 0) {
+        out.block();
+      }
+    } else if (name === 'br') {
+      out.raw('\n');
+    } else if (name === 'hr') {
+      out.block();
+      out.raw('---');
+      out.block();
+    } else if (name === 'strong' || name === 'b') {
+      out.raw('**');
+    } else if (name === 'em' || name === 'i') {
+      out.raw('*');
+    } else if (name === 'code' && preDepth === 0) {
+      out.raw('`');
+    } else if (name === 'pre') {
+      if (isClosing) {
+        preDepth = Math.max(preDepth - 1, 0);
+        out.line();
+        out.raw('```');
+        out.block();
+      } else {
+        out.block();
+        out.raw('```\n');
+        preDepth++;
+      }
+    } else if (name === 'ul' || name === 'ol') {
+      if (isClosing) {
+        lists.pop();
+      }
+      // Top-level lists are blocks, nested lists continue on the next line
+      if (lists.length === 0) {
+        out.block();
+      } else {
+        out.line();
+      }
+      if (!isClosing) {
+        lists.push({ ordered: name === 'ol', count: 0 });
+      }
+    } else if (name === 'li' && !isClosing) {
+      const list = lists[lists.length - 1];
+      out.line();
+      out.raw('  '.repeat(Math.max(lists.length - 1, 0)));
+      out.raw(list?.ordered ? `${++list.count}. ` : '- ');
+    } else if (name === 'a') {
+      if (!isClosing) {
+        links.push(resolveUrl(getAttribute(attributes, 'href'), baseUrl));
+        out.push();
+      } else if (links.length > 0) {
+        const href = links.pop();
+        const label = out.pop().trim();
+        if (label) {
+          out.text(href ? `[${label}](${href})` : label);
+        }
+      }
+    } else if (name === 'img') {
+      const src = resolveUrl(getAttribute(attributes, 'src'), baseUrl);
+      const alt = getAttribute(attributes, 'alt');
+      if (src && alt) {
+        out.text(`![${alt}](${src})`);
+      }
+    } else if (name === 'blockquote') {
+      if (!isClosing) {
+        out.block();
+        out.push();
+      } else {
+        const quoted = out.pop().trim();
+        if (quoted) {
+          out.raw(quoted.split('\n').map((line) => (line ? `> ${line}` : '>')).join('\n'));
+        }
+        out.block();
+      }
+    } else if (name === 'tr') {
+      if (!isClosing) {
+        rows.push({ cells: [], header: false });
+      } else if (rows.length > 0) {
+        const row = rows.pop();
+        if (row.cells.length > 0) {
+          out.line();
+          out.raw(`| ${row.cells.join(' | ')} |`);
+          if (row.header) {
+            out.raw(`\n|${' --- |'.repeat(row.cells.length)}`);
+          }
+          out.line();
+        }
+      }
+    } else if (name === 'td' || name === 'th') {
+      const row = rows[rows.length - 1];
+      if (!isClosing) {
+        out.push();
+      } else {
+        const cell = out.pop().replace(/\s+/g, ' ').trim();
+        if (row) {
+          row.cells.push(cell.replace(/\|/g, '\\|'));
+          row.header = row.header || name === 'th';
+        } else {
+          out.text(cell);
+        }
+      }
+    }
+  }
+
+  const markdown = out.result()
+    .split('\n')
+    .map((line) => line.replace(/[ \t]+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { title, markdown };
+}
+
+export default {
+  decodeEntities,
+  htmlToMarkdown,
+};
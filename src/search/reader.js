@@ -0,0 +1,173 @@
+/**
+ * Local Web Reader
+ *
+ * Built-in web_reader backend: fetches a page directly and converts it to
+ * markdown (see search/markdown.js). Plain text, markdown and JSON are
+ * returned as they are.
+ *
+ * Only public http(s) URLs are read - localhost and private network addresses
+ * are refused so a prompt cannot make the proxy read its own API or the LAN.
+ * Host names are resolved and refused if any of their addresses is private,
+ * and redirects are followed by hand so every hop is checked before it is fetched.
+ */
+
+import dns from 'node:dns/promises';
+import net from 'node:net';
+
+import config from '../config.js';
+import { withTimeout } from '../utils/cancellation.js';
+import { htmlToMarkdown } from './markdown.js';
+
+// Largest response body read from a page
+const MAX_PAGE_BYTES = 2 * 1024 * 1024;
+
+// Longest markdown handed to the model
+const MAX_MARKDOWN_LENGTH = 50000;
+
+// Redirects followed per page
+const MAX_REDIRECTS = 5;
+
+const USER_AGENT = 'Mozilla/5.0 (compatible; glmproxy-reader/1.0)';
+
+/**
+ * Check whether an IP address is local or on a private network
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} True for loopback, private, link-local and unspecified addresses
+ */
+function isPrivateAddress(address) {
+  const host = address.toLowerCase();
+
+  const ipv4 = host.match(/^(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (ipv4) {
+    const [a, b] = [Number(ipv4[1]), Number(ipv4[2])];
+    return a === 0 || a === 10 || a === 127
+      || (a === 169 && b === 254)
+      || (a === 172 && b >= 16 && b <= 31)
+      || (a === 192 && b === 168)
+      || (a === 100 && b >= 64 && b <= 127);
+  }
+
+  if (host.includes(':')) {
+    return host === '::' || host === '::1' || /^f[cd]/.test(host) || /^fe[89ab]/.test(host) || host.startsWith('::ffff:');
+  }
+
+  return false;
+}
+
+/**
+ * Refuse a URL that is not http(s) or whose host is local or on a private network
+ * Host names are resolved; one private address among them is enough to refuse.
+ * @param {URL} url - Parsed URL
+ * @throws {Error} If the URL may not be read
+ */
+async function assertPublicUrl(url) {
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error(`Unsupported URL scheme: ${url.protocol}`);
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost') || host.endsWith('.local') || host.endsWith('.internal')) {
+    throw new Error(`Refusing to read local or private address: ${url.hostname}`);
+  }
+
+  let addresses = [host];
+  if (!net.isIP(host)) {
+    try {
+      addresses = (await dns.lookup(host, { all: true })).map((entry) => entry.address);
+    } catch (error) {
+      throw new Error(`Cannot resolve ${url.hostname}: ${error.code || error.message}`);
+    }
+  }
+  if (addresses.some(isPrivateAddress)) {
+    throw new Error(`Refusing to read local or private address: ${url.hostname}`);
+  }
+}
+
+/**
+ * Read the body of a response up to a size limit
+ * @param {Response} response - Fetch response
+ * @returns {Promise<string>} Body text (cut at MAX_PAGE_BYTES)
+ */
+async function readBody(response) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+
+  while (size < MAX_PAGE_BYTES) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    size += value.length;
+  }
+  reader.cancel().catch(() => {});
+
+  return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, MAX_PAGE_BYTES));
+}
+
+/**
+ * Fetch a page and convert it to markdown
+ * @param {string} url - Page URL
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @returns {Promise<{url: string, title: string, markdown: string}>} Page (url is the final URL after redirects)
+ * @throws {Error} If the URL (or a redirect) is not a public http(s) URL or the page cannot be read
+ */
+export async function readPage(url, signal = null) {
+  let current;
+  try {
+    current = new URL(url);
+  } catch {
+    throw new Error(`Invalid URL: ${url}`);
+  }
+
+  const timeoutSignal = withTimeout(signal, config.toolExecution.timeout);
+  let response;
+  for (let redirects = 0; ; redirects++) {
+    await assertPublicUrl(current);
+
+    response = await fetch(current.href, {
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5',
+      },
+      redirect: 'manual',
+      signal: timeoutSignal,
+    });
+
+    const location = response.headers.get('location');
+    if (response.status < 300 || response.status >= 400 || !location) {
+      break;
+    }
+    response.body?.cancel().catch(() => {});
+    if (redirects === MAX_REDIRECTS) {
+      throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+    }
+    current = new URL(location, current);
+  }
+
+  if (!response.ok) {
+    throw new Error(`Page request failed with status ${response.status}`);
+  }
+
+  const finalUrl = current.href;
+
+  const contentType = (response.headers.get('content-type') || 'text/html').toLowerCase();
+  const isHtml = contentType.includes('html') || contentType.includes('xml');
+  if (!isHtml && !contentType.startsWith('text/') && !contentType.includes('json')) {
+    throw new Error(`Unsupported content type: ${contentType.split(';')[0]}`);
+  }
+
+  const body = await readBody(response);
+  const page = isHtml ? htmlToMarkdown(body, finalUrl) : { title: '', markdown: body.trim() };
+
+  const markdown = page.markdown.length > MAX_MARKDOWN_LENGTH
+    ? `${page.markdown.slice(0, MAX_MARKDOWN_LENGTH)}\n\n[Content truncated]`
+    : page.markdown;
+
+  return { url: finalUrl, title: page.title || finalUrl, markdown };
+}
+
+export default {
+  readPage,
+};
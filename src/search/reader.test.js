@@ -0,0 +1,118 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import dns from 'node:dns/promises';
+
+import '../utils/test-home.js';
+import { readPage } from './reader.js';
+
+const realFetch = globalThis.fetch;
+const realLookup = dns.lookup;
+
+// Addresses host names resolve to; anything else resolves to a public address
+const hosts = {};
+
+/**
+ * Answer page fetches with a fixed response
+ * @param {string} body - Response body
+ * @param {string} contentType - Content-Type header
+ * @returns {Array<string>} URLs fetched
+ */
+function servePage(body, contentType = 'text/html') {
+  const fetched = [];
+  globalThis.fetch = async (url) => {
+    fetched.push(url);
+    return new Response(body, { headers: { 'Content-Type': contentType } });
+  };
+  return fetched;
+}
+
+/**
+ * Answer page fetches from a map of URL to response
+ * @param {Object} pages - { [url]: { status, location, body } }
+ * @returns {Array<string>} URLs fetched
+ */
+function servePages(pages) {
+  const fetched = [];
+  globalThis.fetch = async (url, init) => {
+    fetched.push(url);
+    assert.equal(init.redirect, 'manual');
+    const { status = 200, location, body = '' } = pages[url];
+    const headers = { 'Content-Type': 'text/plain', ...(location ? { Location: location } : {}) };
+    return new Response(status >= 300 ? null : body, { status, headers });
+  };
+  return fetched;
+}
+
+describe('readPage', () => {
+  beforeEach(() => {
+    dns.lookup = async (hostname) => (hosts[hostname] || ['93.184.216.34']).map((address) => ({ address, family: 4 }));
+  });
+
+  afterEach(() => {
+    globalThis.fetch = realFetch;
+    dns.lookup = realLookup;
+  });
+
+  it('converts an HTML page to markdown', async () => {
+    servePage('<html><head><title>Release notes</title></head><body><h1>Node 22</h1><p>See <a href="/docs">the docs</a>.</p></body></html>');
+    const page = await readPage('https://nodejs.org/en/blog');
+
+    assert.equal(page.url, 'https://nodejs.org/en/blog');
+    assert.equal(page.title, 'Release notes');
+    assert.match(page.markdown, /^# Node 22/);
+    assert.match(page.markdown, /\[the docs\]\(https:\/\/nodejs\.org\/docs\)/);
+  });
+
+  it('returns plain text as it is and refuses binary content', async () => {
+    servePage('  just text  ', 'text/plain');
+    assert.deepEqual(await readPage('https://example.com/a.txt'), {
+      url: 'https://example.com/a.txt',
+      title: 'https://example.com/a.txt',
+      markdown: 'just text',
+    });
+
+    servePage('PDF', 'application/pdf');
+    await assert.rejects(readPage('https://example.com/a.pdf'), /Unsupported content type: application\/pdf/);
+  });
+
+  it('refuses local and private addresses without fetching them', async () => {
+    const fetched = servePage('secret');
+    for (const url of ['http://localhost:4567/v1/keys', 'http://127.0.0.1/', 'http://10.0.0.5/', 'http://[::1]/', 'http://169.254.169.254/']) {
+      await assert.rejects(readPage(url), /local or private/, url);
+    }
+    await assert.rejects(readPage('file:///etc/passwd'), /Unsupported URL scheme/);
+    await assert.rejects(readPage('not a url'), /Invalid URL/);
+    assert.deepEqual(fetched, []);
+  });
+
+  it('refuses host names that resolve to a private address', async () => {
+    const fetched = servePage('secret');
+    hosts['127.0.0.1.nip.io'] = ['127.0.0.1'];
+    hosts['mixed.example'] = ['93.184.216.34', '10.1.2.3'];
+
+    await assert.rejects(readPage('http://127.0.0.1.nip.io:4567/config'), /local or private address: 127\.0\.0\.1\.nip\.io/);
+    await assert.rejects(readPage('https://mixed.example/'), /local or private address/);
+    assert.deepEqual(fetched, []);
+  });
+
+  it('checks every redirect before following it', async () => {
+    hosts['internal.example'] = ['192.168.1.1'];
+    const fetched = servePages({
+      'https://example.com/old': { status: 301, location: '/new' },
+      'https://example.com/new': { body: 'moved here' },
+      'https://example.com/redirect': { status: 302, location: 'http://internal.example/admin' },
+    });
+
+    const page = await readPage('https://example.com/old');
+    assert.equal(page.url, 'https://example.com/new');
+    assert.equal(page.markdown, 'moved here');
+
+    await assert.rejects(readPage('https://example.com/redirect'), /local or private address: internal\.example/);
+    assert.ok(!fetched.includes('http://internal.example/admin'), 'the private target is never fetched');
+  });
+
+  it('gives up after too many redirects', async () => {
+    servePages({ 'https://example.com/loop': { status: 302, location: '/loop' } });
+    await assert.rejects(readPage('https://example.com/loop'), /Too many redirects/);
+  });
+});
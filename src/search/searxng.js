@@ -0,0 +1,70 @@
+/**
+ * SearXNG Search Backend
+ *
+ * Queries a SearXNG instance (or anything serving its JSON API) configured
+ * with config.search.searxngUrl. The instance must have the json format
+ * enabled (search.formats in its settings.yml).
+ */
+
+import config from '../config.js';
+import { withTimeout } from '../utils/cancellation.js';
+
+// Results handed to the model per search
+const MAX_RESULTS = 10;
+
+/**
+ * Build the search URL of a query
+ * Accepts the instance root (https://searx.example.org) or its /search endpoint.
+ * @param {string} baseUrl - Configured SearXNG URL
+ * @param {string} query - Search query
+ * @returns {string} Request URL
+ */
+function buildSearchUrl(baseUrl, query) {
+  const url = new URL(baseUrl);
+  const path = url.pathname.replace(/\/+$/, '');
+  url.pathname = path.endsWith('/search') ? path : `${path}/search`;
+  url.searchParams.set('q', query);
+  url.searchParams.set('format', 'json');
+  return url.href;
+}
+
+/**
+ * Search with SearXNG
+ * @param {string} query - Search query
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @returns {Promise<Array<Object>>} Results ({ title, url, content, publishedDate })
+ * @throws {Error} If no instance is configured or the instance fails
+ */
+export async function searchSearxng(query, signal = null) {
+  if (!config.search.searxngUrl) {
+    throw new Error('No SearXNG URL configured');
+  }
+
+  const response = await fetch(buildSearchUrl(config.search.searxngUrl, query), {
+    headers: { Accept: 'application/json' },
+    signal: withTimeout(signal, config.toolExecution.timeout),
+  });
+
+  if (!response.ok) {
+    throw new Error(`SearXNG request failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data?.results)) {
+    throw new Error('SearXNG response has no results list (is the json format enabled?)');
+  }
+
+  return data.results
+    .filter((result) => typeof result?.url === 'string')
+    .slice(0, MAX_RESULTS)
+    .map((result) => ({
+      title: result.title || result.url,
+      url: result.url,
+      content: result.content || '',
+      ...(result.publishedDate ? { publishedDate: result.publishedDate } : {}),
+    }));
+}
+
+export default {
+  searchSearxng,
+};
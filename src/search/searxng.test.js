@@ -0,0 +1,69 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { searchSearxng } from './searxng.js';
+
+// Local SearXNG stand-in answering with `reply` ({ status, body })
+const instance = { requests: [], reply: null };
+
+const server = http.createServer((req, res) => {
+  instance.requests.push(req.url);
+  res.writeHead(instance.reply.status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(instance.reply.body));
+});
+
+let baseUrl;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  server.closeAllConnections();
+});
+
+beforeEach(() => {
+  instance.requests = [];
+  instance.reply = { status: 200, body: { results: [] } };
+  config.search.searxngUrl = baseUrl;
+});
+
+describe('searchSearxng', () => {
+  it('queries the JSON search endpoint of the instance root or its /search path', async () => {
+    await searchSearxng('node 22');
+    config.search.searxngUrl = `${baseUrl}/search/`;
+    await searchSearxng('node 22');
+
+    assert.deepEqual(instance.requests, ['/search?q=node+22&format=json', '/search?q=node+22&format=json']);
+  });
+
+  it('maps results and keeps at most ten', async () => {
+    instance.reply.body.results = [
+      { title: 'Node.js', url: 'https://nodejs.org', content: 'JavaScript runtime', publishedDate: '2024-04-24' },
+      { url: 'https://example.com' },
+      { title: 'No URL' },
+      ...Array.from({ length: 12 }, (_, i) => ({ url: `https://example.com/${i}` })),
+    ];
+    const results = await searchSearxng('node');
+
+    assert.equal(results.length, 10);
+    assert.deepEqual(results[0], { title: 'Node.js', url: 'https://nodejs.org', content: 'JavaScript runtime', publishedDate: '2024-04-24' });
+    assert.deepEqual(results[1], { title: 'https://example.com', url: 'https://example.com', content: '' });
+  });
+
+  it('fails without an instance, on an error status or without a results list', async () => {
+    instance.reply = { status: 503, body: {} };
+    await assert.rejects(searchSearxng('x'), /status 503/);
+
+    instance.reply = { status: 200, body: { error: 'format not allowed' } };
+    await assert.rejects(searchSearxng('x'), /json format/);
+
+    config.search.searxngUrl = '';
+    await assert.rejects(searchSearxng('x'), /No SearXNG URL/);
+  });
+});
@@ -13,23 +13,74 @@ import config, { validateConfig, getConfigSummary, updateConfig } from './config
 import { transformRequest } from './transformers/request.js';
 import { transformResponse } from './transformers/response.js';
 import { prepareAnthropicRequest } from './transformers/anthropic-request.js';
+import { transformChatRequest } from './transformers/openai-request.js';
+import { transformChatResponse } from './transformers/openai-response.js';
 import { executeWithTools } from './tools/executor.js';
 import { executeWithToolsAnthropic } from './tools/anthropic-executor.js';
+import { createSearchRecorder, addSearchResults } from './tools/citations.js';
 import { validateRequest } from './middleware/validate.js';
-import { isStreamingRequest } from './streaming/sse.js';
+import { isStreamingRequest, streamResponse } from './streaming/sse.js';
 import { streamFromGLM } from './streaming/glm-stream.js';
 import { streamFromAnthropic } from './streaming/anthropic-stream.js';
 import { streamFromBigModel } from './streaming/bigmodel-stream.js';
+import { createChatStreamAdapter } from './streaming/openai-stream.js';
+import { createTrafficTap } from './streaming/traffic-tap.js';
+import { createMessageCollector } from './streaming/message-collector.js';
 import { detectImages } from './routing/model-router.js';
+import {
+  initProviders,
+  getProvider,
+  getAllProviders,
+  addProvider,
+  updateProvider,
+  removeProvider,
+  getRoutingRules,
+  setRoutingRules,
+  resolveRoute,
+  getFailoverRoutes,
+  getUpstream,
+} from './routing/providers.js';
+import { resolveModelAlias, listModels, getModel, isKnownModel, getResponseModel } from './routing/model-catalog.js';
+import { getReasoningTag } from './reasoning/profiles.js';
+import { withRetry, isRetryableError, parseRetryAfter } from './upstream/retry.js';
+import { runWithUpstreamSlot, getLimiterStats } from './upstream/limiter.js';
 import { processMessagesForVideos, extractWorkingDirectory } from './utils/video-detector.js';
+import { countRequestTokens } from './utils/token-counter.js';
+import { initHistory, flushHistory, listEntries, getEntry } from './history/store.js';
+import { createRecorder } from './history/recorder.js';
+import { initUsage, flushUsage, identifyClient, recordUsage, checkBudget, getUsageReport } from './usage/ledger.js';
+import { authenticateRequest, listKeys, createKey, revokeKey } from './auth/keys.js';
+import { renderMetrics, CONTENT_TYPE as METRICS_CONTENT_TYPE } from './metrics/registry.js';
+import {
+  recordRequest,
+  recordUpstreamCall,
+  recordFirstToken,
+  trackActiveStream,
+  setTrafficSubscribers,
+} from './metrics/proxy-metrics.js';
+import { startSpan, recordSpan, withSpan, SPAN_KIND } from './tracing/tracer.js';
+import { flushTraces } from './tracing/exporter.js';
+import {
+  initCache,
+  flushCache,
+  getCacheMode,
+  getCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  clearCache,
+  getCacheStats,
+} from './cache/response-cache.js';
+import { clearToolCache, getToolCacheStats } from './cache/tool-cache.js';
 import logger from './utils/logger.js';
 import {
   ProxyError,
   InvalidRequestError,
   GlmApiError,
   toAnthropicError,
+  toOpenAIError,
   getErrorStatus,
 } from './utils/errors.js';
+import { createRequestSignal, withTimeout, isCancellation } from './utils/cancellation.js';
 import {
   initRegistry,
   getAllMcps,
@@ -41,7 +92,8 @@ import {
   enableMcp,
   disableMcp,
 } from './mcp/registry.js';
-import { shutdownAllMcps, shutdownMcp, getMcpTools } from './mcp/lifecycle.js';
+import { shutdownAllMcps, shutdownMcp, restartMcp, getMcpTools, getMcpResources, getMcpPrompts } from './mcp/lifecycle.js';
+import { getExposedName, isToolAllowed } from './mcp/tool-policy.js';
 
 // Get __dirname equivalent for ES modules
 const __filename = fileURLToPath(import.meta.url);
@@ -63,26 +115,48 @@ const UPSTREAM_TIMEOUT = parseInt(process.env.UPSTREAM_TIMEOUT, 10) || 60000;
 // Traffic monitoring: SSE clients connected to /v1/traffic
 const trafficClients = new Set();
 
+// Stream events relayed to the traffic monitor (message_start/stop and pings carry no content)
+const TRAFFIC_STREAM_EVENTS = new Set(['content_block_start', 'content_block_delta', 'message_delta', 'error']);
+
 /**
- * Determine which endpoint to use based on config and request
- * @param {boolean} hasImagesInCurrentMessage - Whether the current message has images
- * @returns {string} Endpoint to use: 'anthropic', 'openai', or 'bigmodel'
+ * Resolve the provider, endpoint and upstream target for a request
+ * Vision requests always go through the built-in OpenAI path, everything else
+ * follows the routing rules and falls back to the configured endpoint mode.
+ * A model alias supplies the target model when the routing rule does not.
+ * @param {Object} anthropicRequest - Validated Anthropic request
+ * @returns {Object} Route: { endpoint, provider, model, rule, upstream, hasImages }
  */
-function determineEndpoint(hasImagesInCurrentMessage) {
-  // Vision requests always go through OpenAI path
-  if (hasImagesInCurrentMessage) {
-    return 'openai';
+function resolveRequestRoute(anthropicRequest) {
+  // Only check the LAST message for images - previous images in history don't require vision model
+  const messages = anthropicRequest.messages || [];
+  const lastMessage = messages.length > 0 ? [messages[messages.length - 1]] : [];
+  const hasImages = detectImages(lastMessage);
+
+  let route = hasImages
+    ? { provider: getProvider('openai'), model: null, rule: null }
+    : resolveRoute(anthropicRequest.model);
+
+  const alias = resolveModelAlias(anthropicRequest.model);
+  if (alias && !hasImages && !route.model) {
+    route = { ...route, model: alias.model };
   }
 
-  const mode = config.endpoint.mode;
-
-  // Direct mode selection
-  if (mode === 'anthropic' || mode === 'openai' || mode === 'bigmodel') {
-    return mode;
-  }
+  return {
+    ...route,
+    endpoint: getRouteEndpoint(route.provider),
+    hasImages,
+    upstream: getUpstream(route.provider),
+  };
+}
 
-  // Legacy fallback: check useAnthropic flag
-  return config.endpoint.useAnthropic ? 'anthropic' : 'openai';
+/**
+ * Get the path handler endpoint for a provider
+ * BigModel speaks the OpenAI protocol but has its own stream handler
+ * @param {Object} provider - Provider from the registry
+ * @returns {string} Endpoint: 'anthropic', 'openai', or 'bigmodel'
+ */
+function getRouteEndpoint(provider) {
+  return provider.id === 'bigmodel' ? 'bigmodel' : provider.protocol;
 }
 
 /**
@@ -101,6 +175,7 @@ function broadcastTrafficEvent(event) {
     } catch (error) {
       logger.debug('traffic', 'Failed to send to client, removing', { error: error.message });
       trafficClients.delete(client);
+      setTrafficSubscribers(trafficClients.size);
     }
   });
 }
@@ -224,12 +299,324 @@ function sendError(res, error) {
   sendJson(res, status, errorResponse);
 }
 
+/**
+ * Send error response in OpenAI format (for /v1/chat/completions)
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Error} error - Error object
+ */
+function sendOpenAIError(res, error) {
+  const status = getErrorStatus(error);
+  logger.errorWithStack('server', 'Chat completion request failed', error);
+  sendJson(res, status, toOpenAIError(error));
+}
+
+/**
+ * Send a completed (non-streaming) message in the client's response format
+ * The model field reports the alias the client asked for, if any.
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {Object} options - Request options
+ * @param {string} options.responseFormat - 'anthropic' (default) or 'openai'
+ */
+function sendMessageResponse(res, anthropicResponse, anthropicRequest, options = {}) {
+  const response = {
+    ...anthropicResponse,
+    model: getResponseModel(anthropicRequest.model, anthropicResponse.model),
+  };
+
+  if (options.responseFormat === 'openai') {
+    sendJson(res, 200, transformChatResponse(response, anthropicRequest.model));
+    return;
+  }
+  sendJson(res, 200, response);
+}
+
+/**
+ * Get the response object the stream handlers should write to
+ * OpenAI clients get an adapter that re-encodes events as chat.completion.chunk;
+ * either way the events are tapped so the traffic monitor can follow the stream
+ * (and, when the response will be cached, so the collector can rebuild the message)
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {Object} options - Request options
+ * @param {Object} collector - Message collector for the response cache (optional)
+ * @returns {Object} Response-like object
+ */
+function getStreamTarget(res, anthropicRequest, options = {}, collector = null) {
+  const target = options.responseFormat === 'openai'
+    ? createChatStreamAdapter(res, {
+      model: anthropicRequest.model,
+      includeUsage: options.includeUsage,
+    })
+    : res;
+
+  let firstToken = true;
+
+  return createTrafficTap(target, (event, data) => {
+    collector?.add(event, data);
+
+    if (firstToken && event === 'content_block_delta') {
+      firstToken = false;
+      recordFirstToken(options.endpoint, Date.now() - options.startTime);
+    }
+
+    if (trafficClients.size === 0 || !TRAFFIC_STREAM_EVENTS.has(event)) {
+      return;
+    }
+
+    broadcastTrafficEvent({
+      id: `${options.requestId}-stream`,
+      timestamp: new Date().toISOString(),
+      type: 'stream',
+      data: { requestId: options.requestId, event, ...data },
+    });
+  });
+}
+
+/**
+ * Build the options of a streamFromGLM/streamFromAnthropic/streamFromBigModel call
+ * @param {Object} options - Routed request options
+ * @returns {Object} Stream options ({ upstream, client, signal, span, onIteration, searches })
+ */
+function getStreamOptions(options) {
+  return {
+    upstream: options.upstream,
+    client: options.client,
+    signal: options.signal,
+    span: options.span,
+    onIteration: options.onUpstreamCall,
+    searches: getSearchRecorder(),
+  };
+}
+
+/**
+ * Create the web search recorder of a request
+ * @returns {Object|null} Search recorder, or null when web search citations are off
+ */
+function getSearchRecorder() {
+  return config.webSearch.citations ? createSearchRecorder() : null;
+}
+
+/**
+ * Record and broadcast the transformed request about to be sent upstream
+ * @param {string} requestId - Unique request ID
+ * @param {string} endpoint - Path handler ('openai', 'anthropic' or 'bigmodel')
+ * @param {Object} upstreamRequest - Transformed (OpenAI/GLM) or prepared (Anthropic) request
+ * @param {Object} options - Request options (recorder, upstream)
+ */
+function trackUpstreamRequest(requestId, endpoint, upstreamRequest, options) {
+  options.recorder?.setUpstreamRequest(upstreamRequest);
+
+  broadcastTrafficEvent({
+    id: `${requestId}-upstream-request`,
+    timestamp: new Date().toISOString(),
+    type: 'upstream_request',
+    data: {
+      requestId,
+      endpoint,
+      provider: options.upstream?.provider,
+      model: upstreamRequest.model,
+      body: upstreamRequest,
+    },
+  });
+}
+
+/**
+ * Run one upstream call of a tool loop, reporting it to options.onUpstreamCall
+ * @param {Object} options - Request options (options.onUpstreamCall may be absent)
+ * @param {Object} request - Upstream request being sent
+ * @param {Function} call - Async function performing the call
+ * @returns {Promise<Object>} Upstream response
+ */
+async function trackUpstreamCall(options, request, call) {
+  const callStart = Date.now();
+  try {
+    const response = await call();
+    options.onUpstreamCall?.({ request, response, durationMs: Date.now() - callStart });
+    return response;
+  } catch (error) {
+    options.onUpstreamCall?.({ request, error, durationMs: Date.now() - callStart });
+    throw error;
+  }
+}
+
+/**
+ * Create the upstream call listener of one provider attempt
+ * Records each call in the request history, its latency in the metrics and
+ * its token usage in the ledger; successful calls after the first are counted
+ * as tool-loop iterations.
+ * @param {Object} options - Request options (recorder, client)
+ * @param {string} endpoint - Path handler ('openai', 'anthropic' or 'bigmodel')
+ * @param {string} provider - Provider ID
+ * @returns {Function} Listener called with ({ request, response|error, durationMs })
+ */
+function createUpstreamCallListener(options, endpoint, provider) {
+  let completedCalls = 0;
+
+  return (call) => {
+    options.recorder?.addIteration(call);
+    recordUpstreamCall({ endpoint, provider, success: !call.error, durationMs: call.durationMs });
+
+    const usage = call.response?.usage;
+    recordSpan('upstream.call', {
+      parent: options.span,
+      kind: SPAN_KIND.CLIENT,
+      startTime: Date.now() - call.durationMs,
+      error: call.error,
+      attributes: {
+        'ccglm.endpoint': endpoint,
+        'ccglm.provider': provider,
+        'gen_ai.request.model': call.request?.model,
+        'ccglm.message_count': call.request?.messages?.length,
+        'gen_ai.usage.input_tokens': usage?.input_tokens ?? usage?.prompt_tokens,
+        'gen_ai.usage.output_tokens': usage?.output_tokens ?? usage?.completion_tokens,
+      },
+    });
+
+    if (call.response?.usage) {
+      recordUsage({
+        client: options.client,
+        model: call.request?.model,
+        endpoint,
+        usage: call.response.usage,
+        toolIteration: completedCalls > 0,
+      });
+      completedCalls++;
+    }
+  };
+}
+
+/**
+ * Serve a request from the response cache when possible
+ * Looked up with the transformed upstream request, before any upstream call.
+ * A hit is sent to the client (replayed through streamResponse for streaming
+ * requests) and recorded like a normal response, without touching the upstream.
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {Object} upstreamRequest - Transformed (OpenAI/GLM) or prepared (Anthropic) request
+ * @param {string} endpoint - Path handler ('openai', 'anthropic' or 'bigmodel')
+ * @param {Object} options - Request options (requestId, startTime, client, cacheMode, recorder, upstream)
+ * @returns {Promise<{key: string|null, hit: boolean}>} Key to store the response under (null = do not cache)
+ */
+async function serveFromCache(res, anthropicRequest, upstreamRequest, endpoint, options) {
+  if (!config.cache.enabled || options.cacheMode === 'bypass') {
+    if (config.cache.enabled) {
+      res.setHeader('X-CCGLM-Cache', 'bypass');
+    }
+    return { key: null, hit: false };
+  }
+
+  const key = getCacheKey(options.upstream?.provider, upstreamRequest, options.client);
+  const cached = options.cacheMode === 'refresh' ? null : getCachedResponse(key);
+  if (!cached) {
+    res.setHeader('X-CCGLM-Cache', 'miss');
+    return { key, hit: false };
+  }
+
+  logger.info('cache', 'Serving cached response', { key: key.slice(0, 12), endpoint, stream: !!anthropicRequest.stream });
+  res.setHeader('X-CCGLM-Cache', 'hit');
+  options.recorder?.setCacheStatus('hit');
+  options.recorder?.setResponse(cached);
+
+  const durationMs = Date.now() - options.startTime;
+  broadcastTrafficEvent({
+    id: `${options.requestId}-response`,
+    timestamp: new Date().toISOString(),
+    type: 'response',
+    data: {
+      requestId: options.requestId,
+      statusCode: 200,
+      durationMs,
+      endpoint,
+      provider: options.upstream?.provider,
+      cached: true,
+      messageCount: anthropicRequest.messages?.length || 0, // For session detection
+      body: cached,
+    },
+  });
+
+  if (isStreamingRequest(anthropicRequest)) {
+    const replayed = { ...cached, model: getResponseModel(anthropicRequest.model, cached.model) };
+    await streamResponse(getStreamTarget(res, anthropicRequest, { ...options, endpoint: 'cache' }), replayed, {
+      chunkSize: config.streaming.chunkSize,
+      chunkDelay: config.streaming.chunkDelay,
+    });
+  } else {
+    logger.response(200, cached.stop_reason, durationMs);
+    sendMessageResponse(res, cached, anthropicRequest, options);
+  }
+
+  return { key, hit: true };
+}
+
+/**
+ * Store a completed response in the response cache
+ * Incomplete streams (collector returns null) and error stops are not cached.
+ * @param {string|null} key - Cache key from serveFromCache (null = do not cache)
+ * @param {Object|null} response - Anthropic response
+ * @param {string} endpoint - Path handler ('openai', 'anthropic' or 'bigmodel')
+ */
+function storeInCache(key, response, endpoint) {
+  if (!key || !response || response.stop_reason === 'error') {
+    return;
+  }
+
+  setCachedResponse(key, response, { model: response.model, endpoint });
+  logger.debug('cache', 'Stored response', { key: key.slice(0, 12), endpoint });
+}
+
+/**
+ * Broadcast an error event for a failed request
+ * @param {string} requestId - Unique request ID
+ * @param {Error} error - Error object
+ */
+function broadcastRequestError(requestId, error) {
+  broadcastTrafficEvent({
+    id: `${requestId}-error`,
+    timestamp: new Date().toISOString(),
+    type: 'error',
+    data: {
+      requestId,
+      error: {
+        type: error.type || 'unknown_error',
+        message: error.message,
+        status: getErrorStatus(error),
+      },
+    },
+  });
+}
+
+/**
+ * Log and broadcast a request cancelled by a client disconnect
+ * @param {string} requestId - Unique request ID
+ * @param {number} startTime - Request start time
+ */
+function broadcastRequestCancelled(requestId, startTime) {
+  const durationMs = Date.now() - startTime;
+
+  logger.info('request', 'Client disconnected, request cancelled', { requestId, durationMs });
+
+  broadcastTrafficEvent({
+    id: `${requestId}-cancelled`,
+    timestamp: new Date().toISOString(),
+    type: 'cancelled',
+    data: {
+      requestId,
+      statusCode: 499,
+      durationMs,
+    },
+  });
+}
+
 /**
  * Call Z.ai GLM API
  * @param {Object} glmRequest - GLM format request
+ * @param {Object} upstream - Upstream target (defaults to the built-in OpenAI provider)
+ * @param {AbortSignal} signal - Request cancellation signal
  * @returns {Promise<Object>} GLM response
  */
-async function callGLMApi(glmRequest) {
+async function callGLMApi(glmRequest, upstream = getUpstream('openai'), signal = null) {
   const startTime = Date.now();
 
   // Debug: log the full request being sent
@@ -241,16 +628,16 @@ async function callGLMApi(glmRequest) {
 
   let response;
   try {
-    response = await fetch(config.zaiBaseUrl, {
+    response = await fetch(upstream.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${config.zaiApiKey}`,
-      },
+      headers: upstream.headers,
       body: JSON.stringify(glmRequest),
-      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT),
+      signal: withTimeout(signal, UPSTREAM_TIMEOUT),
     });
   } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
     // Handle timeout and abort errors
     if (error.name === 'TimeoutError' || error.name === 'AbortError') {
       logger.error('glm', 'GLM API timeout', {
@@ -285,7 +672,8 @@ async function callGLMApi(glmRequest) {
     throw new GlmApiError(
       `GLM API error: ${response.status} ${response.statusText}`,
       response.status,
-      errorText
+      errorText,
+      parseRetryAfter(response.headers.get('retry-after'))
     );
   }
 
@@ -309,9 +697,11 @@ async function callGLMApi(glmRequest) {
 /**
  * Call Z.ai Anthropic-compatible API
  * @param {Object} anthropicRequest - Anthropic format request
+ * @param {Object} upstream - Upstream target (defaults to the built-in Anthropic provider)
+ * @param {AbortSignal} signal - Request cancellation signal
  * @returns {Promise<Object>} Anthropic format response
  */
-async function callAnthropicApi(anthropicRequest) {
+async function callAnthropicApi(anthropicRequest, upstream = getUpstream('anthropic'), signal = null) {
   const startTime = Date.now();
 
   logger.info('anthropic-api', 'Sending request to Anthropic endpoint', {
@@ -322,17 +712,16 @@ async function callAnthropicApi(anthropicRequest) {
 
   let response;
   try {
-    response = await fetch(config.zaiAnthropicUrl, {
+    response = await fetch(upstream.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.zaiApiKey,
-        'anthropic-version': '2023-06-01',
-      },
+      headers: upstream.headers,
       body: JSON.stringify(anthropicRequest),
-      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT),
+      signal: withTimeout(signal, UPSTREAM_TIMEOUT),
     });
   } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
     // Handle timeout and abort errors
     if (error.name === 'TimeoutError' || error.name === 'AbortError') {
       logger.error('anthropic-api', 'Anthropic API timeout', {
@@ -367,7 +756,8 @@ async function callAnthropicApi(anthropicRequest) {
     throw new GlmApiError(
       `Anthropic API error: ${response.status} ${response.statusText}`,
       response.status,
-      errorText
+      errorText,
+      parseRetryAfter(response.headers.get('retry-after'))
     );
   }
 
@@ -412,11 +802,13 @@ function handleTrafficSSE(req, res) {
 
   // Add client to set
   trafficClients.add(res);
+  setTrafficSubscribers(trafficClients.size);
   logger.info('traffic', 'Client connected to traffic monitor', { totalClients: trafficClients.size });
 
   // Handle client disconnect
   req.on('close', () => {
     trafficClients.delete(res);
+    setTrafficSubscribers(trafficClients.size);
     logger.info('traffic', 'Client disconnected from traffic monitor', { totalClients: trafficClients.size });
   });
 }
@@ -441,307 +833,401 @@ async function handleMessages(req, res) {
       throw new InvalidRequestError('Invalid JSON in request body');
     }
 
-    // Broadcast request event
-    broadcastTrafficEvent({
-      id: requestId,
-      timestamp: new Date().toISOString(),
-      type: 'request',
-      data: {
-        method: 'POST',
-        path: '/v1/messages',
-        headers: {
-          'content-type': req.headers['content-type'],
-          'x-api-key': req.headers['x-api-key'] ? '[REDACTED]' : undefined,
-        },
-        body: anthropicRequest,
-      },
-    });
-
-    // Extract working directory from system prompt (Claude Code includes this)
-    const workingDir = extractWorkingDirectory(anthropicRequest.system);
-    if (workingDir) {
-      logger.debug('request', 'Working directory from system prompt', { workingDir });
-    }
-
-    // Process messages for video file references (e.g., @video.mp4 or /path/to/video.mp4)
-    // This converts file path references to proper video content blocks
-    if (anthropicRequest.messages && Array.isArray(anthropicRequest.messages)) {
-      anthropicRequest.messages = await processMessagesForVideos(anthropicRequest.messages, workingDir);
-    }
-
-    // Validate request structure
-    validateRequest(anthropicRequest);
-
-    logger.request(req, anthropicRequest.messages?.length);
-
-    // Log message content for debugging
-    const messages = anthropicRequest.messages || [];
-    messages.forEach((msg, i) => {
-      const content = msg.content;
-      if (typeof content === 'string') {
-        logger.debug('request', `Message ${i} [${msg.role}]`, {
-          contentType: 'string',
-          preview: content.substring(0, 100)
-        });
-      } else if (Array.isArray(content)) {
-        const types = content.map(b => b.type);
-        logger.debug('request', `Message ${i} [${msg.role}]`, {
-          contentTypes: types,
-          blockCount: content.length
-        });
-      }
+    await processMessagesRequest(req, res, anthropicRequest, {
+      path: '/v1/messages',
+      startTime,
+      requestId,
     });
+  } catch (error) {
+    broadcastRequestError(requestId, error);
+    sendError(res, error);
+  }
+}
 
-    logger.debug('request', 'Request details', {
-      model: anthropicRequest.model,
-      hasClientTools: !!(anthropicRequest.tools?.length),
-      hasSystem: !!anthropicRequest.system,
-      stream: anthropicRequest.stream,
-      endpointMode: config.endpoint.mode,
-    });
+/**
+ * Handle POST /v1/chat/completions endpoint (OpenAI-compatible ingress)
+ *
+ * The OpenAI request is converted to an Anthropic request and then follows
+ * exactly the same routing, tool loop and MCP injection as /v1/messages.
+ *
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ */
+async function handleChatCompletions(req, res) {
+  const startTime = Date.now();
+  const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
-    // Log thinking parameter from client for debugging
-    if (anthropicRequest.thinking) {
-      logger.debug('request', 'Client sent thinking parameter (ignored)', {
-        thinkingType: anthropicRequest.thinking.type,
-      });
-    }
+  try {
+    const body = await readBody(req);
+    let chatRequest;
 
-    // Validate API key is configured
-    const validation = validateConfig();
-    if (!validation.isValid) {
-      logger.error('config', 'Configuration error', { errors: validation.errors });
-      throw new ProxyError(validation.errors.join('; '), 'api_error', 500);
+    try {
+      chatRequest = JSON.parse(body);
+    } catch (parseError) {
+      throw new InvalidRequestError('Invalid JSON in request body');
     }
 
-    // Check which endpoint to use
-    // Vision requests (glm-4.6v) always use OpenAI path to avoid Z.ai's server_tool_use interception
-    // Only check the LAST message for images - previous images in history don't require vision model
-    const lastMessage = messages.length > 0 ? [messages[messages.length - 1]] : [];
-    const hasImagesInCurrentMessage = detectImages(lastMessage);
+    const anthropicRequest = transformChatRequest(chatRequest);
 
-    // Determine endpoint based on mode and vision
-    const endpoint = determineEndpoint(hasImagesInCurrentMessage);
-
-    logger.info('routing', 'Request routing', {
-      endpoint,
-      hasImages: hasImagesInCurrentMessage,
-      mode: config.endpoint.mode,
+    await processMessagesRequest(req, res, anthropicRequest, {
+      path: '/v1/chat/completions',
+      startTime,
+      requestId,
+      responseFormat: 'openai',
+      includeUsage: chatRequest.stream_options?.include_usage === true,
     });
-
-    if (endpoint === 'anthropic') {
-      await handleAnthropicPath(res, anthropicRequest, startTime, requestId);
-    } else if (endpoint === 'bigmodel') {
-      await handleBigModelPath(res, anthropicRequest, startTime, requestId);
-    } else {
-      // 'openai' or default
-      await handleOpenAIPath(res, anthropicRequest, startTime, requestId);
-    }
   } catch (error) {
-    // Broadcast error event
-    broadcastTrafficEvent({
-      id: `${requestId}-error`,
-      timestamp: new Date().toISOString(),
-      type: 'error',
-      data: {
-        requestId,
-        error: {
-          type: error.type || 'unknown_error',
-          message: error.message,
-          status: getErrorStatus(error),
-        },
-      },
-    });
-    sendError(res, error);
+    broadcastRequestError(requestId, error);
+    sendOpenAIError(res, error);
   }
 }
 
 /**
- * Handle request via OpenAI-compatible endpoint (original path)
+ * Route a parsed Anthropic request to the configured upstream path
+ * @param {http.IncomingMessage} req - HTTP request
  * @param {http.ServerResponse} res - HTTP response
- * @param {Object} anthropicRequest - Original Anthropic request
- * @param {number} startTime - Request start time
- * @param {string} requestId - Unique request ID
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {Object} options - Request options
+ * @param {string} options.path - Ingress path (for traffic events)
+ * @param {number} options.startTime - Request start time
+ * @param {string} options.requestId - Unique request ID
+ * @param {string} options.responseFormat - 'anthropic' (default) or 'openai'
+ * @param {boolean} options.includeUsage - OpenAI stream_options.include_usage
+ *
+ * @param {string} options.replayOf - History entry being replayed, if any
+ *
+ * The exchange is recorded to the history store whether it succeeds or fails.
+ * Requests from a client over its token budget are rejected with a rate_limit_error.
+ * The x-ccglm-cache header sets options.cacheMode for the response cache;
+ * replays always skip the lookup so they reach the upstream.
+ * options.signal is aborted when the client disconnects, cancelling upstream
+ * calls, queued slots and tool loops; a cancelled request sends no response.
+ * options.span is the root trace span; a traceparent header continues the caller's trace.
  */
-async function handleOpenAIPath(res, anthropicRequest, startTime, requestId) {
-  // Transform request to GLM format (async for MCP tool injection)
-  const { request: glmRequest, injections } = await transformRequest(anthropicRequest);
+async function processMessagesRequest(req, res, anthropicRequest, options) {
+  // Captured before video expansion so the stored request can be replayed as sent
+  const recorder = createRecorder({
+    id: options.requestId,
+    path: options.path,
+    request: anthropicRequest,
+    responseFormat: options.responseFormat,
+    includeUsage: options.includeUsage,
+    replayOf: options.replayOf,
+  });
 
-  // Broadcast proxy injection event if any injections were made
-  if (injections.length > 0) {
-    broadcastTrafficEvent({
-      id: `${requestId}-proxy-injection`,
-      timestamp: new Date().toISOString(),
-      type: 'proxy_injection',
-      data: {
-        requestId,
-        injections,
-      },
-    });
+  // Usage, budgets and rate limits follow the authenticated proxy key
+  const client = identifyClient(req.clientKey);
+  const cacheMode = options.replayOf ? 'refresh' : getCacheMode(req.headers);
+  const signal = createRequestSignal(res);
+  const stream = anthropicRequest.stream === true;
+
+  // Root span, continuing the caller's trace when it sent a traceparent header
+  const route = options.replayOf ? '/v1/history/{id}/replay' : options.path;
+  const span = startSpan(`POST ${route}`, {
+    kind: SPAN_KIND.SERVER,
+    traceparent: req.headers.traceparent,
+    startTime: options.startTime,
+    attributes: {
+      'http.request.method': 'POST',
+      'http.route': route,
+      'ccglm.request_id': options.requestId,
+      'ccglm.client': client,
+      'gen_ai.request.model': anthropicRequest.model,
+      'ccglm.stream': stream,
+    },
+  });
+  // Body read, JSON parse and (for /v1/chat/completions) ingress conversion
+  recordSpan('request.parse', { parent: span, startTime: options.startTime });
+
+  if (stream) {
+    trackActiveStream(1);
   }
 
-  // Check if we should use real-time streaming from GLM
-  const wantsStreaming = isStreamingRequest(anthropicRequest);
+  try {
+    checkBudget(client);
+    await dispatchMessagesRequest(req, res, anthropicRequest, { ...options, recorder, client, cacheMode, signal, span });
+  } catch (error) {
+    recorder.fail(error);
 
-  if (wantsStreaming) {
-    logger.info('streaming', 'Using real-time GLM streaming with tool support', {
-      model: glmRequest.model,
-      hasClientTools: !!(anthropicRequest.tools?.length),
-    });
-    const streamResult = await streamFromGLM(res, glmRequest, anthropicRequest.model);
+    // The client is gone - nobody to send an error response to
+    if (isCancellation(error)) {
+      broadcastRequestCancelled(options.requestId, options.startTime);
+      return;
+    }
+    throw error;
+  } finally {
+    if (stream) {
+      trackActiveStream(-1);
+    }
+    const entry = recorder.finish();
+    recordRequestMetrics(entry);
+    endRequestSpan(span, entry);
+  }
+}
 
-    // Broadcast response event for stats tracking
-    const durationMs = Date.now() - startTime;
-    broadcastTrafficEvent({
-      id: `${requestId}-response`,
-      timestamp: new Date().toISOString(),
-      type: 'response',
-      data: {
-        requestId,
-        statusCode: 200,
-        durationMs,
-        endpoint: 'openai',
-        messageCount: anthropicRequest.messages?.length || 0, // For session detection
-        body: {
-          usage: streamResult?.usage || {},
-          content: [
-            ...(streamResult?.thinkingContent ? [{ type: 'thinking', thinking: streamResult.thinkingContent }] : []),
-            { type: 'text', text: streamResult?.textContent || '' },
-          ],
-        },
-      },
-    });
+/**
+ * Count a finished messages request in the metrics
+ * @param {Object|null} entry - Completed history entry (see history/recorder.js)
+ */
+function recordRequestMetrics(entry) {
+  if (!entry) {
     return;
   }
 
-  // Non-streaming path: execute with tool loop
-  const glmResponse = await executeWithTools(glmRequest, callGLMApi, config);
-
-  // Transform response to Anthropic format
-  const anthropicResponse = transformResponse(glmResponse, anthropicRequest.model);
+  // Client-supplied names are only used as labels when configuration knows them
+  const attempt = entry.attempts[entry.attempts.length - 1];
+  const upstreamModel = attempt?.upstreamRequest?.model;
+  let model = 'other';
+  if (isKnownModel(entry.request?.model)) {
+    model = entry.request.model;
+  } else if (isKnownModel(upstreamModel)) {
+    model = upstreamModel;
+  }
 
-  const durationMs = Date.now() - startTime;
+  recordRequest({
+    endpoint: entry.cache === 'hit' ? 'cache' : attempt?.endpoint,
+    model,
+    status: entry.statusCode,
+    iterations: attempt?.iterations.length || 0,
+  });
+}
 
-  // Broadcast response event
-  broadcastTrafficEvent({
-    id: `${requestId}-response`,
-    timestamp: new Date().toISOString(),
-    type: 'response',
-    data: {
-      requestId,
-      statusCode: 200,
-      durationMs,
-      endpoint: 'openai',
-      messageCount: anthropicRequest.messages?.length || 0, // For session detection
-      body: anthropicResponse,
-    },
-  });
-
-  logger.response(200, anthropicResponse.stop_reason, durationMs);
-  logger.debug('response', 'Response details', {
-    messageId: anthropicResponse.id,
-    inputTokens: anthropicResponse.usage?.input_tokens,
-    outputTokens: anthropicResponse.usage?.output_tokens,
-    contentBlocks: anthropicResponse.content?.length,
-  });
-  sendJson(res, 200, anthropicResponse);
+/**
+ * End the root span of a messages request
+ * @param {Object} span - Root span
+ * @param {Object|null} entry - Completed history entry (see history/recorder.js)
+ */
+function endRequestSpan(span, entry) {
+  if (entry) {
+    const attempt = entry.attempts[entry.attempts.length - 1];
+    span.setAttributes({
+      'http.response.status_code': entry.statusCode,
+      'ccglm.endpoint': attempt?.endpoint,
+      'ccglm.provider': attempt?.provider,
+      'ccglm.failover_attempts': entry.attempts.length > 1 ? entry.attempts.length : undefined,
+      'ccglm.cache': entry.cache,
+    });
+    if (entry.error) {
+      span.recordError(entry.error);
+    }
+  }
+  span.end();
 }
 
 /**
- * Handle request via Anthropic-compatible endpoint (native path)
+ * Validate a request, resolve its route and run it (with failover)
+ * @param {http.IncomingMessage} req - HTTP request
  * @param {http.ServerResponse} res - HTTP response
- * @param {Object} anthropicRequest - Original Anthropic request
- * @param {number} startTime - Request start time
- * @param {string} requestId - Unique request ID
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @param {Object} options - Request options (see processMessagesRequest) plus options.recorder, options.client, options.cacheMode, options.signal and options.span
+ *
+ * handleUpstreamPath additionally receives options.endpoint (key of UPSTREAM_PATHS),
+ * options.upstream (provider target), options.textModel (routing rule model override)
+ * and options.onUpstreamCall (history and usage listener for each upstream call).
  */
-async function handleAnthropicPath(res, anthropicRequest, startTime, requestId) {
-  // Prepare request for Anthropic endpoint (add tools, thinking) - async for MCP tool injection
-  const { request: preparedRequest, injections } = await prepareAnthropicRequest(anthropicRequest);
+async function dispatchMessagesRequest(req, res, anthropicRequest, options) {
+  const { requestId, recorder } = options;
 
-  // Broadcast proxy injection event if any injections were made
-  if (injections.length > 0) {
-    broadcastTrafficEvent({
-      id: `${requestId}-proxy-injection`,
-      timestamp: new Date().toISOString(),
-      type: 'proxy_injection',
-      data: {
-        requestId,
-        injections,
+  // Broadcast request event
+  broadcastTrafficEvent({
+    id: requestId,
+    timestamp: new Date().toISOString(),
+    type: 'request',
+    data: {
+      method: 'POST',
+      path: options.path,
+      headers: {
+        'content-type': req.headers['content-type'],
+        'x-api-key': req.headers['x-api-key'] ? '[REDACTED]' : undefined,
       },
+      body: anthropicRequest,
+    },
+  });
+
+  // Extract working directory from system prompt (Claude Code includes this)
+  const workingDir = extractWorkingDirectory(anthropicRequest.system);
+  if (workingDir) {
+    logger.debug('request', 'Working directory from system prompt', { workingDir });
+  }
+
+  // Process messages for video file references (e.g., @video.mp4 or /path/to/video.mp4)
+  // This converts file path references to proper video content blocks
+  if (anthropicRequest.messages && Array.isArray(anthropicRequest.messages)) {
+    anthropicRequest.messages = await withSpan('request.video', { parent: options.span }, () => (
+      processMessagesForVideos(anthropicRequest.messages, workingDir)
+    ));
+  }
+
+  // Validate request structure
+  validateRequest(anthropicRequest);
+
+  logger.request(req, anthropicRequest.messages?.length);
+
+  // Log message content for debugging
+  const messages = anthropicRequest.messages || [];
+  messages.forEach((msg, i) => {
+    const content = msg.content;
+    if (typeof content === 'string') {
+      logger.debug('request', `Message ${i} [${msg.role}]`, {
+        contentType: 'string',
+        preview: content.substring(0, 100)
+      });
+    } else if (Array.isArray(content)) {
+      const types = content.map(b => b.type);
+      logger.debug('request', `Message ${i} [${msg.role}]`, {
+        contentTypes: types,
+        blockCount: content.length
+      });
+    }
+  });
+
+  logger.debug('request', 'Request details', {
+    model: anthropicRequest.model,
+    hasClientTools: !!(anthropicRequest.tools?.length),
+    hasSystem: !!anthropicRequest.system,
+    stream: anthropicRequest.stream,
+    endpointMode: config.endpoint.mode,
+  });
+
+  // Log thinking parameter from client for debugging (mapped per upstream in the transformers)
+  if (anthropicRequest.thinking) {
+    logger.debug('request', 'Client sent thinking parameter', {
+      thinkingType: anthropicRequest.thinking.type,
+      budgetTokens: anthropicRequest.thinking.budget_tokens,
     });
   }
 
-  // Check if we should use streaming
-  const wantsStreaming = isStreamingRequest(anthropicRequest);
+  // Validate API key is configured
+  const validation = validateConfig();
+  if (!validation.isValid) {
+    logger.error('config', 'Configuration error', { errors: validation.errors });
+    throw new ProxyError(validation.errors.join('; '), 'api_error', 500);
+  }
 
-  if (wantsStreaming) {
-    logger.info('streaming', 'Using Anthropic endpoint streaming with tool support', {
-      model: preparedRequest.model,
-      hasThinking: !!preparedRequest.thinking,
-      hasClientTools: !!(anthropicRequest.tools?.length),
+  // Check which provider and endpoint to use
+  // Vision requests (glm-4.6v) always use OpenAI path to avoid Z.ai's server_tool_use interception
+  const route = resolveRequestRoute(anthropicRequest);
+  const routes = getFailoverRoutes(route, { hasImages: route.hasImages });
+
+  for (let i = 0; i < routes.length; i++) {
+    const current = routes[i];
+    const endpoint = getRouteEndpoint(current.provider);
+
+    logger.info('routing', 'Request routing', {
+      endpoint,
+      provider: current.provider.id,
+      model: current.model,
+      rule: current.rule?.pattern,
+      hasImages: route.hasImages,
+      mode: config.endpoint.mode,
+      failover: i > 0,
     });
-    const streamResult = await streamFromAnthropic(res, { ...preparedRequest, stream: true });
 
-    // Broadcast response event for stats tracking
-    const durationMs = Date.now() - startTime;
-    broadcastTrafficEvent({
-      id: `${requestId}-response`,
-      timestamp: new Date().toISOString(),
-      type: 'response',
-      data: {
-        requestId,
-        statusCode: 200,
-        durationMs,
-        endpoint: 'anthropic',
-        messageCount: anthropicRequest.messages?.length || 0, // For session detection
-        body: {
-          usage: streamResult?.usage || {},
-          content: [
-            ...(streamResult?.thinkingContent ? [{ type: 'thinking', thinking: streamResult.thinkingContent }] : []),
-            { type: 'text', text: streamResult?.textContent || '' },
-          ],
-        },
+    recorder.startAttempt({ provider: current.provider.id, endpoint, model: current.model });
+
+    // Set once an upstream call of this attempt succeeds - its tools may have run by then
+    let upstreamSucceeded = false;
+    const listener = createUpstreamCallListener(options, endpoint, current.provider.id);
+
+    const routedOptions = {
+      ...options,
+      upstream: getUpstream(current.provider),
+      textModel: current.model || undefined,
+      endpoint,
+      onUpstreamCall: (call) => {
+        upstreamSucceeded ||= !call.error;
+        listener(call);
       },
-    });
-    return;
+    };
+
+    try {
+      await handleUpstreamPath(res, anthropicRequest, routedOptions);
+      return;
+    } catch (error) {
+      const next = routes[i + 1];
+
+      // Once the first byte has reached the client the response cannot be restarted elsewhere,
+      // and once a tool loop iteration has completed, restarting would run its tools twice
+      if (!next || res.headersSent || upstreamSucceeded || !isRetryableError(error)) {
+        throw error;
+      }
+
+      recorder.fail(error);
+
+      logger.warn('failover', 'Upstream failed, trying next provider', {
+        from: current.provider.id,
+        to: next.provider.id,
+        status: error.upstreamStatus,
+        error: error.message,
+      });
+    }
   }
+}
 
-  // Non-streaming path: execute with tool loop
-  const anthropicResponse = await executeWithToolsAnthropic(preparedRequest, callAnthropicApi, config);
+/**
+ * Handle POST /v1/messages/count_tokens endpoint
+ *
+ * Runs the same preparation as a real request (video expansion, routing,
+ * transformRequest/prepareAnthropicRequest) and counts the upstream request,
+ * so injected prompts and tools are part of the total. The preparation is a
+ * dry run: MCP tools are counted from their last discovery and no MCP is started.
+ *
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ */
+async function handleCountTokens(req, res) {
+  try {
+    const body = await readBody(req);
+    let anthropicRequest;
 
-  const durationMs = Date.now() - startTime;
+    try {
+      anthropicRequest = JSON.parse(body);
+    } catch (parseError) {
+      throw new InvalidRequestError('Invalid JSON in request body');
+    }
 
-  // Broadcast response event
-  broadcastTrafficEvent({
-    id: `${requestId}-response`,
-    timestamp: new Date().toISOString(),
-    type: 'response',
-    data: {
-      requestId,
-      statusCode: 200,
-      durationMs,
-      endpoint: 'anthropic',
-      messageCount: anthropicRequest.messages?.length || 0, // For session detection
-      body: anthropicResponse,
-    },
-  });
+    if (Array.isArray(anthropicRequest?.messages)) {
+      const workingDir = extractWorkingDirectory(anthropicRequest.system);
+      anthropicRequest.messages = await processMessagesForVideos(anthropicRequest.messages, workingDir);
+    }
 
-  logger.response(200, anthropicResponse.stop_reason, durationMs);
-  logger.debug('response', 'Response details', {
-    messageId: anthropicResponse.id,
-    inputTokens: anthropicResponse.usage?.input_tokens,
-    outputTokens: anthropicResponse.usage?.output_tokens,
-    contentBlocks: anthropicResponse.content?.length,
-  });
-  sendJson(res, 200, anthropicResponse);
+    validateRequest(anthropicRequest);
+
+    const route = resolveRequestRoute(anthropicRequest);
+    const { endpoint } = route;
+    const prepareOptions = {
+      textModel: route.model || undefined,
+      nativeThinking: route.upstream.nativeThinking,
+      dryRun: true,
+    };
+
+    const { request: upstreamRequest } = await UPSTREAM_PATHS[endpoint].transform(anthropicRequest, prepareOptions);
+
+    const inputTokens = countRequestTokens(upstreamRequest);
+
+    logger.debug('tokens', 'Counted request tokens', {
+      endpoint,
+      provider: route.provider.id,
+      model: upstreamRequest.model,
+      messageCount: upstreamRequest.messages?.length,
+      toolCount: upstreamRequest.tools?.length || 0,
+      inputTokens,
+    });
+
+    sendJson(res, 200, { input_tokens: inputTokens });
+  } catch (error) {
+    sendError(res, error);
+  }
 }
 
 /**
  * Call BigModel API (OpenAI-compatible endpoint)
  * @param {Object} glmRequest - GLM format request (OpenAI-compatible)
+ * @param {Object} upstream - Upstream target (defaults to the built-in BigModel provider)
+ * @param {AbortSignal} signal - Request cancellation signal
  * @returns {Promise<Object>} GLM response
  */
-async function callBigModelApi(glmRequest) {
+async function callBigModelApi(glmRequest, upstream = getUpstream('bigmodel'), signal = null) {
   const startTime = Date.now();
 
   logger.info('bigmodel', 'Sending request to BigModel', {
@@ -752,16 +1238,16 @@ async function callBigModelApi(glmRequest) {
 
   let response;
   try {
-    response = await fetch(config.bigModelUrl, {
+    response = await fetch(upstream.url, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${config.zaiApiKey}`,
-      },
+      headers: upstream.headers,
       body: JSON.stringify(glmRequest),
-      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT),
+      signal: withTimeout(signal, UPSTREAM_TIMEOUT),
     });
   } catch (error) {
+    if (signal?.aborted) {
+      throw signal.reason;
+    }
     // Handle timeout and abort errors
     if (error.name === 'TimeoutError' || error.name === 'AbortError') {
       logger.error('bigmodel', 'BigModel API timeout', {
@@ -796,7 +1282,8 @@ async function callBigModelApi(glmRequest) {
     throw new GlmApiError(
       `BigModel API error: ${response.status} ${response.statusText}`,
       response.status,
-      errorText
+      errorText,
+      parseRetryAfter(response.headers.get('retry-after'))
     );
   }
 
@@ -817,15 +1304,108 @@ async function callBigModelApi(glmRequest) {
 }
 
 /**
- * Handle request via BigModel endpoint
+ * Convert the result of an OpenAI-protocol tool loop to Anthropic format
+ * @param {Object} glmResponse - GLM format response
+ * @param {Object} glmRequest - GLM format request that produced it
+ * @param {Object} anthropicRequest - Original Anthropic request
+ * @returns {Object} Anthropic format response
+ */
+function toAnthropicFromGLM(glmResponse, glmRequest, anthropicRequest) {
+  return transformResponse(glmResponse, anthropicRequest.model, getReasoningTag(glmRequest.model));
+}
+
+/**
+ * Upstream paths, keyed by endpoint ('openai', 'anthropic' or 'bigmodel')
+ * All three run the same pipeline (see handleUpstreamPath) and differ only in:
+ * - transform(anthropicRequest, options): upstream request and injections
+ * - callApi(request, upstream, signal): one non-streaming upstream call
+ * - executeWithTools(request, callApi, config, options): the tool loop
+ * - stream(res, request, anthropicRequest, streamOptions): the real-time stream handler
+ * - toAnthropic(response, request, anthropicRequest): tool loop result in Anthropic format
+ */
+const UPSTREAM_PATHS = {
+  openai: {
+    name: 'GLM',
+    transform: transformRequest,
+    callApi: callGLMApi,
+    executeWithTools,
+    stream: (res, request, anthropicRequest, streamOptions) => (
+      streamFromGLM(res, request, anthropicRequest.model, streamOptions)
+    ),
+    toAnthropic: toAnthropicFromGLM,
+  },
+  anthropic: {
+    name: 'Anthropic endpoint',
+    transform: prepareAnthropicRequest,
+    callApi: callAnthropicApi,
+    executeWithTools: executeWithToolsAnthropic,
+    stream: (res, request, anthropicRequest, streamOptions) => streamFromAnthropic(
+      res,
+      { ...request, stream: true },
+      { ...streamOptions, responseModel: resolveModelAlias(anthropicRequest.model)?.alias }
+    ),
+    toAnthropic: (response) => response,
+  },
+  bigmodel: {
+    name: 'BigModel',
+    transform: transformRequest,
+    callApi: callBigModelApi,
+    executeWithTools,
+    stream: (res, request, anthropicRequest, streamOptions) => (
+      streamFromBigModel(res, request, anthropicRequest.model, streamOptions)
+    ),
+    toAnthropic: toAnthropicFromGLM,
+  },
+};
+
+/**
+ * Broadcast the response event of a completed request (for stats tracking)
+ * @param {Object} anthropicRequest - Original Anthropic request
+ * @param {Object} body - Response body (streamed responses are summarized)
+ * @param {Object} options - Routed request options (requestId, startTime, endpoint, upstream)
+ * @returns {number} Request duration in ms
+ */
+function broadcastResponse(anthropicRequest, body, options) {
+  const durationMs = Date.now() - options.startTime;
+  broadcastTrafficEvent({
+    id: `${options.requestId}-response`,
+    timestamp: new Date().toISOString(),
+    type: 'response',
+    data: {
+      requestId: options.requestId,
+      statusCode: 200,
+      durationMs,
+      endpoint: options.endpoint,
+      provider: options.upstream?.provider,
+      messageCount: anthropicRequest.messages?.length || 0, // For session detection
+      body,
+    },
+  });
+  return durationMs;
+}
+
+/**
+ * Handle a request via one upstream path
+ * Transforms the request, serves it from the response cache when possible,
+ * then either relays a real-time stream or runs the tool loop (each upstream
+ * call with a queue slot and retries), and records the response.
  * @param {http.ServerResponse} res - HTTP response
  * @param {Object} anthropicRequest - Original Anthropic request
- * @param {number} startTime - Request start time
- * @param {string} requestId - Unique request ID
+ * @param {Object} options - Routed request options (see dispatchMessagesRequest)
  */
-async function handleBigModelPath(res, anthropicRequest, startTime, requestId) {
-  // Transform request to GLM format (async for MCP tool injection)
-  const { request: glmRequest, injections } = await transformRequest(anthropicRequest);
+async function handleUpstreamPath(res, anthropicRequest, options) {
+  const { endpoint, requestId } = options;
+  const path = UPSTREAM_PATHS[endpoint];
+
+  // Transform the request (async for MCP tool injection)
+  const { request: upstreamRequest, injections } = await withSpan('request.transform', {
+    parent: options.span,
+    attributes: { 'ccglm.endpoint': endpoint },
+  }, () => path.transform(anthropicRequest, {
+    textModel: options.textModel,
+    nativeThinking: options.upstream?.nativeThinking,
+  }));
+  trackUpstreamRequest(requestId, endpoint, upstreamRequest, options);
 
   // Broadcast proxy injection event if any injections were made
   if (injections.length > 0) {
@@ -840,63 +1420,59 @@ async function handleBigModelPath(res, anthropicRequest, startTime, requestId) {
     });
   }
 
-  // Check if we should use real-time streaming
-  const wantsStreaming = isStreamingRequest(anthropicRequest);
+  // Serve repeated requests from the response cache
+  const cache = await serveFromCache(res, anthropicRequest, upstreamRequest, endpoint, options);
+  if (cache.hit) {
+    return;
+  }
 
-  if (wantsStreaming) {
-    logger.info('streaming', 'Using real-time BigModel streaming with tool support', {
-      model: glmRequest.model,
+  if (isStreamingRequest(anthropicRequest)) {
+    logger.info('streaming', `Using real-time ${path.name} streaming with tool support`, {
+      model: upstreamRequest.model,
+      hasThinking: !!upstreamRequest.thinking,
       hasClientTools: !!(anthropicRequest.tools?.length),
     });
-    // Use the same streaming function but with BigModel URL
-    const streamResult = await streamFromBigModel(res, glmRequest, anthropicRequest.model);
-
-    // Broadcast response event for stats tracking
-    const durationMs = Date.now() - startTime;
-    broadcastTrafficEvent({
-      id: `${requestId}-response`,
-      timestamp: new Date().toISOString(),
-      type: 'response',
-      data: {
-        requestId,
-        statusCode: 200,
-        durationMs,
-        endpoint: 'bigmodel',
-        messageCount: anthropicRequest.messages?.length || 0, // For session detection
-        body: {
-          usage: streamResult?.usage || {},
-          content: [
-            ...(streamResult?.thinkingContent ? [{ type: 'thinking', thinking: streamResult.thinkingContent }] : []),
-            { type: 'text', text: streamResult?.textContent || '' },
-          ],
-        },
-      },
-    });
+    const collector = cache.key ? createMessageCollector() : null;
+    const streamResult = await withSpan('stream.relay', { parent: options.span }, () => path.stream(
+      getStreamTarget(res, anthropicRequest, options, collector),
+      upstreamRequest,
+      anthropicRequest,
+      getStreamOptions(options)
+    ));
+
+    const responseBody = {
+      usage: streamResult?.usage || {},
+      content: [
+        ...(streamResult?.thinkingContent ? [{ type: 'thinking', thinking: streamResult.thinkingContent }] : []),
+        { type: 'text', text: streamResult?.textContent || '' },
+      ],
+    };
+    options.recorder?.setResponse(responseBody);
+    storeInCache(cache.key, collector?.getMessage(), endpoint);
+    broadcastResponse(anthropicRequest, responseBody, options);
     return;
   }
 
   // Non-streaming path: execute with tool loop
-  const glmResponse = await executeWithTools(glmRequest, callBigModelApi, config);
-
-  // Transform response to Anthropic format
-  const anthropicResponse = transformResponse(glmResponse, anthropicRequest.model);
+  const searches = getSearchRecorder();
+  const toolLoopResponse = await path.executeWithTools(
+    upstreamRequest,
+    (request) => trackUpstreamCall(options, request, () => runWithUpstreamSlot(options.client, () => withRetry(
+      () => path.callApi(request, options.upstream, options.signal),
+      { label: options.upstream?.provider, signal: options.signal }
+    ), options.signal)),
+    config,
+    { signal: options.signal, span: options.span, searches }
+  );
+  const anthropicResponse = addSearchResults(
+    path.toAnthropic(toolLoopResponse, upstreamRequest, anthropicRequest),
+    searches
+  );
 
-  const durationMs = Date.now() - startTime;
+  options.recorder?.setResponse(anthropicResponse);
+  storeInCache(cache.key, anthropicResponse, endpoint);
 
-  // Broadcast response event
-  broadcastTrafficEvent({
-    id: `${requestId}-response`,
-    timestamp: new Date().toISOString(),
-    type: 'response',
-    data: {
-      requestId,
-      statusCode: 200,
-      durationMs,
-      endpoint: 'bigmodel',
-      messageCount: anthropicRequest.messages?.length || 0, // For session detection
-      body: anthropicResponse,
-    },
-  });
+  const durationMs = broadcastResponse(anthropicRequest, anthropicResponse, options);
 
   logger.response(200, anthropicResponse.stop_reason, durationMs);
   logger.debug('response', 'Response details', {
@@ -905,7 +1481,7 @@ async function handleBigModelPath(res, anthropicRequest, startTime, requestId) {
     outputTokens: anthropicResponse.usage?.output_tokens,
     contentBlocks: anthropicResponse.content?.length,
   });
-  sendJson(res, 200, anthropicResponse);
+  sendMessageResponse(res, anthropicResponse, anthropicRequest, options);
 }
 
 /**
@@ -916,6 +1492,7 @@ async function handleBigModelPath(res, anthropicRequest, startTime, requestId) {
 function handleHealth(req, res) {
   const validation = validateConfig();
   const uptimeSeconds = serverStartTime ? Math.floor((Date.now() - serverStartTime) / 1000) : 0;
+  const limiterStats = getLimiterStats();
 
   const healthResponse = {
     status: validation.isValid ? 'ok' : 'degraded',
@@ -931,6 +1508,12 @@ function handleHealth(req, res) {
       isValid: validation.isValid,
       errors: validation.errors,
     },
+    limiter: {
+      active: limiterStats.active,
+      queued: limiterStats.queued,
+    },
+    cache: getCacheStats(),
+    toolCache: getToolCacheStats(),
   };
 
   sendJson(res, 200, healthResponse);
@@ -992,7 +1575,7 @@ function handleOptions(req, res) {
 
   const headers = {
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key, Anthropic-Version',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Api-Key, Anthropic-Version, X-CCGLM-Cache',
     'Access-Control-Max-Age': '86400',
   };
 
@@ -1078,6 +1661,19 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // Client authentication - everything below requires a key once one exists
+  try {
+    req.clientKey = authenticateRequest(req, method, pathname, parsedUrl.searchParams);
+  } catch (error) {
+    logger.warn('auth', 'Request rejected', { method, pathname, error: error.message });
+    if (pathname === '/v1/chat/completions') {
+      sendOpenAIError(res, error);
+    } else {
+      sendError(res, error);
+    }
+    return;
+  }
+
   if (method === 'GET' && pathname === '/config') {
     handleConfigGet(req, res);
     return;
@@ -1093,17 +1689,19 @@ async function handleRequest(req, res) {
     return;
   }
 
+  if (method === 'POST' && pathname === '/v1/chat/completions') {
+    await handleChatCompletions(req, res);
+    return;
+  }
+
   if (method === 'GET' && pathname === '/v1/traffic') {
     handleTrafficSSE(req, res);
     return;
   }
 
-  // Stub endpoint for token counting (Claude Code uses this)
+  // Token counting (Claude Code uses this for context-window accounting)
   if (method === 'POST' && pathname === '/v1/messages/count_tokens') {
-    // Return a stub response - we don't actually count tokens
-    sendJson(res, 200, {
-      input_tokens: 0,
-    });
+    await handleCountTokens(req, res);
     return;
   }
 
@@ -1114,12 +1712,66 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // Model listing (Anthropic-compatible)
+  if (pathname === '/v1/models' || pathname.startsWith('/v1/models/')) {
+    handleModelEndpoints(res, method, pathname, parsedUrl.searchParams);
+    return;
+  }
+
   // MCP Registry endpoints
   if (pathname === '/v1/mcp' || pathname.startsWith('/v1/mcp/')) {
     await handleMcpEndpoints(req, res, method, pathname);
     return;
   }
 
+  // Provider registry and routing rule endpoints
+  if (pathname === '/v1/providers' || pathname.startsWith('/v1/providers/') || pathname === '/v1/routing/rules') {
+    await handleRoutingEndpoints(req, res, method, pathname);
+    return;
+  }
+
+  // Request history and replay endpoints
+  if (pathname === '/v1/history' || pathname.startsWith('/v1/history/')) {
+    await handleHistoryEndpoints(req, res, method, pathname, parsedUrl.searchParams);
+    return;
+  }
+
+  // Client key management
+  if (pathname === '/v1/keys' || pathname.startsWith('/v1/keys/')) {
+    await handleKeyEndpoints(req, res, method, pathname);
+    return;
+  }
+
+  // Usage and cost report
+  if (method === 'GET' && pathname === '/v1/usage') {
+    handleUsage(req, res, parsedUrl.searchParams);
+    return;
+  }
+
+  // Response cache
+  if (method === 'DELETE' && pathname === '/v1/cache') {
+    sendJson(res, 200, { cleared: clearCache(), stats: getCacheStats() });
+    return;
+  }
+
+  // Tool result cache
+  if (method === 'DELETE' && pathname === '/v1/cache/tools') {
+    sendJson(res, 200, { cleared: clearToolCache(), stats: getToolCacheStats() });
+    return;
+  }
+
+  // Upstream rate limiter and queue metrics
+  if (method === 'GET' && pathname === '/v1/limits') {
+    sendJson(res, 200, { limits: config.limits, stats: getLimiterStats() });
+    return;
+  }
+
+  if (method === 'GET' && pathname === '/metrics') {
+    res.writeHead(200, { 'Content-Type': METRICS_CONTENT_TYPE });
+    res.end(renderMetrics());
+    return;
+  }
+
   // 404 for unknown routes
   const notFoundError = new InvalidRequestError(`Not found: ${method} ${pathname}`);
   notFoundError.type = 'not_found_error';
@@ -1165,7 +1817,7 @@ async function handleMcpEndpoints(req, res, method, pathname) {
     }
 
     const mcpId = decodeURIComponent(mcpIdMatch[1]);
-    const subPath = mcpIdMatch[2]; // e.g., 'enable', 'disable', 'tools'
+    const subPath = mcpIdMatch[2]; // e.g., 'enable', 'disable', 'tools', 'resources', 'prompts'
 
     // GET /v1/mcp/:id - Get single MCP
     if (method === 'GET' && !subPath) {
@@ -1189,11 +1841,8 @@ async function handleMcpEndpoints(req, res, method, pathname) {
         throw new InvalidRequestError('Invalid JSON in request body');
       }
 
-      // If config changed, shutdown existing client
-      const existingMcp = getMcp(mcpId);
-      if (existingMcp && existingMcp.initialized) {
-        await shutdownMcp(mcpId);
-      }
+      // If config changed, shutdown existing client (and reset its supervisor state)
+      await shutdownMcp(mcpId);
 
       const mcp = updateMcp(mcpId, updates);
       sendJson(res, 200, { mcp });
@@ -1202,11 +1851,8 @@ async function handleMcpEndpoints(req, res, method, pathname) {
 
     // DELETE /v1/mcp/:id - Remove MCP
     if (method === 'DELETE' && !subPath) {
-      // Shutdown client first
-      const existingMcp = getMcp(mcpId);
-      if (existingMcp && existingMcp.initialized) {
-        await shutdownMcp(mcpId);
-      }
+      // Shutdown client first (also cancels a scheduled restart)
+      await shutdownMcp(mcpId);
 
       removeMcp(mcpId);
       sendJson(res, 200, { success: true });
@@ -1229,10 +1875,39 @@ async function handleMcpEndpoints(req, res, method, pathname) {
       return;
     }
 
+    // POST /v1/mcp/:id/restart - Restart MCP (also after too many crashes)
+    if (method === 'POST' && subPath === 'restart') {
+      await restartMcp(mcpId);
+      sendJson(res, 200, { mcp: getMcpSafe(mcpId) });
+      return;
+    }
+
     // GET /v1/mcp/:id/tools - Get discovered tools
     if (method === 'GET' && subPath === 'tools') {
       const tools = await getMcpTools(mcpId);
-      sendJson(res, 200, { tools });
+      const mcp = getMcp(mcpId);
+      // Server tools with the name GLM sees and whether the allow/deny lists let it through
+      sendJson(res, 200, {
+        tools: tools.map((tool) => ({
+          ...tool,
+          exposedName: getExposedName(mcp, tool.name),
+          allowed: isToolAllowed(mcp, tool.name),
+        })),
+      });
+      return;
+    }
+
+    // GET /v1/mcp/:id/resources - Get discovered resources
+    if (method === 'GET' && subPath === 'resources') {
+      const resources = await getMcpResources(mcpId);
+      sendJson(res, 200, { resources });
+      return;
+    }
+
+    // GET /v1/mcp/:id/prompts - Get discovered prompts
+    if (method === 'GET' && subPath === 'prompts') {
+      const prompts = await getMcpPrompts(mcpId);
+      sendJson(res, 200, { prompts });
       return;
     }
 
@@ -1248,6 +1923,355 @@ async function handleMcpEndpoints(req, res, method, pathname) {
   }
 }
 
+/**
+ * Handle provider registry and routing rule API endpoints
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ */
+async function handleRoutingEndpoints(req, res, method, pathname) {
+  try {
+    // GET /v1/routing/rules - List routing rules
+    if (method === 'GET' && pathname === '/v1/routing/rules') {
+      sendJson(res, 200, { rules: getRoutingRules() });
+      return;
+    }
+
+    // PUT /v1/routing/rules - Replace routing rules
+    if (method === 'PUT' && pathname === '/v1/routing/rules') {
+      const body = await readBody(req);
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (e) {
+        throw new InvalidRequestError('Invalid JSON in request body');
+      }
+
+      const rules = setRoutingRules(payload.rules);
+      sendJson(res, 200, { rules });
+      return;
+    }
+
+    // GET /v1/providers - List all providers
+    if (method === 'GET' && pathname === '/v1/providers') {
+      sendJson(res, 200, { providers: getAllProviders() });
+      return;
+    }
+
+    // POST /v1/providers - Add custom provider
+    if (method === 'POST' && pathname === '/v1/providers') {
+      const body = await readBody(req);
+      let providerConfig;
+      try {
+        providerConfig = JSON.parse(body);
+      } catch (e) {
+        throw new InvalidRequestError('Invalid JSON in request body');
+      }
+
+      const provider = addProvider(providerConfig);
+      sendJson(res, 201, { provider });
+      return;
+    }
+
+    // Extract provider ID from path for /v1/providers/:id routes
+    const providerIdMatch = pathname.match(/^\/v1\/providers\/([^/]+)$/);
+    if (!providerIdMatch) {
+      throw new InvalidRequestError(`Invalid provider endpoint: ${pathname}`);
+    }
+
+    const providerId = decodeURIComponent(providerIdMatch[1]);
+
+    // GET /v1/providers/:id - Get single provider
+    if (method === 'GET') {
+      const provider = getAllProviders().find((p) => p.id === providerId);
+      if (!provider) {
+        const error = new InvalidRequestError(`Provider '${providerId}' not found`);
+        error.status = 404;
+        throw error;
+      }
+      sendJson(res, 200, { provider });
+      return;
+    }
+
+    // PATCH /v1/providers/:id - Update custom provider
+    if (method === 'PATCH') {
+      const body = await readBody(req);
+      let updates;
+      try {
+        updates = JSON.parse(body);
+      } catch (e) {
+        throw new InvalidRequestError('Invalid JSON in request body');
+      }
+
+      const provider = updateProvider(providerId, updates);
+      sendJson(res, 200, { provider });
+      return;
+    }
+
+    // DELETE /v1/providers/:id - Remove custom provider
+    if (method === 'DELETE') {
+      removeProvider(providerId);
+      sendJson(res, 200, { success: true });
+      return;
+    }
+
+    throw new InvalidRequestError(`Unknown provider endpoint: ${method} ${pathname}`);
+  } catch (error) {
+    logger.error('providers-api', 'Provider API error', {
+      method,
+      pathname,
+      error: error.message,
+    });
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle model listing endpoints (Anthropic models API format)
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ * @param {URLSearchParams} searchParams - Query parameters (limit, after_id, before_id)
+ */
+function handleModelEndpoints(res, method, pathname, searchParams) {
+  try {
+    if (method !== 'GET') {
+      throw new InvalidRequestError(`Unknown model endpoint: ${method} ${pathname}`);
+    }
+
+    // GET /v1/models - List configured models and aliases
+    if (pathname === '/v1/models') {
+      sendJson(res, 200, listModels({
+        limit: searchParams.get('limit'),
+        afterId: searchParams.get('after_id'),
+        beforeId: searchParams.get('before_id'),
+      }));
+      return;
+    }
+
+    // GET /v1/models/:id - One model or alias
+    const modelId = decodeURIComponent(pathname.slice('/v1/models/'.length));
+    const model = getModel(modelId);
+    if (!model) {
+      const error = new InvalidRequestError(`Model '${modelId}' not found`);
+      error.type = 'not_found_error';
+      error.status = 404;
+      throw error;
+    }
+
+    sendJson(res, 200, model);
+  } catch (error) {
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle request history API endpoints
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ * @param {URLSearchParams} searchParams - Query parameters (limit, offset)
+ */
+async function handleHistoryEndpoints(req, res, method, pathname, searchParams) {
+  try {
+    // GET /v1/history - List stored exchanges (newest first)
+    if (method === 'GET' && pathname === '/v1/history') {
+      const limit = parseInt(searchParams.get('limit'), 10) || undefined;
+      const offset = parseInt(searchParams.get('offset'), 10) || undefined;
+      sendJson(res, 200, listEntries({ limit, offset }));
+      return;
+    }
+
+    // Extract entry ID from path for /v1/history/:id routes
+    const entryMatch = pathname.match(/^\/v1\/history\/([^/]+)(?:\/(replay))?$/);
+    if (!entryMatch) {
+      throw new InvalidRequestError(`Invalid history endpoint: ${pathname}`);
+    }
+
+    const entryId = decodeURIComponent(entryMatch[1]);
+    const subPath = entryMatch[2];
+
+    const entry = getEntry(entryId);
+    if (!entry) {
+      const error = new InvalidRequestError(`History entry '${entryId}' not found`);
+      error.type = 'not_found_error';
+      error.status = 404;
+      throw error;
+    }
+
+    // GET /v1/history/:id - Full stored exchange
+    if (method === 'GET' && !subPath) {
+      sendJson(res, 200, { entry });
+      return;
+    }
+
+    // POST /v1/history/:id/replay - Re-run the stored request against the current config
+    if (method === 'POST' && subPath === 'replay') {
+      await handleHistoryReplay(req, res, entry);
+      return;
+    }
+
+    throw new InvalidRequestError(`Unknown history endpoint: ${method} ${pathname}`);
+  } catch (error) {
+    logger.error('history-api', 'History API error', {
+      method,
+      pathname,
+      error: error.message,
+    });
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle POST /v1/history/:id/replay
+ *
+ * The stored Anthropic request goes through the normal pipeline (routing,
+ * failover, tool loop) with today's settings and is recorded as a new entry.
+ * An optional JSON body of {"stream": true|false} overrides the original mode.
+ *
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object} entry - Stored history entry
+ */
+async function handleHistoryReplay(req, res, entry) {
+  const startTime = Date.now();
+  const requestId = `req-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  const responseFormat = entry.responseFormat || 'anthropic';
+
+  try {
+    if (entry.mediaOmitted) {
+      throw new InvalidRequestError(`History entry '${entry.id}' cannot be replayed: its inline images or videos were not stored`);
+    }
+
+    const body = await readBody(req);
+    let overrides = {};
+
+    if (body.trim()) {
+      try {
+        overrides = JSON.parse(body);
+      } catch (parseError) {
+        throw new InvalidRequestError('Invalid JSON in request body');
+      }
+    }
+
+    const anthropicRequest = structuredClone(entry.request);
+    if (typeof overrides.stream === 'boolean') {
+      anthropicRequest.stream = overrides.stream;
+    }
+
+    logger.info('history', 'Replaying stored request', {
+      entryId: entry.id,
+      requestId,
+      stream: anthropicRequest.stream === true,
+    });
+
+    await processMessagesRequest(req, res, anthropicRequest, {
+      path: `/v1/history/${entry.id}/replay`,
+      startTime,
+      requestId,
+      responseFormat,
+      includeUsage: entry.includeUsage === true,
+      replayOf: entry.id,
+    });
+  } catch (error) {
+    broadcastRequestError(requestId, error);
+    if (responseFormat === 'openai') {
+      sendOpenAIError(res, error);
+    } else {
+      sendError(res, error);
+    }
+  }
+}
+
+/**
+ * Handle client key management endpoints
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {string} method - HTTP method
+ * @param {string} pathname - URL pathname
+ */
+async function handleKeyEndpoints(req, res, method, pathname) {
+  try {
+    // GET /v1/keys - List keys (secrets are never returned)
+    if (method === 'GET' && pathname === '/v1/keys') {
+      sendJson(res, 200, { keys: listKeys() });
+      return;
+    }
+
+    // POST /v1/keys - Create a key; the secret is only returned here
+    if (method === 'POST' && pathname === '/v1/keys') {
+      const body = await readBody(req);
+      let payload;
+      try {
+        payload = body ? JSON.parse(body) : {};
+      } catch (e) {
+        throw new InvalidRequestError('Invalid JSON in request body');
+      }
+
+      const { key, secret } = createKey({ name: payload.name, scopes: payload.scopes });
+      logger.info('auth', 'API key created', { id: key.id, name: key.name, scopes: key.scopes });
+      sendJson(res, 201, { key, secret });
+      return;
+    }
+
+    // DELETE /v1/keys/:id - Revoke a key
+    const keyIdMatch = pathname.match(/^\/v1\/keys\/([^/]+)$/);
+    if (method === 'DELETE' && keyIdMatch) {
+      const keyId = decodeURIComponent(keyIdMatch[1]);
+      const key = revokeKey(keyId);
+      if (!key) {
+        const error = new InvalidRequestError(`API key '${keyId}' not found`);
+        error.type = 'not_found_error';
+        error.status = 404;
+        throw error;
+      }
+
+      logger.info('auth', 'API key revoked', { id: key.id, name: key.name });
+      sendJson(res, 200, { key });
+      return;
+    }
+
+    throw new InvalidRequestError(`Unknown key endpoint: ${method} ${pathname}`);
+  } catch (error) {
+    logger.error('auth', 'Key API error', {
+      method,
+      pathname,
+      error: error.message,
+    });
+    sendError(res, error);
+  }
+}
+
+/**
+ * Handle GET /v1/usage
+ * @param {http.IncomingMessage} req - HTTP request
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {URLSearchParams} searchParams - Query parameters (from, to, client)
+ */
+function handleUsage(req, res, searchParams) {
+  try {
+    const from = searchParams.get('from') || undefined;
+    const to = searchParams.get('to') || undefined;
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        throw new InvalidRequestError(`${name} must be a date in YYYY-MM-DD format`);
+      }
+    }
+
+    sendJson(res, 200, getUsageReport({
+      from,
+      to,
+      client: searchParams.get('client') || undefined,
+    }));
+  } catch (error) {
+    logger.error('usage', 'Usage endpoint error', { error: error.message });
+    sendError(res, error);
+  }
+}
+
 /**
  * Graceful shutdown handler
  * @param {string} signal - Signal received
@@ -1268,6 +2292,26 @@ async function shutdown(signal) {
     logger.error('server', 'Error shutting down MCPs', { error: error.message });
   }
 
+  // Write pending usage counters
+  try {
+    flushUsage();
+  } catch (error) {
+    logger.error('server', 'Error saving usage ledger', { error: error.message });
+  }
+
+  // Write pending cache entries and index updates
+  try {
+    await flushCache();
+  } catch (error) {
+    logger.error('server', 'Error saving response cache index', { error: error.message });
+  }
+
+  // Finish queued history writes
+  await flushHistory();
+
+  // Export spans still waiting in the trace queue
+  await flushTraces();
+
   // Close all SSE traffic clients
   trafficClients.forEach((client) => {
     try {
@@ -1310,6 +2354,18 @@ export function startServer() {
   // Initialize MCP registry with defaults
   initRegistry();
 
+  // Load custom providers and routing rules
+  initProviders();
+
+  // Load request history index
+  initHistory();
+
+  // Load usage ledger
+  initUsage();
+
+  // Load response cache index
+  initCache();
+
   return new Promise((resolve, reject) => {
     const server = createServer();
     serverInstance = server;
@@ -1325,6 +2381,7 @@ export function startServer() {
       logger.info('server', 'Endpoints available', {
         dashboard: `http://${config.host}:${config.port}/`,
         messages: `POST http://${config.host}:${config.port}/v1/messages`,
+        chatCompletions: `POST http://${config.host}:${config.port}/v1/chat/completions`,
         health: `GET http://${config.host}:${config.port}/health`,
         config: `GET http://${config.host}:${config.port}/config`,
       });
@@ -0,0 +1,370 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import './utils/test-home.js';
+import config from './config.js';
+import { createServer } from './server.js';
+import { parseSseEvents } from './streaming/sse.js';
+
+/**
+ * Mock upstream speaking both protocols: /anthropic answers like Z.ai's
+ * Anthropic endpoint, everything else like the OpenAI one. Each path fails
+ * with the status queued in `failures[path]` until the queue is empty. With
+ * `hang` set it never answers and records in `closed` when the proxy hangs up.
+ * Streaming /anthropic requests get `streamChunks` as text deltas, and
+ * non-streaming ones the messages queued in `replies` before the default answer.
+ * GET /search answers like a SearXNG instance.
+ */
+const upstream = {
+  calls: [],
+  failures: {},
+  hang: false,
+  closed: [],
+  streamChunks: [],
+  replies: [],
+};
+
+/**
+ * Build an Anthropic SSE response with one text block
+ * @param {string} model - Model to report
+ * @param {Array<string>} chunks - Text deltas
+ * @returns {string} SSE body
+ */
+function anthropicStream(model, chunks) {
+  const events = [
+    { type: 'message_start', message: { id: 'msg_mock', type: 'message', role: 'assistant', model, content: [], usage: { input_tokens: 10, output_tokens: 0 } } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+    ...chunks.map((text) => ({ type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text } })),
+    { type: 'content_block_stop', index: 0 },
+    { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 5 } },
+    { type: 'message_stop' },
+  ];
+  return events.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join('');
+}
+
+const mockServer = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    const request = JSON.parse(body || '{}');
+    upstream.calls.push({ path: req.url, headers: req.headers, body: request });
+
+    if (upstream.hang) {
+      res.on('close', () => upstream.closed.push(req.url));
+      return;
+    }
+
+    const status = upstream.failures[req.url]?.shift();
+    if (status) {
+      res.writeHead(status, { 'Content-Type': 'application/json', 'Retry-After': '0' });
+      res.end(JSON.stringify({ error: { message: `mock ${status}` } }));
+      return;
+    }
+
+    if (req.url.startsWith('/search')) {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ results: [{ title: 'Node.js', url: 'https://nodejs.org', content: 'JavaScript runtime' }] }));
+      return;
+    }
+
+    if (req.url === '/anthropic' && request.stream) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.end(anthropicStream(request.model, upstream.streamChunks));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    if (req.url === '/anthropic' && upstream.replies.length > 0) {
+      res.end(JSON.stringify({ ...upstream.replies.shift(), model: request.model }));
+      return;
+    }
+    if (req.url === '/anthropic') {
+      res.end(JSON.stringify({
+        id: 'msg_mock',
+        type: 'message',
+        role: 'assistant',
+        model: request.model,
+        content: [{ type: 'text', text: 'Hello from anthropic' }],
+        stop_reason: 'end_turn',
+        usage: { input_tokens: 10, output_tokens: 5 },
+      }));
+      return;
+    }
+    res.end(JSON.stringify({
+      id: 'chatcmpl-mock',
+      model: request.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: `Hello from ${req.url.slice(1)}` }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 10, completion_tokens: 5 },
+    }));
+  });
+});
+
+const proxy = createServer();
+let proxyUrl;
+
+/**
+ * Send a request to the proxy
+ * @param {string} path - Request path
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @returns {Promise<{status: number, headers: Headers, body: Object}>} Response
+ */
+async function post(path, body, headers = {}) {
+  const response = await fetch(`${proxyUrl}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Get the ID of the newest history entry
+ * @returns {Promise<string>} Entry ID
+ */
+async function latestHistoryId() {
+  const response = await fetch(`${proxyUrl}/v1/history?limit=1`);
+  const { entries } = await response.json();
+  return entries[0].id;
+}
+
+const HELLO = { model: 'glm-4.7', max_tokens: 100, messages: [{ role: 'user', content: 'Hello' }] };
+
+before(async () => {
+  await new Promise((resolve) => mockServer.listen(0, '127.0.0.1', resolve));
+  await new Promise((resolve) => proxy.listen(0, '127.0.0.1', resolve));
+
+  const mockUrl = `http://127.0.0.1:${mockServer.address().port}`;
+  proxyUrl = `http://127.0.0.1:${proxy.address().port}`;
+
+  config.zaiApiKey = 'test-key';
+  config.zaiAnthropicUrl = `${mockUrl}/anthropic`;
+  config.zaiBaseUrl = `${mockUrl}/openai`;
+  config.bigModelUrl = `${mockUrl}/bigmodel`;
+  config.endpoint.mode = 'anthropic';
+  config.retry = { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 100 };
+  config.failover = { enabled: true, order: ['anthropic', 'openai', 'bigmodel'] };
+});
+
+after(() => {
+  proxy.close();
+  proxy.closeAllConnections();
+  mockServer.close();
+  mockServer.closeAllConnections();
+});
+
+beforeEach(() => {
+  upstream.calls = [];
+  upstream.failures = {};
+  upstream.hang = false;
+  upstream.closed = [];
+  upstream.streamChunks = [];
+  upstream.replies = [];
+});
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Returns true when done
+ * @param {number} timeoutMs - Maximum wait
+ * @returns {Promise<void>} Rejects if the condition never holds
+ */
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe('upstream retry and failover', () => {
+  it('answers from the configured endpoint', async () => {
+    const response = await post('/v1/messages', HELLO);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.content[0].text, 'Hello from anthropic');
+    assert.deepEqual(upstream.calls.map((c) => c.path), ['/anthropic']);
+  });
+
+  it('retries a transient failure on the same endpoint', async () => {
+    upstream.failures['/anthropic'] = [503];
+    const response = await post('/v1/messages', HELLO);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(upstream.calls.map((c) => c.path), ['/anthropic', '/anthropic']);
+  });
+
+  it('fails over to the next provider once retries are exhausted', async () => {
+    upstream.failures['/anthropic'] = [503, 529];
+    const response = await post('/v1/messages', HELLO);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.content[0].text, 'Hello from openai');
+    assert.deepEqual(upstream.calls.map((c) => c.path), ['/anthropic', '/anthropic', '/openai']);
+  });
+
+  it('neither retries nor fails over on a client error', async () => {
+    upstream.failures['/anthropic'] = [400];
+    const response = await post('/v1/messages', HELLO);
+
+    assert.equal(response.status, 400);
+    assert.deepEqual(upstream.calls.map((c) => c.path), ['/anthropic']);
+  });
+
+  it('does not fail over once a tool loop iteration has completed', async (t) => {
+    const { search, toolCache } = config;
+    config.search = {
+      backends: { ...search.backends, web_search: ['searxng'] },
+      searxngUrl: config.zaiAnthropicUrl.replace('/anthropic', ''),
+    };
+    config.toolCache = { ...toolCache, enabled: false };
+    t.after(() => {
+      config.search = search;
+      config.toolCache = toolCache;
+    });
+    upstream.replies = [{
+      id: 'msg_tool',
+      type: 'message',
+      role: 'assistant',
+      content: [{ type: 'tool_use', id: 'toolu_1', name: 'web_search', input: { query: 'node' } }],
+      stop_reason: 'tool_use',
+      usage: { input_tokens: 10, output_tokens: 5 },
+    }];
+    upstream.failures['/anthropic'] = [undefined, 503, 503];
+
+    const response = await post('/v1/messages', {
+      ...HELLO,
+      messages: [{ role: 'user', content: 'Search the web for the latest Node.js release' }],
+    });
+
+    assert.equal(response.status, 529);
+    assert.deepEqual(
+      upstream.calls.map((c) => c.path.split('?')[0]),
+      ['/anthropic', '/search', '/anthropic', '/anthropic'],
+      'the search ran once and no other provider was tried'
+    );
+  });
+
+  it('reports the last error when every provider fails', async () => {
+    upstream.failures['/anthropic'] = [503, 503];
+    upstream.failures['/openai'] = [503, 503];
+    upstream.failures['/bigmodel'] = [502, 502];
+    const response = await post('/v1/messages', HELLO);
+
+    assert.equal(response.status, 500);
+    assert.match(response.body.error.message, /BigModel API error: 502/);
+    assert.equal(upstream.calls.length, 6);
+  });
+});
+
+describe('history replay', () => {
+  it('replays a stored request', async () => {
+    await post('/v1/messages', HELLO);
+    const replay = await post(`/v1/history/${await latestHistoryId()}/replay`, {});
+
+    assert.equal(replay.status, 200);
+    assert.equal(replay.body.content[0].text, 'Hello from anthropic');
+  });
+
+  it('refuses to replay a request whose inline media was not stored', async () => {
+    const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'A'.repeat(4096) } };
+    await post('/v1/messages', { ...HELLO, messages: [{ role: 'user', content: [image, { type: 'text', text: 'What is this?' }] }] });
+    const replay = await post(`/v1/history/${await latestHistoryId()}/replay`, {});
+
+    assert.equal(replay.status, 400);
+    assert.match(replay.body.error.message, /cannot be replayed/);
+  });
+});
+
+describe('response cache', () => {
+  before(() => {
+    config.cache.enabled = true;
+  });
+
+  after(() => {
+    config.cache.enabled = false;
+  });
+
+  it('serves a repeated request from the cache unless bypassed', async () => {
+    const request = { ...HELLO, messages: [{ role: 'user', content: 'Cache me' }] };
+
+    const first = await post('/v1/messages', request);
+    const second = await post('/v1/messages', request);
+    const bypassed = await post('/v1/messages', request, { 'x-ccglm-cache': 'bypass' });
+
+    assert.equal(first.headers.get('x-ccglm-cache'), 'miss');
+    assert.equal(second.headers.get('x-ccglm-cache'), 'hit');
+    assert.deepEqual(second.body.content, first.body.content);
+    assert.equal(bypassed.headers.get('x-ccglm-cache'), 'bypass');
+    assert.equal(upstream.calls.length, 2);
+  });
+});
+
+describe('cancellation', () => {
+  it('aborts the upstream call when the client disconnects', async () => {
+    upstream.hang = true;
+    const controller = new AbortController();
+    const pending = fetch(`${proxyUrl}/v1/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(HELLO),
+      signal: controller.signal,
+    });
+
+    await waitFor(() => upstream.calls.length === 1);
+    controller.abort();
+    await assert.rejects(pending);
+
+    await waitFor(() => upstream.closed.length === 1);
+    assert.deepEqual(upstream.closed, ['/anthropic']);
+    assert.equal(upstream.calls.length, 1, 'no retry or failover after a cancellation');
+  });
+});
+
+describe('metrics', () => {
+  it('labels requests with configured model names only', async () => {
+    await post('/v1/messages', { ...HELLO, model: 'client-chosen-name-42' });
+    const metrics = await (await fetch(`${proxyUrl}/metrics`)).text();
+
+    assert.doesNotMatch(metrics, /client-chosen-name-42/);
+    assert.match(metrics, /ccglm_requests_total\{endpoint="anthropic",model="glm-4\.7",status="200"\}/);
+  });
+});
+
+describe('reasoning profiles', () => {
+  after(() => {
+    config.reasoning.modelProfiles = {};
+  });
+
+  it('parses the profile tag out of a streamed response, even when split across deltas', async () => {
+    config.reasoning.modelProfiles = { 'glm-4.7': 'think' };
+    upstream.streamChunks = ['<thi', 'nk>Plan it.</th', 'ink>Answer'];
+
+    const response = await fetch(`${proxyUrl}/v1/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...HELLO, stream: true }),
+    });
+    const deltas = parseSseEvents(await response.text())
+      .filter((event) => event.data?.type === 'content_block_delta')
+      .map((event) => event.data.delta);
+
+    assert.equal(deltas.filter((d) => d.type === 'thinking_delta').map((d) => d.thinking).join(''), 'Plan it.');
+    assert.equal(deltas.filter((d) => d.type === 'text_delta').map((d) => d.text).join(''), 'Answer');
+  });
+});
+
+describe('tool result cache', () => {
+  it('reports stats in /health and purges on DELETE /v1/cache/tools', async () => {
+    const health = await (await fetch(`${proxyUrl}/health`)).json();
+    const purge = await fetch(`${proxyUrl}/v1/cache/tools`, { method: 'DELETE' });
+    const body = await purge.json();
+
+    assert.equal(health.toolCache.enabled, true);
+    assert.equal(purge.status, 200);
+    assert.equal(body.cleared, 0);
+    assert.equal(body.stats.entries, 0);
+  });
+});
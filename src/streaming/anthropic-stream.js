@@ -13,12 +13,19 @@ import config from '../config.js';
 import logger from '../utils/logger.js';
 
 // Tags used for reasoning content extraction
-const REASONING_OPEN_TAG = '<reasoning_content>';
-const REASONING_CLOSE_TAG = '</reasoning_content>';
 import { getCanonicalToolName, shouldHandleInternally } from '../tools/definitions.js';
 import { findMcpForTool } from '../mcp/triggers.js';
-import { callMcpTool } from '../tools/mcp-client.js';
+import { runSearchTool } from '../search/backends.js';
 import { callMcpTool as callCustomMcpTool } from '../mcp/lifecycle.js';
+import { getUpstream } from '../routing/providers.js';
+import { withRetry, parseRetryAfter } from '../upstream/retry.js';
+import { runWithUpstreamSlot } from '../upstream/limiter.js';
+import { GlmApiError } from '../utils/errors.js';
+import { withTimeout, isCancellation } from '../utils/cancellation.js';
+import { recordSpan } from '../tracing/tracer.js';
+import { getReasoningTag } from '../reasoning/profiles.js';
+import { buildSearchBlocks, findCitations } from '../tools/citations.js';
+import { waitForDrain } from './sse.js';
 
 // Valid Anthropic content block types that Claude Code accepts
 const VALID_CONTENT_TYPES = new Set(['text', 'image', 'tool_use', 'tool_result', 'thinking']);
@@ -33,11 +40,17 @@ const UPSTREAM_TIMEOUT = parseInt(process.env.UPSTREAM_TIMEOUT, 10) || 120000;
 /**
  * Reasoning Tag Parser State Machine
  *
- * Handles streaming text that may contain <reasoning_content>...</reasoning_content> tags,
+ * Handles streaming text that may contain <tag>...</tag> reasoning tags (<reasoning_content>
+ * unless the model's reasoning profile names another tag),
  * emitting appropriate thinking_delta or text_delta events.
  */
 class ReasoningTagParser {
-  constructor() {
+  /**
+   * @param {string} tag - Reasoning tag name from the model's reasoning profile (default 'reasoning_content')
+   */
+  constructor(tag = 'reasoning_content') {
+    this.openTag = `<${tag}>`;
+    this.closeTag = `</${tag}>`;
     this.buffer = '';           // Accumulated text waiting to be processed
     this.inReasoning = false;   // Whether we're inside reasoning tags
     this.pendingOutput = [];    // Queue of { type: 'thinking'|'text', content: string }
@@ -57,18 +70,18 @@ class ReasoningTagParser {
     while (this.buffer.length > 0) {
       if (this.inReasoning) {
         // Look for closing tag
-        const closeIdx = this.buffer.indexOf(REASONING_CLOSE_TAG);
+        const closeIdx = this.buffer.indexOf(this.closeTag);
         if (closeIdx !== -1) {
           // Found closing tag - emit reasoning content before it
           const reasoningContent = this.buffer.substring(0, closeIdx);
           if (reasoningContent) {
             this.pendingOutput.push({ type: 'thinking', content: reasoningContent });
           }
-          this.buffer = this.buffer.substring(closeIdx + REASONING_CLOSE_TAG.length);
+          this.buffer = this.buffer.substring(closeIdx + this.closeTag.length);
           this.inReasoning = false;
         } else {
           // No closing tag yet - check if we might have partial tag at end
-          const partialClose = this.findPartialTag(this.buffer, REASONING_CLOSE_TAG);
+          const partialClose = this.findPartialTag(this.buffer, this.closeTag);
           if (partialClose > 0) {
             // Keep potential partial tag in buffer, emit the rest as reasoning
             const safeContent = this.buffer.substring(0, this.buffer.length - partialClose);
@@ -85,18 +98,18 @@ class ReasoningTagParser {
         }
       } else {
         // Look for opening tag
-        const openIdx = this.buffer.indexOf(REASONING_OPEN_TAG);
+        const openIdx = this.buffer.indexOf(this.openTag);
         if (openIdx !== -1) {
           // Found opening tag - emit text content before it
           const textContent = this.buffer.substring(0, openIdx);
           if (textContent) {
             this.pendingOutput.push({ type: 'text', content: textContent });
           }
-          this.buffer = this.buffer.substring(openIdx + REASONING_OPEN_TAG.length);
+          this.buffer = this.buffer.substring(openIdx + this.openTag.length);
           this.inReasoning = true;
         } else {
           // No opening tag yet - check if we might have partial tag at end
-          const partialOpen = this.findPartialTag(this.buffer, REASONING_OPEN_TAG);
+          const partialOpen = this.findPartialTag(this.buffer, this.openTag);
           if (partialOpen > 0) {
             // Keep potential partial tag in buffer, emit the rest as text
             const safeContent = this.buffer.substring(0, this.buffer.length - partialOpen);
@@ -173,10 +186,18 @@ class ReasoningTagParser {
  * @param {Object} options - Additional options
  * @param {Array} options.conversationHistory - Full conversation for tool loop
  * @param {Object} options.streamState - State to persist across recursive calls
+ * @param {Object} options.upstream - Upstream target from the provider registry (defaults to the built-in)
+ * @param {string} options.client - Client ID for upstream rate limiting
+ * @param {AbortSignal} options.signal - Request cancellation signal
+ * @param {Object} options.span - Parent trace span of internal tool executions
+ * @param {Function} options.onIteration - Called after each upstream call ({ request, response|error, durationMs })
+ * @param {string} options.responseModel - Model name reported in message_start (default: the upstream's)
+ * @param {Object} options.searches - Search recorder; its searches are streamed as server_tool_use/result blocks
  * @returns {Promise<{usage: Object, fullContent: Array}>}
  */
 export async function streamFromAnthropic(res, anthropicRequest, options = {}) {
   const conversationHistory = options.conversationHistory || [...(anthropicRequest.messages || [])];
+  const upstream = options.upstream || getUpstream('anthropic');
   const maxToolIterations = config.toolExecution?.maxIterations || 10;
   let toolIteration = options.toolIteration || 0;
 
@@ -184,17 +205,23 @@ export async function streamFromAnthropic(res, anthropicRequest, options = {}) {
   const streamState = options.streamState || {
     messageStartSent: false,
     currentBlockIndex: 0,
+    responseModel: options.responseModel || null,
   };
 
   logger.debug('anthropic-stream', 'Starting stream from Anthropic endpoint', {
     model: anthropicRequest.model,
-    thinkingEnabled: !!anthropicRequest.thinking,
+    thinking: anthropicRequest.thinking?.type,
     hasTools: !!(anthropicRequest.tools?.length),
     iteration: toolIteration,
   });
 
-  // Set SSE headers only on first call
-  if (!res.headersSent) {
+  // SSE headers are only sent once the upstream accepts the request, so a
+  // failing upstream can still be retried or failed over by the caller
+  const startStream = () => {
+    if (res.headersSent) {
+      return;
+    }
+
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
@@ -207,10 +234,28 @@ export async function streamFromAnthropic(res, anthropicRequest, options = {}) {
       res.socket.setNoDelay(true);
     }
     res.flushHeaders();
-  }
+  };
 
   try {
-    const result = await streamAnthropicWithToolDetection(res, anthropicRequest, conversationHistory, streamState);
+    const iterationRequest = { ...anthropicRequest, messages: conversationHistory, stream: true };
+    const iterationStart = Date.now();
+    let result;
+    try {
+      result = await runWithUpstreamSlot(options.client, () => streamAnthropicWithToolDetection(
+        res,
+        anthropicRequest,
+        conversationHistory,
+        streamState,
+        upstream,
+        startStream,
+        options.signal,
+        options.searches
+      ), options.signal);
+    } catch (error) {
+      options.onIteration?.({ request: iterationRequest, error, durationMs: Date.now() - iterationStart });
+      throw error;
+    }
+    options.onIteration?.({ request: iterationRequest, response: result, durationMs: Date.now() - iterationStart });
 
     // Check if we need to handle internal tools
     if (result.internalToolCalls && result.internalToolCalls.length > 0) {
@@ -228,7 +273,8 @@ export async function streamFromAnthropic(res, anthropicRequest, options = {}) {
       });
 
       // Execute internal tools
-      const toolResults = await executeInternalTools(result.internalToolCalls);
+      const toolResults = await executeInternalTools(result.internalToolCalls, options.signal, options.span, options.searches);
+      sendSearchBlocks(res, options.searches, streamState);
 
       // Add assistant message to history
       conversationHistory.push({
@@ -244,9 +290,11 @@ export async function streamFromAnthropic(res, anthropicRequest, options = {}) {
 
       // Continue streaming with tool results (propagate the return value)
       return await streamFromAnthropic(res, anthropicRequest, {
+        ...options,
         conversationHistory,
         toolIteration,
         streamState,
+        upstream,
       });
     }
 
@@ -264,6 +312,12 @@ export async function streamFromAnthropic(res, anthropicRequest, options = {}) {
     sendFinalEvents(res, result.usage, result.stopReason || 'end_turn');
     return { usage: result.usage, fullContent: result.fullContent };
   } catch (error) {
+    // Nothing sent yet - let the caller fail over or return a plain HTTP error.
+    // A cancelled request has nobody left to send an error event to.
+    if (!res.headersSent || isCancellation(error)) {
+      throw error;
+    }
+
     logger.error('anthropic-stream', 'Streaming error', { error: error.message });
     sendErrorEvent(res, error.message);
     res.end();
@@ -278,50 +332,80 @@ export async function streamFromAnthropic(res, anthropicRequest, options = {}) {
  * @param {Object} anthropicRequest - Anthropic request with stream: true
  * @param {Array} conversationHistory - Current conversation history
  * @param {Object} streamState - Persistent state across recursive calls
+ * @param {Object} upstream - Upstream target ({ url, headers })
+ * @param {Function} onResponse - Called once the upstream has accepted the request
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Object} searches - Search recorder (cites its sources in the text block)
  * @returns {Promise<Object>} Result with content and tool calls
  */
-async function streamAnthropicWithToolDetection(res, anthropicRequest, conversationHistory, streamState) {
-  let response;
+async function streamAnthropicWithToolDetection(
+  res,
+  anthropicRequest,
+  conversationHistory,
+  streamState,
+  upstream,
+  onResponse,
+  signal = null,
+  searches = null
+) {
   let totalBytesReceived = 0;
   let lastValidChunk = '';
 
-  try {
-    response = await fetch(config.zaiAnthropicUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': config.zaiApiKey,
-        'anthropic-version': '2023-06-01',
-      },
-      body: JSON.stringify({
-        ...anthropicRequest,
-        messages: conversationHistory,
-        stream: true,
-      }),
-      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT),
-    });
-  } catch (error) {
-    // Handle timeout and abort errors
-    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
-      logger.error('anthropic-stream', 'Upstream API timeout', {
-        timeout: UPSTREAM_TIMEOUT,
+  const response = await withRetry(async () => {
+    let upstreamResponse;
+    try {
+      upstreamResponse = await fetch(upstream.url, {
+        method: 'POST',
+        headers: upstream.headers,
+        body: JSON.stringify({
+          ...anthropicRequest,
+          messages: conversationHistory,
+          stream: true,
+        }),
+        signal: withTimeout(signal, UPSTREAM_TIMEOUT),
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      // Handle timeout and abort errors
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        logger.error('anthropic-stream', 'Upstream API timeout', {
+          timeout: UPSTREAM_TIMEOUT,
+        });
+        const timeoutError = new GlmApiError(
+          `Upstream API did not respond within ${UPSTREAM_TIMEOUT / 1000} seconds`,
+          504,
+          'timeout'
+        );
+        timeoutError.type = 'timeout';
+        throw timeoutError;
+      }
+      logger.error('anthropic-stream', 'Upstream API network error', {
+        error: error.message,
       });
-      throw new Error(`Upstream API did not respond within ${UPSTREAM_TIMEOUT / 1000} seconds`);
+      throw new GlmApiError(`Upstream API network error: ${error.message}`, 502, error.message);
     }
-    logger.error('anthropic-stream', 'Upstream API network error', {
-      error: error.message,
-    });
-    throw new Error(`Upstream API network error: ${error.message}`);
-  }
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    logger.error('anthropic-stream', 'Anthropic API error', {
-      status: response.status,
-      body: errorText.substring(0, 500),
-    });
-    throw new Error(`Anthropic API error: ${response.status}`);
-  }
+    if (!upstreamResponse.ok) {
+      const errorText = await upstreamResponse.text();
+      logger.error('anthropic-stream', 'Anthropic API error', {
+        status: upstreamResponse.status,
+        body: errorText.substring(0, 500),
+      });
+      throw new GlmApiError(
+        `Anthropic API error: ${upstreamResponse.status}`,
+        upstreamResponse.status,
+        errorText,
+        parseRetryAfter(upstreamResponse.headers.get('retry-after'))
+      );
+    }
+
+    return upstreamResponse;
+  }, { label: upstream.provider, signal });
+
+  // Upstream accepted the request - commit to it and open the SSE stream
+  onResponse();
 
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
@@ -351,10 +435,10 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
   // Use persistent state from streamState to avoid duplicate events across recursive calls
   // These are modified by reference so changes persist
 
-  // Reasoning tag parser for extracting <reasoning_content> from text_delta streams
+  // Reasoning tag parser for extracting reasoning tags from text_delta streams
   // Used when thinking is enabled via prompt injection (Anthropic-native path)
-  const reasoningParser = new ReasoningTagParser();
-  const thinkingEnabled = config.thinking?.enabled || anthropicRequest.thinking?.type === 'enabled';
+  const reasoningParser = new ReasoningTagParser(getReasoningTag(anthropicRequest.model));
+  const thinkingEnabled = anthropicRequest.thinking?.type !== 'disabled';
 
   // Helper to ensure message_start is sent
   const ensureMessageStart = () => {
@@ -366,7 +450,7 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
           type: 'message',
           role: 'assistant',
           content: [],
-          model: anthropicRequest.model,
+          model: streamState.responseModel || anthropicRequest.model,
           stop_reason: null,
           stop_sequence: null,
           usage: { input_tokens: 0, output_tokens: 0 },
@@ -427,6 +511,17 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
     })}\n\n`);
   };
 
+  // Helper to cite recorded search sources before the text block closes
+  const emitCitations = () => {
+    for (const citation of findCitations(textContent, searches?.searches || [])) {
+      res.write(`event: content_block_delta\ndata: ${JSON.stringify({
+        type: 'content_block_delta',
+        index: textBlockIndex,
+        delta: { type: 'citations_delta', citation },
+      })}\n\n`);
+    }
+  };
+
   // Helper to emit text delta
   const emitTextDelta = (content) => {
     // Close thinking block if transitioning from thinking to text
@@ -441,10 +536,16 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
   };
 
   while (true) {
+    // Let a slow client catch up before reading more from the upstream
+    await waitForDrain(res);
+
     let readResult;
     try {
       readResult = await reader.read();
     } catch (readError) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       // Stream read failed - report error with context
       logger.error('anthropic-stream', 'Stream read error', {
         error: readError.message,
@@ -506,7 +607,7 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
                     type: 'message',
                     role: 'assistant',
                     content: [],
-                    model: anthropicRequest.model,
+                    model: streamState.responseModel || anthropicRequest.model,
                     stop_reason: null,
                     stop_sequence: null,
                     usage: { input_tokens: 0, output_tokens: 0 },
@@ -553,7 +654,7 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
                     type: 'message',
                     role: 'assistant',
                     content: [],
-                    model: anthropicRequest.model,
+                    model: streamState.responseModel || anthropicRequest.model,
                     stop_reason: null,
                     stop_sequence: null,
                     usage: { input_tokens: 0, output_tokens: 0 },
@@ -586,6 +687,7 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
 
             // Close any open blocks
             if (textBlockStarted) {
+              emitCitations();
               res.write(`event: content_block_stop\ndata: ${JSON.stringify({
                 type: 'content_block_stop',
                 index: textBlockIndex,
@@ -601,8 +703,10 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
           // Handle usage
           if (event.usage) {
             usage = {
-              input_tokens: event.usage.prompt_tokens || 0,
+              // Anthropic semantics: input_tokens excludes cache reads
+              input_tokens: (event.usage.prompt_tokens || 0) - (event.usage.prompt_tokens_details?.cached_tokens || 0),
               output_tokens: event.usage.completion_tokens || 0,
+              cache_read_input_tokens: event.usage.prompt_tokens_details?.cached_tokens || 0,
             };
           }
 
@@ -612,8 +716,20 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
         // Handle Anthropic-native event types
         switch (eventType) {
           case 'message_start':
+            // Input usage is reported up front; message_delta may repeat or omit it
+            if (event.message?.usage) {
+              usage = {
+                input_tokens: event.message.usage.input_tokens || usage.input_tokens,
+                output_tokens: usage.output_tokens,
+                cache_read_input_tokens: event.message.usage.cache_read_input_tokens || 0,
+              };
+            }
+
             // Forward message_start to client
             if (!streamState.messageStartSent) {
+              if (streamState.responseModel && event.message) {
+                event.message.model = streamState.responseModel;
+              }
               res.write(`event: message_start\ndata: ${JSON.stringify(event)}\n\n`);
               streamState.messageStartSent = true;
             }
@@ -825,6 +941,7 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
 
               // Close any open text blocks we created
               if (textBlockStarted) {
+                emitCitations();
                 res.write(`event: content_block_stop\ndata: ${JSON.stringify({
                   type: 'content_block_stop',
                   index: textBlockIndex,
@@ -844,6 +961,7 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
               usage = {
                 input_tokens: event.usage.input_tokens || usage.input_tokens,
                 output_tokens: event.usage.output_tokens || usage.output_tokens,
+                cache_read_input_tokens: event.usage.cache_read_input_tokens || usage.cache_read_input_tokens || 0,
               };
             }
             // Don't forward message_delta yet - we'll send our own after tool handling
@@ -897,12 +1015,17 @@ async function streamAnthropicWithToolDetection(res, anthropicRequest, conversat
  * Execute internal tools via MCP.
  *
  * @param {Array} toolCalls - Array of {id, name, input}
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Object} parentSpan - Trace span the tool executions belong to
+ * @param {Object} searches - Search recorder (optional)
  * @returns {Promise<Array>} Array of tool_result blocks
  */
-async function executeInternalTools(toolCalls) {
+async function executeInternalTools(toolCalls, signal = null, parentSpan = null, searches = null) {
   const results = [];
 
   for (const tc of toolCalls) {
+    signal?.throwIfAborted();
+
     const canonicalName = getCanonicalToolName(tc.name);
     const startTime = Date.now();
     let result;
@@ -916,28 +1039,32 @@ async function executeInternalTools(toolCalls) {
           mcpId: mcpInfo.mcpId,
           tool: tc.name,
         });
-        result = await callCustomMcpTool(mcpInfo.mcpId, tc.name, tc.input);
+        result = await callCustomMcpTool(mcpInfo.mcpId, tc.name, tc.input, { signal });
       } else if (canonicalName === 'web_search') {
-        const mcpUrl = config.mcp.search.url;
-        const mcpToolName = config.mcp.search.toolName;
         const query = tc.input.query || tc.input.search_query || tc.input.q || '';
-        result = await callMcpTool(mcpUrl, mcpToolName, { search_query: query }, config);
+        result = await runSearchTool('web_search', { query }, signal, searches?.record('web_search', { query }));
       } else if (canonicalName === 'web_reader') {
-        const mcpUrl = config.mcp.reader.url;
-        const mcpToolName = config.mcp.reader.toolName;
         const url = tc.input.url || tc.input.href || tc.input.link || '';
-        result = await callMcpTool(mcpUrl, mcpToolName, { url }, config);
+        result = await runSearchTool('web_reader', { url }, signal, searches?.record('web_reader', { url }));
       } else {
         result = `Error: Unknown internal tool ${tc.name}`;
         isError = true;
       }
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       result = `Error executing ${tc.name}: ${error.message}`;
       isError = true;
     }
 
     const durationMs = Date.now() - startTime;
     logger.tool(tc.name, durationMs, !isError);
+    recordSpan('tool.execute', {
+      parent: parentSpan,
+      startTime,
+      attributes: { 'ccglm.tool': tc.name, 'ccglm.tool.success': !isError },
+    });
 
     results.push({
       type: 'tool_result',
@@ -950,6 +1077,28 @@ async function executeInternalTools(toolCalls) {
   return results;
 }
 
+/**
+ * Stream the searches recorded since the last call as complete content blocks.
+ *
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object|null} searches - Search recorder
+ * @param {Object} streamState - Persistent stream state (its block index is advanced)
+ */
+function sendSearchBlocks(res, searches, streamState) {
+  for (const block of (searches?.take() || []).flatMap(buildSearchBlocks)) {
+    const index = streamState.currentBlockIndex++;
+    res.write(`event: content_block_start\ndata: ${JSON.stringify({
+      type: 'content_block_start',
+      index,
+      content_block: block,
+    })}\n\n`);
+    res.write(`event: content_block_stop\ndata: ${JSON.stringify({
+      type: 'content_block_stop',
+      index,
+    })}\n\n`);
+  }
+}
+
 /**
  * Send final message events and end stream.
  *
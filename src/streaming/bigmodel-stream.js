@@ -8,25 +8,37 @@
 import config from '../config.js';
 import logger from '../utils/logger.js';
 import { getCanonicalToolName, shouldHandleInternally } from '../tools/definitions.js';
-import { callMcpTool } from '../tools/mcp-client.js';
+import { runSearchTool } from '../search/backends.js';
 import { findMcpForTool } from '../mcp/triggers.js';
 import { callMcpTool as callCustomMcpTool } from '../mcp/lifecycle.js';
+import { getUpstream } from '../routing/providers.js';
+import { withRetry, parseRetryAfter } from '../upstream/retry.js';
+import { runWithUpstreamSlot } from '../upstream/limiter.js';
+import { GlmApiError } from '../utils/errors.js';
+import { withTimeout, isCancellation } from '../utils/cancellation.js';
+import { recordSpan } from '../tracing/tracer.js';
+import { getReasoningTag } from '../reasoning/profiles.js';
+import { buildSearchBlocks, findCitations } from '../tools/citations.js';
+import { waitForDrain } from './sse.js';
 
 // Upstream API timeout (default 120 seconds for streaming, configurable via UPSTREAM_TIMEOUT env var)
 const UPSTREAM_TIMEOUT = parseInt(process.env.UPSTREAM_TIMEOUT, 10) || 120000;
 
-// Tags used for reasoning content extraction from text when model doesn't use native thinking
-const REASONING_OPEN_TAG = '<reasoning_content>';
-const REASONING_CLOSE_TAG = '</reasoning_content>';
 
 /**
  * Reasoning Tag Parser State Machine
  *
- * Handles streaming text that may contain <reasoning_content>...</reasoning_content> tags,
+ * Handles streaming text that may contain <tag>...</tag> reasoning tags (<reasoning_content>
+ * unless the model's reasoning profile names another tag),
  * separating thinking content from regular text content.
  */
 class ReasoningTagParser {
-  constructor() {
+  /**
+   * @param {string} tag - Reasoning tag name from the model's reasoning profile (default 'reasoning_content')
+   */
+  constructor(tag = 'reasoning_content') {
+    this.openTag = `<${tag}>`;
+    this.closeTag = `</${tag}>`;
     this.buffer = '';
     this.inReasoning = false;
     this.pendingOutput = [];
@@ -38,16 +50,16 @@ class ReasoningTagParser {
 
     while (this.buffer.length > 0) {
       if (this.inReasoning) {
-        const closeIdx = this.buffer.indexOf(REASONING_CLOSE_TAG);
+        const closeIdx = this.buffer.indexOf(this.closeTag);
         if (closeIdx !== -1) {
           const reasoningContent = this.buffer.substring(0, closeIdx);
           if (reasoningContent) {
             this.pendingOutput.push({ type: 'thinking', content: reasoningContent });
           }
-          this.buffer = this.buffer.substring(closeIdx + REASONING_CLOSE_TAG.length);
+          this.buffer = this.buffer.substring(closeIdx + this.closeTag.length);
           this.inReasoning = false;
         } else {
-          const partialClose = this.findPartialTag(this.buffer, REASONING_CLOSE_TAG);
+          const partialClose = this.findPartialTag(this.buffer, this.closeTag);
           if (partialClose > 0) {
             const safeContent = this.buffer.substring(0, this.buffer.length - partialClose);
             if (safeContent) {
@@ -61,16 +73,16 @@ class ReasoningTagParser {
           break;
         }
       } else {
-        const openIdx = this.buffer.indexOf(REASONING_OPEN_TAG);
+        const openIdx = this.buffer.indexOf(this.openTag);
         if (openIdx !== -1) {
           const textContent = this.buffer.substring(0, openIdx);
           if (textContent) {
             this.pendingOutput.push({ type: 'text', content: textContent });
           }
-          this.buffer = this.buffer.substring(openIdx + REASONING_OPEN_TAG.length);
+          this.buffer = this.buffer.substring(openIdx + this.openTag.length);
           this.inReasoning = true;
         } else {
-          const partialOpen = this.findPartialTag(this.buffer, REASONING_OPEN_TAG);
+          const partialOpen = this.findPartialTag(this.buffer, this.openTag);
           if (partialOpen > 0) {
             const safeContent = this.buffer.substring(0, this.buffer.length - partialOpen);
             if (safeContent) {
@@ -148,11 +160,19 @@ function sendEvent(res, event, data) {
  * @param {string} originalModel - Original model name from client request
  * @param {Object} options - Additional options
  * @param {Array} options.conversationHistory - Full conversation for tool loop continuation
+ * @param {Object} options.upstream - Upstream target from the provider registry (defaults to the built-in)
+ * @param {string} options.client - Client ID for upstream rate limiting
+ * @param {AbortSignal} options.signal - Request cancellation signal
+ * @param {Object} options.span - Parent trace span of internal tool executions
+ * @param {Function} options.onIteration - Called after each upstream call ({ request, response|error, durationMs })
+ * @param {Object} options.searches - Search recorder; its searches are streamed as server_tool_use/result blocks
+ * @param {number} options.blockIndex - Index of the next content block (continues across tool iterations)
  * @returns {Promise<{usage: Object, thinkingContent: string, textContent: string}>}
  */
 export async function streamFromBigModel(res, glmRequest, originalModel, options = {}) {
   const messageId = generateMessageId();
   const conversationHistory = options.conversationHistory || [...glmRequest.messages];
+  const upstream = options.upstream || getUpstream('bigmodel');
   const maxToolIterations = config.toolExecution?.maxIterations || 10;
   let toolIteration = 0;
 
@@ -161,8 +181,13 @@ export async function streamFromBigModel(res, glmRequest, originalModel, options
     hasTools: !!(glmRequest.tools?.length),
   });
 
-  // Set SSE headers only on first call
-  if (!res.headersSent) {
+  // SSE headers are only sent once the upstream accepts the request, so a
+  // failing upstream can still be retried or failed over by the caller
+  const startStream = () => {
+    if (res.headersSent) {
+      return;
+    }
+
     res.writeHead(200, {
       'Content-Type': 'text/event-stream',
       'Cache-Control': 'no-cache',
@@ -189,13 +214,23 @@ export async function streamFromBigModel(res, glmRequest, originalModel, options
         usage: { input_tokens: 0, output_tokens: 0 },
       },
     });
-  }
+  };
 
   // Enable streaming in request
   const streamingRequest = { ...glmRequest, stream: true, messages: conversationHistory };
 
   try {
-    const result = await streamBigModelWithToolDetection(res, streamingRequest);
+    const iterationStart = Date.now();
+    let result;
+    try {
+      result = await runWithUpstreamSlot(options.client, () => (
+        streamBigModelWithToolDetection(res, streamingRequest, upstream, startStream, options.signal, options.blockIndex, options.searches)
+      ), options.signal);
+    } catch (error) {
+      options.onIteration?.({ request: streamingRequest, error, durationMs: Date.now() - iterationStart });
+      throw error;
+    }
+    options.onIteration?.({ request: streamingRequest, response: result, durationMs: Date.now() - iterationStart });
 
     // Check if we need to handle internal tools
     if (result.internalToolCalls && result.internalToolCalls.length > 0) {
@@ -213,12 +248,17 @@ export async function streamFromBigModel(res, glmRequest, originalModel, options
       });
 
       // Execute internal tools
-      const toolResults = await executeInternalTools(result.internalToolCalls);
+      const toolResults = await executeInternalTools(result.internalToolCalls, options.signal, options.span, options.searches);
+      const blockIndex = sendSearchBlocks(res, options.searches, result.currentBlockIndex);
 
       // Build assistant message with tool calls for history
       const assistantMessage = {
         role: 'assistant',
         content: result.textContent || null,
+        // Keep this turn's reasoning unless earlier thinking is stripped
+        ...(result.thinkingContent && config.reasoning.preserveThinking !== 'strip'
+          ? { reasoning_content: result.thinkingContent }
+          : {}),
         tool_calls: result.internalToolCalls.map((tc) => ({
           id: tc.id,
           type: 'function',
@@ -242,7 +282,7 @@ export async function streamFromBigModel(res, glmRequest, originalModel, options
       }
 
       // Continue streaming with tool results
-      return await streamFromBigModel(res, glmRequest, originalModel, { conversationHistory });
+      return await streamFromBigModel(res, glmRequest, originalModel, { ...options, conversationHistory, upstream, blockIndex });
     }
 
     // Check if we have client tools to return (ends the stream)
@@ -288,6 +328,12 @@ export async function streamFromBigModel(res, glmRequest, originalModel, options
     sendFinalEvents(res, result.usage, result.stopReason || 'end_turn');
     return { usage: result.usage, thinkingContent: result.thinkingContent, textContent: result.textContent };
   } catch (error) {
+    // Nothing sent yet - let the caller fail over or return a plain HTTP error.
+    // A cancelled request has nobody left to send an error event to.
+    if (!res.headersSent || isCancellation(error)) {
+      throw error;
+    }
+
     logger.error('bigmodel-stream', 'Streaming error', { error: error.message });
     sendEvent(res, 'error', {
       type: 'error',
@@ -302,10 +348,14 @@ export async function streamFromBigModel(res, glmRequest, originalModel, options
  * Stream from BigModel and detect tool calls
  * @param {http.ServerResponse} res - HTTP response
  * @param {Object} streamingRequest - Request with stream: true
+ * @param {Object} upstream - Upstream target ({ url, headers })
+ * @param {Function} onResponse - Called once the upstream has accepted the request
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {number} startIndex - Index of the first content block
+ * @param {Object} searches - Search recorder (cites its sources in the text block)
  * @returns {Promise<Object>} Result with content and tool calls
  */
-async function streamBigModelWithToolDetection(res, streamingRequest) {
-  let response;
+async function streamBigModelWithToolDetection(res, streamingRequest, upstream, onResponse, signal = null, startIndex = 0, searches = null) {
   let totalBytesReceived = 0;
   let lastValidChunk = '';
 
@@ -318,50 +368,69 @@ async function streamBigModelWithToolDetection(res, streamingRequest) {
     });
   }
 
-  try {
-    response = await fetch(config.bigModelUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${config.zaiApiKey}`,
-      },
-      body: JSON.stringify(streamingRequest),
-      signal: AbortSignal.timeout(UPSTREAM_TIMEOUT),
-    });
-  } catch (error) {
-    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
-      logger.error('bigmodel-stream', 'Upstream API timeout', {
-        timeout: UPSTREAM_TIMEOUT,
+  const response = await withRetry(async () => {
+    let upstreamResponse;
+    try {
+      upstreamResponse = await fetch(upstream.url, {
+        method: 'POST',
+        headers: upstream.headers,
+        body: JSON.stringify(streamingRequest),
+        signal: withTimeout(signal, UPSTREAM_TIMEOUT),
       });
-      throw new Error(`Upstream API did not respond within ${UPSTREAM_TIMEOUT / 1000} seconds`);
+    } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
+      if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+        logger.error('bigmodel-stream', 'Upstream API timeout', {
+          timeout: UPSTREAM_TIMEOUT,
+        });
+        const timeoutError = new GlmApiError(
+          `Upstream API did not respond within ${UPSTREAM_TIMEOUT / 1000} seconds`,
+          504,
+          'timeout'
+        );
+        timeoutError.type = 'timeout';
+        throw timeoutError;
+      }
+      logger.error('bigmodel-stream', 'Upstream API network error', {
+        error: error.message,
+      });
+      throw new GlmApiError(`Upstream API network error: ${error.message}`, 502, error.message);
     }
-    logger.error('bigmodel-stream', 'Upstream API network error', {
-      error: error.message,
-    });
-    throw new Error(`Upstream API network error: ${error.message}`);
-  }
 
-  if (!response.ok) {
-    const errorText = await response.text();
-    logger.error('bigmodel-stream', 'BigModel API error', {
-      status: response.status,
-      body: errorText.substring(0, 500),
-    });
-    throw new Error(`BigModel API error: ${response.status}`);
-  }
+    if (!upstreamResponse.ok) {
+      const errorText = await upstreamResponse.text();
+      logger.error('bigmodel-stream', 'BigModel API error', {
+        status: upstreamResponse.status,
+        body: errorText.substring(0, 500),
+      });
+      throw new GlmApiError(
+        `BigModel API error: ${upstreamResponse.status}`,
+        upstreamResponse.status,
+        errorText,
+        parseRetryAfter(upstreamResponse.headers.get('retry-after'))
+      );
+    }
+
+    return upstreamResponse;
+  }, { label: upstream.provider, signal });
+
+  // Upstream accepted the request - commit to it and open the SSE stream
+  onResponse();
 
   const reader = response.body.getReader();
   const decoder = new TextDecoder();
   let buffer = '';
 
-  // Always enable thinking since reasoning prompt is always injected
-  const thinkingEnabled = true;
+  // Thinking is on unless native thinking was explicitly disabled for this request
+  const thinkingEnabled = streamingRequest.thinking?.type !== 'disabled';
 
   let thinkingBlockStarted = false;
   let textBlockStarted = false;
   let thinkingBlockIndex = -1;
   let textBlockIndex = -1;
-  let currentBlockIndex = 0;
+  let currentBlockIndex = startIndex;
 
   let thinkingContent = '';
   let textContent = '';
@@ -370,8 +439,8 @@ async function streamBigModelWithToolDetection(res, streamingRequest) {
 
   const toolCallAccumulators = new Map();
 
-  // Reasoning tag parser for extracting <reasoning_content> from text when native thinking isn't used
-  const reasoningParser = thinkingEnabled ? new ReasoningTagParser() : null;
+  // Reasoning tag parser for extracting reasoning tags from text when native thinking isn't used
+  const reasoningParser = thinkingEnabled ? new ReasoningTagParser(getReasoningTag(streamingRequest.model)) : null;
   let parsedThinkingBlockStarted = false;
   let parsedThinkingBlockIndex = -1;
 
@@ -400,10 +469,16 @@ async function streamBigModelWithToolDetection(res, streamingRequest) {
   };
 
   while (true) {
+    // Let a slow client catch up before reading more from the upstream
+    await waitForDrain(res);
+
     let readResult;
     try {
       readResult = await reader.read();
     } catch (readError) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       logger.error('bigmodel-stream', 'Stream read error', {
         error: readError.message,
         bytesReceived: totalBytesReceived,
@@ -438,6 +513,17 @@ async function streamBigModelWithToolDetection(res, streamingRequest) {
 
       try {
         const event = JSON.parse(data);
+
+        // Handle usage (may arrive in a final chunk without choices)
+        if (event.usage) {
+          usage = {
+            // Anthropic semantics: input_tokens excludes cache reads
+            input_tokens: (event.usage.prompt_tokens || 0) - (event.usage.prompt_tokens_details?.cached_tokens || 0),
+            output_tokens: event.usage.completion_tokens || 0,
+            cache_read_input_tokens: event.usage.prompt_tokens_details?.cached_tokens || 0,
+          };
+        }
+
         const choice = event.choices?.[0];
         if (!choice) continue;
 
@@ -578,14 +664,6 @@ async function streamBigModelWithToolDetection(res, streamingRequest) {
             stopReason = choice.finish_reason === 'stop' ? 'end_turn' : choice.finish_reason;
           }
         }
-
-        // Handle usage
-        if (event.usage) {
-          usage = {
-            input_tokens: event.usage.prompt_tokens || 0,
-            output_tokens: event.usage.completion_tokens || 0,
-          };
-        }
       } catch (parseError) {
         logger.warn('bigmodel-stream', 'Failed to parse SSE event', {
           error: parseError.message,
@@ -640,6 +718,13 @@ async function streamBigModelWithToolDetection(res, streamingRequest) {
 
   // Close any open text block
   if (textBlockStarted) {
+    for (const citation of findCitations(textContent, searches?.searches || [])) {
+      sendEvent(res, 'content_block_delta', {
+        type: 'content_block_delta',
+        index: textBlockIndex,
+        delta: { type: 'citations_delta', citation },
+      });
+    }
     sendEvent(res, 'content_block_stop', {
       type: 'content_block_stop',
       index: textBlockIndex,
@@ -695,12 +780,17 @@ async function streamBigModelWithToolDetection(res, streamingRequest) {
 /**
  * Execute internal tools via MCP
  * @param {Array} toolCalls - Array of {id, name, arguments}
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Object} parentSpan - Trace span the tool executions belong to
+ * @param {Object} searches - Search recorder (optional)
  * @returns {Promise<Array<string>>} Tool results
  */
-async function executeInternalTools(toolCalls) {
+async function executeInternalTools(toolCalls, signal = null, parentSpan = null, searches = null) {
   const results = [];
 
   for (const tc of toolCalls) {
+    signal?.throwIfAborted();
+
     const canonicalName = getCanonicalToolName(tc.name);
     const startTime = Date.now();
     let result;
@@ -714,34 +804,62 @@ async function executeInternalTools(toolCalls) {
           mcpId: mcpInfo.mcpId,
           tool: tc.name,
         });
-        result = await callCustomMcpTool(mcpInfo.mcpId, tc.name, tc.arguments);
+        result = await callCustomMcpTool(mcpInfo.mcpId, tc.name, tc.arguments, { signal });
       } else if (canonicalName === 'web_search') {
-        const mcpUrl = config.mcp.search.url;
-        const mcpToolName = config.mcp.search.toolName;
         const query = tc.arguments.query || tc.arguments.search_query || tc.arguments.q || '';
-        result = await callMcpTool(mcpUrl, mcpToolName, { search_query: query }, config);
+        result = await runSearchTool('web_search', { query }, signal, searches?.record('web_search', { query }));
       } else if (canonicalName === 'web_reader') {
-        const mcpUrl = config.mcp.reader.url;
-        const mcpToolName = config.mcp.reader.toolName;
         const url = tc.arguments.url || tc.arguments.href || tc.arguments.link || '';
-        result = await callMcpTool(mcpUrl, mcpToolName, { url }, config);
+        result = await runSearchTool('web_reader', { url }, signal, searches?.record('web_reader', { url }));
       } else {
         result = `Error: Unknown internal tool ${tc.name}`;
         isError = true;
       }
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       result = `Error executing ${tc.name}: ${error.message}`;
       isError = true;
     }
 
     const durationMs = Date.now() - startTime;
     logger.tool(tc.name, durationMs, !isError);
+    recordSpan('tool.execute', {
+      parent: parentSpan,
+      startTime,
+      attributes: { 'ccglm.tool': tc.name, 'ccglm.tool.success': !isError },
+    });
     results.push(result);
   }
 
   return results;
 }
 
+/**
+ * Stream the searches recorded since the last call as complete content blocks
+ * @param {http.ServerResponse} res - HTTP response
+ * @param {Object|null} searches - Search recorder
+ * @param {number} index - Index of the next content block
+ * @returns {number} Index of the content block after the search blocks
+ */
+function sendSearchBlocks(res, searches, index) {
+  let nextIndex = index;
+  for (const block of (searches?.take() || []).flatMap(buildSearchBlocks)) {
+    sendEvent(res, 'content_block_start', {
+      type: 'content_block_start',
+      index: nextIndex,
+      content_block: block,
+    });
+    sendEvent(res, 'content_block_stop', {
+      type: 'content_block_stop',
+      index: nextIndex,
+    });
+    nextIndex++;
+  }
+  return nextIndex;
+}
+
 /**
  * Send final message events and end stream
  * @param {http.ServerResponse} res - HTTP response
@@ -0,0 +1,102 @@
+/**
+ * Message Collector
+ *
+ * Rebuilds the complete Anthropic message from the SSE events a stream
+ * handler writes (fed from the traffic tap), so a streamed response can be
+ * stored in the response cache and replayed later with streamResponse.
+ */
+
+/**
+ * Create a collector for one streamed message
+ * @returns {{add: Function, getMessage: Function}} Collector
+ */
+export function createMessageCollector() {
+  let message = null;
+  let complete = false;
+  let failed = false;
+  const content = [];
+  const partialJson = new Map(); // block index -> accumulated input_json_delta
+
+  /**
+   * Apply one SSE event
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  const add = (event, data) => {
+    switch (event) {
+      case 'message_start':
+        // Tool-loop continuations may announce the message again; the first one wins
+        if (!message && data.message) {
+          message = { ...data.message, content: [], usage: { ...data.message.usage } };
+        }
+        break;
+
+      case 'content_block_start':
+        content[data.index] = { ...data.content_block };
+        break;
+
+      case 'content_block_delta': {
+        const block = content[data.index];
+        const delta = data.delta || {};
+        if (!block) break;
+
+        if (delta.type === 'text_delta') {
+          block.text = (block.text || '') + delta.text;
+        } else if (delta.type === 'thinking_delta') {
+          block.thinking = (block.thinking || '') + delta.thinking;
+        } else if (delta.type === 'signature_delta') {
+          block.signature = (block.signature || '') + delta.signature;
+        } else if (delta.type === 'input_json_delta') {
+          partialJson.set(data.index, (partialJson.get(data.index) || '') + delta.partial_json);
+        } else if (delta.type === 'citations_delta') {
+          block.citations = [...(block.citations || []), delta.citation];
+        }
+        break;
+      }
+
+      case 'content_block_stop':
+        if (partialJson.has(data.index) && content[data.index]) {
+          try {
+            content[data.index].input = JSON.parse(partialJson.get(data.index) || '{}');
+          } catch {
+            failed = true;
+          }
+        }
+        break;
+
+      case 'message_delta':
+        if (message) {
+          message.stop_reason = data.delta?.stop_reason ?? message.stop_reason;
+          message.stop_sequence = data.delta?.stop_sequence ?? null;
+          message.usage = { ...message.usage, ...data.usage };
+        }
+        break;
+
+      case 'message_stop':
+        complete = true;
+        break;
+
+      case 'error':
+        failed = true;
+        break;
+
+      default:
+        break;
+    }
+  };
+
+  /**
+   * Get the rebuilt message
+   * @returns {Object|null} Anthropic message, or null if the stream did not complete cleanly
+   */
+  const getMessage = () => {
+    if (!message || !complete || failed) {
+      return null;
+    }
+    return { ...message, content: content.filter(Boolean) };
+  };
+
+  return { add, getMessage };
+}
+
+export default { createMessageCollector };
@@ -0,0 +1,241 @@
+/**
+ * OpenAI Stream Adapter
+ *
+ * Wraps an HTTP response so the Anthropic SSE events written by the stream
+ * handlers (glm-stream, anthropic-stream, bigmodel-stream) reach the client
+ * as OpenAI `chat.completion.chunk` events terminated by `data: [DONE]`.
+ */
+
+import { mapFinishReason, toCompletionId, toChatUsage } from '../transformers/openai-response.js';
+import { parseSseEvents } from './sse.js';
+
+/**
+ * Create a response adapter that translates Anthropic SSE to chat.completion.chunk SSE
+ * @param {http.ServerResponse} res - HTTP response to write to
+ * @param {Object} options - Adapter options
+ * @param {string} options.model - Model name the client requested (reported in every chunk)
+ * @param {boolean} options.includeUsage - Emit a final usage chunk (stream_options.include_usage)
+ * @returns {Object} Response-like object accepted by the stream handlers
+ */
+export function createChatStreamAdapter(res, options = {}) {
+  const { includeUsage = false } = options;
+
+  const state = {
+    id: toCompletionId(),
+    created: Math.floor(Date.now() / 1000),
+    model: options.model,
+    roleSent: false,
+    done: false,
+    buffer: '',
+    toolIndexes: new Map(), // Anthropic block index -> OpenAI tool_calls index
+    nextToolIndex: 0,
+    usage: { input_tokens: 0, output_tokens: 0 },
+    writeOk: true, // False once a write since the last adapter.write filled the response buffer
+  };
+
+  /**
+   * Write SSE text to the client
+   * @param {string} text - SSE text
+   * @returns {boolean} Result of res.write
+   */
+  function send(text) {
+    const ok = res.write(text);
+    state.writeOk = state.writeOk && ok;
+    return ok;
+  }
+
+  /**
+   * Write a chat.completion.chunk to the client
+   * @param {Object} delta - Choice delta
+   * @param {string|null} finishReason - Finish reason (null while streaming)
+   * @returns {boolean} Result of res.write
+   */
+  function writeChunk(delta, finishReason = null) {
+    const chunk = {
+      id: state.id,
+      object: 'chat.completion.chunk',
+      created: state.created,
+      model: state.model,
+      choices: [{ index: 0, delta, logprobs: null, finish_reason: finishReason }],
+    };
+    return send(`data: ${JSON.stringify(chunk)}\n\n`);
+  }
+
+  /**
+   * Send the assistant role delta once, before any content
+   */
+  function ensureRole() {
+    if (!state.roleSent) {
+      state.roleSent = true;
+      writeChunk({ role: 'assistant', content: '' });
+    }
+  }
+
+  /**
+   * Finish the stream with an optional usage chunk and the [DONE] sentinel
+   */
+  function writeDone() {
+    if (state.done) return;
+    state.done = true;
+
+    if (includeUsage) {
+      send(`data: ${JSON.stringify({
+        id: state.id,
+        object: 'chat.completion.chunk',
+        created: state.created,
+        model: state.model,
+        choices: [],
+        usage: toChatUsage(state.usage),
+      })}\n\n`);
+    }
+    send('data: [DONE]\n\n');
+  }
+
+  /**
+   * Translate a single Anthropic event
+   * @param {string} event - Event name
+   * @param {Object} data - Event payload
+   */
+  function translate(event, data) {
+    switch (event) {
+      case 'message_start':
+        // The requested model is echoed; the upstream's only fills in when the client sent none
+        if (!state.model && data.message?.model) {
+          state.model = data.message.model;
+        }
+        state.usage.input_tokens = data.message?.usage?.input_tokens || state.usage.input_tokens;
+        ensureRole();
+        break;
+
+      case 'content_block_start':
+        if (data.content_block?.type === 'tool_use') {
+          ensureRole();
+          const toolIndex = state.nextToolIndex++;
+          state.toolIndexes.set(data.index, toolIndex);
+          writeChunk({
+            tool_calls: [{
+              index: toolIndex,
+              id: data.content_block.id,
+              type: 'function',
+              function: { name: data.content_block.name, arguments: '' },
+            }],
+          });
+        }
+        break;
+
+      case 'content_block_delta':
+        ensureRole();
+        if (data.delta?.type === 'text_delta') {
+          writeChunk({ content: data.delta.text });
+        } else if (data.delta?.type === 'thinking_delta') {
+          writeChunk({ reasoning_content: data.delta.thinking });
+        } else if (data.delta?.type === 'input_json_delta' && state.toolIndexes.has(data.index)) {
+          writeChunk({
+            tool_calls: [{
+              index: state.toolIndexes.get(data.index),
+              function: { arguments: data.delta.partial_json },
+            }],
+          });
+        }
+        break;
+
+      case 'message_delta':
+        if (data.usage?.input_tokens) {
+          state.usage.input_tokens = data.usage.input_tokens;
+        }
+        state.usage.output_tokens = data.usage?.output_tokens || state.usage.output_tokens;
+        ensureRole();
+        writeChunk({}, mapFinishReason(data.delta?.stop_reason));
+        break;
+
+      case 'message_stop':
+        writeDone();
+        break;
+
+      case 'error':
+        send(`data: ${JSON.stringify({
+          error: {
+            message: data.error?.message || 'Stream error',
+            type: data.error?.type || 'api_error',
+            param: null,
+            code: null,
+          },
+        })}\n\n`);
+        break;
+
+      default:
+        // ping and block start/stop for text/thinking have no OpenAI equivalent
+        break;
+    }
+  }
+
+  const adapter = {
+    get headersSent() {
+      return res.headersSent;
+    },
+
+    get socket() {
+      return res.socket;
+    },
+
+    get writableEnded() {
+      return res.writableEnded;
+    },
+
+    get writableNeedDrain() {
+      return res.writableNeedDrain;
+    },
+
+    writeHead(status, headers) {
+      res.writeHead(status, headers);
+      return adapter;
+    },
+
+    flushHeaders() {
+      res.flushHeaders();
+    },
+
+    // Returns false like res.write when the client is slow; 'drain' listeners go to res
+    write(chunk) {
+      state.buffer += chunk.toString();
+      const boundary = state.buffer.lastIndexOf('\n\n');
+      if (boundary === -1) return true;
+
+      const complete = state.buffer.slice(0, boundary + 2);
+      state.buffer = state.buffer.slice(boundary + 2);
+
+      state.writeOk = true;
+      for (const { event, data } of parseSseEvents(complete)) {
+        translate(event, data);
+      }
+      return state.writeOk;
+    },
+
+    end(chunk) {
+      if (chunk) {
+        adapter.write(chunk);
+      }
+      writeDone();
+      res.end();
+    },
+
+    on(event, listener) {
+      res.on(event, listener);
+      return adapter;
+    },
+
+    once(event, listener) {
+      res.once(event, listener);
+      return adapter;
+    },
+
+    off(event, listener) {
+      res.off(event, listener);
+      return adapter;
+    },
+  };
+
+  return adapter;
+}
+
+export default { createChatStreamAdapter };
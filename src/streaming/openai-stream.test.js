@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { createChatStreamAdapter } from './openai-stream.js';
+import { createTrafficTap } from './traffic-tap.js';
+import { waitForDrain } from './sse.js';
+
+/**
+ * Create a fake response whose buffer is full while `full` is set
+ * @returns {EventEmitter} Fake response recording what was written
+ */
+function createSlowResponse() {
+  const res = new EventEmitter();
+  res.written = [];
+  res.full = false;
+  res.writableEnded = false;
+  Object.defineProperty(res, 'writableNeedDrain', { get: () => res.full });
+  res.write = (chunk) => {
+    res.written.push(chunk);
+    return !res.full;
+  };
+  return res;
+}
+
+/**
+ * Format an Anthropic SSE event
+ * @param {Object} data - Event payload (type is the event name)
+ * @returns {string} SSE text
+ */
+function sse(data) {
+  return `event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+const TEXT_DELTA = { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } };
+
+describe('createChatStreamAdapter', () => {
+  it('translates Anthropic events to chat.completion.chunk events', () => {
+    const res = createSlowResponse();
+    const adapter = createChatStreamAdapter(res, { model: 'glm-4.7' });
+
+    adapter.write(sse(TEXT_DELTA));
+    adapter.write(sse({ type: 'message_stop' }));
+
+    const chunks = res.written.filter((c) => c !== 'data: [DONE]\n\n').map((c) => JSON.parse(c.slice(6)));
+    assert.deepEqual(chunks.map((c) => c.choices[0].delta), [{ role: 'assistant', content: '' }, { content: 'Hi' }]);
+    assert.equal(res.written.at(-1), 'data: [DONE]\n\n');
+  });
+
+  it('reports backpressure from the client like res.write', () => {
+    const res = createSlowResponse();
+    const adapter = createChatStreamAdapter(res, { model: 'glm-4.7' });
+
+    assert.equal(adapter.write(sse(TEXT_DELTA)), true);
+    res.full = true;
+    assert.equal(adapter.write(sse(TEXT_DELTA)), false);
+    assert.equal(adapter.writableNeedDrain, true);
+    assert.equal(adapter.write('event: ping\n'), true, 'nothing is written for an incomplete event');
+  });
+
+  it('lets the stream handlers wait for drain through the adapter and traffic tap', async () => {
+    const res = createSlowResponse();
+    const target = createTrafficTap(createChatStreamAdapter(res, { model: 'glm-4.7' }), () => {});
+    res.full = true;
+
+    let drained = false;
+    const waiting = waitForDrain(target).then(() => { drained = true; });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(drained, false);
+
+    res.full = false;
+    res.emit('drain');
+    await waiting;
+    assert.equal(res.listenerCount('drain') + res.listenerCount('close'), 0);
+  });
+});
@@ -31,6 +31,61 @@ function sendEvent(res, event, data) {
   });
 }
 
+/**
+ * Parse a chunk of Anthropic SSE text into events
+ * @param {string} text - Raw SSE text (one or more complete events)
+ * @returns {Array<{event: string, data: Object}>} Parsed events
+ */
+export function parseSseEvents(text) {
+  const events = [];
+
+  for (const raw of text.split('\n\n')) {
+    if (!raw.trim()) continue;
+
+    let event = 'message';
+    const dataLines = [];
+    for (const line of raw.split('\n')) {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    }
+
+    if (dataLines.length === 0) continue;
+
+    try {
+      events.push({ event, data: JSON.parse(dataLines.join('\n')) });
+    } catch (parseError) {
+      logger.debug('sse', 'Skipping unparseable SSE event', { event });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Wait until a response can take more data
+ * The stream handlers wait here before each upstream read, so a slow client
+ * slows down the upstream instead of having its events buffered without limit.
+ * @param {http.ServerResponse|Object} res - Response (or stream wrapper)
+ * @returns {Promise<void>} Resolves on 'drain', or when the response closes
+ */
+export function waitForDrain(res) {
+  if (!res.writableNeedDrain || res.writableEnded) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.once('drain', done);
+    res.once('close', done);
+  });
+}
+
 /**
  * Generate a unique message ID
  * @returns {string} message ID
@@ -149,8 +204,9 @@ async function streamContentBlock(res, block, index, options) {
       startBlock = { type: 'thinking', thinking: '' };
       break;
     case 'tool_use':
+    case 'server_tool_use':
       startBlock = {
-        type: 'tool_use',
+        type: block.type,
         id: block.id,
         name: block.name,
         input: {},
@@ -174,7 +230,7 @@ async function streamContentBlock(res, block, index, options) {
       chunkSize,
       chunkDelay,
     });
-  } else if (block.type === 'tool_use') {
+  } else if (block.type === 'tool_use' || block.type === 'server_tool_use') {
     // Stream tool input as JSON
     const inputJson = JSON.stringify(block.input);
     await streamText(res, inputJson, index, 'input_json_delta', 'partial_json', {
@@ -183,6 +239,17 @@ async function streamContentBlock(res, block, index, options) {
     });
   }
 
+  // Citations of a text block follow its text
+  if (block.type === 'text' && block.citations) {
+    for (const citation of block.citations) {
+      await sendEvent(res, 'content_block_delta', {
+        type: 'content_block_delta',
+        index,
+        delta: { type: 'citations_delta', citation },
+      });
+    }
+  }
+
   // Send content_block_stop
   await sendEvent(res, 'content_block_stop', {
     type: 'content_block_stop',
@@ -254,6 +321,8 @@ export function canStreamResponse(response) {
 }
 
 export default {
+  parseSseEvents,
+  waitForDrain,
   streamResponse,
   isStreamingRequest,
   canStreamResponse,
@@ -0,0 +1,90 @@
+/**
+ * Traffic Tap
+ *
+ * Wraps the response object given to the stream handlers so every Anthropic
+ * SSE event they write is also reported to a listener (the /v1/traffic
+ * monitor) while passing through to the client unchanged. Sits in front of
+ * the OpenAI adapter, so it always sees Anthropic events.
+ */
+
+import { parseSseEvents } from './sse.js';
+
+/**
+ * Create a response wrapper that reports written SSE events
+ * @param {http.ServerResponse|Object} res - Response (or OpenAI adapter) to write to
+ * @param {Function} onEvent - Called with (event, data) for each complete event
+ * @returns {Object} Response-like object accepted by the stream handlers
+ */
+export function createTrafficTap(res, onEvent) {
+  let buffer = '';
+
+  const tap = {
+    get headersSent() {
+      return res.headersSent;
+    },
+
+    get socket() {
+      return res.socket;
+    },
+
+    get writableEnded() {
+      return res.writableEnded;
+    },
+
+    get writableNeedDrain() {
+      return res.writableNeedDrain;
+    },
+
+    writeHead(status, headers) {
+      res.writeHead(status, headers);
+      return tap;
+    },
+
+    flushHeaders() {
+      res.flushHeaders();
+    },
+
+    write(chunk) {
+      const result = res.write(chunk);
+
+      buffer += chunk.toString();
+      const boundary = buffer.lastIndexOf('\n\n');
+      if (boundary !== -1) {
+        const complete = buffer.slice(0, boundary + 2);
+        buffer = buffer.slice(boundary + 2);
+
+        for (const { event, data } of parseSseEvents(complete)) {
+          onEvent(event, data);
+        }
+      }
+
+      return result;
+    },
+
+    end(chunk) {
+      if (chunk) {
+        tap.write(chunk);
+      }
+      res.end();
+    },
+
+    on(event, listener) {
+      res.on(event, listener);
+      return tap;
+    },
+
+    once(event, listener) {
+      res.once(event, listener);
+      return tap;
+    },
+
+    off(event, listener) {
+      res.off(event, listener);
+      return tap;
+    },
+  };
+
+  return tap;
+}
+
+export default { createTrafficTap };
@@ -0,0 +1,66 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTrafficTap } from './traffic-tap.js';
+
+/**
+ * Create a fake response that records everything written to it
+ * @returns {Object} Fake response
+ */
+function createFakeResponse() {
+  return {
+    written: [],
+    ended: false,
+    headersSent: false,
+    writeHead(status) {
+      this.status = status;
+      this.headersSent = true;
+    },
+    write(chunk) {
+      this.written.push(chunk);
+      return true;
+    },
+    end() {
+      this.ended = true;
+    },
+  };
+}
+
+describe('createTrafficTap', () => {
+  it('passes writes through unchanged and reports each complete event', () => {
+    const res = createFakeResponse();
+    const events = [];
+    const tap = createTrafficTap(res, (event, data) => events.push({ event, data }));
+
+    tap.writeHead(200, {});
+    const chunk = 'event: message_start\ndata: {"type":"message_start"}\n\n';
+    tap.write(chunk);
+
+    assert.equal(res.status, 200);
+    assert.equal(tap.headersSent, true);
+    assert.deepEqual(res.written, [chunk]);
+    assert.deepEqual(events, [{ event: 'message_start', data: { type: 'message_start' } }]);
+  });
+
+  it('buffers events split across writes', () => {
+    const res = createFakeResponse();
+    const events = [];
+    const tap = createTrafficTap(res, (event) => events.push(event));
+
+    tap.write('event: content_block_delta\ndata: {"type":"content_');
+    assert.deepEqual(events, []);
+
+    tap.write('block_delta"}\n\nevent: message_stop\ndata: {"type":"message_stop"}\n\n');
+    assert.deepEqual(events, ['content_block_delta', 'message_stop']);
+  });
+
+  it('reports a final chunk passed to end()', () => {
+    const res = createFakeResponse();
+    const events = [];
+    const tap = createTrafficTap(res, (event) => events.push(event));
+
+    tap.end('event: error\ndata: {"type":"error"}\n\n');
+    assert.deepEqual(events, ['error']);
+    assert.equal(res.ended, true);
+  });
+});
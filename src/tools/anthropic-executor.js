@@ -3,17 +3,19 @@
  *
  * Handles the internal tool execution loop for native Anthropic format.
  * When Z.ai's Anthropic endpoint returns tool_use blocks for web_search/web_reader,
- * we execute them via MCP and continue the conversation until complete.
+ * we execute them on the search backends and continue the conversation until complete.
  * Also handles custom MCP tools.
  */
 
-import { callMcpTool } from './mcp-client.js';
+import { runSearchTool } from '../search/backends.js';
 import { isOurTool, getCanonicalToolName } from './definitions.js';
 import { getInternalToolCalls, getClientToolCalls, cleanAnthropicResponse } from '../transformers/anthropic-response.js';
 import { findMcpForTool } from '../mcp/triggers.js';
 import { callMcpTool as callCustomMcpTool } from '../mcp/lifecycle.js';
 import logger from '../utils/logger.js';
 import { ToolExecutionError } from '../utils/errors.js';
+import { recordSpan } from '../tracing/tracer.js';
+import { getReasoningTag } from '../reasoning/profiles.js';
 
 /**
  * Execute request with internal tool handling loop for Anthropic format.
@@ -27,9 +29,15 @@ import { ToolExecutionError } from '../utils/errors.js';
  * @param {Object} anthropicRequest - The prepared Anthropic format request
  * @param {Function} callApiFn - Function to call Z.ai Anthropic API
  * @param {Object} config - Configuration object
+ * @param {Object} options - Loop options
+ * @param {AbortSignal} options.signal - Request cancellation signal (stops the loop and running tools)
+ * @param {Object} options.span - Parent trace span of the tool executions
+ * @param {Object} options.searches - Search recorder collecting web_search/web_reader results for citations
  * @returns {Promise<Object>} Final Anthropic response (cleaned)
  */
-export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, config) {
+export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, config, options = {}) {
+  const { signal, span, searches } = options;
+  const reasoningTag = getReasoningTag(anthropicRequest.model);
   let iteration = 0;
   let consecutiveInternalCalls = 0;
   const maxIterations = config.toolExecution?.maxIterations || 15;
@@ -45,6 +53,7 @@ export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, con
   });
 
   while (iteration < maxIterations) {
+    signal?.throwIfAborted();
     iteration++;
     logger.toolLoopIteration(iteration, maxIterations, messages.length);
 
@@ -75,7 +84,7 @@ export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, con
         finalMessageCount: messages.length,
         hasClientTools: clientTools.length > 0,
       });
-      return cleanAnthropicResponse(response);
+      return cleanAnthropicResponse(response, reasoningTag);
     }
 
     // Check for consecutive internal-only calls
@@ -88,7 +97,7 @@ export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, con
         });
 
         // Execute pending tools and make final call without tools
-        const toolResults = await executeInternalToolsAnthropic(internalTools, config);
+        const toolResults = await executeInternalToolsAnthropic(internalTools, config, signal, span, searches);
 
         // Add assistant message to history
         messages.push({
@@ -110,7 +119,7 @@ export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, con
           tools: undefined,
         });
 
-        return cleanAnthropicResponse(finalResponse);
+        return cleanAnthropicResponse(finalResponse, reasoningTag);
       }
     } else {
       consecutiveInternalCalls = 0;
@@ -121,7 +130,7 @@ export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, con
       tools: internalTools.map((t) => t.name),
     });
 
-    const toolResults = await executeInternalToolsAnthropic(internalTools, config);
+    const toolResults = await executeInternalToolsAnthropic(internalTools, config, signal, span, searches);
 
     // Add assistant message to history (full response including tool_use blocks)
     messages.push({
@@ -147,7 +156,7 @@ export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, con
       });
 
       // Return cleaned response (internal tools filtered, client tools remain)
-      return cleanAnthropicResponse(response);
+      return cleanAnthropicResponse(response, reasoningTag);
     }
 
     // Continue loop - need to process tool results
@@ -170,27 +179,39 @@ export async function executeWithToolsAnthropic(anthropicRequest, callApiFn, con
  *
  * @param {Array} toolUseBlocks - Array of tool_use content blocks
  * @param {Object} config - Configuration object
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Object} parentSpan - Trace span the tool executions belong to
+ * @param {Object} searches - Search recorder (optional)
  * @returns {Promise<Array>} Array of tool_result content blocks
  */
-async function executeInternalToolsAnthropic(toolUseBlocks, config) {
+async function executeInternalToolsAnthropic(toolUseBlocks, config, signal, parentSpan, searches) {
   const results = [];
 
   for (const toolUse of toolUseBlocks) {
+    signal?.throwIfAborted();
     const { id, name, input } = toolUse;
     const startTime = Date.now();
     let resultContent;
     let isError = false;
 
     try {
-      resultContent = await executeToolAnthropic(name, input, config);
+      resultContent = await executeToolAnthropic(name, input, config, signal, searches);
       isError = resultContent.startsWith('Error:');
     } catch (error) {
+      if (signal?.aborted) {
+        throw signal.reason;
+      }
       resultContent = `Error executing ${name}: ${error.message}`;
       isError = true;
     }
 
     const durationMs = Date.now() - startTime;
     logger.tool(name, durationMs, !isError);
+    recordSpan('tool.execute', {
+      parent: parentSpan,
+      startTime,
+      attributes: { 'ccglm.tool': name, 'ccglm.tool.success': !isError },
+    });
 
     results.push({
       type: 'tool_result',
@@ -210,9 +231,11 @@ async function executeInternalToolsAnthropic(toolUseBlocks, config) {
  * @param {string} name - Tool name
  * @param {Object} input - Tool input
  * @param {Object} config - Configuration object
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Object} searches - Search recorder (optional)
  * @returns {Promise<string>} Tool result string
  */
-async function executeToolAnthropic(name, input, config) {
+async function executeToolAnthropic(name, input, config, signal, searches) {
   const canonicalName = getCanonicalToolName(name);
 
   logger.debug('anthropic-executor', `Executing ${canonicalName}`, {
@@ -227,19 +250,17 @@ async function executeToolAnthropic(name, input, config) {
       mcpId: mcpInfo.mcpId,
       tool: name,
     });
-    return callCustomMcpTool(mcpInfo.mcpId, name, input);
+    return callCustomMcpTool(mcpInfo.mcpId, name, input, { signal });
   }
 
   if (canonicalName === 'web_search') {
-    const mcpUrl = config.mcp.search.url;
-    const mcpToolName = config.mcp.search.toolName;
     const query = input.query || input.search_query || input.q || '';
-    return callMcpTool(mcpUrl, mcpToolName, { search_query: query }, config);
+    const onResult = searches?.record('web_search', { query });
+    return runSearchTool('web_search', { query }, signal, onResult);
   } else if (canonicalName === 'web_reader') {
-    const mcpUrl = config.mcp.reader.url;
-    const mcpToolName = config.mcp.reader.toolName;
     const url = input.url || input.href || input.link || '';
-    return callMcpTool(mcpUrl, mcpToolName, { url }, config);
+    const onResult = searches?.record('web_reader', { url });
+    return runSearchTool('web_reader', { url }, signal, onResult);
   } else {
     logger.warn('anthropic-executor', 'Unknown internal tool', { name, canonicalName });
     return `Error: Unknown tool ${name}`;
@@ -0,0 +1,282 @@
+/**
+ * Web Search Citations
+ *
+ * When config.webSearch.citations is on, web_search/web_reader calls made in
+ * the tool loop are surfaced to the client the way the Anthropic API reports
+ * its own server tools:
+ * - server_tool_use block (name 'web_search' or 'web_fetch') with the query or URL
+ * - web_search_tool_result / web_fetch_tool_result block with the results
+ * - citations on text blocks that mention a result's URL or title
+ *
+ * A search recorder collects the calls of one request. The tool loops record
+ * each call before it runs and hand the raw result to the recorder through
+ * runSearchTool's onResult callback; calls that never produce a result are
+ * reported as errors.
+ */
+
+import { randomBytes } from 'node:crypto';
+
+// Longest cited_text of a citation (the Anthropic API cites up to 150 characters)
+const MAX_CITED_TEXT = 150;
+
+// Shortest title matched against response text (shorter titles match too much)
+const MIN_TITLE_MATCH = 12;
+
+/**
+ * Parse the JSON list of results some MCP servers return as text
+ * Z.ai web search returns its results as a JSON string, sometimes encoded twice.
+ * @param {string} text - Text content of an MCP result
+ * @returns {Array<Object>} Result objects (empty when the text is not JSON)
+ */
+function parseJsonItems(text) {
+  let value = text;
+  for (let i = 0; i < 2 && typeof value === 'string'; i++) {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+
+  if (Array.isArray(value)) {
+    return value.filter((item) => item && typeof item === 'object');
+  }
+  return value && typeof value === 'object' ? [value] : [];
+}
+
+/**
+ * Build a source from an MCP result item
+ * @param {Object} item - Result item ({ title|name, url|link, snippet|content|description, publish_date|publishedDate })
+ * @returns {Object|null} Source ({ url, title, snippet, pageAge }), or null without an http(s) URL
+ */
+function toSource(item) {
+  const url = item.url || item.link;
+  if (typeof url !== 'string' || !/^https?:\/\//i.test(url)) {
+    return null;
+  }
+
+  const snippet = item.snippet || item.content || item.description || '';
+  return {
+    url,
+    title: String(item.title || item.name || url),
+    snippet: typeof snippet === 'string' ? snippet : '',
+    pageAge: item.publish_date || item.page_age || item.publishedDate || null,
+  };
+}
+
+/**
+ * Extract the sources of a raw MCP result
+ * @param {any} result - Raw MCP tools/call result
+ * @returns {Array<Object>} Sources ({ url, title, snippet, pageAge })
+ */
+export function extractSources(result) {
+  const content = result?.content ?? result;
+  const items = (Array.isArray(content) ? content : [content]).flatMap((item) => {
+    if (item?.type === 'text' && typeof item.text === 'string') {
+      return parseJsonItems(item.text);
+    }
+    return item && typeof item === 'object' ? [item] : [];
+  });
+
+  const seen = new Set();
+  return items.map(toSource).filter((source) => {
+    if (!source || seen.has(source.url)) {
+      return false;
+    }
+    seen.add(source.url);
+    return true;
+  });
+}
+
+/**
+ * Get the plain text of a raw MCP result (used as the document of a fetched page)
+ * A page returned as a JSON object ({ title, url, content }) yields its content.
+ * @param {any} result - Raw MCP tools/call result
+ * @returns {string} Text content
+ */
+function extractText(result) {
+  const content = result?.content ?? result;
+  if (typeof content === 'string') {
+    return content;
+  }
+  return (Array.isArray(content) ? content : [content])
+    .filter((item) => item?.type === 'text' && typeof item.text === 'string')
+    .map((item) => {
+      const [page] = parseJsonItems(item.text);
+      return typeof page?.content === 'string' ? page.content : item.text;
+    })
+    .join('\n\n');
+}
+
+/**
+ * Create a recorder for the web searches of one request
+ * @returns {Object} Recorder ({ record, take, searches })
+ */
+export function createSearchRecorder() {
+  const searches = [];
+  let taken = 0;
+
+  return {
+    /**
+     * Record a web_search/web_reader call before it runs
+     * @param {string} tool - 'web_search' or 'web_reader'
+     * @param {Object} input - { query } or { url }
+     * @returns {Function} onResult callback for runSearchTool (receives the raw result)
+     */
+    record(tool, input) {
+      const search = {
+        id: `srvtoolu_${randomBytes(12).toString('hex')}`,
+        tool,
+        input,
+        sources: null,
+        text: '',
+        retrievedAt: null,
+      };
+      searches.push(search);
+
+      return (result) => {
+        search.sources = extractSources(result);
+        search.text = extractText(result);
+        search.retrievedAt = new Date().toISOString();
+        if (tool === 'web_reader' && search.sources.length === 0 && input.url) {
+          search.sources = [{ url: input.url, title: input.url, snippet: search.text, pageAge: null }];
+        }
+      };
+    },
+
+    /**
+     * Get the searches recorded since the last call (for streaming them as they finish)
+     * @returns {Array<Object>} Searches
+     */
+    take() {
+      const recent = searches.slice(taken);
+      taken = searches.length;
+      return recent;
+    },
+
+    /** Every search recorded so far */
+    searches,
+  };
+}
+
+/**
+ * Build the server_tool_use and result blocks of a recorded search
+ * @param {Object} search - Search from a recorder
+ * @returns {Array<Object>} Anthropic content blocks
+ */
+export function buildSearchBlocks(search) {
+  if (search.tool === 'web_reader') {
+    return [
+      { type: 'server_tool_use', id: search.id, name: 'web_fetch', input: { url: search.input.url } },
+      {
+        type: 'web_fetch_tool_result',
+        tool_use_id: search.id,
+        content: search.sources
+          ? {
+            type: 'web_fetch_result',
+            url: search.input.url,
+            content: {
+              type: 'document',
+              source: { type: 'text', media_type: 'text/plain', data: search.text },
+              title: search.sources[0]?.title || search.input.url,
+            },
+            retrieved_at: search.retrievedAt,
+          }
+          : { type: 'web_fetch_tool_error', error_code: 'unavailable' },
+      },
+    ];
+  }
+
+  return [
+    { type: 'server_tool_use', id: search.id, name: 'web_search', input: { query: search.input.query } },
+    {
+      type: 'web_search_tool_result',
+      tool_use_id: search.id,
+      content: search.sources
+        ? search.sources.map((source) => ({
+          type: 'web_search_result',
+          url: source.url,
+          title: source.title,
+          ...(source.pageAge ? { page_age: source.pageAge } : {}),
+        }))
+        : { type: 'web_search_tool_result_error', error_code: 'unavailable' },
+    },
+  ];
+}
+
+/**
+ * Find the citations of a piece of response text
+ * A source is cited when the text contains its URL or its title.
+ * @param {string} text - Response text
+ * @param {Array<Object>} searches - Searches from a recorder
+ * @returns {Array<Object>} web_search_result_location citations
+ */
+export function findCitations(text, searches) {
+  if (!text) {
+    return [];
+  }
+
+  const lowerText = text.toLowerCase();
+  const cited = new Map();
+  for (const source of searches.flatMap((search) => search.sources || [])) {
+    const title = source.title.toLowerCase();
+    const mentioned = text.includes(source.url)
+      || (title.length >= MIN_TITLE_MATCH && title !== source.url.toLowerCase() && lowerText.includes(title));
+    if (mentioned && !cited.has(source.url)) {
+      cited.set(source.url, {
+        type: 'web_search_result_location',
+        url: source.url,
+        title: source.title,
+        cited_text: (source.snippet || source.title).replace(/\s+/g, ' ').trim().slice(0, MAX_CITED_TEXT),
+      });
+    }
+  }
+
+  return [...cited.values()];
+}
+
+/**
+ * Add the recorded searches to a buffered Anthropic response
+ * Search blocks go after any leading thinking blocks; text blocks get citations
+ * and usage reports the number of searches.
+ * @param {Object} response - Anthropic format response
+ * @param {Object|null} recorder - Search recorder (nothing changes without one)
+ * @returns {Object} Response with search blocks and citations
+ */
+export function addSearchResults(response, recorder) {
+  const searches = recorder?.searches || [];
+  if (searches.length === 0 || !Array.isArray(response?.content)) {
+    return response;
+  }
+
+  const content = response.content.map((block) => {
+    if (block.type !== 'text') {
+      return block;
+    }
+    const citations = findCitations(block.text, searches);
+    return citations.length > 0 ? { ...block, citations } : block;
+  });
+
+  let insertAt = 0;
+  while (insertAt < content.length && ['thinking', 'redacted_thinking'].includes(content[insertAt].type)) {
+    insertAt++;
+  }
+  content.splice(insertAt, 0, ...searches.flatMap(buildSearchBlocks));
+
+  return {
+    ...response,
+    content,
+    usage: {
+      ...response.usage,
+      server_tool_use: { web_search_requests: searches.filter((search) => search.tool === 'web_search').length },
+    },
+  };
+}
+
+export default {
+  extractSources,
+  createSearchRecorder,
+  buildSearchBlocks,
+  findCitations,
+  addSearchResults,
+};
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractSources,
+  createSearchRecorder,
+  buildSearchBlocks,
+  findCitations,
+  addSearchResults,
+} from './citations.js';
+
+const RESULTS = [
+  { title: 'Node.js 22 release notes', link: 'https://nodejs.org/en/blog/release/v22.0.0', content: 'Node.js 22 ships require(esm).', publish_date: '2024-04-24' },
+  { title: 'Docs', url: 'https://nodejs.org/docs' },
+  { title: 'Not a web page', url: 'file:///etc/passwd' },
+];
+
+// Z.ai web search returns its results as a JSON string encoded twice
+const MCP_RESULT = { content: [{ type: 'text', text: JSON.stringify(JSON.stringify(RESULTS)) }] };
+
+/**
+ * Record one web search with the sample results
+ * @returns {Object} Search recorder
+ */
+function recordSearch() {
+  const recorder = createSearchRecorder();
+  recorder.record('web_search', { query: 'node 22' })(MCP_RESULT);
+  return recorder;
+}
+
+describe('extractSources', () => {
+  it('parses JSON results and keeps http(s) URLs only', () => {
+    const sources = extractSources(MCP_RESULT);
+
+    assert.deepEqual(sources.map((s) => s.url), ['https://nodejs.org/en/blog/release/v22.0.0', 'https://nodejs.org/docs']);
+    assert.equal(sources[0].snippet, 'Node.js 22 ships require(esm).');
+    assert.equal(sources[0].pageAge, '2024-04-24');
+  });
+
+  it('returns no sources for plain text results', () => {
+    assert.deepEqual(extractSources({ content: [{ type: 'text', text: 'No results found' }] }), []);
+  });
+});
+
+describe('createSearchRecorder', () => {
+  it('hands out each search once through take()', () => {
+    const recorder = recordSearch();
+    recorder.record('web_search', { query: 'never answered' });
+
+    assert.equal(recorder.take().length, 2);
+    assert.equal(recorder.take().length, 0);
+    assert.equal(recorder.searches[1].sources, null);
+  });
+
+  it('uses the fetched URL as the source of a web_reader call', () => {
+    const recorder = createSearchRecorder();
+    recorder.record('web_reader', { url: 'https://example.com/page' })({ content: [{ type: 'text', text: 'Page body' }] });
+
+    assert.deepEqual(recorder.searches[0].sources, [
+      { url: 'https://example.com/page', title: 'https://example.com/page', snippet: 'Page body', pageAge: null },
+    ]);
+  });
+});
+
+describe('buildSearchBlocks', () => {
+  it('builds server_tool_use and web_search_tool_result blocks', () => {
+    const [search] = recordSearch().searches;
+    const [toolUse, result] = buildSearchBlocks(search);
+
+    assert.deepEqual(toolUse, { type: 'server_tool_use', id: search.id, name: 'web_search', input: { query: 'node 22' } });
+    assert.equal(result.tool_use_id, search.id);
+    assert.deepEqual(result.content[0], {
+      type: 'web_search_result',
+      url: 'https://nodejs.org/en/blog/release/v22.0.0',
+      title: 'Node.js 22 release notes',
+      page_age: '2024-04-24',
+    });
+  });
+
+  it('reports a search without a result as an error', () => {
+    const recorder = createSearchRecorder();
+    recorder.record('web_search', { query: 'x' });
+
+    assert.deepEqual(buildSearchBlocks(recorder.searches[0])[1].content, {
+      type: 'web_search_tool_result_error',
+      error_code: 'unavailable',
+    });
+  });
+});
+
+describe('findCitations', () => {
+  const { searches } = recordSearch();
+
+  it('cites sources whose URL or title the text mentions', () => {
+    const citations = findCitations('As the node.js 22 release notes say, require(esm) works.', searches);
+
+    assert.deepEqual(citations, [{
+      type: 'web_search_result_location',
+      url: 'https://nodejs.org/en/blog/release/v22.0.0',
+      title: 'Node.js 22 release notes',
+      cited_text: 'Node.js 22 ships require(esm).',
+    }]);
+    assert.equal(findCitations('See https://nodejs.org/docs for more.', searches)[0].url, 'https://nodejs.org/docs');
+  });
+
+  it('does not match short titles', () => {
+    assert.deepEqual(findCitations('Read the docs.', searches), []);
+  });
+});
+
+describe('addSearchResults', () => {
+  it('inserts search blocks after thinking and adds citations and usage', () => {
+    const response = addSearchResults({
+      content: [
+        { type: 'thinking', thinking: 'Search first.' },
+        { type: 'text', text: 'Per https://nodejs.org/docs, yes.' },
+      ],
+      usage: { input_tokens: 1, output_tokens: 1 },
+    }, recordSearch());
+
+    assert.deepEqual(response.content.map((b) => b.type), ['thinking', 'server_tool_use', 'web_search_tool_result', 'text']);
+    assert.equal(response.content[3].citations.length, 1);
+    assert.deepEqual(response.usage.server_tool_use, { web_search_requests: 1 });
+  });
+
+  it('leaves the response alone without searches', () => {
+    const response = { content: [{ type: 'text', text: 'Hi' }] };
+    assert.equal(addSearchResults(response, null), response);
+  });
+});
@@ -3,14 +3,17 @@
  *
  * Defines the tools we inject into GLM requests for web search and reading.
  * Tools are executed via Z.ai's MCP servers.
- * Also handles custom MCP tool integration.
+ * Also handles custom MCP tool integration for the MCPs picked by tool selection.
  */
 
 import config from '../config.js';
 import { isClaudeTool } from './triggers.js';
-import { getTriggeredMcps, findMcpForTool } from '../mcp/triggers.js';
+import { findMcpForTool } from '../mcp/triggers.js';
+import { selectTools } from './selection.js';
 import { getEnabledMcps, getMcp } from '../mcp/registry.js';
-import { ensureInitialized } from '../mcp/lifecycle.js';
+import { ensureInitialized, getAttachedPrompt, peekAttachedPrompt } from '../mcp/lifecycle.js';
+import { buildResourceTool } from '../mcp/resources.js';
+import { exposeTools } from '../mcp/tool-policy.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -226,30 +229,91 @@ export default {
 };
 
 /**
- * Get triggered MCP tools in OpenAI format for injection into request
- * @param {Array} messages - Anthropic format messages
- * @returns {Promise<Object>} Object with { tools: Array, mcpIds: string[] }
+ * Get the tools of an initialized MCP, with its resource read tool if it has resources
+ * The MCP's tool policy applies: namespaced names, allow/deny lists, description overrides.
+ * @param {Object} mcp - Initialized MCP
+ * @returns {Array} Tools in MCP format
  */
-export async function getTriggeredMcpToolsForInjection(messages) {
-  const triggeredMcpIds = getTriggeredMcps(messages);
+function getMcpToolsWithResources(mcp) {
+  const resourceTool = buildResourceTool(mcp);
+  return exposeTools(mcp, resourceTool ? [...mcp.tools, resourceTool] : mcp.tools);
+}
 
-  if (triggeredMcpIds.length === 0) {
-    return { tools: [], mcpIds: [] };
+/**
+ * Get the prompt a triggered MCP attaches to the system prompt
+ * A failing prompt is logged and skipped. A dry run only uses an already fetched prompt.
+ * @param {string} mcpId - MCP ID
+ * @param {Array} prompts - Collected prompts ({ mcpId, name, text }), appended to
+ * @param {Object} options - Injection options (options.dryRun)
+ */
+async function collectAttachedPrompt(mcpId, prompts, options) {
+  try {
+    const prompt = options.dryRun ? peekAttachedPrompt(mcpId) : await getAttachedPrompt(mcpId);
+    if (prompt) {
+      prompts.push({ mcpId, ...prompt });
+    }
+  } catch (error) {
+    logger.error('tool-definitions', 'Failed to get MCP prompt', {
+      mcpId,
+      error: error.message,
+    });
   }
+}
 
+/**
+ * Get the selected tools of an MCP, starting it if needed
+ * A dry run (token counting) never starts the MCP: it uses the tools of its
+ * last discovery, and has none for an MCP that was never started.
+ * @param {Object} selection - MCP selection (see tools/selection.js)
+ * @param {Object} options - Injection options (options.dryRun)
+ * @returns {Promise<Array|null>} Tools in MCP format - all of them unless relevance picked some;
+ *   null when the MCP has no tools to offer
+ */
+async function getSelectedMcpTools(selection, options) {
+  let tools;
+  if (options.dryRun) {
+    const mcp = getMcp(selection.mcpId);
+    if (!mcp?.knownTools?.length) {
+      return null;
+    }
+    tools = exposeTools(mcp, mcp.knownTools);
+  } else {
+    const mcp = await ensureInitialized(selection.mcpId);
+    if (!mcp?.tools) {
+      return null;
+    }
+    tools = getMcpToolsWithResources(mcp);
+  }
+  return selection.tools ? tools.filter((tool) => selection.tools.includes(tool.name)) : tools;
+}
+
+/**
+ * Get selected MCP tools in OpenAI format for injection into request
+ * `triggered` is true when an MCP was picked by one of its triggers (the user asked for it).
+ * @param {Array} messages - Anthropic format messages
+ * @param {Object} [selection] - Result of selectTools(messages), computed when omitted
+ * @param {Object} [options] - Injection options
+ * @param {boolean} [options.dryRun] - Only use already discovered tools and prompts, never start an MCP
+ * @returns {Promise<Object>} Object with { tools: Array, mcpIds: string[], prompts: Array, selections: Array, triggered: boolean }
+ */
+export async function getTriggeredMcpToolsForInjection(messages, selection = selectTools(messages), options = {}) {
   const tools = [];
   const mcpIds = [];
+  const prompts = [];
+  const selections = [];
 
-  for (const mcpId of triggeredMcpIds) {
+  for (const mcpSelection of selection.mcps) {
+    const { mcpId } = mcpSelection;
     try {
-      // Ensure MCP is initialized and get tools
-      const mcp = await ensureInitialized(mcpId);
+      // Get the selected tools (starts the MCP unless this is a dry run)
+      const mcpTools = await getSelectedMcpTools(mcpSelection, options);
 
-      if (mcp && mcp.tools) {
+      if (mcpTools) {
         mcpIds.push(mcpId);
+        selections.push({ ...mcpSelection, tools: mcpTools.map((t) => t.name) });
 
         // Convert MCP tools to OpenAI format
-        for (const tool of mcp.tools) {
+        for (const tool of mcpTools) {
           tools.push({
             type: 'function',
             function: {
@@ -262,9 +326,12 @@ export async function getTriggeredMcpToolsForInjection(messages) {
 
         logger.info('tool-definitions', 'Injecting MCP tools', {
           mcpId,
-          toolCount: mcp.tools.length,
-          tools: mcp.tools.map((t) => t.name),
+          toolCount: mcpTools.length,
+          tools: mcpTools.map((t) => t.name),
+          reason: mcpSelection.reason,
         });
+
+        await collectAttachedPrompt(mcpId, prompts, options);
       }
     } catch (error) {
       logger.error('tool-definitions', 'Failed to get MCP tools', {
@@ -274,34 +341,37 @@ export async function getTriggeredMcpToolsForInjection(messages) {
     }
   }
 
-  return { tools, mcpIds };
+  const triggered = selections.some((s) => s.mode === 'regex');
+  return { tools, mcpIds, prompts, selections, triggered };
 }
 
 /**
- * Get triggered MCP tools in Anthropic format for injection into request
+ * Get selected MCP tools in Anthropic format for injection into request
+ * `triggered` is true when an MCP was picked by one of its triggers (the user asked for it).
  * @param {Array} messages - Anthropic format messages
- * @returns {Promise<Object>} Object with { tools: Array, mcpIds: string[] }
+ * @param {Object} [selection] - Result of selectTools(messages), computed when omitted
+ * @param {Object} [options] - Injection options
+ * @param {boolean} [options.dryRun] - Only use already discovered tools and prompts, never start an MCP
+ * @returns {Promise<Object>} Object with { tools: Array, mcpIds: string[], prompts: Array, selections: Array, triggered: boolean }
  */
-export async function getTriggeredMcpToolsForInjectionAnthropic(messages) {
-  const triggeredMcpIds = getTriggeredMcps(messages);
-
-  if (triggeredMcpIds.length === 0) {
-    return { tools: [], mcpIds: [] };
-  }
-
+export async function getTriggeredMcpToolsForInjectionAnthropic(messages, selection = selectTools(messages), options = {}) {
   const tools = [];
   const mcpIds = [];
+  const prompts = [];
+  const selections = [];
 
-  for (const mcpId of triggeredMcpIds) {
+  for (const mcpSelection of selection.mcps) {
+    const { mcpId } = mcpSelection;
     try {
-      // Ensure MCP is initialized and get tools
-      const mcp = await ensureInitialized(mcpId);
+      // Get the selected tools (starts the MCP unless this is a dry run)
+      const mcpTools = await getSelectedMcpTools(mcpSelection, options);
 
-      if (mcp && mcp.tools) {
+      if (mcpTools) {
         mcpIds.push(mcpId);
+        selections.push({ ...mcpSelection, tools: mcpTools.map((t) => t.name) });
 
         // Convert MCP tools to Anthropic format
-        for (const tool of mcp.tools) {
+        for (const tool of mcpTools) {
           tools.push({
             name: tool.name,
             description: tool.description || '',
@@ -311,9 +381,12 @@ export async function getTriggeredMcpToolsForInjectionAnthropic(messages) {
 
         logger.info('tool-definitions', 'Injecting MCP tools (Anthropic)', {
           mcpId,
-          toolCount: mcp.tools.length,
-          tools: mcp.tools.map((t) => t.name),
+          toolCount: mcpTools.length,
+          tools: mcpTools.map((t) => t.name),
+          reason: mcpSelection.reason,
         });
+
+        await collectAttachedPrompt(mcpId, prompts, options);
       }
     } catch (error) {
       logger.error('tool-definitions', 'Failed to get MCP tools', {
@@ -323,5 +396,6 @@ export async function getTriggeredMcpToolsForInjectionAnthropic(messages) {
     }
   }
 
-  return { tools, mcpIds };
+  const triggered = selections.some((s) => s.mode === 'regex');
+  return { tools, mcpIds, prompts, selections, triggered };
 }
@@ -2,23 +2,24 @@
  * Tool Executor
  *
  * Handles the internal tool execution loop. When GLM calls web_search,
- * we execute it via the Z.ai MCP server and continue the conversation
+ * we execute it on the configured search backends and continue the conversation
  * until GLM produces a final response (or calls only client-defined tools).
  *
  * Key behaviors:
- * - Executes web_search/web_reader internally via MCP (only when webSearch is enabled)
+ * - Executes web_search/web_reader internally (only when webSearch is enabled)
  * - Executes custom MCP tools when triggered
  * - Returns client tools (Glob, Grep, Read, etc.) for client to handle
  * - Limits consecutive internal tool calls to prevent infinite loops
  */
 
-import { callMcpTool } from './mcp-client.js';
+import { runSearchTool } from '../search/backends.js';
 import { isOurTool, getCanonicalToolName, shouldHandleInternally } from './definitions.js';
 import { isClaudeTool } from './triggers.js';
 import { findMcpForTool } from '../mcp/triggers.js';
 import { callMcpTool as callCustomMcpTool } from '../mcp/lifecycle.js';
 import logger from '../utils/logger.js';
 import { ToolExecutionError } from '../utils/errors.js';
+import { recordSpan } from '../tracing/tracer.js';
 
 /**
  * Execute request with internal tool handling loop.
@@ -33,9 +34,14 @@ import { ToolExecutionError } from '../utils/errors.js';
  * @param {Object} glmRequest - The GLM format request
  * @param {Function} callGlmFn - Function to call GLM API
  * @param {Object} config - Configuration object
+ * @param {Object} options - Loop options
+ * @param {AbortSignal} options.signal - Request cancellation signal (stops the loop and running tools)
+ * @param {Object} options.span - Parent trace span of the tool executions
+ * @param {Object} options.searches - Search recorder collecting web_search/web_reader results for citations
  * @returns {Promise<Object>} Final GLM response
  */
-export async function executeWithTools(glmRequest, callGlmFn, config) {
+export async function executeWithTools(glmRequest, callGlmFn, config, options = {}) {
+  const { signal, span, searches } = options;
   let iteration = 0;
   let consecutiveInternalCalls = 0;
   const maxIterations = config.toolExecution.maxIterations;
@@ -51,6 +57,7 @@ export async function executeWithTools(glmRequest, callGlmFn, config) {
   });
 
   while (iteration < maxIterations) {
+    signal?.throwIfAborted();
     iteration++;
     logger.toolLoopIteration(iteration, maxIterations, messages.length);
 
@@ -128,13 +135,17 @@ export async function executeWithTools(glmRequest, callGlmFn, config) {
         });
 
         // Execute the pending tool calls first so we have all the data
-        const settled = await Promise.allSettled(ourCalls.map((tc) => executeMcpToolWithTiming(tc, config)));
+        const settled = await Promise.allSettled(ourCalls.map((tc) => executeMcpToolWithTiming(tc, config, signal, span, searches)));
+        signal?.throwIfAborted();
         const results = settled.map(r => r.status === 'fulfilled' ? r.value : `Error: ${r.reason?.message || 'Tool execution failed'}`);
 
         // Add assistant message with tool calls to history
         messages.push({
           role: 'assistant',
           content: assistantMessage.content || null,
+          ...(assistantMessage.reasoning_content && config.reasoning?.preserveThinking !== 'strip'
+            ? { reasoning_content: assistantMessage.reasoning_content }
+            : {}),
           tool_calls: ourCalls,
         });
 
@@ -167,7 +178,8 @@ export async function executeWithTools(glmRequest, callGlmFn, config) {
       tools: ourCalls.map((tc) => tc.function?.name),
     });
 
-    const settled = await Promise.allSettled(ourCalls.map((tc) => executeMcpToolWithTiming(tc, config)));
+    const settled = await Promise.allSettled(ourCalls.map((tc) => executeMcpToolWithTiming(tc, config, signal, span, searches)));
+    signal?.throwIfAborted();
     const results = settled.map(r => r.status === 'fulfilled' ? r.value : `Error: ${r.reason?.message || 'Tool execution failed'}`);
 
     // Build assistant message for conversation history
@@ -175,6 +187,10 @@ export async function executeWithTools(glmRequest, callGlmFn, config) {
     const assistantHistoryMessage = {
       role: 'assistant',
       content: assistantMessage.content || null,
+      // Keep this turn's reasoning unless earlier thinking is stripped
+      ...(assistantMessage.reasoning_content && config.reasoning?.preserveThinking !== 'strip'
+        ? { reasoning_content: assistantMessage.reasoning_content }
+        : {}),
       tool_calls: ourCalls,
     };
 
@@ -236,20 +252,28 @@ export async function executeWithTools(glmRequest, callGlmFn, config) {
  *
  * @param {Object} toolCall - The tool call from GLM response
  * @param {Object} config - Configuration object
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Object} parentSpan - Trace span the tool execution belongs to
+ * @param {Object} searches - Search recorder (optional)
  * @returns {Promise<string>} Tool result string
  */
-async function executeMcpToolWithTiming(toolCall, config) {
+async function executeMcpToolWithTiming(toolCall, config, signal, parentSpan, searches) {
   const { name, arguments: argsString } = toolCall.function;
   const startTime = Date.now();
   let success = false;
 
   try {
-    const result = await executeTool(toolCall, config);
+    const result = await executeTool(toolCall, config, signal, searches);
     success = !result.startsWith('Error:');
     return result;
   } finally {
     const durationMs = Date.now() - startTime;
     logger.tool(name, durationMs, success);
+    recordSpan('tool.execute', {
+      parent: parentSpan,
+      startTime,
+      attributes: { 'ccglm.tool': name, 'ccglm.tool.success': success },
+    });
   }
 }
 
@@ -260,9 +284,11 @@ async function executeMcpToolWithTiming(toolCall, config) {
  *
  * @param {Object} toolCall - The tool call from GLM response
  * @param {Object} config - Configuration object
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Object} searches - Search recorder (optional)
  * @returns {Promise<string>} Tool result string
  */
-async function executeTool(toolCall, config) {
+async function executeTool(toolCall, config, signal, searches) {
   const { name: originalName, arguments: argsString } = toolCall.function;
 
   // Get canonical tool name (handles aliases like WebSearch -> web_search)
@@ -294,23 +320,19 @@ async function executeTool(toolCall, config) {
       mcpId: mcpInfo.mcpId,
       tool: originalName,
     });
-    return callCustomMcpTool(mcpInfo.mcpId, originalName, args);
+    return callCustomMcpTool(mcpInfo.mcpId, originalName, args, { signal });
   }
 
   if (name === 'web_search') {
-    // Execute via MCP - MCP expects 'search_query' not 'query'
-    const mcpUrl = config.mcp.search.url;
-    const mcpToolName = config.mcp.search.toolName;
     // Handle different argument formats from different clients
     const query = args.query || args.search_query || args.q || '';
-    return callMcpTool(mcpUrl, mcpToolName, { search_query: query }, config);
+    const onResult = searches?.record('web_search', { query });
+    return runSearchTool('web_search', { query }, signal, onResult);
   } else if (name === 'web_reader') {
-    // Execute via MCP web reader
-    const mcpUrl = config.mcp.reader.url;
-    const mcpToolName = config.mcp.reader.toolName;
     // Handle different argument formats from different clients
     const url = args.url || args.href || args.link || '';
-    return callMcpTool(mcpUrl, mcpToolName, { url }, config);
+    const onResult = searches?.record('web_reader', { url });
+    return runSearchTool('web_reader', { url }, signal, onResult);
   } else {
     logger.warn('tool', 'Unknown internal tool called', { originalName, name });
     return `Error: Unknown tool ${originalName}`;
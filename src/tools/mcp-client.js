@@ -6,6 +6,8 @@
  */
 
 import logger from '../utils/logger.js';
+import { withTimeout } from '../utils/cancellation.js';
+import { recordToolCall } from '../metrics/proxy-metrics.js';
 
 // Cache for initialized sessions - stores session IDs
 const initializedSessions = new Map();
@@ -111,17 +113,59 @@ async function ensureInitialized(url, config) {
 }
 
 /**
- * Call an MCP tool via JSON-RPC 2.0.
+ * Get the metrics label of a Z.ai MCP server
+ *
+ * @param {string} url - MCP server endpoint URL
+ * @param {Object} config - Configuration object
+ * @returns {string} 'zai-search', 'zai-reader' or the URL
+ */
+function getMcpLabel(url, config) {
+  if (url === config.mcp?.search?.url) return 'zai-search';
+  if (url === config.mcp?.reader?.url) return 'zai-reader';
+  return url;
+}
+
+/**
+ * Call an MCP tool via JSON-RPC 2.0, recording its outcome and duration.
  *
  * @param {string} url - MCP server endpoint URL
  * @param {string} toolName - Name of the tool in MCP (e.g., 'webSearchPrime')
  * @param {Object} args - Arguments to pass to the tool
  * @param {Object} config - Configuration object
+ * @param {AbortSignal} signal - Request cancellation signal (aborts the call; the cancellation is rethrown)
+ * @param {Function} onResult - Called with the raw MCP result of a successful call (e.g. a search recorder)
  * @returns {Promise<string>} Formatted result string
  */
-export async function callMcpTool(url, toolName, args, config) {
+export async function callMcpTool(url, toolName, args, config, signal = null, onResult = null) {
+  const startTime = Date.now();
+  const result = await sendToolCall(url, toolName, args, config, signal, onResult);
+
+  recordToolCall({
+    mcp: getMcpLabel(url, config),
+    tool: toolName,
+    success: !result.startsWith('Error'),
+    durationMs: Date.now() - startTime,
+  });
+
+  return result;
+}
+
+/**
+ * Send a tools/call request to an MCP server.
+ *
+ * @param {string} url - MCP server endpoint URL
+ * @param {string} toolName - Name of the tool in MCP
+ * @param {Object} args - Arguments to pass to the tool
+ * @param {Object} config - Configuration object
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @param {Function} onResult - Called with the raw MCP result of a successful call
+ * @returns {Promise<string>} Formatted result string (errors are returned as 'Error: ...')
+ */
+async function sendToolCall(url, toolName, args, config, signal, onResult) {
   const requestId = Date.now();
 
+  signal?.throwIfAborted();
+
   // Ensure connection is initialized and get session ID
   const sessionId = await ensureInitialized(url, config);
   if (!sessionId) {
@@ -148,7 +192,7 @@ export async function callMcpTool(url, toolName, args, config) {
           arguments: args,
         },
       }),
-      signal: AbortSignal.timeout(config.toolExecution.timeout),
+      signal: withTimeout(signal, config.toolExecution.timeout),
     });
 
     if (!response.ok) {
@@ -175,9 +219,16 @@ export async function callMcpTool(url, toolName, args, config) {
       return `Error: ${data.error.message || JSON.stringify(data.error)}`;
     }
 
+    onResult?.(data.result);
+
     // Format the result
     return formatMcpResult(data.result, toolName);
   } catch (error) {
+    if (signal?.aborted) {
+      logger.info('mcp', 'MCP tool call cancelled', { toolName });
+      throw signal.reason;
+    }
+
     logger.error('mcp', 'MCP call failed', { toolName, error: error.message });
 
     if (error.name === 'TimeoutError' || error.name === 'AbortError') {
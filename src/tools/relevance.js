@@ -0,0 +1,125 @@
+/**
+ * Tool Relevance Ranking
+ *
+ * Local lexical ranking of tools against a user message (BM25).
+ * Tool names and descriptions are tokenized (camelCase and snake_case split,
+ * stop words dropped, light suffix stemming) and scored with Okapi BM25 -
+ * no network calls or embeddings.
+ */
+
+// BM25 term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// A handful of tools is scored as if padded with unrelated documents, so that a
+// term shared by all of them still counts (plain BM25 would give it almost no weight)
+const MIN_CORPUS_SIZE = 10;
+
+// Words too common in messages and tool descriptions to say anything about relevance
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'for', 'from',
+  'get', 'had', 'has', 'have', 'he', 'her', 'here', 'him', 'his', 'how', 'i', 'if',
+  'in', 'into', 'is', 'it', 'its', 'just', 'let', 'me', 'my', 'no', 'not', 'of', 'on',
+  'one', 'or', 'our', 'please', 'she', 'should', 'so', 'some', 'than', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'to', 'tool',
+  'tools', 'up', 'us', 'use', 'using', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+]);
+
+/**
+ * Reduce a word to a crude stem so that "changed", "changes" and "changing" meet
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  let result = word;
+  if (result.length > 5 && result.endsWith('ies')) {
+    return `${result.slice(0, -3)}y`;
+  }
+  if (result.length > 5 && result.endsWith('ing')) {
+    result = result.slice(0, -3);
+  } else if (result.length > 4 && result.endsWith('ed')) {
+    result = result.slice(0, -2);
+  } else if (result.length > 3 && result.endsWith('s') && !result.endsWith('ss')) {
+    result = result.slice(0, -1);
+  }
+  if (result.length > 4 && result.endsWith('e')) {
+    result = result.slice(0, -1);
+  }
+  return result;
+}
+
+/**
+ * Split text into stemmed terms
+ * @param {string} text - Message text, tool name or description
+ * @returns {Array<{ term: string, word: string }>} Terms with the word they came from
+ */
+export function tokenize(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word.length > 1 && !STOP_WORDS.has(word))
+    .map((word) => ({ term: stem(word), word }));
+}
+
+/**
+ * Rank documents against a query with BM25
+ * @param {string} query - Query text (the user message)
+ * @param {Array<Object>} documents - Documents with a `text` field; other fields are passed through
+ * @returns {Array<Object>} Documents that share a term with the query, best first,
+ *   as { document, score, words } where words are the query words that matched
+ */
+export function rankDocuments(query, documents) {
+  const queryTerms = new Map();
+  for (const { term, word } of tokenize(query)) {
+    if (!queryTerms.has(term)) {
+      queryTerms.set(term, word);
+    }
+  }
+  if (queryTerms.size === 0 || documents.length === 0) {
+    return [];
+  }
+
+  const indexed = documents.map((document) => {
+    const counts = new Map();
+    const terms = tokenize(document.text);
+    for (const { term } of terms) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return { document, counts, length: terms.length };
+  });
+  const averageLength = indexed.reduce((sum, entry) => sum + entry.length, 0) / indexed.length || 1;
+  const corpusSize = Math.max(indexed.length, MIN_CORPUS_SIZE);
+
+  // Documents containing each query term
+  const frequencies = new Map();
+  for (const term of queryTerms.keys()) {
+    frequencies.set(term, indexed.filter((entry) => entry.counts.has(term)).length);
+  }
+
+  const ranked = [];
+  for (const entry of indexed) {
+    let score = 0;
+    const words = [];
+    for (const [term, word] of queryTerms) {
+      const tf = entry.counts.get(term);
+      if (!tf) continue;
+      const n = frequencies.get(term);
+      const idf = Math.log(1 + (corpusSize - n + 0.5) / (n + 0.5));
+      score += idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * entry.length / averageLength));
+      words.push(word);
+    }
+    if (score > 0) {
+      ranked.push({ document: entry.document, score, words });
+    }
+  }
+
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+export default {
+  tokenize,
+  rankDocuments,
+};
@@ -0,0 +1,154 @@
+/**
+ * Tool Selection
+ *
+ * Decides which tools are injected into a request, and why.
+ * Web search and every enabled MCP have a selection mode:
+ * - always:    injected into every request
+ * - regex:     injected when the last user message matches one of its triggers
+ *              (phrases or /pattern/ regexes, see triggers.js)
+ * - relevance: its tools are ranked against the last user message with BM25
+ *              (see relevance.js) together with the other 'relevance' tools;
+ *              the top-k tools matching at least minTerms words of the message
+ *              and scoring at least minScore are injected
+ *
+ * Relevance ranks the tools found by an MCP's last discovery, as GLM would see them
+ * (see mcp/tool-policy.js). An MCP that has not been started yet is ranked as a
+ * whole by its name and trigger phrases.
+ */
+
+import config from '../config.js';
+import { getEnabledMcps } from '../mcp/registry.js';
+import { exposeTools } from '../mcp/tool-policy.js';
+import { WEB_SEARCH_TRIGGERS, findTrigger, getLastUserText } from './triggers.js';
+import { rankDocuments } from './relevance.js';
+import { WEB_SEARCH_TOOL_ANTHROPIC, WEB_READER_TOOL_ANTHROPIC } from './definitions.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Build the relevance documents of the web tools
+ * @returns {Array<Object>} Documents ({ source: null, tool, text })
+ */
+function getWebToolDocuments() {
+  // The "DO NOT use this for local files" sentence would match coding requests
+  return [WEB_SEARCH_TOOL_ANTHROPIC, WEB_READER_TOOL_ANTHROPIC].map((tool) => ({
+    source: null,
+    tool: tool.name,
+    text: `${tool.name} ${tool.description.replace(/DO NOT[^.]*\./g, '')}`,
+  }));
+}
+
+/**
+ * Format the query words a relevance score came from
+ * @param {Array<string>} words - Matched words
+ * @returns {string} Quoted, comma-separated words
+ */
+function formatWords(words) {
+  return [...new Set(words)].map((word) => `"${word}"`).join(', ');
+}
+
+/**
+ * Build the relevance documents of an MCP
+ * @param {Object} mcp - Enabled MCP
+ * @returns {Array<Object>} Documents ({ source, tool, text }); tool is null for the whole MCP
+ */
+function getMcpDocuments(mcp) {
+  if (mcp.knownTools?.length > 0) {
+    return exposeTools(mcp, mcp.knownTools).map((tool) => ({
+      source: mcp.id,
+      tool: tool.name,
+      text: `${tool.name} ${tool.description || ''}`,
+    }));
+  }
+
+  // Tools not discovered yet - rank the server by its name and trigger phrases
+  const phrases = (mcp.triggers || []).filter((trigger) => !trigger.startsWith('/'));
+  return [{ source: mcp.id, tool: null, text: `${mcp.id} ${mcp.name} ${phrases.join(' ')}` }];
+}
+
+/**
+ * Select the tools to inject for a request
+ * @param {Array} messages - Anthropic format messages
+ * @returns {Object} { webSearch, mcps } - webSearch is { mode, reason } or null;
+ *   mcps is a list of { mcpId, mode, reason, tools }, where tools are the names of the
+ *   selected tools or null for all of the MCP's tools
+ */
+export function selectTools(messages) {
+  const text = getLastUserText(messages);
+  const { webSearchMode, topK, minScore, minTerms } = config.toolSelection;
+
+  let webSearch = null;
+  const mcps = [];
+  const documents = [];
+
+  if (config.webSearch?.enabled) {
+    if (webSearchMode === 'always') {
+      webSearch = { mode: 'always', reason: 'always on' };
+    } else if (webSearchMode === 'relevance') {
+      documents.push(...getWebToolDocuments());
+    } else {
+      const trigger = findTrigger(text, WEB_SEARCH_TRIGGERS);
+      if (trigger) {
+        webSearch = { mode: 'regex', reason: `matched trigger "${trigger}"` };
+      }
+    }
+  }
+
+  for (const mcp of getEnabledMcps()) {
+    const mode = mcp.selectionMode || 'regex';
+    if (mode === 'always') {
+      mcps.push({ mcpId: mcp.id, mode, reason: 'always on', tools: null });
+    } else if (mode === 'relevance') {
+      documents.push(...getMcpDocuments(mcp));
+    } else {
+      const trigger = findTrigger(text, mcp.triggers);
+      if (trigger) {
+        mcps.push({ mcpId: mcp.id, mode, reason: `matched trigger "${trigger}"`, tools: null });
+      }
+    }
+  }
+
+  // Top-k of all 'relevance' tools, grouped by web search / MCP in rank order
+  const ranked = rankDocuments(text, documents)
+    .filter((entry) => entry.score >= minScore && entry.words.length >= minTerms)
+    .slice(0, topK);
+  const groups = new Map();
+  for (const entry of ranked) {
+    const { source, tool } = entry.document;
+    if (!groups.has(source)) {
+      groups.set(source, { score: entry.score, words: [], tools: [] });
+    }
+    const group = groups.get(source);
+    group.words.push(...entry.words);
+    if (tool) {
+      group.tools.push(tool);
+    }
+  }
+
+  for (const [source, group] of groups) {
+    const reason = `relevance ${group.score.toFixed(2)} for ${formatWords(group.words)}`;
+    if (source === null) {
+      webSearch = { mode: 'relevance', reason };
+    } else {
+      mcps.push({
+        mcpId: source,
+        mode: 'relevance',
+        reason: group.tools.length > 0 ? reason : `${reason} (tools not discovered yet)`,
+        tools: group.tools.length > 0 ? group.tools : null,
+      });
+    }
+  }
+
+  if (webSearch || mcps.length > 0) {
+    logger.info('tool-selection', 'Tools selected', {
+      webSearch: webSearch ? webSearch.reason : undefined,
+      mcps: mcps.length > 0 ? mcps.map((selection) => `${selection.mcpId}: ${selection.reason}`) : undefined,
+      messagePreview: text.substring(0, 100),
+    });
+  }
+
+  return { webSearch, mcps };
+}
+
+export default {
+  selectTools,
+};
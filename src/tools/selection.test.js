@@ -0,0 +1,64 @@
+import { describe, it, before, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { selectTools } from './selection.js';
+
+/**
+ * Select tools for a single user message
+ * @param {string} text - Message text
+ * @returns {Object} Result of selectTools
+ */
+function selectFor(text) {
+  return selectTools([{ role: 'user', content: text }]);
+}
+
+describe('web search selection', () => {
+  before(() => {
+    config.webSearch.enabled = true;
+  });
+
+  afterEach(() => {
+    config.toolSelection.webSearchMode = 'regex';
+  });
+
+  it('defaults to the built-in triggers', () => {
+    assert.equal(config.toolSelection.webSearchMode, 'regex');
+  });
+
+  it('ranks the web tools by their descriptions in relevance mode', () => {
+    config.toolSelection.webSearchMode = 'relevance';
+
+    const selection = selectFor('Search the web for news about the React 19 release');
+    assert.equal(selection.webSearch?.mode, 'relevance');
+    assert.match(selection.webSearch.reason, /"search", "web", "news"/);
+  });
+
+  it('needs more than one common word in relevance mode', () => {
+    config.toolSelection.webSearchMode = 'relevance';
+
+    for (const request of [
+      'bump the current version in package.json',
+      'read the config file and fix the test',
+      'How do I reverse a list in Python?',
+      'refactor this function',
+    ]) {
+      assert.equal(selectFor(request).webSearch, null, request);
+    }
+  });
+
+  it('matches the built-in triggers in regex mode', () => {
+    assert.match(selectFor('what changed in React 19?').webSearch.reason, /matched trigger/);
+    assert.equal(selectFor('What did React 19 change?').webSearch, null);
+  });
+
+  it('injects web search into every request in always mode, and never when disabled', () => {
+    config.toolSelection.webSearchMode = 'always';
+    assert.deepEqual(selectFor('Hello').webSearch, { mode: 'always', reason: 'always on' });
+
+    config.webSearch.enabled = false;
+    assert.equal(selectFor('what changed in React 19?').webSearch, null);
+    config.webSearch.enabled = true;
+  });
+});
@@ -1,18 +1,17 @@
 /**
- * Web Search Trigger Detection
+ * Tool Trigger Matching
  *
- * Determines when to inject web search tools based on user message content.
- * This prevents spurious web searches by only enabling tools when the user
- * explicitly asks for web information.
+ * Trigger phrases and regexes for the 'regex' selection mode (see selection.js),
+ * the built-in web search triggers, and the Claude Code web tools we intercept.
  */
 
 import logger from '../utils/logger.js';
 
 /**
- * Trigger phrases that indicate the user wants web search.
- * Case-insensitive matching.
+ * Triggers that indicate the user wants web search ('regex' mode).
+ * Phrases and /pattern/ regexes, both case-insensitive.
  */
-const WEB_SEARCH_TRIGGERS = [
+export const WEB_SEARCH_TRIGGERS = [
   // Explicit search requests
   'search the web',
   'search online',
@@ -37,6 +36,11 @@ const WEB_SEARCH_TRIGGERS = [
   'current documentation',
   'official docs',
   'official documentation',
+
+  // Questions about recent changes and releases
+  '/\\bwhat(?:\'s| is| are| has| have)? (?:new|changed)\\b/',
+  '/\\b(?:latest|newest|current) (?:version|release|stable)\\b/',
+  '/\\brelease notes\\b/',
 ];
 
 /**
@@ -52,52 +56,77 @@ export const CLAUDE_TOOL_NAMES = [
   'Webfetch',
 ];
 
+// Compiled regex triggers, by trigger string
+const compiledTriggers = new Map();
+
 /**
- * Check if the last user message contains a web search trigger phrase.
+ * Compile a trigger
+ * A trigger written as /pattern/flags is a regular expression (always
+ * case-insensitive); anything else is a phrase matched case-insensitively.
  *
- * @param {Array} messages - Anthropic format messages
- * @returns {boolean} True if user message contains a trigger phrase
+ * @param {string} trigger - Trigger phrase or /pattern/flags
+ * @returns {RegExp|null} Regular expression, or null for a phrase
+ * @throws {SyntaxError} If the regular expression is invalid
  */
-export function hasWebSearchTrigger(messages) {
-  if (!messages || messages.length === 0) {
-    logger.debug('websearch-trigger', 'No messages to check for triggers');
-    return false;
+export function compileTrigger(trigger) {
+  const match = /^\/(.+)\/([a-z]*)$/.exec(trigger);
+  if (!match) {
+    return null;
   }
+  if (!compiledTriggers.has(trigger)) {
+    // Global and sticky regexes keep state between matches
+    const flags = [...new Set(`${match[2]}i`)].filter((flag) => flag !== 'g' && flag !== 'y').join('');
+    compiledTriggers.set(trigger, new RegExp(match[1], flags));
+  }
+  return compiledTriggers.get(trigger);
+}
+
+/**
+ * Find the first trigger that matches a text
+ *
+ * @param {string} text - Message text
+ * @param {Array<string>} triggers - Trigger phrases and /pattern/flags regexes
+ * @returns {string|null} Matched trigger
+ */
+export function findTrigger(text, triggers) {
+  const lowerText = text.toLowerCase();
+  for (const trigger of triggers || []) {
+    let regex;
+    try {
+      regex = compileTrigger(trigger);
+    } catch (error) {
+      logger.warn('tool-triggers', 'Skipping invalid trigger regex', { trigger, error: error.message });
+      continue;
+    }
+    if (regex ? regex.test(text) : lowerText.includes(trigger.toLowerCase())) {
+      return trigger;
+    }
+  }
+  return null;
+}
 
-  // Find the last user message
-  const lastUserMessage = [...messages].reverse().find((m) => m.role === 'user');
+/**
+ * Get the text of the last user message
+ *
+ * @param {Array} messages - Anthropic format messages
+ * @returns {string} Text content ('' if there is no user message)
+ */
+export function getLastUserText(messages) {
+  const lastUserMessage = [...(messages || [])].reverse().find((m) => m.role === 'user');
   if (!lastUserMessage) {
-    logger.debug('websearch-trigger', 'No user message found');
-    return false;
+    return '';
   }
 
-  // Extract text content from the message
-  let textContent = '';
   if (typeof lastUserMessage.content === 'string') {
-    textContent = lastUserMessage.content;
-  } else if (Array.isArray(lastUserMessage.content)) {
-    textContent = lastUserMessage.content
+    return lastUserMessage.content;
+  }
+  if (Array.isArray(lastUserMessage.content)) {
+    return lastUserMessage.content
       .filter((block) => block.type === 'text')
       .map((block) => block.text)
       .join(' ');
   }
-
-  // Check for trigger phrases (case-insensitive)
-  const lowerContent = textContent.toLowerCase();
-  const matchedTrigger = WEB_SEARCH_TRIGGERS.find((trigger) => lowerContent.includes(trigger));
-
-  if (matchedTrigger) {
-    logger.info('websearch-trigger', 'Web search trigger detected', {
-      trigger: matchedTrigger,
-      messagePreview: textContent.substring(0, 100) + (textContent.length > 100 ? '...' : ''),
-    });
-    return true;
-  }
-
-  logger.debug('websearch-trigger', 'No web search trigger found', {
-    messagePreview: textContent.substring(0, 50) + (textContent.length > 50 ? '...' : ''),
-  });
-  return false;
+  return '';
 }
 
 /**
@@ -117,7 +146,9 @@ export function isClaudeTool(toolName) {
 }
 
 export default {
-  hasWebSearchTrigger,
+  compileTrigger,
+  findTrigger,
+  getLastUserText,
   isClaudeTool,
   CLAUDE_TOOL_NAMES,
   WEB_SEARCH_TRIGGERS,
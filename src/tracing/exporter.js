@@ -0,0 +1,241 @@
+/**
+ * Trace Exporter
+ *
+ * Batches finished spans and sends them to an OTLP/HTTP collector (JSON
+ * encoding, POST to tracing.otlpEndpoint) or appends them to a JSONL file
+ * (one span per line, ~/.ccglm/traces.jsonl by default). The file is rotated
+ * to <file>.1 once it exceeds MAX_FILE_BYTES.
+ *
+ * Export failures are logged and the batch is dropped - tracing never
+ * affects the request being traced.
+ */
+
+import { appendFile, rename, stat } from 'node:fs/promises';
+import { join } from 'node:path';
+import config from '../config.js';
+import { getConfigDir } from '../persistence/index.js';
+import logger from '../utils/logger.js';
+
+// Export when this many spans are waiting, or after FLUSH_INTERVAL_MS
+const MAX_BATCH_SIZE = 100;
+const FLUSH_INTERVAL_MS = 5000;
+
+// Drop spans instead of growing without bound when the collector is down
+const MAX_QUEUE_SIZE = 5000;
+
+// Rotate the JSONL file at 50 MB
+const MAX_FILE_BYTES = 50 * 1024 * 1024;
+
+const EXPORT_TIMEOUT_MS = 10000;
+
+// Finished spans waiting to be exported
+let queue = [];
+let flushTimer = null;
+let dropped = 0;
+
+// Export in progress (flushes are serialized)
+let exporting = Promise.resolve();
+
+/**
+ * Convert an attribute value to an OTLP AnyValue
+ * @param {*} value - Attribute value
+ * @returns {Object} OTLP AnyValue
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert an attribute map to OTLP KeyValue pairs
+ * @param {Object} attributes - Attribute map
+ * @returns {Array<Object>} OTLP attributes
+ */
+function toKeyValues(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Convert milliseconds since the epoch to OTLP nanoseconds
+ * @param {number} ms - Milliseconds
+ * @returns {string} Nanoseconds as a decimal string
+ */
+function toUnixNano(ms) {
+  return `${Math.round(ms)}000000`;
+}
+
+/**
+ * Parse OTEL_EXPORTER_OTLP_HEADERS ("key=value,key2=value2")
+ * @param {string} value - Header list
+ * @returns {Object} Headers
+ */
+function parseHeaders(value) {
+  const headers = {};
+  for (const pair of String(value || '').split(',')) {
+    const eqIndex = pair.indexOf('=');
+    if (eqIndex > 0) {
+      headers[decodeURIComponent(pair.slice(0, eqIndex).trim())] = decodeURIComponent(pair.slice(eqIndex + 1).trim());
+    }
+  }
+  return headers;
+}
+
+/**
+ * Build an OTLP/JSON ExportTraceServiceRequest
+ * @param {Array<Object>} spans - Finished spans
+ * @returns {Object} Request body
+ */
+function buildOtlpRequest(spans) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: toKeyValues({
+          'service.name': config.tracing.serviceName,
+          'service.version': config.version,
+        }),
+      },
+      scopeSpans: [{
+        scope: { name: 'ccglm-proxy', version: config.version },
+        spans: spans.map((span) => ({
+          traceId: span.traceId,
+          spanId: span.spanId,
+          parentSpanId: span.parentSpanId || undefined,
+          name: span.name,
+          kind: span.kind,
+          startTimeUnixNano: toUnixNano(span.startTime),
+          endTimeUnixNano: toUnixNano(span.endTime),
+          attributes: toKeyValues(span.attributes),
+          status: span.status,
+        })),
+      }],
+    }],
+  };
+}
+
+/**
+ * Send spans to the OTLP/HTTP collector
+ * @param {Array<Object>} spans - Finished spans
+ */
+async function exportOtlp(spans) {
+  const response = await fetch(config.tracing.otlpEndpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...parseHeaders(config.tracing.otlpHeaders),
+    },
+    body: JSON.stringify(buildOtlpRequest(spans)),
+    signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    const body = await response.text();
+    throw new Error(`Collector responded ${response.status}: ${body.substring(0, 200)}`);
+  }
+}
+
+/**
+ * Get the path of the JSONL trace file
+ * @returns {string} Absolute path
+ */
+function getTraceFile() {
+  return config.tracing.file || join(getConfigDir(), 'traces.jsonl');
+}
+
+/**
+ * Append spans to the JSONL trace file, rotating it when it is too large
+ * @param {Array<Object>} spans - Finished spans
+ */
+async function exportFile(spans) {
+  const file = getTraceFile();
+
+  try {
+    const { size } = await stat(file);
+    if (size > MAX_FILE_BYTES) {
+      await rename(file, `${file}.1`);
+    }
+  } catch {
+    // File does not exist yet
+  }
+
+  const lines = spans.map((span) => JSON.stringify({
+    traceId: span.traceId,
+    spanId: span.spanId,
+    parentSpanId: span.parentSpanId,
+    name: span.name,
+    kind: span.kind,
+    startTime: new Date(span.startTime).toISOString(),
+    durationMs: span.endTime - span.startTime,
+    status: span.status,
+    attributes: span.attributes,
+  }));
+
+  await appendFile(file, `${lines.join('\n')}\n`);
+}
+
+/**
+ * Queue a finished span for export
+ * @param {Object} span - Span data ({ traceId, spanId, parentSpanId, name, kind, startTime, endTime, attributes, status })
+ */
+export function exportSpan(span) {
+  if (queue.length >= MAX_QUEUE_SIZE) {
+    dropped++;
+    return;
+  }
+
+  queue.push(span);
+
+  if (queue.length >= MAX_BATCH_SIZE) {
+    flushTraces();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flushTraces, FLUSH_INTERVAL_MS);
+    flushTimer.unref?.();
+  }
+}
+
+/**
+ * Export every queued span (also called on shutdown)
+ * @returns {Promise<void>} Resolves once the spans have been exported or dropped
+ */
+export function flushTraces() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  const spans = queue;
+  queue = [];
+
+  exporting = exporting.then(async () => {
+    if (dropped > 0) {
+      logger.warn('tracing', 'Trace queue full, spans dropped', { dropped });
+      dropped = 0;
+    }
+    if (spans.length === 0) {
+      return;
+    }
+
+    try {
+      if (config.tracing.exporter === 'otlp') {
+        await exportOtlp(spans);
+      } else {
+        await exportFile(spans);
+      }
+      logger.debug('tracing', 'Exported spans', { count: spans.length, exporter: config.tracing.exporter });
+    } catch (error) {
+      logger.warn('tracing', 'Failed to export spans', {
+        count: spans.length,
+        exporter: config.tracing.exporter,
+        error: error.message,
+      });
+    }
+  });
+
+  return exporting;
+}
+
+export default {
+  exportSpan,
+  flushTraces,
+};
@@ -0,0 +1,223 @@
+/**
+ * Tracer
+ *
+ * OpenTelemetry-style spans for one proxy request: request parse, video
+ * processing, transform, each upstream call, each tool execution and the
+ * stream relay. Spans are threaded explicitly through request options
+ * (options.span is the request's root span) and handed to the exporter when
+ * they end.
+ *
+ * An incoming W3C `traceparent` header is continued: the root span joins the
+ * caller's trace as a child of the caller's span. When tracing is disabled
+ * every function returns a no-op span, so callers never need to check.
+ */
+
+import { randomBytes } from 'node:crypto';
+import config from '../config.js';
+import { exportSpan } from './exporter.js';
+
+// OTLP span kinds
+export const SPAN_KIND = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+};
+
+// OTLP status codes
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * Span that records nothing (tracing disabled)
+ */
+const NOOP_SPAN = Object.freeze({
+  traceId: null,
+  spanId: null,
+  recording: false,
+  setAttribute: () => NOOP_SPAN,
+  setAttributes: () => NOOP_SPAN,
+  recordError: () => NOOP_SPAN,
+  end: () => {},
+});
+
+/**
+ * Generate a random non-zero hex ID
+ * @param {number} bytes - Length in bytes (16 for trace IDs, 8 for span IDs)
+ * @returns {string} Lowercase hex ID
+ */
+function generateId(bytes) {
+  let id;
+  do {
+    id = randomBytes(bytes).toString('hex');
+  } while (/^0+$/.test(id));
+  return id;
+}
+
+/**
+ * Parse a W3C traceparent header
+ * @param {string} header - Header value (e.g. 00-<trace-id>-<parent-id>-01)
+ * @returns {{traceId: string, spanId: string, sampled: boolean}|null} Parent context, or null if invalid
+ */
+export function parseTraceparent(header) {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || match[1] === 'ff' || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return null;
+  }
+
+  return {
+    traceId: match[2],
+    spanId: match[3],
+    sampled: (parseInt(match[4], 16) & 1) === 1,
+  };
+}
+
+/**
+ * Start a span
+ * @param {string} name - Span name
+ * @param {Object} options - Span options
+ * @param {Object} options.parent - Parent span (omit for a root span)
+ * @param {string} options.traceparent - Incoming traceparent header to continue (root spans only)
+ * @param {number} options.kind - SPAN_KIND value (default INTERNAL)
+ * @param {number} options.startTime - Start time in ms since the epoch (default now)
+ * @param {Object} options.attributes - Initial attributes
+ * @returns {Object} Span ({ traceId, spanId, setAttribute, setAttributes, recordError, end })
+ */
+export function startSpan(name, options = {}) {
+  if (!config.tracing.enabled) {
+    return NOOP_SPAN;
+  }
+  if (options.parent && !options.parent.recording) {
+    return NOOP_SPAN;
+  }
+
+  let traceId;
+  let parentSpanId = null;
+  if (options.parent) {
+    traceId = options.parent.traceId;
+    parentSpanId = options.parent.spanId;
+  } else {
+    const remote = parseTraceparent(options.traceparent);
+    traceId = remote?.traceId || generateId(16);
+    parentSpanId = remote?.spanId || null;
+  }
+
+  const data = {
+    traceId,
+    spanId: generateId(8),
+    parentSpanId,
+    name,
+    kind: options.kind || SPAN_KIND.INTERNAL,
+    startTime: options.startTime || Date.now(),
+    endTime: null,
+    attributes: {},
+    status: { code: 0 },
+  };
+
+  const span = {
+    traceId: data.traceId,
+    spanId: data.spanId,
+    recording: true,
+
+    /**
+     * Set an attribute (undefined and null values are ignored)
+     * @param {string} key - Attribute name
+     * @param {string|number|boolean} value - Attribute value
+     * @returns {Object} The span
+     */
+    setAttribute(key, value) {
+      if (value !== undefined && value !== null && data.endTime === null) {
+        data.attributes[key] = value;
+      }
+      return span;
+    },
+
+    /**
+     * Set several attributes
+     * @param {Object} attributes - Attribute map
+     * @returns {Object} The span
+     */
+    setAttributes(attributes = {}) {
+      for (const [key, value] of Object.entries(attributes)) {
+        span.setAttribute(key, value);
+      }
+      return span;
+    },
+
+    /**
+     * Mark the span as failed
+     * @param {Error} error - Error that ended the operation
+     * @returns {Object} The span
+     */
+    recordError(error) {
+      data.status = { code: STATUS_ERROR, message: error?.message };
+      span.setAttribute('error.type', error?.type || error?.name);
+      return span;
+    },
+
+    /**
+     * End the span and hand it to the exporter (only the first call counts)
+     * @param {number} endTime - End time in ms since the epoch (default now)
+     */
+    end(endTime = Date.now()) {
+      if (data.endTime !== null) {
+        return;
+      }
+      data.endTime = endTime;
+      if (data.status.code === 0) {
+        data.status = { code: STATUS_OK };
+      }
+      exportSpan({ ...data, attributes: { ...data.attributes } });
+    },
+  };
+
+  if (options.attributes) {
+    span.setAttributes(options.attributes);
+  }
+
+  return span;
+}
+
+/**
+ * Record a span for an operation that has already finished
+ * @param {string} name - Span name
+ * @param {Object} options - Span options (see startSpan) plus endTime and error
+ * @param {number} options.endTime - End time in ms since the epoch (default now)
+ * @param {Error} options.error - Error the operation failed with, if any
+ */
+export function recordSpan(name, options = {}) {
+  const span = startSpan(name, options);
+  if (options.error) {
+    span.recordError(options.error);
+  }
+  span.end(options.endTime);
+}
+
+/**
+ * Run an async function inside a span
+ * The span ends when the function settles and is marked failed if it throws.
+ * @param {string} name - Span name
+ * @param {Object} options - Span options (see startSpan)
+ * @param {Function} fn - Async function called with the span
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withSpan(name, options, fn) {
+  const span = startSpan(name, options);
+  try {
+    return await fn(span);
+  } catch (error) {
+    span.recordError(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+}
+
+export default {
+  SPAN_KIND,
+  parseTraceparent,
+  startSpan,
+  recordSpan,
+  withSpan,
+};
@@ -0,0 +1,120 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+
+import { testHome } from '../utils/test-home.js';
+import config from '../config.js';
+import { parseTraceparent, startSpan, withSpan, SPAN_KIND } from './tracer.js';
+import { flushTraces } from './exporter.js';
+
+const TRACE_FILE = join(testHome, 'traces.jsonl');
+const TRACEPARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+/**
+ * Flush the exporter and read the spans written to the trace file
+ * @returns {Promise<Array<Object>>} Exported spans
+ */
+async function readExportedSpans() {
+  await flushTraces();
+  const lines = readFileSync(TRACE_FILE, 'utf-8').trim().split('\n');
+  return lines.map((line) => JSON.parse(line));
+}
+
+before(() => {
+  config.tracing.exporter = 'file';
+  config.tracing.file = TRACE_FILE;
+});
+
+beforeEach(() => {
+  config.tracing.enabled = true;
+  rmSync(TRACE_FILE, { force: true });
+});
+
+describe('parseTraceparent', () => {
+  it('reads valid headers and rejects invalid ones', () => {
+    assert.deepEqual(parseTraceparent(TRACEPARENT), {
+      traceId: '0af7651916cd43dd8448eb211c80319c',
+      spanId: 'b7ad6b7169203331',
+      sampled: true,
+    });
+    assert.equal(parseTraceparent('ff-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01'), null);
+    assert.equal(parseTraceparent('00-00000000000000000000000000000000-b7ad6b7169203331-01'), null);
+    assert.equal(parseTraceparent('garbage'), null);
+    assert.equal(parseTraceparent(undefined), null);
+  });
+});
+
+describe('startSpan', () => {
+  it('returns a no-op span while tracing is disabled', () => {
+    config.tracing.enabled = false;
+    const span = startSpan('disabled');
+
+    assert.equal(span.recording, false);
+    assert.equal(startSpan('child', { parent: span }).recording, false);
+  });
+
+  it('continues an incoming trace and links children to their parent', async () => {
+    const root = startSpan('POST /v1/messages', { kind: SPAN_KIND.SERVER, traceparent: TRACEPARENT, attributes: { 'ccglm.client': 'anonymous' } });
+    const child = startSpan('upstream', { parent: root, kind: SPAN_KIND.CLIENT });
+    child.setAttributes({ 'gen_ai.request.model': 'glm-4.7', ignored: undefined });
+    child.end();
+    root.end();
+    root.setAttribute('late', true);
+
+    const [childSpan, rootSpan] = await readExportedSpans();
+    assert.equal(rootSpan.traceId, '0af7651916cd43dd8448eb211c80319c');
+    assert.equal(rootSpan.parentSpanId, 'b7ad6b7169203331');
+    assert.equal(childSpan.traceId, rootSpan.traceId);
+    assert.equal(childSpan.parentSpanId, rootSpan.spanId);
+    assert.deepEqual(childSpan.attributes, { 'gen_ai.request.model': 'glm-4.7' });
+    assert.deepEqual(rootSpan.attributes, { 'ccglm.client': 'anonymous' });
+    assert.equal(rootSpan.status.code, 1);
+  });
+});
+
+describe('withSpan', () => {
+  it('marks the span failed when the function throws', async () => {
+    await assert.rejects(withSpan('tool', {}, async () => {
+      throw new Error('tool broke');
+    }), /tool broke/);
+
+    const [span] = await readExportedSpans();
+    assert.equal(span.name, 'tool');
+    assert.deepEqual(span.status, { code: 2, message: 'tool broke' });
+    assert.equal(span.attributes['error.type'], 'Error');
+  });
+});
+
+describe('OTLP exporter', () => {
+  it('posts spans to the collector with the configured headers', async () => {
+    const received = [];
+    const collector = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        res.end('{}');
+      });
+    });
+    await new Promise((resolve) => collector.listen(0, '127.0.0.1', resolve));
+
+    config.tracing.exporter = 'otlp';
+    config.tracing.otlpEndpoint = `http://127.0.0.1:${collector.address().port}/v1/traces`;
+    config.tracing.otlpHeaders = 'x-team=proxy';
+    try {
+      startSpan('exported', { attributes: { count: 3 } }).end();
+      await flushTraces();
+    } finally {
+      config.tracing.exporter = 'file';
+      collector.close();
+    }
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['x-team'], 'proxy');
+    const [span] = received[0].body.resourceSpans[0].scopeSpans[0].spans;
+    assert.equal(span.name, 'exported');
+    assert.deepEqual(span.attributes, [{ key: 'count', value: { intValue: '3' } }]);
+  });
+});
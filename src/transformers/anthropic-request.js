@@ -4,7 +4,7 @@
  * Prepares requests for Z.ai's native Anthropic-compatible endpoint.
  * This is a lightweight transformer that does NOT convert formats (already Anthropic format),
  * only:
- * - Injects reasoning prompt to force step-by-step thinking
+ * - Sets native thinking, or injects the reasoning prompt for upstreams without it
  * - Injects internal tools in Anthropic format
  * - Selects model based on image content
  */
@@ -12,73 +12,25 @@
 import config from '../config.js';
 import { selectModel } from '../routing/model-router.js';
 import { getInjectedToolsAnthropic, getTriggeredMcpToolsForInjectionAnthropic } from '../tools/definitions.js';
-import { hasWebSearchTrigger } from '../tools/triggers.js';
+import { selectTools } from '../tools/selection.js';
+import { resolveThinking, getThinkingMode, buildAnthropicThinking, describeThinking } from '../reasoning/thinking.js';
+import { injectReasoningPromptAnthropic } from '../reasoning/injector.js';
+import { getReasoningProfile } from '../reasoning/profiles.js';
+import { prepareThinkingHistory, flattenSearchHistory } from './messages.js';
 import logger from '../utils/logger.js';
 
-/**
- * The reasoning prompt to inject before the last user message
- * Short and punchy to cut through large system prompts
- */
-const REASONING_PROMPT = `ultrathink really hard
-
-Think step-by-step in <reasoning_content> tags before answering.`;
-
-/**
- * Inject reasoning prompt into Anthropic format messages.
- * Inserts a user message with the reasoning prompt before the last user message.
- *
- * @param {Array} messages - Anthropic format messages array
- * @returns {Array} Messages with reasoning prompt injected
- */
-function injectReasoningPromptAnthropic(messages) {
-  if (!messages || messages.length === 0) {
-    return messages;
-  }
-
-  const result = [...messages];
-
-  // Find the last user message index
-  let lastUserIdx = -1;
-  for (let i = result.length - 1; i >= 0; i--) {
-    if (result[i].role === 'user') {
-      lastUserIdx = i;
-      break;
-    }
-  }
-
-  if (lastUserIdx >= 0) {
-    // Create a reasoning prompt message in Anthropic format
-    const reasoningMessage = {
-      role: 'user',
-      content: [{ type: 'text', text: REASONING_PROMPT }],
-    };
-
-    // We need to add a fake assistant response after the reasoning prompt
-    // to maintain the alternating user/assistant pattern required by Anthropic API
-    const assistantAck = {
-      role: 'assistant',
-      content: [{ type: 'text', text: 'I understand. I will think step by step and show my reasoning in <reasoning_content> tags before providing my final answer.' }],
-    };
-
-    // Insert before last user message
-    result.splice(lastUserIdx, 0, reasoningMessage, assistantAck);
-    logger.debug('anthropic-request', 'Injected reasoning prompt before last user message', {
-      insertIndex: lastUserIdx,
-      totalMessages: result.length,
-    });
-  }
-
-  return result;
-}
-
 /**
  * Prepare an Anthropic request for Z.ai's Anthropic-compatible endpoint.
  * Does NOT transform the format, just prepares it with reasoning prompt and tools.
  *
  * @param {Object} anthropicRequest - Original Anthropic format request
+ * @param {Object} options - Prepare options
+ * @param {string} options.textModel - Text model override (from a routing rule)
+ * @param {boolean} options.nativeThinking - Whether the upstream supports the thinking parameter (default true)
+ * @param {boolean} options.dryRun - Only inject MCP tools already discovered, never start an MCP (token counting)
  * @returns {Promise<Object>} Prepared request for Z.ai Anthropic endpoint
  */
-export async function prepareAnthropicRequest(anthropicRequest) {
+export async function prepareAnthropicRequest(anthropicRequest, options = {}) {
   const {
     model,
     max_tokens,
@@ -88,6 +40,7 @@ export async function prepareAnthropicRequest(anthropicRequest) {
     top_p,
     stop_sequences,
     tools: clientTools,
+    tool_choice: clientToolChoice,
     stream,
   } = anthropicRequest;
 
@@ -105,14 +58,15 @@ export async function prepareAnthropicRequest(anthropicRequest) {
 
   // Detect if CURRENT message contains images/videos for model selection
   // Previous media in conversation history don't require vision model
-  const { model: selectedModel, hasImages } = selectModel(lastMessage);
+  const { model: selectedModel, hasImages } = selectModel(lastMessage, { textModel: options.textModel });
 
-  // Web search tools - only inject if config enabled AND user triggered by keywords
+  // Web search tools - only inject if config enabled AND picked by tool selection
+  // (always on, a trigger match or relevance, see tools/selection.js)
   // This prevents GLM from spontaneously searching on every request
   // Claude Code's WebSearch/WebFetch calls are intercepted separately in anthropic-executor.js
   const configEnabled = config.webSearch?.enabled || false;
-  const userTriggered = configEnabled && hasWebSearchTrigger(messages);
-  const webSearchEnabled = userTriggered;
+  const selection = selectTools(messages);
+  const webSearchEnabled = selection.webSearch !== null;
 
   // Build tools array - combine injected tools with client tools (only if user triggered)
   const injectedTools = webSearchEnabled ? getInjectedToolsAnthropic() : [];
@@ -137,18 +91,74 @@ export async function prepareAnthropicRequest(anthropicRequest) {
 
   const actualClientCount = tools.length - injectedTools.length;
 
-  // Inject triggered MCP tools (lazy initialization)
-  const { tools: mcpTools, mcpIds } = await getTriggeredMcpToolsForInjectionAnthropic(messages);
+  // Inject selected MCP tools (lazy initialization)
+  const {
+    tools: mcpTools,
+    mcpIds,
+    prompts: mcpPrompts,
+    selections: mcpSelections,
+    triggered: mcpTriggered,
+  } = await getTriggeredMcpToolsForInjectionAnthropic(messages, selection, { dryRun: options.dryRun });
   tools.push(...mcpTools);
 
-  // Inject reasoning prompt if forceReasoning is enabled
-  const forceReasoning = config.reasoning?.forceReasoning ?? true;
-  let preparedMessages = forceReasoning
-    ? injectReasoningPromptAnthropic(messages || [])
-    : [...(messages || [])];
+  // Attach the prompts of triggered MCPs to the system prompt
+  let mcpSystem = system;
+  for (const prompt of mcpPrompts) {
+    if (Array.isArray(mcpSystem)) {
+      mcpSystem = [...mcpSystem, { type: 'text', text: prompt.text }];
+    } else {
+      mcpSystem = mcpSystem ? `${mcpSystem}\n\n${prompt.text}` : prompt.text;
+    }
+  }
 
-  // Inject MCP tool instructions if MCP tools are triggered
-  if (mcpTools.length > 0) {
+  // A client tool_choice other than 'auto' wins, otherwise force tool usage when the user triggered an MCP
+  let toolChoice;
+  if (tools.length > 0) {
+    if (clientToolChoice && clientToolChoice.type !== 'auto') {
+      toolChoice = clientToolChoice;
+    } else if (mcpTriggered) {
+      toolChoice = { type: 'any' };
+    } else {
+      toolChoice = clientToolChoice;
+    }
+  }
+
+  // Native thinking when the upstream supports it, otherwise the reasoning prompt.
+  // The thinking parameter cannot be combined with a forced tool_choice and needs
+  // room below max_tokens; when it cannot be sent the reasoning prompt stands in.
+  const maxTokens = max_tokens || 8192;
+  const thinking = resolveThinking(anthropicRequest);
+  let thinkingMode = getThinkingMode(thinking, options.nativeThinking ?? true);
+  let nativeThinking = null;
+  let nativeUnavailable = null;
+  if (thinkingMode === 'native') {
+    const toolsForced = ['any', 'tool'].includes(toolChoice?.type);
+    nativeThinking = toolsForced ? null : buildAnthropicThinking(thinking, maxTokens);
+    if (!nativeThinking && thinking.enabled) {
+      thinkingMode = 'prompt';
+      nativeUnavailable = toolsForced
+        ? 'tool_choice forces a tool'
+        : `max_tokens ${maxTokens} leaves no room for a thinking budget`;
+    }
+  }
+  const reasoningInjected = thinkingMode === 'prompt';
+  const reasoningProfile = getReasoningProfile(selectedModel);
+
+  // Earlier thinking stays as thinking blocks (native) or becomes tagged text (prompt)
+  const history = prepareThinkingHistory(flattenSearchHistory(messages || []), {
+    policy: config.reasoning.preserveThinking,
+    mode: thinkingMode,
+    tag: reasoningProfile.tag,
+  });
+
+  const withReasoning = reasoningInjected
+    ? injectReasoningPromptAnthropic(history, mcpSystem, reasoningProfile)
+    : { messages: [...history], system: mcpSystem };
+  const preparedMessages = withReasoning.messages;
+
+  // Inject MCP tool instructions if the user triggered an MCP
+  // (always-on and relevance tools are only offered)
+  if (mcpTriggered) {
     // Find the last user message index in prepared messages
     let lastUserIdx = -1;
     for (let i = preparedMessages.length - 1; i >= 0; i--) {
@@ -181,13 +191,18 @@ export async function prepareAnthropicRequest(anthropicRequest) {
   logger.info('anthropic-request', 'Request preparation summary', {
     selectedModel,
     hasImages,
-    reasoningInjected: forceReasoning,
+    thinking: thinking.enabled,
+    thinkingMode,
+    nativeUnavailable: nativeUnavailable || undefined,
+    reasoningInjected,
+    reasoningProfile: reasoningInjected ? reasoningProfile.name : undefined,
     webSearchConfigEnabled: configEnabled,
-    webSearchUserTriggered: userTriggered,
+    webSearchSelection: selection.webSearch?.reason,
     webSearchEnabled,
     injectedToolCount: injectedTools.length,
     mcpToolCount: mcpTools.length,
     mcpIds: mcpIds.length > 0 ? mcpIds : undefined,
+    mcpPrompts: mcpPrompts.length > 0 ? mcpPrompts.map(p => `${p.mcpId}/${p.name}`) : undefined,
     clientToolCount: actualClientCount,
     totalTools: tools.length,
   });
@@ -196,24 +211,26 @@ export async function prepareAnthropicRequest(anthropicRequest) {
   const preparedRequest = {
     model: selectedModel,
     messages: preparedMessages,
-    max_tokens: max_tokens || 8192,
+    max_tokens: maxTokens,
   };
 
   // Add system prompt if present
-  if (system) {
-    preparedRequest.system = system;
+  if (withReasoning.system) {
+    preparedRequest.system = withReasoning.system;
   }
 
   // Add tools if any
   if (tools.length > 0) {
     preparedRequest.tools = tools;
-
-    // Force tool usage when MCP tools are injected
-    if (mcpTools.length > 0) {
-      preparedRequest.tool_choice = { type: 'any' };
+    if (toolChoice) {
+      preparedRequest.tool_choice = toolChoice;
     }
   }
 
+  if (nativeThinking) {
+    preparedRequest.thinking = nativeThinking;
+  }
+
   // Add optional parameters
   if (temperature !== undefined) {
     preparedRequest.temperature = temperature;
@@ -242,34 +259,56 @@ export async function prepareAnthropicRequest(anthropicRequest) {
   // Build injection metadata for traffic monitoring
   const injections = [];
 
-  if (forceReasoning) {
+  const thinkingInjection = preparedRequest.thinking ? describeThinking(thinking, thinkingMode) : null;
+  if (thinkingInjection) {
+    injections.push(thinkingInjection);
+  }
+
+  if (reasoningInjected) {
+    const fallbackNote = nativeUnavailable ? `; native thinking not sent: ${nativeUnavailable}` : '';
     injections.push({
       type: 'reasoning_prompt',
-      description: 'Reasoning prompt injected before last user message',
-      content: REASONING_PROMPT,
-    });
-    injections.push({
-      type: 'assistant_acknowledgment',
-      description: 'Fake assistant acknowledgment to maintain alternating pattern',
-      content: 'I understand. I will think step by step and show my reasoning in <reasoning_content> tags before providing my final answer.',
+      description: reasoningProfile.position === 'system'
+        ? `Reasoning prompt appended to system prompt (${reasoningProfile.name} profile${fallbackNote})`
+        : `Reasoning prompt injected before last user message (${reasoningProfile.name} profile${fallbackNote})`,
+      content: reasoningProfile.prompt,
     });
+    if (reasoningProfile.position === 'messages') {
+      injections.push({
+        type: 'assistant_acknowledgment',
+        description: 'Fake assistant acknowledgment to maintain alternating pattern',
+        content: reasoningProfile.acknowledgment,
+      });
+    }
   }
 
   if (injectedTools.length > 0) {
     injections.push({
       type: 'tools',
-      description: `Injected ${injectedTools.length} web search tools`,
-      trigger: 'keyword',
+      description: `Injected ${injectedTools.length} web search tools: ${selection.webSearch.reason}`,
+      trigger: selection.webSearch.mode,
+      reason: selection.webSearch.reason,
       tools: injectedTools.map(t => t.name),
     });
   }
 
-  if (mcpTools.length > 0) {
+  for (const mcpSelection of mcpSelections.filter(s => s.tools.length > 0)) {
     injections.push({
       type: 'mcp_tools',
-      description: `Injected ${mcpTools.length} tools from MCPs: ${mcpIds.join(', ')}`,
-      mcpIds,
-      tools: mcpTools.map(t => t.name),
+      description: `Injected ${mcpSelection.tools.length} tools from ${mcpSelection.mcpId}: ${mcpSelection.reason}`,
+      trigger: mcpSelection.mode,
+      reason: mcpSelection.reason,
+      mcpIds: [mcpSelection.mcpId],
+      tools: mcpSelection.tools,
+    });
+  }
+
+  for (const prompt of mcpPrompts) {
+    injections.push({
+      type: 'mcp_prompt',
+      description: `MCP prompt '${prompt.name}' from ${prompt.mcpId} appended to system prompt`,
+      mcpIds: [prompt.mcpId],
+      content: prompt.text,
     });
   }
 
@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import { prepareAnthropicRequest } from './anthropic-request.js';
+
+const HELLO = { model: 'glm-4.7', messages: [{ role: 'user', content: 'Hi' }] };
+const TOOLS = [{ name: 'get_weather', input_schema: { type: 'object', properties: {} } }];
+
+/**
+ * Find the reasoning prompt injection of a prepared request
+ * @param {Object} prepared - Result of prepareAnthropicRequest
+ * @returns {Object|undefined} Injection entry
+ */
+function reasoningPrompt(prepared) {
+  return prepared.injections.find((injection) => injection.type === 'reasoning_prompt');
+}
+
+describe('prepareAnthropicRequest thinking', () => {
+  it('sends native thinking with a budget of at most half of max_tokens', async () => {
+    const prepared = await prepareAnthropicRequest({ ...HELLO, max_tokens: 4096 });
+
+    assert.deepEqual(prepared.request.thinking, { type: 'enabled', budget_tokens: 2048 });
+    assert.equal(reasoningPrompt(prepared), undefined);
+  });
+
+  it('falls back to the reasoning prompt when max_tokens is too small for a budget', async () => {
+    const prepared = await prepareAnthropicRequest({ ...HELLO, max_tokens: 1000 });
+
+    assert.equal(prepared.request.thinking, undefined);
+    assert.match(reasoningPrompt(prepared).description, /native thinking not sent: max_tokens 1000/);
+  });
+
+  it('falls back to the reasoning prompt when tool_choice forces a tool', async () => {
+    const prepared = await prepareAnthropicRequest({
+      ...HELLO,
+      max_tokens: 4096,
+      tools: TOOLS,
+      tool_choice: { type: 'tool', name: 'get_weather' },
+    });
+
+    assert.equal(prepared.request.thinking, undefined);
+    assert.deepEqual(prepared.request.tool_choice, { type: 'tool', name: 'get_weather' });
+    assert.match(reasoningPrompt(prepared).description, /tool_choice forces a tool/);
+  });
+
+  it('adds no reasoning prompt when the client disabled thinking', async () => {
+    const prepared = await prepareAnthropicRequest({ ...HELLO, max_tokens: 1000, thinking: { type: 'disabled' } });
+
+    assert.deepEqual(prepared.request.thinking, { type: 'disabled' });
+    assert.equal(reasoningPrompt(prepared), undefined);
+  });
+});
@@ -4,7 +4,7 @@
  * Cleans responses from Z.ai's Anthropic-compatible endpoint.
  * This is a lightweight processor that:
  * - Converts GLM-style reasoning_content to Anthropic thinking blocks
- * - Extracts reasoning from <reasoning_content> tags in text
+ * - Extracts reasoning from the reasoning profile's tags in text
  * - Filters out internal tool_use blocks (web_search, web_reader) when webSearch is enabled
  * - Filters out custom MCP tool_use blocks
  * - Sanitizes non-standard content block types (e.g., Z.ai server-side tool blocks)
@@ -39,9 +39,10 @@ function isInternalTool(toolName) {
  * and converting GLM-style reasoning to Anthropic thinking blocks.
  *
  * @param {Object} anthropicResponse - Response from Z.ai Anthropic endpoint
+ * @param {string} reasoningTag - Reasoning tag name from the model's reasoning profile (default 'reasoning_content')
  * @returns {Object} Cleaned response with internal tools filtered out
  */
-export function cleanAnthropicResponse(anthropicResponse) {
+export function cleanAnthropicResponse(anthropicResponse, reasoningTag = 'reasoning_content') {
   if (!anthropicResponse || anthropicResponse.type === 'error') {
     return anthropicResponse;
   }
@@ -99,8 +100,8 @@ export function cleanAnthropicResponse(anthropicResponse) {
         clientToolBlocks.push(block);
       }
     } else if (block.type === 'text') {
-      // Check for <reasoning_content> tags in text blocks
-      const extracted = extractReasoning(block.text);
+      // Check for reasoning tags in text blocks
+      const extracted = extractReasoning(block.text, reasoningTag);
 
       if (extracted.reasoning && !anthropicResponse.reasoning_content) {
         // Only add if we didn't already get reasoning_content at message level
@@ -28,6 +28,180 @@ export function extractTextFromContent(content) {
   return textParts.join('\n');
 }
 
+/**
+ * Join the thinking blocks of Anthropic content
+ * @param {string|Array} content - Anthropic message content
+ * @returns {string} Thinking text ('' if there is none)
+ */
+export function extractThinkingFromContent(content) {
+  if (!Array.isArray(content)) {
+    return '';
+  }
+
+  return content
+    .filter((block) => block.type === 'thinking' && block.thinking)
+    .map((block) => block.thinking)
+    .join('\n');
+}
+
+/**
+ * Find where the turn containing a message starts: the last user message at
+ * or before it that is not only tool results. Assistant messages after that
+ * belong to the same (possibly multi-step, tool-using) turn.
+ * @param {Array} messages - Anthropic format messages
+ * @param {number} index - Index of a message in the turn
+ * @returns {number} Index of the message that started the turn (-1 if none)
+ */
+function findTurnStart(messages, index) {
+  for (let i = index; i >= 0; i--) {
+    const { role, content } = messages[i];
+    if (role !== 'user') {
+      continue;
+    }
+    if (!Array.isArray(content) || content.some((block) => block.type !== 'tool_result')) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find where the last assistant turn starts
+ * In a tool loop that is the current turn; otherwise the turn of the previous answer.
+ * @param {Array} messages - Anthropic format messages
+ * @returns {number} Index of the message that started it (messages.length if there is no assistant message)
+ */
+function findLastAssistantTurnStart(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'assistant') {
+      return findTurnStart(messages, i);
+    }
+  }
+  return messages.length;
+}
+
+/**
+ * Apply the prior-turn thinking policy to Anthropic messages
+ * - 'all': keep every thinking block
+ * - 'last': keep only the thinking of the last assistant turn, with its tool loop
+ * - 'strip': remove every thinking block
+ *
+ * @param {Array} messages - Anthropic format messages
+ * @param {string} policy - 'all', 'last' or 'strip'
+ * @returns {Array} Messages with the dropped thinking blocks removed
+ */
+export function applyThinkingPolicy(messages, policy) {
+  if (policy === 'all') {
+    return messages;
+  }
+
+  const keepFrom = policy === 'last' ? findLastAssistantTurnStart(messages) : messages.length;
+  let dropped = 0;
+
+  const result = messages.map((message, index) => {
+    if (message.role !== 'assistant' || !Array.isArray(message.content) || index > keepFrom) {
+      return message;
+    }
+    const content = message.content.filter((block) => block.type !== 'thinking');
+    if (content.length === message.content.length) {
+      return message;
+    }
+    dropped += message.content.length - content.length;
+    return { ...message, content };
+  });
+
+  if (dropped > 0) {
+    logger.debug('Dropped prior-turn thinking blocks', { policy, dropped });
+  }
+
+  return result;
+}
+
+/**
+ * Turn thinking blocks into <tag>...</tag> text blocks, for upstreams that
+ * only see reasoning as tagged text (the reasoning prompt fallback)
+ *
+ * @param {Array} messages - Anthropic format messages
+ * @param {string} tag - Reasoning tag name
+ * @returns {Array} Messages with thinking blocks inlined as text
+ */
+export function inlineThinking(messages, tag) {
+  return messages.map((message) => {
+    if (message.role !== 'assistant' || !Array.isArray(message.content)
+      || !message.content.some((block) => block.type === 'thinking')) {
+      return message;
+    }
+    return {
+      ...message,
+      content: message.content
+        .filter((block) => block.type !== 'thinking' || block.thinking)
+        .map((block) => (block.type === 'thinking'
+          ? { type: 'text', text: `<${tag}>${block.thinking}</${tag}>` }
+          : block)),
+    };
+  });
+}
+
+/**
+ * Prepare earlier thinking for the upstream
+ * Applies the policy, then keeps thinking blocks as they are for native
+ * thinking, inlines them as tagged text for the reasoning prompt fallback,
+ * and strips them when the request does not think.
+ *
+ * @param {Array} messages - Anthropic format messages
+ * @param {Object} options - Options
+ * @param {string} options.policy - Thinking policy ('all', 'last' or 'strip')
+ * @param {string} options.mode - Thinking mode from getThinkingMode ('native', 'prompt' or 'off')
+ * @param {string} options.tag - Reasoning tag name for the 'prompt' mode
+ * @returns {Array} Messages to send
+ */
+export function prepareThinkingHistory(messages, { policy, mode, tag }) {
+  const kept = applyThinkingPolicy(messages, mode === 'off' ? 'strip' : policy);
+  return mode === 'prompt' ? inlineThinking(kept, tag) : kept;
+}
+
+/**
+ * Flatten surfaced web search blocks (see tools/citations.js) in history
+ * Upstreams know nothing about server_tool_use blocks, so each result becomes
+ * a text block listing its sources, and citations are dropped from text blocks.
+ *
+ * @param {Array} messages - Anthropic format messages
+ * @returns {Array} Messages without search blocks
+ */
+export function flattenSearchHistory(messages) {
+  return messages.map((message) => {
+    if (message.role !== 'assistant' || !Array.isArray(message.content)
+      || !message.content.some((block) => block.type === 'server_tool_use' || block.type?.endsWith('_tool_result') || block.citations)) {
+      return message;
+    }
+
+    const queries = new Map(message.content
+      .filter((block) => block.type === 'server_tool_use')
+      .map((block) => [block.id, block.input?.query || block.input?.url || '']));
+
+    const content = message.content.flatMap((block) => {
+      if (block.type === 'server_tool_use') {
+        return [];
+      }
+      if (block.type === 'web_search_tool_result' || block.type === 'web_fetch_tool_result') {
+        const results = Array.isArray(block.content) ? block.content : [block.content?.url ? block.content : null];
+        const lines = results.filter((result) => result?.url).map((result, index) => (
+          `[${index + 1}] ${result.title || result.content?.title || result.url}\nURL: ${result.url}`
+        ));
+        const label = block.type === 'web_search_tool_result' ? 'Web search' : 'Web fetch';
+        return [{ type: 'text', text: `${label}: ${queries.get(block.tool_use_id) || ''}\n${lines.join('\n') || 'No results.'}` }];
+      }
+      if (block.type === 'text' && block.citations) {
+        const { citations, ...rest } = block;
+        return [rest];
+      }
+      return [block];
+    });
+
+    return { ...message, content };
+  });
+}
+
 /**
  * Transform Anthropic image block to OpenAI image_url format
  *
@@ -212,7 +386,8 @@ export function convertContentToOpenAI(content) {
 
 /**
  * Convert a single Anthropic message to OpenAI format
- * Handles user messages, assistant messages with tool_use, and user messages with tool_result
+ * Handles user messages, assistant messages with tool_use, and user messages with tool_result.
+ * Thinking blocks in assistant messages become GLM's reasoning_content field.
  *
  * @param {Object} message - Anthropic message
  * @returns {Object|Array} OpenAI formatted message(s) - may return array for tool_result handling
@@ -250,6 +425,8 @@ export function convertMessageToOpenAI(message) {
     }
   }
 
+  const reasoning = role === 'assistant' ? extractThinkingFromContent(content) : '';
+
   // Handle assistant messages with tool_use blocks
   if (role === 'assistant' && Array.isArray(content)) {
     const toolUses = content.filter((block) => block.type === 'tool_use');
@@ -259,6 +436,7 @@ export function convertMessageToOpenAI(message) {
       const assistantMessage = {
         role: 'assistant',
         content: textContent.length > 0 ? textContent.map((b) => b.text).join('\n') : null,
+        ...(reasoning ? { reasoning_content: reasoning } : {}),
         tool_calls: toolUses.map((block) => ({
           id: block.id,
           type: 'function',
@@ -276,6 +454,7 @@ export function convertMessageToOpenAI(message) {
   return {
     role,
     content: convertContentToOpenAI(content),
+    ...(reasoning ? { reasoning_content: reasoning } : {}),
   };
 }
 
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  extractThinkingFromContent,
+  applyThinkingPolicy,
+  inlineThinking,
+  prepareThinkingHistory,
+  flattenSearchHistory,
+  convertMessageToOpenAI,
+} from './messages.js';
+
+/**
+ * Build an assistant turn with a thinking block
+ * @param {string} thinking - Thinking text
+ * @param {Array} rest - Other content blocks
+ * @returns {Object} Anthropic assistant message
+ */
+function assistant(thinking, ...rest) {
+  return { role: 'assistant', content: [{ type: 'thinking', thinking, signature: 'sig' }, ...rest] };
+}
+
+const TOOL_USE = { type: 'tool_use', id: 'call_1', name: 'read_file', input: { path: 'a.js' } };
+
+// Two turns; the second (current) one is a tool loop with two assistant steps
+const CONVERSATION = [
+  { role: 'user', content: 'First question' },
+  assistant('Old thought', { type: 'text', text: 'Old answer' }),
+  { role: 'user', content: 'Second question' },
+  assistant('Step one', TOOL_USE),
+  { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'file' }] },
+  assistant('Step two', { type: 'text', text: 'Done' }),
+];
+
+/**
+ * List the thinking kept in each assistant message
+ * @param {Array} messages - Anthropic format messages
+ * @returns {Array<string>} Thinking text per assistant message
+ */
+function thinkingPerTurn(messages) {
+  return messages.filter((m) => m.role === 'assistant').map((m) => extractThinkingFromContent(m.content));
+}
+
+describe('applyThinkingPolicy', () => {
+  it('keeps every thinking block with the all policy', () => {
+    assert.equal(applyThinkingPolicy(CONVERSATION, 'all'), CONVERSATION);
+  });
+
+  it('keeps the whole current tool loop with the last policy', () => {
+    assert.deepEqual(thinkingPerTurn(applyThinkingPolicy(CONVERSATION, 'last')), ['', 'Step one', 'Step two']);
+  });
+
+  it('keeps the previous answer\'s thinking in plain chat with the last policy', () => {
+    const chat = [
+      { role: 'user', content: 'First question' },
+      assistant('First thought', { type: 'text', text: 'First answer' }),
+      { role: 'user', content: 'Second question' },
+      assistant('Second thought', { type: 'text', text: 'Second answer' }),
+      { role: 'user', content: 'Third question' },
+    ];
+
+    assert.deepEqual(thinkingPerTurn(applyThinkingPolicy(chat, 'last')), ['', 'Second thought']);
+    assert.deepEqual(thinkingPerTurn(applyThinkingPolicy(chat, 'strip')), ['', '']);
+  });
+
+  it('removes every thinking block with the strip policy', () => {
+    const stripped = applyThinkingPolicy(CONVERSATION, 'strip');
+
+    assert.deepEqual(thinkingPerTurn(stripped), ['', '', '']);
+    assert.deepEqual(stripped[3].content, [TOOL_USE]);
+    assert.equal(CONVERSATION[3].content.length, 2, 'input is not modified');
+  });
+});
+
+describe('inlineThinking', () => {
+  it('turns thinking blocks into tagged text and drops empty ones', () => {
+    const [message] = inlineThinking([
+      { role: 'assistant', content: [{ type: 'thinking', thinking: '' }, { type: 'thinking', thinking: 'Hmm' }, { type: 'text', text: 'Hi' }] },
+    ], 'think');
+
+    assert.deepEqual(message.content, [{ type: 'text', text: '<think>Hmm</think>' }, { type: 'text', text: 'Hi' }]);
+  });
+});
+
+describe('prepareThinkingHistory', () => {
+  it('keeps blocks for native thinking, inlines them for the prompt fallback and strips them when off', () => {
+    const native = prepareThinkingHistory(CONVERSATION, { policy: 'all', mode: 'native', tag: 'think' });
+    const prompt = prepareThinkingHistory(CONVERSATION, { policy: 'last', mode: 'prompt', tag: 'think' });
+    const off = prepareThinkingHistory(CONVERSATION, { policy: 'all', mode: 'off', tag: 'think' });
+
+    assert.equal(native[1].content[0].type, 'thinking');
+    assert.deepEqual(prompt[1].content, [{ type: 'text', text: 'Old answer' }]);
+    assert.deepEqual(prompt[5].content[0], { type: 'text', text: '<think>Step two</think>' });
+    assert.deepEqual(thinkingPerTurn(off), ['', '', '']);
+  });
+});
+
+describe('flattenSearchHistory', () => {
+  it('turns surfaced search blocks into text and drops citations', () => {
+    const [message] = flattenSearchHistory([{
+      role: 'assistant',
+      content: [
+        { type: 'server_tool_use', id: 'srvtoolu_1', name: 'web_search', input: { query: 'node 22' } },
+        {
+          type: 'web_search_tool_result',
+          tool_use_id: 'srvtoolu_1',
+          content: [{ type: 'web_search_result', url: 'https://nodejs.org/docs', title: 'Docs' }],
+        },
+        { type: 'text', text: 'See the docs.', citations: [{ type: 'web_search_result_location', url: 'https://nodejs.org/docs' }] },
+      ],
+    }]);
+
+    assert.deepEqual(message.content, [
+      { type: 'text', text: 'Web search: node 22\n[1] Docs\nURL: https://nodejs.org/docs' },
+      { type: 'text', text: 'See the docs.' },
+    ]);
+  });
+});
+
+describe('convertMessageToOpenAI', () => {
+  it('sends earlier thinking as reasoning_content', () => {
+    assert.deepEqual(convertMessageToOpenAI(CONVERSATION[1]), {
+      role: 'assistant',
+      content: 'Old answer',
+      reasoning_content: 'Old thought',
+    });
+  });
+
+  it('keeps reasoning_content on tool-calling turns', () => {
+    const message = convertMessageToOpenAI(CONVERSATION[3]);
+
+    assert.equal(message.reasoning_content, 'Step one');
+    assert.equal(message.content, null);
+    assert.equal(message.tool_calls[0].function.name, 'read_file');
+  });
+});
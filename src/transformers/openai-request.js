@@ -0,0 +1,351 @@
+/**
+ * Request Transformer: OpenAI Chat Completions (client) -> Anthropic Messages API
+ *
+ * Used by the /v1/chat/completions ingress so OpenAI-compatible clients go
+ * through the same routing, tool loop and MCP injection as /v1/messages.
+ *
+ * OpenAI clients opt into thinking with reasoning_effort; without it the
+ * request is sent with thinking disabled, whatever Force Reasoning says.
+ */
+
+import { InvalidRequestError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+// reasoning_effort -> Anthropic budget_tokens (each maps back to the same effort tier)
+const EFFORT_BUDGETS = {
+  none: null,
+  minimal: null,
+  low: 4000,
+  medium: 16000,
+  high: 32000,
+};
+
+/**
+ * Transform an OpenAI Chat Completions request to Anthropic Messages API format
+ * @param {Object} chatRequest - OpenAI format request
+ * @returns {Object} Anthropic format request
+ * @throws {InvalidRequestError} If the request cannot be represented
+ */
+export function transformChatRequest(chatRequest) {
+  if (!chatRequest || typeof chatRequest !== 'object') {
+    throw new InvalidRequestError('Request body must be a JSON object');
+  }
+
+  if (!Array.isArray(chatRequest.messages)) {
+    throw new InvalidRequestError('messages must be an array');
+  }
+
+  if (chatRequest.n !== undefined && chatRequest.n !== 1) {
+    throw new InvalidRequestError('n must be 1 (multiple choices are not supported)');
+  }
+
+  const systemParts = [];
+  const messages = [];
+
+  chatRequest.messages.forEach((msg, index) => {
+    if (!msg || typeof msg !== 'object') {
+      throw new InvalidRequestError(`messages[${index}] must be an object`);
+    }
+
+    switch (msg.role) {
+      case 'system':
+      case 'developer':
+        systemParts.push(extractText(msg.content));
+        break;
+
+      case 'user':
+        appendMessage(messages, 'user', convertUserContent(msg.content, index));
+        break;
+
+      case 'assistant': {
+        // Anthropic rejects empty assistant turns, so a turn with nothing in it is dropped
+        const content = convertAssistantMessage(msg);
+        if (content.length > 0) {
+          appendMessage(messages, 'assistant', content);
+        }
+        break;
+      }
+
+      case 'tool':
+      case 'function':
+        appendMessage(messages, 'user', [{
+          type: 'tool_result',
+          tool_use_id: msg.tool_call_id || msg.name,
+          content: extractText(msg.content),
+        }]);
+        break;
+
+      default:
+        throw new InvalidRequestError(
+          `messages[${index}].role must be one of: system, developer, user, assistant, tool`
+        );
+    }
+  });
+
+  const anthropicRequest = {
+    model: chatRequest.model,
+    messages,
+    stream: chatRequest.stream === true,
+  };
+
+  const system = systemParts.filter(Boolean).join('\n\n');
+  if (system) {
+    anthropicRequest.system = system;
+  }
+
+  const maxTokens = chatRequest.max_completion_tokens ?? chatRequest.max_tokens;
+  if (maxTokens !== undefined && maxTokens !== null) {
+    anthropicRequest.max_tokens = maxTokens;
+  }
+
+  if (chatRequest.temperature !== undefined && chatRequest.temperature !== null) {
+    anthropicRequest.temperature = chatRequest.temperature;
+  }
+
+  if (chatRequest.top_p !== undefined && chatRequest.top_p !== null) {
+    anthropicRequest.top_p = chatRequest.top_p;
+  }
+
+  if (chatRequest.stop) {
+    anthropicRequest.stop_sequences = Array.isArray(chatRequest.stop)
+      ? chatRequest.stop
+      : [chatRequest.stop];
+  }
+
+  if (Array.isArray(chatRequest.tools) && chatRequest.tools.length > 0) {
+    anthropicRequest.tools = chatRequest.tools.map(convertTool);
+  }
+
+  const toolChoice = convertToolChoice(chatRequest.tool_choice, chatRequest.parallel_tool_calls);
+  if (toolChoice) {
+    anthropicRequest.tool_choice = toolChoice;
+  }
+
+  anthropicRequest.thinking = convertReasoningEffort(chatRequest.reasoning_effort, anthropicRequest.max_tokens);
+
+  logger.debug('openai-ingress', 'Transformed chat completion request', {
+    model: anthropicRequest.model,
+    inputMessages: chatRequest.messages.length,
+    outputMessages: messages.length,
+    hasSystem: !!system,
+    toolCount: anthropicRequest.tools?.length || 0,
+    toolChoice: anthropicRequest.tool_choice?.type,
+    thinking: anthropicRequest.thinking.budget_tokens || anthropicRequest.thinking.type,
+    stream: anthropicRequest.stream,
+  });
+
+  return anthropicRequest;
+}
+
+/**
+ * Append content to the message list, merging consecutive same-role messages
+ * (e.g. several tool results followed by a user turn become one user message)
+ * @param {Array} messages - Anthropic messages being built
+ * @param {string} role - Message role
+ * @param {Array} content - Anthropic content blocks
+ */
+function appendMessage(messages, role, content) {
+  const last = messages[messages.length - 1];
+  if (last && last.role === role) {
+    last.content.push(...content);
+    return;
+  }
+  messages.push({ role, content });
+}
+
+/**
+ * Convert OpenAI user message content to Anthropic content blocks
+ * @param {string|Array|null} content - OpenAI message content
+ * @param {number} index - Message index (for error messages)
+ * @returns {Array} Anthropic content blocks
+ */
+function convertUserContent(content, index) {
+  if (typeof content === 'string') {
+    return [{ type: 'text', text: content }];
+  }
+
+  if (!Array.isArray(content)) {
+    return [{ type: 'text', text: '' }];
+  }
+
+  return content.map((part, partIndex) => {
+    switch (part?.type) {
+      case 'text':
+        return { type: 'text', text: part.text || '' };
+
+      case 'image_url':
+        return convertImagePart(part.image_url);
+
+      default:
+        throw new InvalidRequestError(
+          `messages[${index}].content[${partIndex}].type '${part?.type}' is not supported`
+        );
+    }
+  });
+}
+
+/**
+ * Convert an OpenAI image_url part to an Anthropic image block
+ * Data URIs become base64 sources, anything else is passed as a URL source
+ * @param {Object|string} imageUrl - OpenAI image_url object (or bare URL)
+ * @returns {Object} Anthropic image block
+ */
+function convertImagePart(imageUrl) {
+  const url = typeof imageUrl === 'string' ? imageUrl : imageUrl?.url || '';
+  const dataUri = url.match(/^data:([^;,]+);base64,(.*)$/s);
+
+  if (dataUri) {
+    return {
+      type: 'image',
+      source: {
+        type: 'base64',
+        media_type: dataUri[1],
+        data: dataUri[2],
+      },
+    };
+  }
+
+  return {
+    type: 'image',
+    source: { type: 'url', url },
+  };
+}
+
+/**
+ * Convert an OpenAI assistant message to Anthropic content blocks
+ * @param {Object} msg - OpenAI assistant message
+ * @returns {Array} Anthropic content blocks
+ */
+function convertAssistantMessage(msg) {
+  const content = [];
+
+  if (msg.reasoning_content) {
+    content.push({ type: 'thinking', thinking: msg.reasoning_content });
+  }
+
+  const text = extractText(msg.content);
+  if (text) {
+    content.push({ type: 'text', text });
+  }
+
+  for (const toolCall of msg.tool_calls || []) {
+    let input = {};
+    try {
+      input = toolCall.function?.arguments ? JSON.parse(toolCall.function.arguments) : {};
+    } catch (parseError) {
+      logger.warn('openai-ingress', 'Failed to parse assistant tool call arguments', {
+        toolName: toolCall.function?.name,
+        error: parseError.message,
+      });
+    }
+
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      input,
+    });
+  }
+
+  return content;
+}
+
+/**
+ * Convert an OpenAI function tool definition to Anthropic format
+ * @param {Object} tool - OpenAI tool definition
+ * @param {number} index - Tool index (for error messages)
+ * @returns {Object} Anthropic tool definition
+ */
+function convertTool(tool, index) {
+  if (tool?.type !== 'function' || !tool.function?.name) {
+    throw new InvalidRequestError(`tools[${index}] must be a function tool with a name`);
+  }
+
+  return {
+    name: tool.function.name,
+    description: tool.function.description || '',
+    input_schema: tool.function.parameters || { type: 'object', properties: {} },
+  };
+}
+
+/**
+ * Convert an OpenAI tool_choice to Anthropic format
+ * @param {string|Object|undefined} toolChoice - OpenAI tool_choice ('none', 'auto', 'required' or a function)
+ * @param {boolean|undefined} parallelToolCalls - OpenAI parallel_tool_calls
+ * @returns {Object|null} Anthropic tool_choice, or null if the client sent none
+ * @throws {InvalidRequestError} If the tool_choice is not recognized
+ */
+function convertToolChoice(toolChoice, parallelToolCalls) {
+  let converted;
+  if (toolChoice === undefined || toolChoice === null) {
+    if (parallelToolCalls !== false) {
+      return null;
+    }
+    converted = { type: 'auto' };
+  } else if (toolChoice === 'none') {
+    return { type: 'none' };
+  } else if (toolChoice === 'auto') {
+    converted = { type: 'auto' };
+  } else if (toolChoice === 'required') {
+    converted = { type: 'any' };
+  } else if (toolChoice?.type === 'function' && toolChoice.function?.name) {
+    converted = { type: 'tool', name: toolChoice.function.name };
+  } else {
+    throw new InvalidRequestError(
+      "tool_choice must be 'none', 'auto', 'required' or { type: 'function', function: { name } }"
+    );
+  }
+
+  if (parallelToolCalls === false) {
+    converted.disable_parallel_tool_use = true;
+  }
+  return converted;
+}
+
+/**
+ * Convert OpenAI reasoning_effort to the Anthropic thinking parameter
+ * A budget that does not fit below max_tokens is left out, so the proxy's
+ * default budget for that max_tokens applies.
+ * @param {string} effort - reasoning_effort ('none', 'minimal', 'low', 'medium' or 'high')
+ * @param {number} maxTokens - Request max_tokens, if given
+ * @returns {Object} Anthropic thinking parameter (disabled when no effort was asked for)
+ * @throws {InvalidRequestError} If the effort is not recognized
+ */
+function convertReasoningEffort(effort, maxTokens) {
+  if (effort === undefined || effort === null) {
+    return { type: 'disabled' };
+  }
+  if (!Object.hasOwn(EFFORT_BUDGETS, effort)) {
+    throw new InvalidRequestError(`reasoning_effort must be one of: ${Object.keys(EFFORT_BUDGETS).join(', ')}`);
+  }
+
+  const budgetTokens = EFFORT_BUDGETS[effort];
+  if (!budgetTokens) {
+    return { type: 'disabled' };
+  }
+  return maxTokens && budgetTokens >= maxTokens
+    ? { type: 'enabled' }
+    : { type: 'enabled', budget_tokens: budgetTokens };
+}
+
+/**
+ * Extract plain text from OpenAI message content (string or parts array)
+ * @param {string|Array|null} content - OpenAI message content
+ * @returns {string} Joined text
+ */
+function extractText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .filter((part) => part?.type === 'text')
+      .map((part) => part.text || '')
+      .join('\n');
+  }
+
+  return '';
+}
+
+export default transformChatRequest;
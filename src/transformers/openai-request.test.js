@@ -0,0 +1,165 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { transformChatRequest } from './openai-request.js';
+import { InvalidRequestError } from '../utils/errors.js';
+
+const TOOLS = [{
+  type: 'function',
+  function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } },
+}];
+
+describe('transformChatRequest', () => {
+  it('moves system messages to the system field and keeps the rest in order', () => {
+    const request = transformChatRequest({
+      model: 'glm-4.7',
+      max_tokens: 100,
+      stop: 'END',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Hi' },
+        { role: 'assistant', content: 'Hello!' },
+        { role: 'user', content: 'Bye' },
+      ],
+    });
+
+    assert.equal(request.system, 'Be brief.');
+    assert.equal(request.max_tokens, 100);
+    assert.deepEqual(request.stop_sequences, ['END']);
+    assert.deepEqual(request.messages.map((m) => m.role), ['user', 'assistant', 'user']);
+  });
+
+  it('converts tool calls and merges tool results into one user turn', () => {
+    const request = transformChatRequest({
+      model: 'glm-4.7',
+      tools: TOOLS,
+      messages: [
+        { role: 'user', content: 'Weather in Paris and Rome?' },
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            { id: 'call_1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+            { id: 'call_2', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Rome"}' } },
+          ],
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+        { role: 'tool', tool_call_id: 'call_2', content: 'Rain' },
+      ],
+    });
+
+    assert.equal(request.tools[0].name, 'get_weather');
+    assert.deepEqual(request.messages[1].content[0], {
+      type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' },
+    });
+    assert.equal(request.messages.length, 3);
+    assert.deepEqual(request.messages[2].content.map((b) => b.tool_use_id), ['call_1', 'call_2']);
+  });
+
+  it('drops assistant turns with no content instead of sending an empty text block', () => {
+    const request = transformChatRequest({
+      model: 'glm-4.7',
+      messages: [
+        { role: 'user', content: 'First' },
+        { role: 'assistant', content: '' },
+        { role: 'user', content: 'Second' },
+      ],
+    });
+
+    assert.equal(request.messages.length, 1);
+    assert.equal(request.messages[0].role, 'user');
+    assert.deepEqual(request.messages[0].content.map((b) => b.text), ['First', 'Second']);
+  });
+
+  it('converts data URI images to base64 image blocks', () => {
+    const request = transformChatRequest({
+      model: 'glm-4.7',
+      messages: [{
+        role: 'user',
+        content: [
+          { type: 'text', text: 'What is this?' },
+          { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } },
+        ],
+      }],
+    });
+
+    assert.deepEqual(request.messages[0].content[1], {
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' },
+    });
+  });
+
+  describe('tool_choice', () => {
+    const base = { model: 'glm-4.7', tools: TOOLS, messages: [{ role: 'user', content: 'Hi' }] };
+
+    it('maps none, auto and required', () => {
+      assert.deepEqual(transformChatRequest({ ...base, tool_choice: 'none' }).tool_choice, { type: 'none' });
+      assert.deepEqual(transformChatRequest({ ...base, tool_choice: 'auto' }).tool_choice, { type: 'auto' });
+      assert.deepEqual(transformChatRequest({ ...base, tool_choice: 'required' }).tool_choice, { type: 'any' });
+    });
+
+    it('maps a named function to a tool choice', () => {
+      const request = transformChatRequest({
+        ...base,
+        tool_choice: { type: 'function', function: { name: 'get_weather' } },
+      });
+      assert.deepEqual(request.tool_choice, { type: 'tool', name: 'get_weather' });
+    });
+
+    it('maps parallel_tool_calls false to disable_parallel_tool_use', () => {
+      assert.deepEqual(
+        transformChatRequest({ ...base, tool_choice: 'required', parallel_tool_calls: false }).tool_choice,
+        { type: 'any', disable_parallel_tool_use: true }
+      );
+      assert.deepEqual(
+        transformChatRequest({ ...base, parallel_tool_calls: false }).tool_choice,
+        { type: 'auto', disable_parallel_tool_use: true }
+      );
+    });
+
+    it('leaves tool_choice unset when the client sent none', () => {
+      assert.equal(transformChatRequest(base).tool_choice, undefined);
+    });
+
+    it('rejects an unknown tool_choice', () => {
+      assert.throws(() => transformChatRequest({ ...base, tool_choice: 'always' }), InvalidRequestError);
+    });
+  });
+
+  describe('reasoning_effort', () => {
+    const base = { model: 'glm-4.7', messages: [{ role: 'user', content: 'Hi' }] };
+
+    it('disables thinking unless the client asks for it', () => {
+      assert.deepEqual(transformChatRequest(base).thinking, { type: 'disabled' });
+      assert.deepEqual(transformChatRequest({ ...base, reasoning_effort: 'minimal' }).thinking, { type: 'disabled' });
+    });
+
+    it('maps effort to a thinking budget', () => {
+      assert.deepEqual(transformChatRequest({ ...base, reasoning_effort: 'low' }).thinking, {
+        type: 'enabled', budget_tokens: 4000,
+      });
+    });
+
+    it('leaves out a budget that does not fit below max_tokens', () => {
+      assert.deepEqual(
+        transformChatRequest({ ...base, max_tokens: 1000, reasoning_effort: 'high' }).thinking,
+        { type: 'enabled' }
+      );
+    });
+
+    it('rejects an unknown effort', () => {
+      assert.throws(() => transformChatRequest({ ...base, reasoning_effort: 'extreme' }), InvalidRequestError);
+    });
+  });
+
+  it('rejects unsupported roles and n > 1', () => {
+    assert.throws(
+      () => transformChatRequest({ model: 'glm-4.7', messages: [{ role: 'robot', content: 'Hi' }] }),
+      InvalidRequestError
+    );
+    assert.throws(
+      () => transformChatRequest({ model: 'glm-4.7', n: 2, messages: [{ role: 'user', content: 'Hi' }] }),
+      InvalidRequestError
+    );
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Response Transformer: Anthropic Messages API -> OpenAI Chat Completions (client)
+ *
+ * Used by the /v1/chat/completions ingress to hand the proxy's Anthropic
+ * responses back to OpenAI-compatible clients.
+ */
+
+/**
+ * Map Anthropic stop_reason to OpenAI finish_reason
+ * @param {string} stopReason - Anthropic stop reason
+ * @returns {string} OpenAI finish reason
+ */
+export function mapFinishReason(stopReason) {
+  const mapping = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    pause_turn: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls',
+    refusal: 'content_filter',
+  };
+
+  return mapping[stopReason] || 'stop';
+}
+
+/**
+ * Convert an Anthropic message ID to a chat completion ID
+ * @param {string} messageId - Anthropic message ID
+ * @returns {string} Chat completion ID
+ */
+export function toCompletionId(messageId) {
+  const suffix = (messageId || `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`)
+    .replace(/^msg_/, '');
+  return `chatcmpl-${suffix}`;
+}
+
+/**
+ * Convert Anthropic usage to OpenAI usage
+ * @param {Object} usage - Anthropic usage object
+ * @returns {Object} OpenAI usage object
+ */
+export function toChatUsage(usage = {}) {
+  // OpenAI prompt_tokens include cached tokens, Anthropic input_tokens do not
+  const cachedTokens = usage.cache_read_input_tokens || 0;
+  const promptTokens = (usage.input_tokens || 0) + cachedTokens;
+  const completionTokens = usage.output_tokens || 0;
+
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    ...(cachedTokens > 0 && { prompt_tokens_details: { cached_tokens: cachedTokens } }),
+  };
+}
+
+/**
+ * Transform an Anthropic response to OpenAI Chat Completions format
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {string} requestedModel - Model name from the client request
+ * @returns {Object} OpenAI chat.completion object
+ */
+export function transformChatResponse(anthropicResponse, requestedModel) {
+  const textParts = [];
+  const thinkingParts = [];
+  const toolCalls = [];
+
+  for (const block of anthropicResponse.content || []) {
+    if (block.type === 'text') {
+      textParts.push(block.text);
+    } else if (block.type === 'thinking') {
+      thinkingParts.push(block.thinking);
+    } else if (block.type === 'tool_use') {
+      toolCalls.push({
+        id: block.id,
+        type: 'function',
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input || {}),
+        },
+      });
+    }
+  }
+
+  const message = {
+    role: 'assistant',
+    content: textParts.length > 0 ? textParts.join('') : null,
+  };
+
+  if (thinkingParts.length > 0) {
+    message.reasoning_content = thinkingParts.join('\n');
+  }
+
+  if (toolCalls.length > 0) {
+    message.tool_calls = toolCalls;
+  }
+
+  return {
+    id: toCompletionId(anthropicResponse.id),
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    // OpenAI clients expect the model they asked for back
+    model: requestedModel || anthropicResponse.model,
+    choices: [
+      {
+        index: 0,
+        message,
+        logprobs: null,
+        finish_reason: mapFinishReason(anthropicResponse.stop_reason),
+      },
+    ],
+    usage: toChatUsage(anthropicResponse.usage),
+  };
+}
+
+export default transformChatResponse;
@@ -0,0 +1,85 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { transformChatResponse, toChatUsage, mapFinishReason } from './openai-response.js';
+import { createChatStreamAdapter } from '../streaming/openai-stream.js';
+
+describe('transformChatResponse', () => {
+  const anthropicResponse = {
+    id: 'msg_abc123',
+    model: 'glm-4.7',
+    stop_reason: 'tool_use',
+    content: [
+      { type: 'thinking', thinking: 'Let me check.' },
+      { type: 'text', text: 'Checking the weather.' },
+      { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } },
+    ],
+    usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 4 },
+  };
+
+  it('echoes the requested model rather than the upstream one', () => {
+    assert.equal(transformChatResponse(anthropicResponse, 'gpt-4o').model, 'gpt-4o');
+    assert.equal(transformChatResponse(anthropicResponse, undefined).model, 'glm-4.7');
+  });
+
+  it('converts content, tool calls and finish reason', () => {
+    const response = transformChatResponse(anthropicResponse, 'glm-4.7');
+    const { message, finish_reason: finishReason } = response.choices[0];
+
+    assert.equal(response.id, 'chatcmpl-abc123');
+    assert.equal(message.content, 'Checking the weather.');
+    assert.equal(message.reasoning_content, 'Let me check.');
+    assert.deepEqual(message.tool_calls[0].function, { name: 'get_weather', arguments: '{"city":"Paris"}' });
+    assert.equal(finishReason, 'tool_calls');
+  });
+
+  it('counts cached tokens as prompt tokens', () => {
+    assert.deepEqual(toChatUsage({ input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 4 }), {
+      prompt_tokens: 14,
+      completion_tokens: 5,
+      total_tokens: 19,
+      prompt_tokens_details: { cached_tokens: 4 },
+    });
+  });
+
+  it('maps stop reasons', () => {
+    assert.equal(mapFinishReason('end_turn'), 'stop');
+    assert.equal(mapFinishReason('max_tokens'), 'length');
+    assert.equal(mapFinishReason('unknown'), 'stop');
+  });
+});
+
+describe('createChatStreamAdapter', () => {
+  /**
+   * Collect the data payloads written to a fake response
+   * @returns {Object} Fake response with a chunks() accessor
+   */
+  function createFakeResponse() {
+    const written = [];
+    return {
+      write: (chunk) => written.push(chunk),
+      end: () => {},
+      chunks: () => written.map((chunk) => chunk.replace(/^data: /, '').trim()),
+    };
+  }
+
+  it('translates Anthropic events to chat.completion.chunk events with the requested model', () => {
+    const res = createFakeResponse();
+    const adapter = createChatStreamAdapter(res, { model: 'gpt-4o', includeUsage: true });
+
+    adapter.write('event: message_start\ndata: {"type":"message_start","message":{"model":"glm-4.7","usage":{"input_tokens":3}}}\n\n');
+    adapter.write('event: content_block_delta\ndata: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hi"}}\n\n');
+    adapter.write('event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"end_turn"},"usage":{"output_tokens":1}}\n\n');
+    adapter.end();
+
+    const chunks = res.chunks();
+    assert.equal(chunks[chunks.length - 1], '[DONE]');
+
+    const parsed = chunks.slice(0, -1).map((chunk) => JSON.parse(chunk));
+    assert.ok(parsed.every((chunk) => chunk.model === 'gpt-4o'));
+    assert.deepEqual(parsed[0].choices[0].delta, { role: 'assistant', content: '' });
+    assert.equal(parsed[1].choices[0].delta.content, 'Hi');
+    assert.equal(parsed[2].choices[0].finish_reason, 'stop');
+    assert.deepEqual(parsed[3].usage, { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 });
+  });
+});
@@ -3,19 +3,25 @@
  */
 
 import config from '../config.js';
-import { convertMessageToOpenAI } from './messages.js';
+import { convertMessageToOpenAI, prepareThinkingHistory, flattenSearchHistory } from './messages.js';
 import { selectModel } from '../routing/model-router.js';
-import { injectReasoningPrompt, REASONING_PROMPT } from '../reasoning/injector.js';
+import { injectReasoningPrompt } from '../reasoning/injector.js';
+import { getReasoningProfile } from '../reasoning/profiles.js';
+import { resolveThinking, getThinkingMode, buildOpenAIThinking, describeThinking } from '../reasoning/thinking.js';
 import { getInjectedTools, getTriggeredMcpToolsForInjection } from '../tools/definitions.js';
-import { hasWebSearchTrigger } from '../tools/triggers.js';
+import { selectTools } from '../tools/selection.js';
 import logger from '../utils/logger.js';
 
 /**
  * Transform Anthropic Messages API request to OpenAI Chat Completions format
  * @param {Object} anthropicRequest - Anthropic format request
+ * @param {Object} options - Transform options
+ * @param {string} options.textModel - Text model override (from a routing rule)
+ * @param {boolean} options.nativeThinking - Whether the upstream supports GLM's thinking parameter (default true)
+ * @param {boolean} options.dryRun - Only inject MCP tools already discovered, never start an MCP (token counting)
  * @returns {Promise<Object>} OpenAI/GLM format request
  */
-export async function transformRequest(anthropicRequest) {
+export async function transformRequest(anthropicRequest, options = {}) {
   const {
     model,
     max_tokens,
@@ -25,6 +31,7 @@ export async function transformRequest(anthropicRequest) {
     top_p,
     stop_sequences,
     tools: clientTools,
+    tool_choice: clientToolChoice,
   } = anthropicRequest;
 
   logger.debug('Transforming request from Anthropic to GLM format');
@@ -40,8 +47,25 @@ export async function transformRequest(anthropicRequest) {
     });
   }
 
+  // Select model based on content (detect images in CURRENT message only)
+  // Previous images in conversation history don't require vision model
+  const lastMessage = messages?.length > 0 ? [messages[messages.length - 1]] : [];
+  const { model: selectedModel, hasImages } = selectModel(lastMessage, { textModel: options.textModel });
+
+  // Native thinking when the upstream supports it, otherwise the reasoning prompt
+  const thinking = resolveThinking(anthropicRequest);
+  const thinkingMode = getThinkingMode(thinking, options.nativeThinking ?? true);
+  const reasoningProfile = getReasoningProfile(selectedModel);
+
+  // Earlier thinking goes back as reasoning_content (native) or tagged text (prompt)
+  const history = prepareThinkingHistory(flattenSearchHistory(messages || []), {
+    policy: config.reasoning.preserveThinking,
+    mode: thinkingMode,
+    tag: reasoningProfile.tag,
+  });
+
   // Convert each message
-  for (const msg of messages || []) {
+  for (const msg of history) {
     const converted = convertMessageToOpenAI(msg);
     // convertMessageToOpenAI may return an array for tool_result messages
     if (Array.isArray(converted)) {
@@ -51,17 +75,13 @@ export async function transformRequest(anthropicRequest) {
     }
   }
 
-  // Select model based on content (detect images in CURRENT message only)
-  // Previous images in conversation history don't require vision model
-  const lastMessage = messages?.length > 0 ? [messages[messages.length - 1]] : [];
-  const { model: selectedModel, hasImages } = selectModel(lastMessage);
-
-  // Web search tools - only inject if config enabled AND user triggered by keywords
+  // Web search tools - only inject if config enabled AND picked by tool selection
+  // (always on, a trigger match or relevance, see tools/selection.js)
   // This prevents GLM from spontaneously searching on every request
   // Claude Code's WebSearch/WebFetch calls are intercepted separately in executor.js
   const configEnabled = config.webSearch?.enabled || false;
-  const userTriggered = configEnabled && hasWebSearchTrigger(messages);
-  const webSearchEnabled = userTriggered;
+  const selection = selectTools(messages);
+  const webSearchEnabled = selection.webSearch !== null;
 
   // Build tools array - inject web_search/web_reader only if enabled
   // These are available alongside client tools (Glob, Grep, Read, etc.)
@@ -69,21 +89,36 @@ export async function transformRequest(anthropicRequest) {
   const tools = buildToolsArray(clientTools, webSearchEnabled);
   const injectedTools = webSearchEnabled ? getInjectedTools() : [];
 
-  // Inject triggered MCP tools (lazy initialization)
-  const { tools: mcpTools, mcpIds } = await getTriggeredMcpToolsForInjection(messages);
+  // Inject selected MCP tools (lazy initialization)
+  const {
+    tools: mcpTools,
+    mcpIds,
+    prompts: mcpPrompts,
+    selections: mcpSelections,
+    triggered: mcpTriggered,
+  } = await getTriggeredMcpToolsForInjection(messages, selection, { dryRun: options.dryRun });
   tools.push(...mcpTools);
 
-  // Inject reasoning prompt if forceReasoning is enabled
-  // BUT skip reasoning when MCP tools are forced - the reasoning prompt
-  // conflicts with forced tool_choice and causes infinite thinking loops
-  const forceReasoning = config.reasoning?.forceReasoning ?? true;
-  const skipReasoningForMcp = mcpTools.length > 0;
-  let messagesWithReasoning = (forceReasoning && !skipReasoningForMcp)
-    ? injectReasoningPrompt(openaiMessages)
+  // Attach the prompts of triggered MCPs to the system message
+  for (const prompt of mcpPrompts) {
+    if (openaiMessages[0]?.role === 'system') {
+      openaiMessages[0] = { ...openaiMessages[0], content: `${openaiMessages[0].content}\n\n${prompt.text}` };
+    } else {
+      openaiMessages.unshift({ role: 'system', content: prompt.text });
+    }
+  }
+
+  // Skip the reasoning prompt when MCP tools are forced - it conflicts
+  // with forced tool_choice and causes infinite thinking loops
+  const skipReasoningForMcp = thinkingMode === 'prompt' && mcpTriggered;
+  const reasoningInjected = thinkingMode === 'prompt' && !skipReasoningForMcp;
+  let messagesWithReasoning = reasoningInjected
+    ? injectReasoningPrompt(openaiMessages, reasoningProfile)
     : [...openaiMessages];
 
-  // Inject MCP tool instructions if MCP tools are triggered
-  if (mcpTools.length > 0) {
+  // Inject MCP tool instructions if the user triggered an MCP
+  // (always-on and relevance tools are only offered)
+  if (mcpTriggered) {
     // Find the last user message index
     let lastUserIdx = -1;
     for (let i = messagesWithReasoning.length - 1; i >= 0; i--) {
@@ -119,14 +154,18 @@ export async function transformRequest(anthropicRequest) {
     hasImages,
     selectedModel,
     originalModel: model,
-    reasoningInjected: forceReasoning && !skipReasoningForMcp,
+    thinking: thinking.enabled,
+    thinkingMode,
+    reasoningInjected,
+    reasoningProfile: reasoningInjected ? reasoningProfile.name : undefined,
     reasoningSkippedForMcp: skipReasoningForMcp,
     webSearchConfigEnabled: configEnabled,
-    webSearchUserTriggered: userTriggered,
+    webSearchSelection: selection.webSearch?.reason,
     webSearchEnabled,
     injectedToolCount: injectedTools.length,
     mcpToolCount: mcpTools.length,
     mcpIds: mcpIds.length > 0 ? mcpIds : undefined,
+    mcpPrompts: mcpPrompts.length > 0 ? mcpPrompts.map(p => `${p.mcpId}/${p.name}`) : undefined,
     hasClientTools,
     clientToolCount: clientTools?.length || 0,
   });
@@ -137,10 +176,12 @@ export async function transformRequest(anthropicRequest) {
     messages: messagesWithReasoning,
     temperature: temperature ?? config.defaultTemperature,
     stream: false, // Disable streaming for tool execution loop
+    ...(thinkingMode === 'native' ? buildOpenAIThinking(thinking, config.reasoning.preserveThinking) : {}),
   };
 
-  // Add tools if we have any
-  if (tools.length > 0) {
+  // Add tools if we have any - GLM only supports tool_choice 'auto',
+  // so a client's tool_choice 'none' is honored by not offering tools at all
+  if (tools.length > 0 && clientToolChoice?.type !== 'none') {
     glmRequest.tools = tools;
     // Use 'auto' to let model choose the appropriate tool
     // Don't force a specific tool - the model needs to pick based on user intent
@@ -173,29 +214,48 @@ export async function transformRequest(anthropicRequest) {
   // Build injection metadata for traffic monitoring
   const injections = [];
 
-  if (forceReasoning && !skipReasoningForMcp) {
+  const thinkingInjection = describeThinking(thinking, thinkingMode);
+  if (thinkingInjection) {
+    injections.push(thinkingInjection);
+  }
+
+  if (reasoningInjected) {
     injections.push({
       type: 'reasoning_prompt',
-      description: 'Reasoning prompt injected before last user message',
-      content: REASONING_PROMPT,
+      description: reasoningProfile.position === 'system'
+        ? `Reasoning prompt appended to system message (${reasoningProfile.name} profile)`
+        : `Reasoning prompt injected before last user message (${reasoningProfile.name} profile)`,
+      content: reasoningProfile.prompt,
     });
   }
 
   if (injectedTools.length > 0) {
     injections.push({
       type: 'tools',
-      description: `Injected ${injectedTools.length} web search tools`,
-      trigger: 'keyword',
+      description: `Injected ${injectedTools.length} web search tools: ${selection.webSearch.reason}`,
+      trigger: selection.webSearch.mode,
+      reason: selection.webSearch.reason,
       tools: injectedTools.map(t => t.function.name),
     });
   }
 
-  if (mcpTools.length > 0) {
+  for (const mcpSelection of mcpSelections.filter(s => s.tools.length > 0)) {
     injections.push({
       type: 'mcp_tools',
-      description: `Injected ${mcpTools.length} tools from MCPs: ${mcpIds.join(', ')}`,
-      mcpIds,
-      tools: mcpTools.map(t => t.function.name),
+      description: `Injected ${mcpSelection.tools.length} tools from ${mcpSelection.mcpId}: ${mcpSelection.reason}`,
+      trigger: mcpSelection.mode,
+      reason: mcpSelection.reason,
+      mcpIds: [mcpSelection.mcpId],
+      tools: mcpSelection.tools,
+    });
+  }
+
+  for (const prompt of mcpPrompts) {
+    injections.push({
+      type: 'mcp_prompt',
+      description: `MCP prompt '${prompt.name}' from ${prompt.mcpId} appended to system message`,
+      mcpIds: [prompt.mcpId],
+      content: prompt.text,
     });
   }
 
@@ -44,9 +44,10 @@ function mapStopReason(finishReason, hasToolCalls = false) {
  * Transform OpenAI/GLM response to Anthropic Messages API format
  * @param {Object} glmResponse - OpenAI/GLM format response
  * @param {string} requestedModel - Original model from request (for reference)
+ * @param {string} reasoningTag - Reasoning tag name from the model's reasoning profile (default 'reasoning_content')
  * @returns {Object} Anthropic format response
  */
-export function transformResponse(glmResponse, requestedModel) {
+export function transformResponse(glmResponse, requestedModel, reasoningTag = 'reasoning_content') {
   logger.debug('Transforming response from GLM to Anthropic format');
 
   // Handle missing or empty response
@@ -74,7 +75,7 @@ export function transformResponse(glmResponse, requestedModel) {
 
   // Handle text content - also extract reasoning from tags if present
   let textContent = message.content || '';
-  const extracted = extractReasoning(textContent);
+  const extracted = extractReasoning(textContent, reasoningTag);
 
   // Add extracted reasoning if we don't already have native reasoning_content
   if (extracted.reasoning && !message.reasoning_content) {
@@ -132,6 +133,8 @@ export function transformResponse(glmResponse, requestedModel) {
   const hasClientToolCalls = clientToolCalls.length > 0;
   const stopReason = mapStopReason(choice.finish_reason, hasClientToolCalls);
 
+  const cachedTokens = glmResponse.usage?.prompt_tokens_details?.cached_tokens || 0;
+
   // Build Anthropic response
   const anthropicResponse = {
     id: generateMessageId(),
@@ -142,8 +145,10 @@ export function transformResponse(glmResponse, requestedModel) {
     stop_reason: stopReason,
     stop_sequence: null,
     usage: {
-      input_tokens: glmResponse.usage?.prompt_tokens || 0,
+      // Anthropic semantics: input_tokens excludes cache reads
+      input_tokens: (glmResponse.usage?.prompt_tokens || 0) - cachedTokens,
       output_tokens: glmResponse.usage?.completion_tokens || 0,
+      cache_read_input_tokens: cachedTokens,
     },
   };
 
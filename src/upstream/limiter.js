@@ -0,0 +1,391 @@
+/**
+ * Upstream Limiter
+ *
+ * Token-bucket rate limiting and a max-concurrency queue in front of every
+ * upstream call. Limits apply globally (all clients together) and per client
+ * key (config.limits.perClient, overridden per client in config.limits.clients).
+ *
+ * Calls that cannot start immediately wait in a per-client FIFO queue. When
+ * capacity frees up, the client served least recently goes first, so one
+ * client's burst of parallel sub-agents cannot starve the others. A full queue
+ * or a wait longer than queueTimeoutMs fails with an overloaded_error.
+ *
+ * A slot covers one logical upstream call including its retries, and for
+ * streams is held until the upstream stream has been read to the end.
+ *
+ * Client state is dropped once a client is idle with a full bucket (checked at
+ * most once per PRUNE_INTERVAL_MS), since it would be recreated identically.
+ */
+
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { OverloadedError } from '../utils/errors.js';
+
+// Default bucket size: this many seconds' worth of requests
+const DEFAULT_BURST_SECONDS = 10;
+
+// How often idle client state is swept
+const PRUNE_INTERVAL_MS = 60000;
+
+// Per-client state, ordered least recently served first (re-inserted when served)
+const clients = new Map();
+let lastPruneAt = Date.now();
+
+// Global token bucket and counters
+const globalBucket = { tokens: null, updatedAt: 0 };
+let activeCount = 0;
+let queuedCount = 0;
+let wakeTimer = null;
+
+const counters = {
+  admitted: 0,
+  queued: 0,
+  rejected: 0,
+  timedOut: 0,
+  dequeued: 0,
+  waitMsTotal: 0,
+  maxQueueDepth: 0,
+};
+
+/**
+ * Get (or create) the state of a client
+ * @param {string} client - Client ID
+ * @returns {Object} Client state ({ id, active, queue, bucket })
+ */
+function getClientState(client) {
+  let state = clients.get(client);
+  if (!state) {
+    state = { id: client, active: 0, queue: [], bucket: { tokens: null, updatedAt: 0 } };
+    clients.set(client, state);
+  }
+  return state;
+}
+
+/**
+ * Get the limits that apply to a client
+ * @param {string} client - Client ID
+ * @returns {{requestsPerMinute: number|null, maxConcurrency: number|null}} Limits
+ */
+function getClientLimits(client) {
+  const override = config.limits.clients?.[client] || {};
+  const defaults = config.limits.perClient || {};
+
+  return {
+    requestsPerMinute: override.requestsPerMinute !== undefined ? override.requestsPerMinute : defaults.requestsPerMinute,
+    maxConcurrency: override.maxConcurrency !== undefined ? override.maxConcurrency : defaults.maxConcurrency,
+  };
+}
+
+/**
+ * Get the capacity of a token bucket
+ * @param {number} requestsPerMinute - Refill rate
+ * @param {number|null} burst - Bucket capacity (default: DEFAULT_BURST_SECONDS worth)
+ * @returns {number} Capacity in tokens
+ */
+function bucketCapacity(requestsPerMinute, burst = null) {
+  return burst || Math.max(1, Math.ceil((requestsPerMinute * DEFAULT_BURST_SECONDS) / 60));
+}
+
+/**
+ * Refill a token bucket for the time elapsed since it was last updated
+ * @param {Object} bucket - Bucket ({ tokens, updatedAt })
+ * @param {number|null} requestsPerMinute - Refill rate (null = unlimited)
+ * @param {number|null} burst - Bucket capacity (default: DEFAULT_BURST_SECONDS worth)
+ * @returns {number} Tokens available (Infinity when unlimited)
+ */
+function refillBucket(bucket, requestsPerMinute, burst = null) {
+  if (!requestsPerMinute) {
+    return Infinity;
+  }
+
+  const capacity = bucketCapacity(requestsPerMinute, burst);
+  const now = Date.now();
+
+  if (bucket.tokens === null) {
+    bucket.tokens = capacity;
+  } else {
+    bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) * requestsPerMinute) / 60000);
+  }
+  bucket.updatedAt = now;
+
+  return bucket.tokens;
+}
+
+/**
+ * Time until a bucket holds one whole token
+ * @param {Object} bucket - Bucket ({ tokens })
+ * @param {number} requestsPerMinute - Refill rate
+ * @returns {number} Milliseconds
+ */
+function msUntilToken(bucket, requestsPerMinute) {
+  return Math.max(1, Math.ceil(((1 - bucket.tokens) * 60000) / requestsPerMinute));
+}
+
+/**
+ * Check whether a client may start an upstream call now
+ * @param {Object} state - Client state
+ * @returns {{ok: boolean, waitMs: number|null}} waitMs is set when only the rate limit is blocking
+ */
+function checkCapacity(state) {
+  const limits = getClientLimits(state.id);
+
+  if (config.limits.maxConcurrency && activeCount >= config.limits.maxConcurrency) {
+    return { ok: false, waitMs: null };
+  }
+  if (limits.maxConcurrency && state.active >= limits.maxConcurrency) {
+    return { ok: false, waitMs: null };
+  }
+
+  const globalTokens = refillBucket(globalBucket, config.limits.requestsPerMinute, config.limits.burst);
+  const clientTokens = refillBucket(state.bucket, limits.requestsPerMinute);
+  if (globalTokens >= 1 && clientTokens >= 1) {
+    return { ok: true, waitMs: null };
+  }
+
+  return {
+    ok: false,
+    waitMs: Math.max(
+      globalTokens < 1 ? msUntilToken(globalBucket, config.limits.requestsPerMinute) : 0,
+      clientTokens < 1 ? msUntilToken(state.bucket, limits.requestsPerMinute) : 0
+    ),
+  };
+}
+
+/**
+ * Start a call for a client (capacity must have been checked)
+ * @param {Object} state - Client state
+ * @returns {Function} Release function (idempotent)
+ */
+function startCall(state) {
+  if (Number.isFinite(globalBucket.tokens) && config.limits.requestsPerMinute) {
+    globalBucket.tokens -= 1;
+  }
+  if (Number.isFinite(state.bucket.tokens) && getClientLimits(state.id).requestsPerMinute) {
+    state.bucket.tokens -= 1;
+  }
+
+  activeCount++;
+  state.active++;
+  counters.admitted++;
+
+  // Move to the back of the line for fair scheduling
+  clients.delete(state.id);
+  clients.set(state.id, state);
+
+  let released = false;
+  return () => {
+    if (released) {
+      return;
+    }
+    released = true;
+    activeCount--;
+    state.active--;
+    schedule();
+  };
+}
+
+/**
+ * Admit queued calls while capacity allows, least recently served client first
+ */
+function schedule() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  let nextWakeMs = null;
+  let admitted = true;
+
+  while (queuedCount > 0 && admitted) {
+    admitted = false;
+    nextWakeMs = null;
+
+    for (const state of clients.values()) {
+      if (state.queue.length === 0) continue;
+
+      const capacity = checkCapacity(state);
+      if (capacity.ok) {
+        const waiter = state.queue.shift();
+        queuedCount--;
+        clearTimeout(waiter.timer);
+        counters.dequeued++;
+        counters.waitMsTotal += Date.now() - waiter.enqueuedAt;
+        waiter.resolve(startCall(state));
+        admitted = true;
+        break;
+      }
+
+      if (capacity.waitMs !== null) {
+        nextWakeMs = nextWakeMs === null ? capacity.waitMs : Math.min(nextWakeMs, capacity.waitMs);
+      }
+    }
+  }
+
+  // Only rate limits need a timer; concurrency slots are handed on when released
+  if (queuedCount > 0 && nextWakeMs !== null) {
+    wakeTimer = setTimeout(schedule, nextWakeMs);
+    wakeTimer.unref?.();
+  }
+}
+
+/**
+ * Remove a waiter from its client's queue
+ * @param {Object} state - Client state
+ * @param {Object} waiter - Queued waiter
+ * @returns {boolean} True if the waiter was still queued
+ */
+function dequeueWaiter(state, waiter) {
+  const index = state.queue.indexOf(waiter);
+  if (index === -1) {
+    return false;
+  }
+  state.queue.splice(index, 1);
+  queuedCount--;
+  return true;
+}
+
+/**
+ * Drop the state of clients with no active or queued calls and a full bucket
+ * @param {boolean} force - Sweep even if PRUNE_INTERVAL_MS has not passed
+ * @returns {number} Number of clients dropped
+ */
+export function pruneIdleClients(force = false) {
+  const now = Date.now();
+  if (!force && now - lastPruneAt < PRUNE_INTERVAL_MS) {
+    return 0;
+  }
+  lastPruneAt = now;
+
+  let pruned = 0;
+  for (const state of Array.from(clients.values())) {
+    if (state.active > 0 || state.queue.length > 0) continue;
+
+    const { requestsPerMinute } = getClientLimits(state.id);
+    const tokens = refillBucket(state.bucket, requestsPerMinute);
+    if (requestsPerMinute && tokens < bucketCapacity(requestsPerMinute)) continue;
+
+    clients.delete(state.id);
+    pruned++;
+  }
+
+  if (pruned > 0) {
+    logger.debug('limiter', 'Dropped idle client state', { pruned, remaining: clients.size });
+  }
+  return pruned;
+}
+
+/**
+ * Wait for an upstream slot
+ * @param {string} client - Client ID (see usage/ledger.js identifyClient)
+ * @param {AbortSignal} signal - Request cancellation signal (leaves the queue when aborted)
+ * @returns {Promise<Function>} Resolves with a release function
+ * @throws {OverloadedError} If the queue is full or the wait times out
+ */
+export function acquireUpstreamSlot(client = 'anonymous', signal = null) {
+  pruneIdleClients();
+  const state = getClientState(client);
+
+  if (signal?.aborted) {
+    return Promise.reject(signal.reason);
+  }
+
+  // Fast path - only when nobody is waiting, so queued calls keep their turn
+  if (queuedCount === 0 && checkCapacity(state).ok) {
+    return Promise.resolve(startCall(state));
+  }
+
+  if (queuedCount >= config.limits.maxQueue) {
+    counters.rejected++;
+    logger.warn('limiter', 'Upstream queue full, rejecting request', { client, queued: queuedCount, active: activeCount });
+    return Promise.reject(new OverloadedError(
+      `Proxy upstream queue is full (${queuedCount} requests waiting). Please retry shortly.`
+    ));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      if (dequeueWaiter(state, waiter)) {
+        clearTimeout(waiter.timer);
+        logger.debug('limiter', 'Queued upstream call cancelled', { client, queued: queuedCount });
+        reject(signal.reason);
+      }
+    };
+    const waiter = {
+      resolve: (release) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(release);
+      },
+      reject,
+      enqueuedAt: Date.now(),
+      timer: null,
+    };
+
+    waiter.timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      dequeueWaiter(state, waiter);
+      counters.timedOut++;
+      logger.warn('limiter', 'Upstream queue wait timed out', { client, timeoutMs: config.limits.queueTimeoutMs });
+      reject(new OverloadedError(
+        `Request waited more than ${Math.round(config.limits.queueTimeoutMs / 1000)}s for an upstream slot. Please retry shortly.`
+      ));
+    }, config.limits.queueTimeoutMs);
+    waiter.timer.unref?.();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    state.queue.push(waiter);
+    queuedCount++;
+    counters.queued++;
+    counters.maxQueueDepth = Math.max(counters.maxQueueDepth, queuedCount);
+
+    logger.debug('limiter', 'Upstream call queued', { client, queued: queuedCount, active: activeCount });
+    schedule();
+  });
+}
+
+/**
+ * Run an upstream call once a slot is available, releasing it afterwards
+ * @param {string} client - Client ID
+ * @param {Function} call - Async function performing the call (including any retries)
+ * @param {AbortSignal} signal - Request cancellation signal
+ * @returns {Promise<*>} Result of the call
+ */
+export async function runWithUpstreamSlot(client, call, signal = null) {
+  const release = await acquireUpstreamSlot(client, signal);
+  try {
+    return await call();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Get limiter metrics
+ * @returns {Object} Active/queued calls (total and per client) and cumulative counters
+ */
+export function getLimiterStats() {
+  return {
+    active: activeCount,
+    queued: queuedCount,
+    maxQueueDepth: counters.maxQueueDepth,
+    admitted: counters.admitted,
+    queuedTotal: counters.queued,
+    rejected: counters.rejected,
+    timedOut: counters.timedOut,
+    averageWaitMs: counters.dequeued > 0 ? Math.round(counters.waitMsTotal / counters.dequeued) : 0,
+    clients: Array.from(clients.values()).map((state) => ({
+      client: state.id,
+      active: state.active,
+      queued: state.queue.length,
+      tokens: Number.isFinite(state.bucket.tokens) && state.bucket.tokens !== null
+        ? Math.floor(state.bucket.tokens)
+        : null,
+    })),
+  };
+}
+
+export default {
+  acquireUpstreamSlot,
+  runWithUpstreamSlot,
+  pruneIdleClients,
+  getLimiterStats,
+};
@@ -0,0 +1,122 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { acquireUpstreamSlot, runWithUpstreamSlot, pruneIdleClients, getLimiterStats } from './limiter.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+/**
+ * Keep the event loop alive like a listening server would (the limiter's timers are unref'd)
+ * @returns {Function} Stops keeping it alive
+ */
+function keepEventLoopAlive() {
+  const timer = setInterval(() => {}, 1000);
+  return () => clearInterval(timer);
+}
+
+beforeEach(() => {
+  config.limits = {
+    requestsPerMinute: null,
+    burst: null,
+    maxConcurrency: null,
+    maxQueue: 100,
+    queueTimeoutMs: 60000,
+    perClient: { requestsPerMinute: null, maxConcurrency: null },
+    clients: {},
+  };
+});
+
+describe('acquireUpstreamSlot', () => {
+  it('admits calls immediately while under the limits', async () => {
+    const result = await runWithUpstreamSlot('key_fast', async () => 'done');
+    assert.equal(result, 'done');
+    assert.equal(getLimiterStats().active, 0);
+  });
+
+  it('queues calls over maxConcurrency and alternates between waiting clients', async () => {
+    config.limits.maxConcurrency = 1;
+    const order = [];
+    const queue = (client) => acquireUpstreamSlot(client).then((release) => {
+      order.push(client);
+      release();
+    });
+
+    const release = await acquireUpstreamSlot('key_a');
+    const waiters = [queue('key_a'), queue('key_a'), queue('key_b')];
+    assert.equal(getLimiterStats().queued, 3);
+
+    release();
+    await Promise.all(waiters);
+
+    assert.deepEqual(order, ['key_a', 'key_b', 'key_a']);
+    assert.equal(getLimiterStats().active, 0);
+  });
+
+  it('rejects with overloaded_error when the queue is full', async () => {
+    config.limits.maxConcurrency = 1;
+    config.limits.maxQueue = 0;
+
+    const release = await acquireUpstreamSlot('key_full');
+    await assert.rejects(acquireUpstreamSlot('key_full'), (error) => getErrorStatus(error) === 529);
+    release();
+  });
+
+  it('times out waiting calls', async () => {
+    config.limits.maxConcurrency = 1;
+    config.limits.queueTimeoutMs = 5;
+
+    const stopKeepAlive = keepEventLoopAlive();
+    const release = await acquireUpstreamSlot('key_slow');
+    await assert.rejects(acquireUpstreamSlot('key_slow'), /waited more than/);
+    release();
+    stopKeepAlive();
+  });
+
+  it('removes a cancelled call from the queue', async () => {
+    config.limits.maxConcurrency = 1;
+    const controller = new AbortController();
+
+    const release = await acquireUpstreamSlot('key_cancel');
+    const waiting = acquireUpstreamSlot('key_cancel', controller.signal);
+    controller.abort(new Error('client gone'));
+
+    await assert.rejects(waiting, /client gone/);
+    assert.equal(getLimiterStats().queued, 0);
+    release();
+  });
+
+  it('waits for the rate limit bucket to refill', async () => {
+    config.limits.requestsPerMinute = 6000;
+    config.limits.burst = 2;
+
+    const stopKeepAlive = keepEventLoopAlive();
+    const started = Date.now();
+    for (let i = 0; i < 3; i++) {
+      (await acquireUpstreamSlot('key_rate'))();
+    }
+    stopKeepAlive();
+    assert.ok(Date.now() - started >= 5, 'the third call waited for a token');
+  });
+});
+
+describe('pruneIdleClients', () => {
+  it('drops idle clients with full buckets and keeps busy or drained ones', async () => {
+    config.limits.clients = { key_drained: { requestsPerMinute: 1 } };
+
+    const releaseBusy = await acquireUpstreamSlot('key_busy');
+    (await acquireUpstreamSlot('key_idle'))();
+    (await acquireUpstreamSlot('key_drained'))();
+
+    pruneIdleClients(true);
+    const tracked = getLimiterStats().clients.map((state) => state.client);
+    assert.ok(tracked.includes('key_busy'));
+    assert.ok(tracked.includes('key_drained'));
+    assert.ok(!tracked.includes('key_idle'));
+
+    releaseBusy();
+    config.limits.clients = {};
+    pruneIdleClients(true);
+    assert.deepEqual(getLimiterStats().clients, []);
+  });
+});
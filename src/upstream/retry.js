@@ -0,0 +1,117 @@
+/**
+ * Upstream Retry
+ *
+ * Retries transient upstream failures (429, 5xx, timeouts, network errors)
+ * with exponential backoff and jitter. A Retry-After header from the upstream
+ * takes precedence over the computed delay; if it asks for longer than
+ * retry.maxDelayMs the request is not retried so failover can take over.
+ */
+
+import config from '../config.js';
+import logger from '../utils/logger.js';
+import { GlmApiError } from '../utils/errors.js';
+import { delay as wait } from '../utils/cancellation.js';
+
+// Upstream statuses worth retrying (502/504 are also used for network errors and timeouts)
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|null} value - Header value (delay in seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds, or null if absent/invalid
+ */
+export function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, Math.round(seconds * 1000));
+  }
+
+  const date = Date.parse(value);
+  if (!Number.isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * Check if an upstream error is transient and worth retrying or failing over
+ * @param {Error} error - Error thrown by an upstream call
+ * @returns {boolean} true if retryable
+ */
+export function isRetryableError(error) {
+  return error instanceof GlmApiError && RETRYABLE_STATUSES.has(error.upstreamStatus);
+}
+
+/**
+ * Compute the delay before the next attempt
+ * Exponential backoff with "equal jitter" (half fixed, half random)
+ * @param {number} attempt - Attempt that just failed (0-based)
+ * @param {Error} error - Error from that attempt
+ * @param {Object} retryConfig - Retry settings ({ baseDelayMs, maxDelayMs })
+ * @returns {number|null} Delay in milliseconds, or null to stop retrying
+ */
+export function getRetryDelay(attempt, error, retryConfig = config.retry) {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+    return error.retryAfterMs <= retryConfig.maxDelayMs ? error.retryAfterMs : null;
+  }
+
+  const delay = Math.min(retryConfig.maxDelayMs, retryConfig.baseDelayMs * 2 ** attempt);
+  return Math.round(delay / 2 + Math.random() * (delay / 2));
+}
+
+/**
+ * Run an upstream call, retrying transient failures
+ * @param {Function} fn - Async function performing one attempt
+ * @param {Object} options - Retry options
+ * @param {string} options.label - Name used in logs (e.g. provider ID)
+ * @param {Object} options.retry - Retry settings (defaults to config.retry)
+ * @param {AbortSignal} options.signal - Request cancellation signal (stops retrying and backoff waits)
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} Last error once retries are exhausted or the error is not retryable
+ */
+export async function withRetry(fn, options = {}) {
+  const retryConfig = options.retry || config.retry;
+  const label = options.label || 'upstream';
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (!isRetryableError(error) || attempt >= retryConfig.maxRetries || options.signal?.aborted) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(attempt, error, retryConfig);
+      if (delay === null) {
+        logger.warn('retry', 'Retry-After exceeds maximum delay, not retrying', {
+          upstream: label,
+          retryAfterMs: error.retryAfterMs,
+          maxDelayMs: retryConfig.maxDelayMs,
+        });
+        throw error;
+      }
+
+      logger.warn('retry', 'Retrying upstream request', {
+        upstream: label,
+        attempt: attempt + 1,
+        maxRetries: retryConfig.maxRetries,
+        status: error.upstreamStatus,
+        delayMs: delay,
+      });
+
+      await wait(delay, options.signal);
+    }
+  }
+}
+
+export default {
+  parseRetryAfter,
+  isRetryableError,
+  getRetryDelay,
+  withRetry,
+};
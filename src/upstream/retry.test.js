@@ -0,0 +1,118 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { parseRetryAfter, isRetryableError, getRetryDelay, withRetry } from './retry.js';
+import { getFailoverRoutes, getProvider } from '../routing/providers.js';
+import { GlmApiError, InvalidRequestError } from '../utils/errors.js';
+
+const FAST_RETRY = { maxRetries: 2, baseDelayMs: 1, maxDelayMs: 10 };
+
+describe('parseRetryAfter', () => {
+  it('reads seconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter('2'), 2000);
+    assert.equal(parseRetryAfter(null), null);
+    assert.equal(parseRetryAfter('soon'), null);
+
+    const inOneMinute = new Date(Date.now() + 60000).toUTCString();
+    assert.ok(Math.abs(parseRetryAfter(inOneMinute) - 60000) < 2000);
+  });
+});
+
+describe('isRetryableError', () => {
+  it('retries overload, rate limits, timeouts and server errors only', () => {
+    for (const status of [429, 500, 502, 503, 504, 529]) {
+      assert.ok(isRetryableError(new GlmApiError('x', status)), `status ${status}`);
+    }
+    assert.ok(!isRetryableError(new GlmApiError('x', 400)));
+    assert.ok(!isRetryableError(new GlmApiError('x', 401)));
+    assert.ok(!isRetryableError(new InvalidRequestError('x')));
+  });
+});
+
+describe('getRetryDelay', () => {
+  it('backs off exponentially with jitter, capped at maxDelayMs', () => {
+    const retryConfig = { baseDelayMs: 100, maxDelayMs: 1000 };
+    const error = new GlmApiError('x', 503);
+
+    for (const [attempt, max] of [[0, 100], [1, 200], [2, 400], [5, 1000]]) {
+      const delay = getRetryDelay(attempt, error, retryConfig);
+      assert.ok(delay >= max / 2 && delay <= max, `attempt ${attempt}: ${delay}`);
+    }
+  });
+
+  it('follows Retry-After, and gives up when it asks for longer than maxDelayMs', () => {
+    const retryConfig = { baseDelayMs: 100, maxDelayMs: 1000 };
+    assert.equal(getRetryDelay(0, new GlmApiError('x', 429, '', 700), retryConfig), 700);
+    assert.equal(getRetryDelay(0, new GlmApiError('x', 429, '', 5000), retryConfig), null);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries transient failures until a call succeeds', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+      calls++;
+      if (calls < 3) throw new GlmApiError('overloaded', 503);
+      return 'ok';
+    }, { retry: FAST_RETRY });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+  });
+
+  it('gives up after maxRetries', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw new GlmApiError('overloaded', 503);
+    }, { retry: FAST_RETRY }), /overloaded/);
+    assert.equal(calls, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw new GlmApiError('bad request', 400);
+    }, { retry: FAST_RETRY }), /bad request/);
+    assert.equal(calls, 1);
+  });
+
+  it('stops when the request is cancelled', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      controller.abort(new Error('client gone'));
+      throw new GlmApiError('overloaded', 503);
+    }, { retry: FAST_RETRY, signal: controller.signal }), /overloaded/);
+    assert.equal(calls, 1);
+  });
+});
+
+describe('getFailoverRoutes', () => {
+  it('appends the failover order after the resolved route', () => {
+    config.failover.enabled = true;
+    config.failover.order = ['anthropic', 'openai', 'bigmodel'];
+    const route = { provider: getProvider('openai'), model: null, rule: null };
+
+    assert.deepEqual(getFailoverRoutes(route).map((r) => r.provider.id), ['openai', 'anthropic', 'bigmodel']);
+  });
+
+  it('skips Anthropic-protocol providers for vision requests', () => {
+    const route = { provider: getProvider('openai'), model: null, rule: null };
+    assert.deepEqual(
+      getFailoverRoutes(route, { hasImages: true }).map((r) => r.provider.id),
+      ['openai', 'bigmodel']
+    );
+  });
+
+  it('only tries the resolved route when failover is disabled', () => {
+    config.failover.enabled = false;
+    const route = { provider: getProvider('anthropic'), model: null, rule: null };
+    assert.equal(getFailoverRoutes(route).length, 1);
+    config.failover.enabled = true;
+  });
+});
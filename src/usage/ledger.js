@@ -0,0 +1,401 @@
+/**
+ * Usage Ledger
+ *
+ * Aggregates upstream token usage by UTC day, upstream model, endpoint and
+ * client API key, and enforces optional daily/monthly token budgets.
+ * Clients are told apart only by their authenticated proxy key (auth/keys.js);
+ * without keys all traffic counts as the single client 'anonymous'.
+ * Each bucket counts requests, tool-loop iterations (upstream calls after the
+ * first one of a request), input/output/cached tokens and estimated cost.
+ * Persisted to ~/.ccglm/usage.json; days older than RETENTION_DAYS are dropped.
+ *
+ * Token semantics follow Anthropic: input tokens exclude cache reads, and a
+ * budget counts input + cached + output tokens.
+ */
+
+import config from '../config.js';
+import { readJsonFile, writeJsonFile } from '../persistence/index.js';
+import { matchesGlob } from '../utils/glob.js';
+import { RateLimitError } from '../utils/errors.js';
+import logger from '../utils/logger.js';
+
+const USAGE_FILE = 'usage.json';
+
+// Keep a little over a year so monthly comparisons remain possible
+const RETENTION_DAYS = 400;
+
+// Batch writes: usage is saved at most once per interval
+const SAVE_DELAY_MS = 2000;
+
+// In-memory ledger: bucket key -> bucket
+let buckets = new Map();
+
+// Pending save timer
+let saveTimer = null;
+
+// Initialize flag
+let initialized = false;
+
+/**
+ * Get the UTC day (YYYY-MM-DD) of a date
+ * @param {Date} date - Date (defaults to now)
+ * @returns {string} Day
+ */
+function toDay(date = new Date()) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Build the ledger key of a bucket
+ * @param {Object} bucket - Bucket dimensions ({ day, model, endpoint, client })
+ * @returns {string} Key
+ */
+function bucketKey({ day, model, endpoint, client }) {
+  return [day, model, endpoint, client].join('|');
+}
+
+/**
+ * Total tokens of a bucket as counted against budgets
+ * @param {Object} bucket - Ledger bucket
+ * @returns {number} Tokens
+ */
+function bucketTokens(bucket) {
+  return bucket.inputTokens + bucket.cachedTokens + bucket.outputTokens;
+}
+
+/**
+ * Drop buckets older than the retention window
+ */
+function pruneOldBuckets() {
+  const cutoff = toDay(new Date(Date.now() - RETENTION_DAYS * 86400000));
+  for (const [key, bucket] of buckets) {
+    if (bucket.day < cutoff) {
+      buckets.delete(key);
+    }
+  }
+}
+
+/**
+ * Save the ledger to disk
+ */
+function saveUsage() {
+  if (saveTimer) {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+  }
+  writeJsonFile(USAGE_FILE, { buckets: Array.from(buckets.values()) });
+}
+
+/**
+ * Schedule a batched save
+ */
+function scheduleSave() {
+  if (saveTimer) {
+    return;
+  }
+  saveTimer = setTimeout(saveUsage, SAVE_DELAY_MS);
+  saveTimer.unref?.();
+}
+
+/**
+ * Initialize the usage ledger
+ * Loads usage.json if it exists
+ */
+export function initUsage() {
+  if (initialized) {
+    return;
+  }
+
+  const data = readJsonFile(USAGE_FILE);
+  buckets = new Map();
+  for (const bucket of data?.buckets || []) {
+    buckets.set(bucketKey(bucket), bucket);
+  }
+  pruneOldBuckets();
+  initialized = true;
+
+  logger.debug('usage', 'Usage ledger initialized', { buckets: buckets.size });
+}
+
+/**
+ * Write pending usage to disk (called on shutdown)
+ */
+export function flushUsage() {
+  if (saveTimer) {
+    saveUsage();
+  }
+}
+
+/**
+ * Identify the client of a request from its authenticated proxy key
+ * Unverified headers are ignored, so a client cannot escape its budget by
+ * sending a different key.
+ * @param {Object|null} clientKey - Key record set by authentication (req.clientKey)
+ * @returns {string} Client ID (the key ID, or 'anonymous' without authentication)
+ */
+export function identifyClient(clientKey) {
+  return clientKey?.id || 'anonymous';
+}
+
+/**
+ * Normalize an upstream usage object (OpenAI or Anthropic shape)
+ * @param {Object} usage - Upstream usage
+ * @returns {{inputTokens: number, outputTokens: number, cachedTokens: number}} Token counts
+ */
+export function normalizeUsage(usage = {}) {
+  if (usage.prompt_tokens !== undefined || usage.completion_tokens !== undefined) {
+    const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
+    return {
+      inputTokens: Math.max(0, (usage.prompt_tokens || 0) - cachedTokens),
+      outputTokens: usage.completion_tokens || 0,
+      cachedTokens,
+    };
+  }
+
+  return {
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cachedTokens: usage.cache_read_input_tokens || 0,
+  };
+}
+
+/**
+ * Find the price entry of a model (exact name first, then glob patterns)
+ * @param {string} model - Upstream model
+ * @returns {Object|null} Price in USD per million tokens ({ input, output, cached })
+ */
+function getModelPrice(model) {
+  const pricing = config.usage.pricing || {};
+  if (pricing[model]) {
+    return pricing[model];
+  }
+
+  const pattern = Object.keys(pricing).find((key) => key.includes('*') && matchesGlob(key, model));
+  return pattern ? pricing[pattern] : null;
+}
+
+/**
+ * Estimate the cost of a call
+ * @param {string} model - Upstream model
+ * @param {Object} tokens - Normalized token counts
+ * @returns {number} Cost in USD
+ */
+function estimateCost(model, tokens) {
+  const price = getModelPrice(model);
+  if (!price) {
+    return 0;
+  }
+
+  const cachedPrice = price.cached ?? price.input ?? 0;
+  return (tokens.inputTokens * (price.input || 0)
+    + tokens.outputTokens * (price.output || 0)
+    + tokens.cachedTokens * cachedPrice) / 1e6;
+}
+
+/**
+ * Record the usage of one successful upstream call
+ * @param {Object} call - Call details
+ * @param {string} call.client - Client ID (see identifyClient)
+ * @param {string} call.model - Upstream model
+ * @param {string} call.endpoint - Endpoint ('anthropic', 'openai', 'bigmodel')
+ * @param {Object} call.usage - Upstream usage (OpenAI or Anthropic shape)
+ * @param {boolean} call.toolIteration - True for calls after the first of a request
+ */
+export function recordUsage({ client, model, endpoint, usage, toolIteration = false }) {
+  if (!initialized) {
+    initUsage();
+  }
+
+  const dimensions = {
+    day: toDay(),
+    model: model || 'unknown',
+    endpoint: endpoint || 'unknown',
+    client: client || 'anonymous',
+  };
+  const key = bucketKey(dimensions);
+
+  let bucket = buckets.get(key);
+  if (!bucket) {
+    bucket = {
+      ...dimensions,
+      requests: 0,
+      toolIterations: 0,
+      inputTokens: 0,
+      outputTokens: 0,
+      cachedTokens: 0,
+      costUsd: 0,
+    };
+    buckets.set(key, bucket);
+  }
+
+  const tokens = normalizeUsage(usage);
+  if (toolIteration) {
+    bucket.toolIterations++;
+  } else {
+    bucket.requests++;
+  }
+  bucket.inputTokens += tokens.inputTokens;
+  bucket.outputTokens += tokens.outputTokens;
+  bucket.cachedTokens += tokens.cachedTokens;
+  bucket.costUsd += estimateCost(dimensions.model, tokens);
+
+  scheduleSave();
+}
+
+/**
+ * Get the budgets that apply to a client
+ * @param {string} client - Client ID
+ * @returns {{daily: number|null, monthly: number|null}} Token budgets
+ */
+function getClientBudgets(client) {
+  const budgets = config.usage.budgets;
+  const override = budgets.clients?.[client] || {};
+
+  return {
+    daily: override.daily !== undefined ? override.daily : budgets.daily,
+    monthly: override.monthly !== undefined ? override.monthly : budgets.monthly,
+  };
+}
+
+/**
+ * Get a client's token use for today and the current month
+ * @param {string} client - Client ID
+ * @returns {{daily: number, monthly: number}} Tokens used
+ */
+function getClientTokens(client) {
+  const today = toDay();
+  const month = today.slice(0, 7);
+  const used = { daily: 0, monthly: 0 };
+
+  for (const bucket of buckets.values()) {
+    if (bucket.client !== client || !bucket.day.startsWith(month)) {
+      continue;
+    }
+    const tokens = bucketTokens(bucket);
+    used.monthly += tokens;
+    if (bucket.day === today) {
+      used.daily += tokens;
+    }
+  }
+
+  return used;
+}
+
+/**
+ * Reject a request if the client has used up its daily or monthly budget
+ * The request that crosses a budget completes; the next one is rejected
+ * @param {string} client - Client ID
+ * @throws {RateLimitError} If a budget is exhausted
+ */
+export function checkBudget(client) {
+  if (!initialized) {
+    initUsage();
+  }
+
+  const budgets = getClientBudgets(client);
+  if (!budgets.daily && !budgets.monthly) {
+    return;
+  }
+
+  const used = getClientTokens(client);
+  for (const period of ['daily', 'monthly']) {
+    if (budgets[period] && used[period] >= budgets[period]) {
+      logger.warn('usage', 'Token budget exceeded', { client, period, used: used[period], budget: budgets[period] });
+      throw new RateLimitError(
+        `${period === 'daily' ? 'Daily' : 'Monthly'} token budget exceeded (${used[period]} of ${budgets[period]} tokens used)`
+      );
+    }
+  }
+}
+
+/**
+ * Add a bucket's counters into a totals object
+ * @param {Object} totals - Totals to add to
+ * @param {Object} bucket - Ledger bucket
+ */
+function addTotals(totals, bucket) {
+  totals.requests += bucket.requests;
+  totals.toolIterations += bucket.toolIterations;
+  totals.inputTokens += bucket.inputTokens;
+  totals.outputTokens += bucket.outputTokens;
+  totals.cachedTokens += bucket.cachedTokens;
+  totals.costUsd += bucket.costUsd;
+}
+
+/**
+ * Create an empty totals object
+ * @returns {Object} Totals
+ */
+function emptyTotals() {
+  return { requests: 0, toolIterations: 0, inputTokens: 0, outputTokens: 0, cachedTokens: 0, costUsd: 0 };
+}
+
+/**
+ * Build a usage report
+ * @param {Object} options - Report options
+ * @param {string} options.from - First day (YYYY-MM-DD, default 30 days ago)
+ * @param {string} options.to - Last day (YYYY-MM-DD, default today)
+ * @param {string} options.client - Only include this client
+ * @returns {Object} Totals, breakdowns by day/model/endpoint/client, and budget status
+ */
+export function getUsageReport(options = {}) {
+  if (!initialized) {
+    initUsage();
+  }
+
+  const to = options.to || toDay();
+  const from = options.from || toDay(new Date(Date.parse(to) - 29 * 86400000));
+
+  const totals = emptyTotals();
+  const groups = { day: new Map(), model: new Map(), endpoint: new Map(), client: new Map() };
+
+  for (const bucket of buckets.values()) {
+    if (bucket.day < from || bucket.day > to) continue;
+    if (options.client && bucket.client !== options.client) continue;
+
+    addTotals(totals, bucket);
+    for (const [dimension, group] of Object.entries(groups)) {
+      const value = bucket[dimension];
+      if (!group.has(value)) {
+        group.set(value, { [dimension]: value, ...emptyTotals() });
+      }
+      addTotals(group.get(value), bucket);
+    }
+  }
+
+  const sorted = (group, field) => Array.from(group.values()).sort((a, b) => (a[field] < b[field] ? -1 : 1));
+  const byTokens = (group) => Array.from(group.values()).sort((a, b) => bucketTokens(b) - bucketTokens(a));
+
+  // Budget status for every client seen this month (plus configured overrides)
+  const month = toDay().slice(0, 7);
+  const clients = new Set(Object.keys(config.usage.budgets.clients || {}));
+  for (const bucket of buckets.values()) {
+    if (bucket.day.startsWith(month)) clients.add(bucket.client);
+  }
+  const budgets = Array.from(clients).map((client) => ({
+    client,
+    limits: getClientBudgets(client),
+    used: getClientTokens(client),
+  }));
+
+  return {
+    from,
+    to,
+    totals,
+    byDay: sorted(groups.day, 'day'),
+    byModel: byTokens(groups.model),
+    byEndpoint: byTokens(groups.endpoint),
+    byClient: byTokens(groups.client),
+    budgets,
+  };
+}
+
+export default {
+  initUsage,
+  flushUsage,
+  identifyClient,
+  normalizeUsage,
+  recordUsage,
+  checkBudget,
+  getUsageReport,
+};
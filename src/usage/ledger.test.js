@@ -0,0 +1,74 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import '../utils/test-home.js';
+import config from '../config.js';
+import { identifyClient, normalizeUsage, recordUsage, checkBudget, getUsageReport } from './ledger.js';
+import { getErrorStatus } from '../utils/errors.js';
+
+beforeEach(() => {
+  config.usage.budgets = { daily: null, monthly: null, clients: {} };
+});
+
+describe('identifyClient', () => {
+  it('uses the authenticated key ID and nothing the client sent', () => {
+    assert.equal(identifyClient({ id: 'key_abc123' }), 'key_abc123');
+    assert.equal(identifyClient(null), 'anonymous');
+    assert.equal(identifyClient(undefined), 'anonymous');
+  });
+});
+
+describe('normalizeUsage', () => {
+  it('reads OpenAI and Anthropic usage alike', () => {
+    assert.deepEqual(
+      normalizeUsage({ prompt_tokens: 14, completion_tokens: 5, prompt_tokens_details: { cached_tokens: 4 } }),
+      { inputTokens: 10, outputTokens: 5, cachedTokens: 4 }
+    );
+    assert.deepEqual(
+      normalizeUsage({ input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 4 }),
+      { inputTokens: 10, outputTokens: 5, cachedTokens: 4 }
+    );
+  });
+});
+
+describe('budgets', () => {
+  it('rejects the request after the one that crosses the daily budget', () => {
+    config.usage.budgets.daily = 100;
+    const client = 'key_daily';
+
+    checkBudget(client);
+    recordUsage({ client, model: 'glm-4.7', endpoint: 'anthropic', usage: { input_tokens: 80, output_tokens: 30 } });
+
+    assert.throws(() => checkBudget(client), (error) => getErrorStatus(error) === 429 && /Daily token budget/.test(error.message));
+    assert.doesNotThrow(() => checkBudget('key_other'));
+  });
+
+  it('applies per-client overrides', () => {
+    config.usage.budgets.clients = { key_small: { monthly: 10 } };
+    recordUsage({ client: 'key_small', model: 'glm-4.7', endpoint: 'openai', usage: { prompt_tokens: 20, completion_tokens: 1 } });
+
+    assert.throws(() => checkBudget('key_small'), /Monthly token budget/);
+  });
+
+  it('charges all unauthenticated traffic to one budget', () => {
+    config.usage.budgets.daily = 50;
+    recordUsage({ client: identifyClient(null), model: 'glm-4.7', endpoint: 'anthropic', usage: { input_tokens: 60 } });
+
+    assert.throws(() => checkBudget(identifyClient(null)), /Daily token budget/);
+  });
+});
+
+describe('getUsageReport', () => {
+  it('groups usage by client and counts tool-loop iterations separately', () => {
+    const client = 'key_report';
+    recordUsage({ client, model: 'glm-4.7', endpoint: 'anthropic', usage: { input_tokens: 1000000, output_tokens: 0 } });
+    recordUsage({ client, model: 'glm-4.7', endpoint: 'anthropic', usage: { input_tokens: 10 }, toolIteration: true });
+
+    const report = getUsageReport({ client });
+    assert.equal(report.totals.requests, 1);
+    assert.equal(report.totals.toolIterations, 1);
+    assert.equal(report.totals.inputTokens, 1000010);
+    assert.ok(Math.abs(report.totals.costUsd - 0.600006) < 1e-9);
+    assert.deepEqual(report.byClient.map((group) => group.client), [client]);
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Request Cancellation
+ *
+ * One AbortSignal per client request, aborted with a RequestCancelledError
+ * when the client disconnects before the response is complete (e.g. Claude
+ * Code cancelling a turn). The signal is threaded through the upstream
+ * fetches, retry delays, the limiter queue, tool loops and MCP tool calls so
+ * they stop instead of spending quota on an answer nobody will read.
+ */
+
+import { RequestCancelledError } from './errors.js';
+
+/**
+ * Create the cancellation signal of a request
+ * @param {http.ServerResponse} res - HTTP response (its 'close' before 'finish' means the client went away)
+ * @returns {AbortSignal} Signal aborted with a RequestCancelledError on disconnect
+ */
+export function createRequestSignal(res) {
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort(new RequestCancelledError());
+    }
+  });
+
+  return controller.signal;
+}
+
+/**
+ * Combine a cancellation signal with a timeout
+ * @param {AbortSignal|null} signal - Cancellation signal (optional)
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {AbortSignal} Signal aborted by whichever fires first
+ */
+export function withTimeout(signal, timeoutMs) {
+  const timeout = AbortSignal.timeout(timeoutMs);
+  return signal ? AbortSignal.any([signal, timeout]) : timeout;
+}
+
+/**
+ * Wait, rejecting early if the request is cancelled
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Cancellation signal (optional)
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Check whether an error is a client cancellation
+ * @param {Error} error - Any error
+ * @returns {boolean} True if the request was cancelled
+ */
+export function isCancellation(error) {
+  return error instanceof RequestCancelledError;
+}
+
+export default {
+  createRequestSignal,
+  withTimeout,
+  delay,
+  isCancellation,
+};
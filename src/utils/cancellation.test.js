@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { createRequestSignal, withTimeout, delay, isCancellation } from './cancellation.js';
+import { RequestCancelledError } from './errors.js';
+
+/**
+ * Create a fake response that can be closed
+ * @param {boolean} writableFinished - Whether the response was fully sent
+ * @returns {EventEmitter} Response-like emitter
+ */
+function fakeResponse(writableFinished) {
+  const res = new EventEmitter();
+  res.writableFinished = writableFinished;
+  return res;
+}
+
+describe('createRequestSignal', () => {
+  it('aborts with a RequestCancelledError when the client disconnects early', () => {
+    const res = fakeResponse(false);
+    const signal = createRequestSignal(res);
+
+    res.emit('close');
+    assert.ok(signal.aborted);
+    assert.ok(isCancellation(signal.reason));
+    assert.equal(signal.reason.status, 499);
+  });
+
+  it('stays quiet when the response finished normally', () => {
+    const res = fakeResponse(true);
+    const signal = createRequestSignal(res);
+
+    res.emit('close');
+    assert.ok(!signal.aborted);
+  });
+});
+
+describe('delay', () => {
+  it('resolves after the delay', async () => {
+    await delay(1);
+  });
+
+  it('rejects as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const started = Date.now();
+    const waiting = delay(10000, controller.signal);
+
+    controller.abort(new RequestCancelledError());
+    await assert.rejects(waiting, RequestCancelledError);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('rejects immediately for an already aborted signal', async () => {
+    await assert.rejects(delay(10000, AbortSignal.abort(new RequestCancelledError())), RequestCancelledError);
+  });
+});
+
+describe('withTimeout', () => {
+  it('aborts on the timeout or the cancellation signal, whichever is first', async () => {
+    const timedOut = withTimeout(null, 1);
+    await delay(20);
+    assert.ok(timedOut.aborted);
+
+    const controller = new AbortController();
+    const combined = withTimeout(controller.signal, 10000);
+    controller.abort(new RequestCancelledError());
+    assert.ok(isCancellation(combined.reason));
+  });
+});
@@ -59,6 +59,17 @@ export class AuthenticationError extends ProxyError {
   }
 }
 
+/**
+ * Permission error (403)
+ * Thrown when a valid client key lacks the scope an endpoint requires
+ */
+export class PermissionError extends ProxyError {
+  constructor(message = 'This API key does not have permission to use this endpoint') {
+    super(message, 'permission_error', 403);
+    this.name = 'PermissionError';
+  }
+}
+
 /**
  * Rate limit error (429)
  * Thrown when upstream API returns rate limit
@@ -101,8 +112,9 @@ export class GlmApiError extends ProxyError {
    * @param {string} message - Error message
    * @param {number} upstreamStatus - HTTP status from GLM API
    * @param {string} upstreamBody - Response body from GLM API
+   * @param {number|null} retryAfterMs - Delay requested by the upstream Retry-After header
    */
-  constructor(message, upstreamStatus = 500, upstreamBody = '') {
+  constructor(message, upstreamStatus = 500, upstreamBody = '', retryAfterMs = null) {
     // Map GLM status codes to Anthropic error types
     let type = 'api_error';
     let status = 500;
@@ -125,6 +137,7 @@ export class GlmApiError extends ProxyError {
     this.name = 'GlmApiError';
     this.upstreamStatus = upstreamStatus;
     this.upstreamBody = upstreamBody;
+    this.retryAfterMs = retryAfterMs;
   }
 }
 
@@ -176,6 +189,18 @@ export class ToolExecutionError extends ProxyError {
   }
 }
 
+/**
+ * Request cancelled error (499)
+ * Thrown into upstream calls, tool loops and MCP tool calls when the client
+ * disconnects before the response is complete. Nothing is sent to the client.
+ */
+export class RequestCancelledError extends ProxyError {
+  constructor(message = 'Request cancelled: client disconnected') {
+    super(message, 'cancelled_error', 499);
+    this.name = 'RequestCancelledError';
+  }
+}
+
 /**
  * Convert any error to Anthropic error response format
  * @param {Error} error - Any error object
@@ -196,6 +221,25 @@ export function toAnthropicError(error) {
   };
 }
 
+/**
+ * Convert any error to OpenAI error response format
+ * Used by the /v1/chat/completions ingress
+ * @param {Error} error - Any error object
+ * @returns {Object} OpenAI error response
+ */
+export function toOpenAIError(error) {
+  const { error: details } = toAnthropicError(error);
+
+  return {
+    error: {
+      message: details.message,
+      type: details.type,
+      param: null,
+      code: error instanceof GlmApiError ? String(error.upstreamStatus) : null,
+    },
+  };
+}
+
 /**
  * Get HTTP status code for an error
  * @param {Error} error - Any error object
@@ -212,6 +256,7 @@ export default {
   ProxyError,
   InvalidRequestError,
   AuthenticationError,
+  PermissionError,
   RateLimitError,
   OverloadedError,
   ApiError,
@@ -219,6 +264,8 @@ export default {
   McpError,
   TransformError,
   ToolExecutionError,
+  RequestCancelledError,
   toAnthropicError,
+  toOpenAIError,
   getErrorStatus,
 };
@@ -0,0 +1,29 @@
+/**
+ * Glob Matching
+ *
+ * Case-insensitive glob patterns with '*' and '?' wildcards, as used for
+ * routing rules, pricing and reasoning profile model patterns, and MCP tool
+ * allow/deny lists.
+ */
+
+/**
+ * Check if a name matches a glob pattern ('*' and '?' wildcards, case-insensitive)
+ * @param {string} pattern - Glob pattern, e.g. "claude-3-5-haiku*"
+ * @param {string} name - Name to test
+ * @returns {boolean} true if matches
+ */
+export function matchesGlob(pattern, name) {
+  const regex = pattern
+    .split('')
+    .map((ch) => {
+      if (ch === '*') return '.*';
+      if (ch === '?') return '.';
+      return ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${regex}$`, 'i').test(name || '');
+}
+
+export default {
+  matchesGlob,
+};
@@ -0,0 +1,19 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { matchesGlob } from './glob.js';
+
+describe('matchesGlob', () => {
+  it('matches * and ? wildcards case-insensitively', () => {
+    assert.ok(matchesGlob('claude-3-5-haiku*', 'claude-3-5-haiku-20241022'));
+    assert.ok(matchesGlob('GLM-4.?', 'glm-4.7'));
+    assert.ok(!matchesGlob('glm-4.?', 'glm-4.71'));
+    assert.ok(!matchesGlob('claude.*', 'claude-opus'));
+  });
+
+  it('matches whole names only', () => {
+    assert.ok(matchesGlob('browser_*', 'browser_navigate'));
+    assert.ok(!matchesGlob('navigate', 'browser_navigate'));
+    assert.ok(!matchesGlob('glm-*', undefined));
+  });
+});
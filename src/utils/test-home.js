@@ -0,0 +1,20 @@
+/**
+ * Test Home Directory
+ *
+ * Imported first by tests that load config or persistence: ~/.ccglm then
+ * resolves to a fresh temporary directory, so the user's settings, MCPs and
+ * keys neither affect the tests nor get overwritten by them.
+ */
+
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+export const testHome = mkdtempSync(join(tmpdir(), 'ccglm-test-'));
+process.env.HOME = testHome;
+
+process.on('exit', () => {
+  rmSync(testHome, { recursive: true, force: true });
+});
+
+export default testHome;
@@ -0,0 +1,257 @@
+/**
+ * Token Counter
+ *
+ * Local token estimator for /v1/messages/count_tokens. GLM's tokenizer is not
+ * available offline, so text is split with a BPE-style pre-tokenizer and each
+ * piece is costed with per-class heuristics (Latin words, digits, punctuation,
+ * CJK runs). Images are costed from their pixel dimensions, videos with a flat
+ * frame budget.
+ *
+ * Counts are taken over the *upstream* request (after transformRequest or
+ * prepareAnthropicRequest), so injected reasoning prompts, MCP instructions and
+ * injected tool definitions are included automatically. Both the Anthropic and
+ * OpenAI request shapes are understood.
+ */
+
+// Pre-tokenizer: CJK runs, letter runs, 1-3 digit groups, punctuation runs, whitespace
+const PIECE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[\p{L}\p{M}]+|\p{N}{1,3}|[^\s\p{L}\p{N}]+|\s+/gu;
+
+// Fixed overheads (chat template tokens)
+const REQUEST_OVERHEAD = 3;
+const MESSAGE_OVERHEAD = 4;
+const TOOL_OVERHEAD = 8;
+
+// Media costs
+const PIXELS_PER_TOKEN = 750;
+const MAX_IMAGE_TOKENS = 1600;
+const DEFAULT_IMAGE_TOKENS = 1600;
+const VIDEO_TOKENS = 4096;
+
+/**
+ * Estimate the token count of a string
+ * @param {string} text - Text to count
+ * @returns {number} Estimated tokens
+ */
+export function estimateTextTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+    const first = piece.codePointAt(0);
+
+    if (/\s/u.test(piece)) {
+      // A single space is merged into the following word by BPE tokenizers
+      tokens += piece === ' ' ? 0 : Math.ceil(piece.length / 4);
+    } else if (first >= 0x2e80 && /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(piece)) {
+      // GLM's vocabulary has many multi-character CJK entries
+      tokens += Math.ceil([...piece].length * 0.7);
+    } else if (/\p{L}/u.test(piece)) {
+      tokens += Math.max(1, Math.ceil(piece.length / 5));
+    } else if (/\p{N}/u.test(piece)) {
+      tokens += 1;
+    } else {
+      tokens += Math.ceil(piece.length / 2);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Read image dimensions from the header of a PNG, JPEG, GIF or WebP file
+ * @param {Buffer} buffer - Image bytes
+ * @returns {{width: number, height: number}|null} Dimensions, or null if unknown
+ */
+function readImageDimensions(buffer) {
+  if (buffer.length < 24) {
+    return null;
+  }
+
+  // PNG: IHDR chunk follows the 8-byte signature
+  if (buffer.readUInt32BE(0) === 0x89504e47) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+
+  // GIF: logical screen size (little endian)
+  if (buffer.toString('ascii', 0, 3) === 'GIF') {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+  }
+
+  // WebP: lossy (VP8), lossless (VP8L) or extended (VP8X)
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    const chunk = buffer.toString('ascii', 12, 16);
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+      return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+      const bits = buffer.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+      return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+  }
+
+  // JPEG: walk segments until a start-of-frame marker
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      if (buffer[offset] !== 0xff) {
+        return null;
+      }
+      const marker = buffer[offset + 1];
+      const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+      if (isStartOfFrame) {
+        return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Estimate tokens for an image given as base64 data
+ * Large images are downscaled upstream, so the cost is capped
+ * @param {string} base64Data - Base64 image data (no data: prefix)
+ * @returns {number} Estimated tokens
+ */
+function estimateImageTokens(base64Data) {
+  if (!base64Data) {
+    return DEFAULT_IMAGE_TOKENS;
+  }
+
+  let dimensions = null;
+  try {
+    dimensions = readImageDimensions(Buffer.from(base64Data, 'base64'));
+  } catch {
+    dimensions = null;
+  }
+
+  if (!dimensions || !dimensions.width || !dimensions.height) {
+    return DEFAULT_IMAGE_TOKENS;
+  }
+
+  return Math.min(MAX_IMAGE_TOKENS, Math.ceil((dimensions.width * dimensions.height) / PIXELS_PER_TOKEN));
+}
+
+/**
+ * Extract base64 data from a data: URI
+ * @param {string} url - URL or data URI
+ * @returns {string|null} Base64 payload, or null for remote URLs
+ */
+function dataUriPayload(url) {
+  const match = typeof url === 'string' ? url.match(/^data:[^;,]+;base64,(.*)$/s) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * Estimate tokens for a single content block (Anthropic or OpenAI shape)
+ * @param {Object} block - Content block
+ * @returns {number} Estimated tokens
+ */
+function estimateBlockTokens(block) {
+  if (typeof block === 'string') {
+    return estimateTextTokens(block);
+  }
+
+  if (!block || typeof block !== 'object') {
+    return 0;
+  }
+
+  switch (block.type) {
+    case 'text':
+      return estimateTextTokens(block.text);
+
+    case 'thinking':
+      return estimateTextTokens(block.thinking);
+
+    case 'image':
+      return block.source?.type === 'base64'
+        ? estimateImageTokens(block.source.data)
+        : DEFAULT_IMAGE_TOKENS;
+
+    case 'image_url':
+      return estimateImageTokens(dataUriPayload(block.image_url?.url));
+
+    case 'video':
+    case 'video_url':
+      return VIDEO_TOKENS;
+
+    case 'tool_use':
+      return estimateTextTokens(block.name) + estimateTextTokens(JSON.stringify(block.input || {}));
+
+    case 'tool_result':
+      return estimateContentTokens(block.content);
+
+    default:
+      return estimateTextTokens(JSON.stringify(block));
+  }
+}
+
+/**
+ * Estimate tokens for message content (string or array of blocks)
+ * @param {string|Array} content - Message content
+ * @returns {number} Estimated tokens
+ */
+function estimateContentTokens(content) {
+  if (Array.isArray(content)) {
+    return content.reduce((sum, block) => sum + estimateBlockTokens(block), 0);
+  }
+  return estimateTextTokens(typeof content === 'string' ? content : '');
+}
+
+/**
+ * Estimate tokens for a tool definition (Anthropic or OpenAI shape)
+ * @param {Object} tool - Tool definition
+ * @returns {number} Estimated tokens
+ */
+function estimateToolTokens(tool) {
+  const definition = tool.function || tool;
+  return TOOL_OVERHEAD
+    + estimateTextTokens(definition.name)
+    + estimateTextTokens(definition.description)
+    + estimateTextTokens(JSON.stringify(definition.parameters || definition.input_schema || {}));
+}
+
+/**
+ * Estimate the input tokens of an upstream request
+ * @param {Object} request - Prepared Anthropic request or transformed OpenAI/GLM request
+ * @returns {number} Estimated input tokens
+ */
+export function countRequestTokens(request) {
+  let tokens = REQUEST_OVERHEAD;
+
+  // Anthropic keeps the system prompt separate; OpenAI has it as a message
+  if (request.system) {
+    tokens += MESSAGE_OVERHEAD + estimateContentTokens(request.system);
+  }
+
+  for (const message of request.messages || []) {
+    tokens += MESSAGE_OVERHEAD + estimateContentTokens(message.content);
+
+    // OpenAI-shape assistant tool calls and tool results
+    for (const toolCall of message.tool_calls || []) {
+      tokens += estimateTextTokens(toolCall.function?.name)
+        + estimateTextTokens(toolCall.function?.arguments);
+    }
+    if (message.reasoning_content) {
+      tokens += estimateTextTokens(message.reasoning_content);
+    }
+  }
+
+  for (const tool of request.tools || []) {
+    tokens += estimateToolTokens(tool);
+  }
+
+  return tokens;
+}
+
+export default {
+  estimateTextTokens,
+  countRequestTokens,
+};
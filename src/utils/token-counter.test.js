@@ -0,0 +1,78 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { estimateTextTokens, countRequestTokens } from './token-counter.js';
+
+/**
+ * Build the base64 header of a PNG with the given dimensions
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {string} Base64 PNG signature and IHDR chunk
+ */
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'ascii');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer.toString('base64');
+}
+
+describe('estimateTextTokens', () => {
+  it('returns 0 for empty text', () => {
+    assert.equal(estimateTextTokens(''), 0);
+    assert.equal(estimateTextTokens(null), 0);
+  });
+
+  it('costs short words as one token each', () => {
+    assert.equal(estimateTextTokens('the cat sat'), 3);
+  });
+
+  it('grows with text length', () => {
+    const short = estimateTextTokens('Hello world');
+    const long = estimateTextTokens('Hello world '.repeat(100));
+    assert.ok(long > short * 50);
+  });
+
+  it('costs CJK text per character', () => {
+    assert.equal(estimateTextTokens('你好世界'), 3);
+  });
+});
+
+describe('countRequestTokens', () => {
+  it('counts the same conversation alike in Anthropic and OpenAI shape', () => {
+    const anthropic = countRequestTokens({
+      system: 'You are helpful.',
+      messages: [{ role: 'user', content: [{ type: 'text', text: 'What is the capital of France?' }] }],
+    });
+    const openai = countRequestTokens({
+      messages: [
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'user', content: 'What is the capital of France?' },
+      ],
+    });
+    assert.equal(anthropic, openai);
+  });
+
+  it('includes tool definitions', () => {
+    const messages = [{ role: 'user', content: 'Hi' }];
+    const tool = {
+      name: 'get_weather',
+      description: 'Get the current weather for a city',
+      input_schema: { type: 'object', properties: { city: { type: 'string' } } },
+    };
+    assert.ok(countRequestTokens({ messages, tools: [tool] }) > countRequestTokens({ messages }) + 10);
+  });
+
+  it('costs images from their pixel dimensions, capped for large images', () => {
+    const withImage = (data) => countRequestTokens({
+      messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data } }] }],
+    });
+    const small = withImage(pngHeader(150, 100));
+    const large = withImage(pngHeader(4000, 3000));
+
+    assert.equal(small - withImage(pngHeader(1, 1)), 19);
+    assert.equal(large - small, 1600 - 20);
+  });
+});